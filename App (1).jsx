@@ -22,25 +22,80 @@ import {
   Wallet,
   Sparkles, 
   Loader,   
-  Camera    
+  Camera,
+  History,
+  User,
+  Users,
+  FileText,
+  Printer,
+  Clock,
+  Download,
+  Upload,
+  AlertTriangle,
+  Wifi,
+  WifiOff,
+  RefreshCw,
+  UserCog,
+  LogOut,
+  Mail,
+  Phone,
+  Search,
+  ArrowUp,
+  ArrowDown,
+  Receipt,
+  Navigation,
+  Check
 } from 'lucide-react';
 
 // --- Firebase Imports ---
 import { initializeApp } from 'firebase/app';
 import { 
   getAuth, 
-  signInAnonymously, 
-  onAuthStateChanged,
-  signInWithCustomToken
+  onIdTokenChanged,
+  signInWithCustomToken,
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  signInWithPhoneNumber,
+  linkWithCredential,
+  linkWithPhoneNumber,
+  sendEmailVerification,
+  reload,
+  EmailAuthProvider,
+  RecaptchaVerifier,
+  signOut,
+  connectAuthEmulator
 } from 'firebase/auth';
 import { 
-  getFirestore, 
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
   collection, 
-  addDoc, 
+  setDoc,
+  updateDoc,
   deleteDoc, 
   doc, 
-  onSnapshot 
+  getDoc,
+  getDocs,
+  query,
+  where,
+  and,
+  or,
+  orderBy,
+  limit,
+  onSnapshot,
+  writeBatch,
+  runTransaction,
+  connectFirestoreEmulator
 } from 'firebase/firestore';
+import {
+  getStorage,
+  ref as storageRef,
+  uploadBytes,
+  getDownloadURL,
+  deleteObject,
+  connectStorageEmulator
+} from 'firebase/storage';
+import * as XLSX from '@e965/xlsx';
 
 // --- Global Constants (Initial Defaults) ---
 const DEFAULT_BAG_WEIGHT_KG = 50;
@@ -48,742 +103,8173 @@ const DEFAULT_REVENUE_PER_TON = 85000;
 const DEFAULT_LABOR_PER_TON = 15000;
 const DEFAULT_FUEL_PRICE = 12000; 
 
-// System provides this at runtime in the preview environment
+const DEFAULT_RATES = {
+  fuelPrice: DEFAULT_FUEL_PRICE,
+  revenuePerTon: DEFAULT_REVENUE_PER_TON,
+  laborPerTon: DEFAULT_LABOR_PER_TON
+};
+
+// System provides this at runtime in the preview environment; see getAiConfig for overrides
 const API_KEY = ""; 
 
 // --- Firebase Initialization ---
 const firebaseConfig = JSON.parse(__firebase_config);
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
-const db = getFirestore(app);
+// Records are cached in IndexedDB so the app keeps working offline; Firestore queues
+// writes made while offline and syncs them when the connection returns
+const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
+const storage = getStorage(app);
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 
+// `npm run dev:emulators` points the app at the local Firebase emulators (see firebase.json)
+if (import.meta.env.VITE_USE_FIREBASE_EMULATORS === 'true') {
+  connectAuthEmulator(auth, 'http://127.0.0.1:9099');
+  connectFirestoreEmulator(db, '127.0.0.1', 8080);
+  connectStorageEmulator(storage, '127.0.0.1', 9199);
+}
+
 // --- Guinean Locations Database ---
-const GUINEA_LOCATIONS = [
-  // Conakry
-  "Kaloum", "Dixinn", "Matam", "Ratoma", "Matoto", 
-  "Madina", "Kipé", "Lambanyi", "Taouyah", "Nongo", 
-  "Cosa", "Bambeto", "Hamdallaye", "Sonfonia", "Enta", 
-  "Sangoyah", "Gbessia", "Simbaya", "Yimbaya", "Tombolia",
-  "Dabompa", "Lansanayah", "Kountia",
-  // Dubréka
-  "Dubréka Centre", "Kagbelen", "Km5", "Tanéné", 
-  "Khorira", "Ouassou", "Bondabon", "Tondon",
-  // Coyah
-  "Coyah Centre", "Manéah", "Wonkifong", "Kouriah", 
-  "Sombayah", "Bentourayah", "Km36", "Gombonya", "Fassia"
-].sort();
+// Built-in places with their delivery zone (the default unit for tariffs), commune and
+// prefecture, and the road distance in km from our loading point at the Port of Conakry.
+// Distances are approximate; owners correct them, or add places, from Settings.
+const BUILT_IN_LOCATIONS = [
+  { name: 'Kaloum', aliases: ['Port', 'Port de Conakry'], commune: 'Kaloum', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 2 },
+  { name: 'Dixinn', aliases: [], commune: 'Dixinn', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 6 },
+  { name: 'Matam', aliases: [], commune: 'Matam', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 8 },
+  { name: 'Madina', aliases: ['Marché Madina'], commune: 'Matam', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 10 },
+  { name: 'Hamdallaye', aliases: ['Hamdalaye'], commune: 'Ratoma', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 11 },
+  { name: 'Taouyah', aliases: ['Taouya'], commune: 'Ratoma', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 11 },
+  { name: 'Kipé', aliases: [], commune: 'Ratoma', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 13 },
+  { name: 'Bambeto', aliases: [], commune: 'Ratoma', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 14 },
+  { name: 'Ratoma', aliases: ['Ratoma Centre'], commune: 'Ratoma', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 15 },
+  { name: 'Gbessia', aliases: ['Aéroport'], commune: 'Matoto', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 15 },
+  { name: 'Cosa', aliases: [], commune: 'Ratoma', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 16 },
+  { name: 'Matoto', aliases: ['Matoto Marché'], commune: 'Matoto', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 17 },
+  { name: 'Nongo', aliases: [], commune: 'Ratoma', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 18 },
+  { name: 'Lambanyi', aliases: ['Lambandji'], commune: 'Ratoma', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 19 },
+  { name: 'Yimbaya', aliases: [], commune: 'Matoto', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 19 },
+  { name: 'Enta', aliases: [], commune: 'Matoto', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 20 },
+  { name: 'Simbaya', aliases: [], commune: 'Ratoma', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 21 },
+  { name: 'Sangoyah', aliases: ['Sangoya'], commune: 'Matoto', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 22 },
+  { name: 'Dabompa', aliases: [], commune: 'Matoto', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 22 },
+  { name: 'Sonfonia', aliases: ['Sonfonia Gare'], commune: 'Ratoma', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 24 },
+  { name: 'Tombolia', aliases: [], commune: 'Matoto', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 27 },
+  { name: 'Lansanayah', aliases: ['Lansanaya'], commune: 'Matoto', prefecture: 'Conakry', zone: 'Conakry', distanceKm: 27 },
+  { name: 'Kountia', aliases: [], commune: 'Manéah', prefecture: 'Coyah', zone: 'Conakry', distanceKm: 30 },
+  { name: 'Kagbelen', aliases: ['Kagbélen'], commune: 'Kagbelen', prefecture: 'Dubréka', zone: 'Dubréka', distanceKm: 32 },
+  { name: 'Km5', aliases: ['Km 5'], commune: 'Dubréka', prefecture: 'Dubréka', zone: 'Dubréka', distanceKm: 45 },
+  { name: 'Dubréka Centre', aliases: ['Dubréka'], commune: 'Dubréka', prefecture: 'Dubréka', zone: 'Dubréka', distanceKm: 50 },
+  { name: 'Bondabon', aliases: [], commune: 'Dubréka', prefecture: 'Dubréka', zone: 'Dubréka', distanceKm: 55 },
+  { name: 'Khorira', aliases: [], commune: 'Khorira', prefecture: 'Dubréka', zone: 'Dubréka', distanceKm: 62 },
+  { name: 'Tanéné', aliases: ['Tanènè'], commune: 'Tanéné', prefecture: 'Dubréka', zone: 'Dubréka', distanceKm: 70 },
+  { name: 'Ouassou', aliases: [], commune: 'Ouassou', prefecture: 'Dubréka', zone: 'Dubréka', distanceKm: 75 },
+  { name: 'Tondon', aliases: [], commune: 'Tondon', prefecture: 'Dubréka', zone: 'Dubréka', distanceKm: 85 },
+  { name: 'Manéah', aliases: ['Maneya'], commune: 'Manéah', prefecture: 'Coyah', zone: 'Coyah', distanceKm: 35 },
+  { name: 'Km36', aliases: ['Km 36'], commune: 'Manéah', prefecture: 'Coyah', zone: 'Coyah', distanceKm: 36 },
+  { name: 'Bentourayah', aliases: ['Bentouraya'], commune: 'Manéah', prefecture: 'Coyah', zone: 'Coyah', distanceKm: 42 },
+  { name: 'Sombayah', aliases: ['Sombaya'], commune: 'Coyah', prefecture: 'Coyah', zone: 'Coyah', distanceKm: 45 },
+  { name: 'Fassia', aliases: [], commune: 'Coyah', prefecture: 'Coyah', zone: 'Coyah', distanceKm: 48 },
+  { name: 'Coyah Centre', aliases: ['Coyah'], commune: 'Coyah', prefecture: 'Coyah', zone: 'Coyah', distanceKm: 50 },
+  { name: 'Gombonya', aliases: [], commune: 'Coyah', prefecture: 'Coyah', zone: 'Coyah', distanceKm: 55 },
+  { name: 'Wonkifong', aliases: [], commune: 'Wonkifong', prefecture: 'Coyah', zone: 'Coyah', distanceKm: 60 },
+  { name: 'Kouriah', aliases: ['Kouria'], commune: 'Kouriah', prefecture: 'Coyah', zone: 'Coyah', distanceKm: 70 }
+];
+
+const ZONES = [...new Set(BUILT_IN_LOCATIONS.map(loc => loc.zone))];
+
+// Where a truck loads. Trips saved before the loading point was recorded count as loaded at
+// the port, which is also where the directory distances are measured from.
+const LOADING_POINTS = {
+  port: 'Port of Conakry',
+  factory: 'Cement plant',
+  depot: 'Our depot'
+};
+
+const DEFAULT_LOADING_POINT = 'port';
+
+const getTripOrigin = (trip) => (LOADING_POINTS[trip.origin] ? trip.origin : DEFAULT_LOADING_POINT);
+
+// --- Localization ---
+// French is the default; like the AI settings, the choice is kept on this device.
+// The catalogs themselves (TRANSLATIONS) sit just before the components.
+const LANGUAGES = {
+  fr: { label: 'Français', short: 'FR', locale: 'fr-GN', name: 'French' },
+  en: { label: 'English', short: 'EN', locale: 'en-GB', name: 'English' }
+};
+const DEFAULT_LANGUAGE = 'fr';
+const LANGUAGE_STORAGE_KEY = 'cimenlog.language';
+
+const readLanguage = () => {
+  try {
+    const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    return LANGUAGES[saved] ? saved : DEFAULT_LANGUAGE;
+  } catch {
+    return DEFAULT_LANGUAGE;
+  }
+};
+
+// Read by t() and the formatters at render time; App re-renders everything when it changes
+let currentLanguage = readLanguage();
+
+const getLanguage = () => currentLanguage;
+
+const setLanguage = (language) => {
+  currentLanguage = language;
+  localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+};
+
+const getLocale = () => LANGUAGES[currentLanguage].locale;
+
+// Catalog text for `key` in the current language (English when missing), with {name}
+// placeholders filled from params
+export const t = (key, params = {}) => {
+  const text = TRANSLATIONS[currentLanguage][key] ?? TRANSLATIONS.en[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? params[name] : placeholder));
+};
 
 // --- Helper Functions ---
 const formatCurrency = (amount) => {
-  return new Intl.NumberFormat('fr-GN', { 
+  return new Intl.NumberFormat(getLocale(), { 
     style: 'currency', 
     currency: 'GNF',
     maximumFractionDigits: 0 
   }).format(amount);
 };
 
-const formatDate = (dateString) => {
-  return new Date(dateString).toLocaleDateString('en-GB');
+// Locale-aware stand-in for toFixed in what is shown on screen
+const formatNumber = (value, digits = 1) => {
+  return value.toLocaleString(getLocale(), { minimumFractionDigits: digits, maximumFractionDigits: digits });
 };
 
-// --- GEMINI API HELPERS ---
+export const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString(getLocale());
+};
 
-// 1. Text Generation for Business Report
-const generateGeminiReport = async (tripsData) => {
-  try {
-    const prompt = `
-      You are a logistics business analyst for a cement company in Guinea. 
-      Analyze the following trip data (JSON). Currency is GNF.
-      
-      Data: ${JSON.stringify(tripsData.slice(0, 30))} (Truncated for brevity)
+const formatDateTime = (isoString) => {
+  return new Date(isoString).toLocaleString(getLocale());
+};
 
-      Please provide a concise but insightful report with the following sections (use Markdown):
-      1. **Financial Summary**: Net profit trends and margins.
-      2. **Operational Efficiency**: Which truck or route is performing best?
-      3. **Cost Analysis**: Are fuel or maintenance costs rising?
-      4. **Recommendation**: One specific action to improve profitability.
-      
-      Keep it professional, encouraging, and brief (under 200 words).
-    `;
+// Builds the initial form state from a saved record, keeping only the form's own fields
+const pickFormFields = (record, defaults) => {
+  if (!record) return defaults;
+  return Object.fromEntries(
+    Object.keys(defaults).map(key => [key, record[key] ?? defaults[key]])
+  );
+};
 
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${API_KEY}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }]
-        })
-      }
-    );
+// Fields that are bookkeeping rather than user data, so they never show up in the edit history
+const HISTORY_IGNORED_FIELDS = ['id', 'history', 'timestamp', 'appliedRates', 'destinations'];
 
-    const data = await response.json();
-    return data.candidates?.[0]?.content?.parts?.[0]?.text || "Could not generate report.";
-  } catch (error) {
-    console.error("Gemini API Error:", error);
-    return "Error connecting to AI service. Please try again.";
+// Returns the list of { field, from, to } changes between a saved record and its edited version.
+// Only the edited version's fields count: fields the form does not own (invoice links, import
+// markers) are left untouched by the update, so they are not changes.
+export const diffRecord = (before, after) => {
+  return Object.keys(after)
+    .filter(field => !HISTORY_IGNORED_FIELDS.includes(field))
+    // A field added after the record was saved is missing rather than null; that is not a change
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+};
+
+const todayISO = () => new Date().toISOString().split('T')[0];
+
+// Picks the rate entry in force on a given date (YYYY-MM-DD). Entries are compared by their
+// "effective from" date; before the first entry, the built-in defaults apply.
+const getRatesForDate = (rateHistory, date) => {
+  const entry = rateHistory
+    .filter(r => r.effectiveFrom <= date)
+    .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom))[0];
+  if (!entry) return { ...DEFAULT_RATES, effectiveFrom: null };
+  return {
+    fuelPrice: entry.fuelPrice,
+    revenuePerTon: entry.revenuePerTon,
+    laborPerTon: entry.laborPerTon,
+    effectiveFrom: entry.effectiveFrom
+  };
+};
+
+const getZoneForDestination = (locations, destination) => findLocation(locations, destination)?.zone || null;
+
+// Resolves the revenue per ton for a destination: a destination-specific tariff wins over
+// its zone's tariff, which wins over the flat rate from the rate history.
+const resolveTariff = (tariffs, locations, typedDestination, fallbackRate) => {
+  const destination = getDestinationName(locations, typedDestination);
+  const zone = getZoneForDestination(locations, destination);
+  const byDestination = tariffs.find(t => t.scope === 'destination' && t.key === destination);
+  if (byDestination) {
+    return { revenuePerTon: byDestination.revenuePerTon, source: 'destination', key: destination, zone };
+  }
+  const byZone = zone && tariffs.find(t => t.scope === 'zone' && t.key === zone);
+  if (byZone) {
+    return { revenuePerTon: byZone.revenuePerTon, source: 'zone', key: zone, zone };
   }
+  return { revenuePerTon: fallbackRate, source: 'default', key: null, zone };
 };
 
-// 2. Image Understanding for Receipt Scanning
-const scanReceiptWithGemini = async (base64Image) => {
-  try {
-    const prompt = `
-      Look at this receipt image. Extract the following details and return ONLY a valid JSON object. Do not include Markdown formatting or backticks.
-      
-      Fields to extract:
-      - "date": The date found on the receipt (format YYYY-MM-DD). If not found, use today's date.
-      - "amount": The total amount (number only, remove currency symbols).
-      - "description": A short summary of items purchased (e.g., "Fuel", "Tire Repair").
-      
-      JSON Structure:
-      { "date": "...", "amount": 0, "description": "..." }
-    `;
+const describeTariff = (tariff) => {
+  if (tariff.source === 'destination') return t('tariff.destination', { name: tariff.key });
+  if (tariff.source === 'zone') return t('tariff.zone', { name: tariff.key });
+  return t('tariff.flatRate');
+};
 
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${API_KEY}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{
-            role: "user",
-            parts: [
-              { text: prompt },
-              { inlineData: { mimeType: "image/png", data: base64Image } } // Assuming PNG/JPEG, API handles generic types well
-            ]
-          }],
-          generationConfig: { responseMimeType: "application/json" } // Force JSON response
-        })
-      }
-    );
+// Plates are compared without separators or case, so "RC-1234-A" and "rc1234a" match
+const normalizePlate = (plate) => (plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
 
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    return JSON.parse(text);
-  } catch (error) {
-    console.error("Gemini Vision Error:", error);
-    throw new Error("Could not scan receipt.");
+// Bag capacity falls back to the payload in tons when only that was registered
+const getTruckCapacityBags = (truck) => {
+  if (truck.capacityBags) return truck.capacityBags;
+  if (truck.capacityTons) return Math.floor((truck.capacityTons * 1000) / DEFAULT_BAG_WEIGHT_KG);
+  return Infinity;
+};
+
+// Payload in tons, from the bag capacity (in 50 kg bags) when only that was registered
+const getTruckCapacityTons = (truck) => {
+  if (truck.capacityTons) return truck.capacityTons;
+  if (truck.capacityBags) return (truck.capacityBags * DEFAULT_BAG_WEIGHT_KG) / 1000;
+  return Infinity;
+};
+
+// Finds the registered truck whose plate or merged aliases match a free-text plate
+const findTruckByPlate = (trucks, plate) => {
+  const normalized = normalizePlate(plate);
+  return trucks.find(t =>
+    normalizePlate(t.plate) === normalized ||
+    (t.aliases || []).some(alias => normalizePlate(alias) === normalized)
+  ) || null;
+};
+
+// Firestore commits at most 500 writes in one batch or transaction
+const FIRESTORE_BATCH_LIMIT = 500;
+
+const commitInBatches = async (items, applyToBatch) => {
+  for (let i = 0; i < items.length; i += FIRESTORE_BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    items.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(item => applyToBatch(batch, item));
+    await batch.commit();
   }
 };
 
+const DRIVER_PAY_RULE_TYPES = {
+  fixed: 'Fixed per trip',
+  perTon: 'Per ton',
+  perZone: 'Per destination zone'
+};
 
-// --- Components ---
+const DEFAULT_DRIVER_PAY_RULE = { type: 'fixed', amount: 50000, zoneRates: {} };
 
-const StatCard = ({ title, value, subtext, icon: Icon, colorClass }) => (
-  <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-100 flex items-start space-x-4">
-    <div className={`p-3 rounded-lg ${colorClass} bg-opacity-10`}>
-      <Icon className={`w-6 h-6 ${colorClass.replace('bg-', 'text-')}`} />
-    </div>
-    <div>
-      <p className="text-slate-500 text-sm font-medium">{title}</p>
-      <h3 className="text-xl font-bold text-slate-800 mt-1">{value}</h3>
-      {subtext && <p className="text-xs text-slate-400 mt-1">{subtext}</p>}
-    </div>
-  </div>
-);
+// Driver pay for one trip. Per-zone rules fall back to their base amount for unzoned destinations.
+const computeDriverPay = (payRule, weightTons, zone) => {
+  if (!payRule) return 0;
+  if (payRule.type === 'perTon') return weightTons * (payRule.amount || 0);
+  if (payRule.type === 'perZone') return payRule.zoneRates?.[zone] ?? (payRule.amount || 0);
+  return payRule.amount || 0;
+};
 
-const SettingsModal = ({ config, onSave, onClose }) => {
-  const [localConfig, setLocalConfig] = useState(config);
+const describePayRule = (payRule) => {
+  if (!payRule) return '-';
+  if (payRule.type === 'perTon') return `${formatCurrency(payRule.amount)}/T`;
+  if (payRule.type === 'perZone') return t('payRule.perZone', { amount: formatCurrency(payRule.amount) });
+  return t('payRule.fixed', { amount: formatCurrency(payRule.amount) });
+};
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    onSave(localConfig);
-  };
+const isExpired = (date) => Boolean(date) && date < todayISO();
 
-  return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-xl shadow-2xl w-full max-w-md overflow-hidden animate-fade-in">
-        <div className="bg-slate-800 px-6 py-4 flex justify-between items-center">
-          <h2 className="text-white font-bold text-lg flex items-center">
-            <Settings className="w-5 h-5 mr-2" /> App Settings
-          </h2>
-          <button onClick={onClose} className="text-slate-400 hover:text-white">
-            <X className="w-6 h-6" />
-          </button>
-        </div>
-        
-        <form onSubmit={handleSubmit} className="p-6 space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">Fuel Price (GNF/Liter)</label>
-            <input 
-              type="number" 
-              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
-              value={localConfig.fuelPrice}
-              onChange={(e) => setLocalConfig({...localConfig, fuelPrice: Number(e.target.value)})}
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">Revenue per Ton (GNF)</label>
-            <input 
-              type="number" 
-              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
-              value={localConfig.revenuePerTon}
-              onChange={(e) => setLocalConfig({...localConfig, revenuePerTon: Number(e.target.value)})}
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">Labor Cost per Ton (GNF)</label>
-            <input 
-              type="number" 
-              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
-              value={localConfig.laborPerTon}
-              onChange={(e) => setLocalConfig({...localConfig, laborPerTon: Number(e.target.value)})}
-            />
-          </div>
-          
-          <div className="pt-4 flex space-x-3">
-            <button 
-              type="button"
-              onClick={onClose}
-              className="flex-1 py-2 border border-slate-300 rounded-lg text-slate-600 hover:bg-slate-50 font-medium"
-            >
-              Cancel
-            </button>
-            <button 
-              type="submit"
-              className="flex-1 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-medium shadow-md"
-            >
-              Save Changes
-            </button>
-          </div>
-        </form>
-      </div>
-    </div>
-  );
+const EXPENSE_CATEGORIES = {
+  Maintenance: 'Maintenance & Repairs',
+  Tires: 'Tires',
+  Taxes: 'Taxes & Insurance',
+  Fuel: 'Fuel (Non-Trip)',
+  Other: 'Other'
 };
 
-const TripForm = ({ config, onSave, onCancel }) => {
-  const [formData, setFormData] = useState({
-    type: 'trip',
-    truckNumber: '',
-    destination: '',
-    date: new Date().toISOString().split('T')[0],
-    bags: 700, 
-    fuelLiters: 50, 
-    otherCost: 0,
-    otherDesc: ''
+const PRODUCT_UNITS = {
+  bag: { label: 'Bag', short: 'bags' },
+  ton: { label: 'Ton', short: 'T' },
+  m3: { label: 'Cubic meter', short: 'm³' },
+  piece: { label: 'Piece', short: 'pcs' }
+};
+
+// Stands in for the catalog until the workspace defines one, and for trips saved before
+// products existed, which only recorded a count of 50 kg cement bags
+const DEFAULT_PRODUCT = {
+  id: 'cement-50kg',
+  name: 'Cement 50 kg',
+  unit: 'bag',
+  unitWeightKg: DEFAULT_BAG_WEIGHT_KG,
+  revenuePerUnit: null,
+  laborPerUnit: null
+};
+
+const getProductCatalog = (products) => (products.length > 0
+  ? [...products].sort((a, b) => a.name.localeCompare(b.name))
+  : [DEFAULT_PRODUCT]);
+
+// A trip line keeps a copy of its product, so editing the catalog leaves saved trips alone.
+// A missing per-unit rate means the line is priced per ton: revenue by the destination
+// tariff and labor by the rate history, like cement always was.
+const toProductLine = (product, quantity) => ({
+  productId: product.id,
+  productName: product.name,
+  unit: product.unit,
+  unitWeightKg: product.unitWeightKg,
+  revenuePerUnit: product.revenuePerUnit ?? null,
+  laborPerUnit: product.laborPerUnit ?? null,
+  quantity
+});
+
+const getTripLines = (trip) => (trip.lines?.length ? trip.lines : [toProductLine(DEFAULT_PRODUCT, Number(trip.bags) || 0)]);
+
+// Lines as priced when the trip was saved; an older trip is one line carrying the whole trip
+const getPricedTripLines = (trip) => (trip.lines?.length
+  ? trip.lines
+  : [{ ...getTripLines(trip)[0], weightTons: trip.weightTons || 0, revenue: trip.revenue || 0, laborCost: trip.laborCost || 0 }]);
+
+const describeProductName = (line) => (line.productId === DEFAULT_PRODUCT.id ? t('product.defaultName') : line.productName);
+
+const formatProductQuantity = (quantity, unit) =>
+  `${formatNumber(quantity, Number.isInteger(quantity) ? 0 : 1)} ${PRODUCT_UNITS[unit] ? t(`productUnitShort.${unit}`) : unit}`;
+
+const describeTripLoad = (trip) => getTripLines(trip)
+  .map(line => `${formatProductQuantity(Number(line.quantity) || 0, line.unit)} ${describeProductName(line)}`)
+  .join(', ');
+
+// Drop-offs in delivery order. Each product line names its drop by index; a trip saved
+// before multi-drop deliveries is a single drop holding every line.
+const getTripDrops = (trip) => (trip.drops?.length ? trip.drops : [{ destination: trip.destination || '' }]);
+
+const describeTripRoute = (trip) => getTripDrops(trip).map(drop => drop.destination || '-').join(' → ');
+
+// Drops as priced when the trip was saved. Revenue and labor come from each drop's own lines;
+// fuel, driver pay and other costs are trip-wide and shared out by the weight dropped.
+const getPricedTripDrops = (trip) => {
+  if (!trip.drops?.length) {
+    return [{
+      destination: trip.destination || '',
+      zone: trip.zone || null,
+      weightTons: trip.weightTons || 0,
+      revenue: trip.revenue || 0,
+      laborCost: trip.laborCost || 0,
+      fuelCost: trip.fuelCost || 0,
+      totalExpenses: trip.totalExpenses || 0,
+      netProfit: trip.netProfit || 0,
+      share: 1
+    }];
+  }
+  const tripTons = trip.weightTons || 0;
+  const sharedCosts = (trip.totalExpenses || 0) - (trip.fuelCost || 0) - (trip.laborCost || 0);
+  return trip.drops.map(drop => {
+    const share = tripTons > 0 ? drop.weightTons / tripTons : 1 / trip.drops.length;
+    const fuelCost = (trip.fuelCost || 0) * share;
+    const totalExpenses = drop.laborCost + fuelCost + sharedCosts * share;
+    return { ...drop, fuelCost, totalExpenses, netProfit: drop.revenue - totalExpenses, share };
   });
+};
 
-  const [filteredLocations, setFilteredLocations] = useState([]);
-  const [showSuggestions, setShowSuggestions] = useState(false);
-  const wrapperRef = useRef(null);
+// Derived financial fields of a trip. TripForm and the CSV import both go through this,
+// so a trip is priced the same way however it was entered. dropTariffs holds the resolved
+// tariff of each drop, in drop order; the trip-level tariff fields are those of the first.
+export const computeTripFinancials = (trip, { rates, dropTariffs, driverPayRule }) => {
+  const drops = getTripDrops(trip);
+  const lines = getTripLines(trip).map(line => {
+    const drop = line.drop || 0;
+    const revenuePerTon = trip.tariffOverride ? trip.tariffOverride.revenuePerTon : dropTariffs[drop].revenuePerTon;
+    const quantity = Number(line.quantity) || 0;
+    const lineTons = (quantity * (Number(line.unitWeightKg) || 0)) / 1000;
+    return {
+      ...line,
+      drop,
+      quantity,
+      weightTons: lineTons,
+      revenue: line.revenuePerUnit === null ? lineTons * revenuePerTon : quantity * line.revenuePerUnit,
+      laborCost: line.laborPerUnit === null ? lineTons * rates.laborPerTon : quantity * line.laborPerUnit
+    };
+  });
+  const sumLines = (field, from = lines) => from.reduce((sum, line) => sum + line[field], 0);
+  const countBags = (from) => from.filter(line => line.unit === 'bag').reduce((sum, line) => sum + line.quantity, 0);
+  // bags stays on the trip for sorting, invoices and the bag-count queries
+  const bags = countBags(lines);
+  const weightTons = sumLines('weightTons');
+  const revenue = sumLines('revenue');
+  const laborCost = sumLines('laborCost');
+  const fuelCost = trip.fuelLiters * rates.fuelPrice;
+  // A per-zone pay rule pays the best-paid zone the truck delivers to
+  const driverPay = Math.max(...dropTariffs.slice(0, drops.length).map(tariff => computeDriverPay(driverPayRule, weightTons, tariff.zone)));
+  const totalExpenses = Number(fuelCost) + Number(laborCost) + Number(driverPay) + Number(trip.otherCost);
+  const [tariff] = dropTariffs;
+  return {
+    lines,
+    drops: drops.map((drop, index) => {
+      const dropLines = lines.filter(line => line.drop === index);
+      return {
+        destination: drop.destination,
+        zone: dropTariffs[index].zone,
+        tariffSource: dropTariffs[index].source,
+        tariffKey: dropTariffs[index].key,
+        revenuePerTon: dropTariffs[index].revenuePerTon,
+        bags: countBags(dropLines),
+        weightTons: sumLines('weightTons', dropLines),
+        revenue: sumLines('revenue', dropLines),
+        laborCost: sumLines('laborCost', dropLines)
+      };
+    }),
+    destination: drops[0].destination,
+    // Every drop's destination, for the list filter's array-contains query
+    destinations: drops.map(drop => drop.destination),
+    bags,
+    weightTons,
+    revenue,
+    laborCost,
+    fuelCost,
+    driverPay,
+    totalExpenses,
+    netProfit: revenue - totalExpenses,
+    zone: tariff.zone,
+    tariffSource: tariff.source,
+    tariffKey: tariff.key,
+    // The rates as applied, with the flat rate of the rate history: each drop keeps its own tariff
+    // (not the override, so removing an override restores it), and a drop without one falls back
+    // to the flat rate, never to another drop's tariff
+    appliedRates: { ...rates, driverPayRule },
+    timestamp: new Date(trip.date).getTime()
+  };
+};
 
-  useEffect(() => {
-    function handleClickOutside(event) {
-      if (wrapperRef.current && !wrapperRef.current.contains(event.target)) {
-        setShowSuggestions(false);
-      }
-    }
-    document.addEventListener("mousedown", handleClickOutside);
-    return () => document.removeEventListener("mousedown", handleClickOutside);
-  }, [wrapperRef]);
+const computeExpenseFields = (expense) => {
+  const amountVal = Number(expense.amount);
+  return {
+    amount: amountVal,
+    revenue: 0,
+    weightTons: 0,
+    bags: 0,
+    laborCost: 0,
+    fuelCost: 0,
+    totalExpenses: amountVal,
+    netProfit: -amountVal,
+    timestamp: new Date(expense.date).getTime()
+  };
+};
 
-  const handleDestinationChange = (e) => {
-    const input = e.target.value;
-    setFormData({ ...formData, destination: input });
+// Records typed with a free-text plate belong to that plate until merged into a registered truck
+const getTruckKey = (record) => record.truckId || normalizePlate(record.truckNumber) || 'UNKNOWN';
 
-    if (input.length > 0) {
-      const filtered = GUINEA_LOCATIONS.filter(loc => 
-        loc.toLowerCase().includes(input.toLowerCase())
-      );
-      setFilteredLocations(filtered);
-      setShowSuggestions(true);
+// Profit & loss per truck: its trips plus its own expense records. Records typed with a
+// free-text plate are grouped by that plate until they are merged into a registered truck.
+const computeTruckPnl = (records, trucks) => {
+  const rows = {};
+  records.forEach(record => {
+    const key = getTruckKey(record);
+    if (!rows[key]) {
+      const truck = trucks.find(t => t.id === record.truckId);
+      rows[key] = {
+        key,
+        plate: truck?.plate || record.truckNumber || 'Unknown',
+        trips: 0,
+        tons: 0,
+        km: 0,
+        revenue: 0,
+        fuel: 0,
+        labor: 0,
+        driverPay: 0,
+        otherTripCosts: 0,
+        ownExpenses: {},
+        netProfit: 0,
+        records: []
+      };
+    }
+    const row = rows[key];
+    row.records.push(record);
+    row.netProfit += record.netProfit || 0;
+    if (record.type === 'expense') {
+      row.ownExpenses[record.category] = (row.ownExpenses[record.category] || 0) + (record.totalExpenses || 0);
     } else {
-      setShowSuggestions(false);
+      row.trips += 1;
+      row.tons += record.weightTons || 0;
+      row.km += getTripKm(record);
+      row.revenue += record.revenue || 0;
+      row.fuel += record.fuelCost || 0;
+      row.labor += record.laborCost || 0;
+      row.driverPay += record.driverPay || 0;
+      row.otherTripCosts += Number(record.otherCost) || 0;
     }
-  };
+  });
+  return Object.values(rows)
+    .map(row => ({
+      ...row,
+      ownExpensesTotal: Object.values(row.ownExpenses).reduce((sum, amount) => sum + amount, 0),
+      profitPerTon: row.tons > 0 ? row.netProfit / row.tons : null,
+      profitPerTrip: row.trips > 0 ? row.netProfit / row.trips : null,
+      profitPerKm: row.km > 0 ? row.netProfit / row.km : null
+    }))
+    .sort((a, b) => b.netProfit - a.netProfit);
+};
 
-  const selectLocation = (location) => {
-    setFormData({ ...formData, destination: location });
-    setShowSuggestions(false);
-  };
+// --- Odometer & Fuel Efficiency ---
+// Trips whose consumption is this far from their truck's or route's usual figure are flagged
+const FUEL_ANOMALY_THRESHOLD = 0.35;
+// A baseline needs a few measured trips before it means anything
+const FUEL_BASELINE_MIN_TRIPS = 4;
 
-  const weightTons = (formData.bags * DEFAULT_BAG_WEIGHT_KG) / 1000;
-  const revenue = weightTons * config.revenuePerTon;
-  const laborCost = weightTons * config.laborPerTon;
-  const fuelCost = formData.fuelLiters * config.fuelPrice; 
-  const totalExpenses = Number(fuelCost) + Number(laborCost) + Number(formData.otherCost);
-  const netProfit = revenue - totalExpenses;
+const readOdometer = (value) => (value === '' || value == null ? null : Number(value));
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    onSave({
-      // id will be generated by Firestore
-      ...formData,
-      weightTons,
-      revenue,
-      laborCost,
-      fuelCost, 
-      totalExpenses,
-      netProfit,
-      appliedRates: { ...config }, 
-      timestamp: new Date(formData.date).getTime()
-    });
-  };
+// Trucks come back empty, so a delivery round covers the distance to its farthest drop twice
+const getExpectedKm = (dropLocations) => {
+  const farthestKm = Math.max(0, ...dropLocations.map(location => location?.distanceKm || 0));
+  return farthestKm > 0 ? farthestKm * 2 : null;
+};
 
-  return (
-    <div className="bg-white rounded-xl shadow-lg border border-slate-200 overflow-hidden animate-slide-up">
-      <div className="bg-slate-800 px-6 py-4 flex justify-between items-center">
-        <h2 className="text-white font-bold text-lg flex items-center">
-          <Plus className="w-5 h-5 mr-2" /> New Trip Entry
-        </h2>
-        <button onClick={onCancel} className="text-slate-400 hover:text-white">
-          <X className="w-6 h-6" />
-        </button>
-      </div>
+// Litres a truck should burn on that round trip at its rated consumption
+const estimateTripFuel = (dropLocations, truck) => {
+  const km = getExpectedKm(dropLocations);
+  return km && truck?.fuelPer100Km > 0 ? Math.round((km * truck.fuelPer100Km) / 100) : null;
+};
 
-      <form onSubmit={handleSubmit} className="p-6 grid grid-cols-1 md:grid-cols-2 gap-6">
-        <div className="space-y-4">
-          <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider">Logistics Details</h3>
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">Truck Number</label>
-            <input 
-              required
-              type="text" 
-              placeholder="e.g. RC-1234-A"
-              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
-              value={formData.truckNumber}
-              onChange={(e) => setFormData({...formData, truckNumber: e.target.value.toUpperCase()})}
-            />
-          </div>
-          
-          <div ref={wrapperRef}>
-            <label className="block text-sm font-medium text-slate-700 mb-1">Destination</label>
-            <div className="relative">
-              <input 
-                type="text" 
-                placeholder="e.g. Coyah, Dubréka, Kaloum..."
-                className="w-full p-2 pl-9 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
-                value={formData.destination}
-                onChange={handleDestinationChange}
-                onFocus={() => formData.destination && setShowSuggestions(true)}
-                autoComplete="off"
-              />
-              <MapPin className="w-4 h-4 text-slate-400 absolute left-3 top-2.5" />
-              
-              {showSuggestions && filteredLocations.length > 0 && (
-                <ul className="absolute z-50 w-full bg-white border border-slate-300 rounded-lg mt-1 max-h-48 overflow-y-auto shadow-xl">
-                  {filteredLocations.map((loc, index) => (
-                    <li 
-                      key={index}
-                      onClick={() => selectLocation(loc)}
-                      className="px-4 py-2 hover:bg-emerald-50 cursor-pointer text-sm text-slate-700 border-b border-slate-100 last:border-0"
-                    >
-                      {loc}
-                    </li>
-                  ))}
-                </ul>
-              )}
-            </div>
-          </div>
+// The odometer distance when it was read, otherwise the expected round trip
+const getTripKm = (trip) => (trip.distanceKm > 0 ? trip.distanceKm : trip.expectedKm || 0);
+const firstReading = (trip) => readOdometer(trip.odometerStart) ?? readOdometer(trip.odometerEnd);
+const lastReading = (trip) => readOdometer(trip.odometerEnd) ?? readOdometer(trip.odometerStart);
 
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">Date</label>
-            <input 
-              required
-              type="date" 
-              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
-              value={formData.date}
-              onChange={(e) => setFormData({...formData, date: e.target.value})}
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">Number of Cement Bags</label>
-            <input 
-              required
-              type="number" 
-              min="1"
-              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
-              value={formData.bags}
-              onChange={(e) => setFormData({...formData, bags: Number(e.target.value)})}
-            />
-            <div className="text-xs text-emerald-600 mt-1 font-medium bg-emerald-50 inline-block px-2 py-1 rounded">
-              = {weightTons.toFixed(2)} Tons
-            </div>
-          </div>
-        </div>
+// When a record was entered; records saved before trips were stamped sort first
+const getEntryOrder = (record) => record.createdAt || record.importedAt || '';
 
-        <div className="space-y-4">
-          <div className="flex justify-between items-center">
-            <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider">Financials (GNF)</h3>
-            <span className="text-xs text-slate-400 bg-slate-100 px-2 py-1 rounded">Rate: {config.fuelPrice/1000}k/L</span>
-          </div>
-          
-          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm font-medium text-slate-700 mb-1">Fuel Used (Liters)</label>
-              <div className="relative">
-                <input 
-                  type="number" 
-                  min="0"
-                  className="w-full p-2 pl-9 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
-                  value={formData.fuelLiters}
-                  onChange={(e) => setFormData({...formData, fuelLiters: Number(e.target.value)})}
-                />
-                <Droplet className="w-4 h-4 text-slate-400 absolute left-3 top-2.5" />
-              </div>
-              <div className="text-xs text-slate-500 mt-1">
-                 = <span className="font-semibold text-slate-700">{formatCurrency(fuelCost)}</span>
-              </div>
-            </div>
+// Readings must keep rising along a truck's trips in date order, and trips on the same day in the
+// order they were entered, a trip being added coming last. `saved` is the stored version of the
+// trip being edited, if any. Returns what is wrong, or null.
+export const findOdometerConflict = (trips, trip, saved) => {
+  const start = readOdometer(trip.odometerStart);
+  const end = readOdometer(trip.odometerEnd);
+  if (start !== null && end !== null && end <= start) return t('odometer.endBeforeStart');
+  if (start === null && end === null) return null;
 
-            <div>
-              <label className="block text-sm font-medium text-slate-700 mb-1">Other Costs</label>
-              <input 
-                type="number" 
-                className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
-                value={formData.otherCost}
-                onChange={(e) => setFormData({...formData, otherCost: Number(e.target.value)})}
-              />
-            </div>
-          </div>
+  const entered = saved ? getEntryOrder(saved) : '\uffff';
+  const isBefore = (other) => other.date < trip.date || (other.date === trip.date && getEntryOrder(other) < entered);
+  const isAfter = (other) => other.date > trip.date || (other.date === trip.date && getEntryOrder(other) > entered);
+  const sameTruck = trips.filter(t => t.id !== saved?.id && t.type === 'trip' && getTruckKey(t) === getTruckKey(trip));
+  const before = sameTruck.find(t => isBefore(t) && (lastReading(t) ?? -Infinity) > firstReading(trip));
+  if (before) return t('odometer.belowEarlier', { km: lastReading(before), date: formatDate(before.date) });
+  const after = sameTruck.find(t => isAfter(t) && (firstReading(t) ?? Infinity) < lastReading(trip));
+  if (after) return t('odometer.aboveLater', { km: firstReading(after), date: formatDate(after.date) });
+  return null;
+};
 
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">Description (Optional)</label>
-            <input 
-              type="text" 
-              placeholder="e.g. Police, Tolls"
-              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
-              value={formData.otherDesc}
-              onChange={(e) => setFormData({...formData, otherDesc: e.target.value})}
-            />
-          </div>
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
 
-          <div className="bg-slate-50 p-4 rounded-lg border border-slate-200 space-y-2 mt-4">
-            <div className="flex justify-between text-sm">
-              <span className="text-slate-600">Calculated Revenue:</span>
-              <span className="font-semibold text-slate-800">{formatCurrency(revenue)}</span>
-            </div>
-            <div className="flex justify-between text-sm">
-              <span className="text-slate-600">Labor Cost (Auto):</span>
-              <span className="text-red-500">-{formatCurrency(laborCost)}</span>
-            </div>
-            <div className="flex justify-between text-sm">
-              <span className="text-slate-600">Fuel ({formData.fuelLiters}L):</span>
-              <span className="text-red-500">-{formatCurrency(fuelCost)}</span>
-            </div>
-            <div className="flex justify-between text-sm pt-2 border-t border-slate-200">
-              <span className="text-slate-600 font-medium">Total Expenses:</span>
-              <span className="text-red-600 font-medium">-{formatCurrency(totalExpenses)}</span>
-            </div>
-            <div className="pt-2 flex justify-between items-center">
-              <span className="font-bold text-slate-700">NET PROFIT</span>
-              <span className={`font-bold text-lg ${netProfit >= 0 ? 'text-emerald-600' : 'text-red-600'}`}>
-                {formatCurrency(netProfit)}
-              </span>
-            </div>
-          </div>
-        </div>
-        <div className="md:col-span-2 pt-4">
-          <button 
-            type="submit"
-            className="w-full bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition-colors flex justify-center items-center"
-          >
-            <Save className="w-5 h-5 mr-2" /> Save Trip Record
-          </button>
-        </div>
-      </form>
-    </div>
-  );
+const litersPer100Km = (trip) => (trip.fuelLiters / trip.distanceKm) * 100;
+
+const summarizeFuelGroup = (key, label, trips) => {
+  const km = trips.reduce((sum, t) => sum + t.distanceKm, 0);
+  const liters = trips.reduce((sum, t) => sum + t.fuelLiters, 0);
+  const tonKm = trips.reduce((sum, t) => sum + (t.weightTons || 0) * t.distanceKm, 0);
+  return {
+    key,
+    label,
+    trips: trips.length,
+    km,
+    liters,
+    per100Km: (liters / km) * 100,
+    perTonKm: tonKm > 0 ? liters / tonKm : null,
+    baseline: trips.length >= FUEL_BASELINE_MIN_TRIPS ? median(trips.map(litersPer100Km)) : null
+  };
 };
 
-const ExpenseForm = ({ onSave, onCancel }) => {
-  const [formData, setFormData] = useState({
-    type: 'expense',
-    truckNumber: '',
-    date: new Date().toISOString().split('T')[0],
-    category: 'Maintenance', 
-    amount: '',
-    description: ''
+// Consumption per truck and per route over every trip with a measured distance, and the
+// trips that stray from either baseline, keyed by trip id
+const computeFuelEfficiency = (records, trucks, locations) => {
+  const measured = records.filter(r => r.type === 'trip' && r.distanceKm > 0 && r.fuelLiters > 0);
+  const routeKey = (trip) => [
+    t(`loadingPoint.${getTripOrigin(trip)}`),
+    ...getTripDrops(trip).map(drop => getDestinationName(locations, drop.destination) || 'Unknown')
+  ].join(' → ');
+  const groupBy = (keyOf) => measured.reduce((groups, trip) => {
+    const key = keyOf(trip);
+    groups[key] = [...(groups[key] || []), trip];
+    return groups;
+  }, {});
+
+  const byTruck = Object.entries(groupBy(getTruckKey))
+    .map(([key, list]) => summarizeFuelGroup(key, trucks.find(t => t.id === key)?.plate || list[0].truckNumber, list))
+    .sort((a, b) => b.per100Km - a.per100Km);
+  const byRoute = Object.entries(groupBy(routeKey))
+    .map(([key, list]) => summarizeFuelGroup(key, key, list))
+    .sort((a, b) => b.per100Km - a.per100Km);
+
+  const anomalies = {};
+  measured.forEach(trip => {
+    const value = litersPer100Km(trip);
+    const baselines = [
+      ['truck', byTruck.find(g => g.key === getTruckKey(trip))],
+      ['route', byRoute.find(g => g.key === routeKey(trip))]
+    ];
+    for (const [basis, group] of baselines) {
+      if (!group.baseline) continue;
+      const deviation = (value - group.baseline) / group.baseline;
+      if (Math.abs(deviation) >= FUEL_ANOMALY_THRESHOLD) {
+        anomalies[trip.id] = { value, baseline: group.baseline, deviation, basis, groupLabel: group.label };
+        break;
+      }
+    }
   });
 
-  const [isScanning, setIsScanning] = useState(false);
+  return { byTruck, byRoute, anomalies };
+};
 
-  // Handle file upload and AI Scan
-  const handleFileChange = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+const describeFuelAnomaly = (anomaly) => {
+  const sign = anomaly.deviation > 0 ? '+' : '';
+  return t(anomaly.basis === 'truck' ? 'fuelAnomaly.truck' : 'fuelAnomaly.route', {
+    value: formatNumber(anomaly.value),
+    deviation: `${sign}${Math.round(anomaly.deviation * 100)}`,
+    name: anomaly.groupLabel,
+    baseline: formatNumber(anomaly.baseline)
+  });
+};
 
-    setIsScanning(true);
-    
-    // Convert to base64
-    const reader = new FileReader();
-    reader.readAsDataURL(file);
-    reader.onload = async () => {
-      const base64String = reader.result.split(',')[1];
-      
-      try {
-        // CALL GEMINI VISION API
-        const extractedData = await scanReceiptWithGemini(base64String);
-        
-        // Update Form
-        setFormData(prev => ({
-          ...prev,
-          date: extractedData.date || prev.date,
-          amount: extractedData.amount || prev.amount,
-          description: extractedData.description || prev.description
-        }));
-      } catch (err) {
-        alert("Failed to scan receipt. Please enter details manually.");
-      } finally {
-        setIsScanning(false);
-      }
-    };
-  };
+// --- Preventive Maintenance ---
+// Service plans live on each truck; an item falls due at its last service plus the interval,
+// in km or in days, whichever comes first
+const SERVICE_TASKS = {
+  oilChange: { label: 'Oil Change', intervalKm: 10000, intervalDays: 180 },
+  tireRotation: { label: 'Tire Rotation', intervalKm: 20000, intervalDays: 365 },
+  brakeInspection: { label: 'Brake Inspection', intervalKm: 15000, intervalDays: 180 },
+  other: { label: 'Other Service', intervalKm: '', intervalDays: '' }
+};
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    const amountVal = Number(formData.amount);
-    onSave({
-      // id generated by Firestore
-      ...formData,
-      amount: amountVal,
-      revenue: 0,
-      weightTons: 0,
-      bags: 0,
-      laborCost: 0,
-      fuelCost: 0,
-      totalExpenses: amountVal,
-      netProfit: -amountVal,
-      timestamp: new Date(formData.date).getTime()
-    });
-  };
+const SERVICE_DUE_SOON_KM = 1000;
+const SERVICE_DUE_SOON_DAYS = 14;
 
-  return (
-    <div className="bg-white rounded-xl shadow-lg border border-red-200 overflow-hidden animate-slide-up">
-      <div className="bg-slate-800 px-6 py-4 flex justify-between items-center">
-        <h2 className="text-white font-bold text-lg flex items-center">
-          <Wallet className="w-5 h-5 mr-2 text-red-400" /> Log General Expense
-        </h2>
-        <button onClick={onCancel} className="text-slate-400 hover:text-white">
-          <X className="w-6 h-6" />
-        </button>
-      </div>
+// Expense categories that can complete a service item
+const SERVICE_EXPENSE_CATEGORIES = ['Maintenance', 'Tires'];
 
-      <div className="p-6 pb-0">
-        {/* AI SCANNER BUTTON */}
-        <div className="relative">
-          <input 
-            type="file" 
-            accept="image/*" 
-            className="hidden" 
-            id="receipt-upload"
-            onChange={handleFileChange}
-          />
-          <label 
-            htmlFor="receipt-upload"
-            className={`w-full flex items-center justify-center p-3 border-2 border-dashed rounded-lg cursor-pointer transition-colors ${isScanning ? 'bg-indigo-50 border-indigo-300' : 'bg-slate-50 border-slate-300 hover:border-indigo-400 hover:bg-indigo-50'}`}
-          >
-            {isScanning ? (
-              <div className="flex items-center text-indigo-600 font-medium animate-pulse">
-                <Loader className="w-5 h-5 mr-2 animate-spin" /> Analyzing Receipt with Gemini...
-              </div>
-            ) : (
-              <div className="flex items-center text-slate-600 font-medium">
-                <Sparkles className="w-5 h-5 mr-2 text-yellow-500" /> 
-                <span>Tap to Scan Receipt with AI</span>
-                <Camera className="w-5 h-5 ml-2 text-slate-400" />
-              </div>
-            )}
-          </label>
-        </div>
-      </div>
+const SERVICE_STATUS_STYLES = {
+  ok: 'bg-emerald-100 text-emerald-700',
+  dueSoon: 'bg-amber-100 text-amber-700',
+  overdue: 'bg-red-100 text-red-700'
+};
 
-      <form onSubmit={handleSubmit} className="p-6 space-y-4 pt-4">
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">Truck Number</label>
-            <input 
-              required
-              type="text" 
-              placeholder="e.g. RC-1234-A"
-              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-red-500 outline-none"
-              value={formData.truckNumber}
-              onChange={(e) => setFormData({...formData, truckNumber: e.target.value.toUpperCase()})}
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">Date</label>
-            <input 
-              required
-              type="date" 
-              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-red-500 outline-none"
-              value={formData.date}
-              onChange={(e) => setFormData({...formData, date: e.target.value})}
-            />
-          </div>
-        </div>
+const SERVICE_STATUS_LABELS = {
+  ok: 'OK',
+  dueSoon: 'Due soon',
+  overdue: 'Overdue'
+};
 
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">Expense Category</label>
-            <select 
-              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-red-500 outline-none"
-              value={formData.category}
-              onChange={(e) => setFormData({...formData, category: e.target.value})}
-            >
-              <option value="Maintenance">Maintenance & Repairs</option>
-              <option value="Tires">Tires</option>
-              <option value="Taxes">Taxes & Insurance</option>
-              <option value="Fuel">Fuel (Non-Trip)</option>
-              <option value="Other">Other</option>
-            </select>
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">Amount (GNF)</label>
-            <input 
-              required
-              type="number" 
-              min="0"
-              placeholder="0"
-              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-red-500 outline-none font-bold"
-              value={formData.amount}
-              onChange={(e) => setFormData({...formData, amount: e.target.value})}
-            />
-          </div>
-        </div>
+const describeServiceItem = (item) => item.label || (SERVICE_TASKS[item.task] ? t(`serviceTask.${item.task}`) : item.task);
 
-        <div>
-          <label className="block text-sm font-medium text-slate-700 mb-1">Description (Detail)</label>
-          <input 
-            type="text" 
-            placeholder="e.g. Changed rear axle, 2 new tires"
-            className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-red-500 outline-none"
-            value={formData.description}
-            onChange={(e) => setFormData({...formData, description: e.target.value})}
-          />
-        </div>
+// Highest odometer reading among a truck's trips, or null when none was recorded
+const getTruckOdometer = (trips, truckId) => {
+  const readings = trips.filter(t => t.truckId === truckId).map(lastReading).filter(r => r !== null);
+  return readings.length > 0 ? Math.max(...readings) : null;
+};
 
-        <div className="pt-2">
-          <button 
-            type="submit"
-            className="w-full bg-slate-800 hover:bg-slate-900 text-white font-bold py-3 px-6 rounded-lg shadow-md transition-colors flex justify-center items-center"
-          >
-            <Save className="w-5 h-5 mr-2" /> Log Expense
-          </button>
-        </div>
-      </form>
-    </div>
-  );
+const getServiceStatus = (item, currentKm, today) => {
+  const dueKm = item.intervalKm && item.lastDoneKm != null ? item.lastDoneKm + item.intervalKm : null;
+  const dueDate = item.intervalDays && item.lastDoneDate ? addDays(item.lastDoneDate, item.intervalDays) : null;
+  const kmLeft = dueKm !== null && currentKm !== null ? dueKm - currentKm : null;
+  const daysLeft = dueDate ? daysBetween(today, dueDate) : null;
+  const isPast = (left) => left !== null && left < 0;
+  const isNear = (left, margin) => left !== null && left <= margin;
+  const status = isPast(kmLeft) || isPast(daysLeft) ? 'overdue'
+    : isNear(kmLeft, SERVICE_DUE_SOON_KM) || isNear(daysLeft, SERVICE_DUE_SOON_DAYS) ? 'dueSoon'
+    : 'ok';
+  return { dueKm, dueDate, kmLeft, daysLeft, status };
 };
 
-const AnalyticsDashboard = ({ trips }) => {
-  const sortedTrips = [...trips].sort((a, b) => new Date(a.date) - new Date(b.date));
-  const maxRevenue = Math.max(...sortedTrips.map(t => t.revenue || 0), 1000000); 
+const describeServiceDue = ({ kmLeft, daysLeft }) => {
+  const parts = [];
+  if (kmLeft !== null) parts.push(kmLeft < 0 ? t('service.kmOver', { km: -kmLeft }) : t('service.kmLeft', { km: kmLeft }));
+  if (daysLeft !== null) parts.push(daysLeft < 0 ? t('service.daysLate', { days: -daysLeft }) : t('service.daysLeft', { days: daysLeft }));
+  return parts.join(', ') || t('service.noInterval');
+};
 
-  // AI Reporting State
-  const [aiReport, setAiReport] = useState("");
-  const [isGenerating, setIsGenerating] = useState(false);
+// Due-soon and overdue items across the active fleet, most urgent first
+const collectServiceAlerts = (trucks, trips, today) => trucks
+  .filter(truck => truck.status !== 'retired')
+  .flatMap(truck => {
+    const currentKm = getTruckOdometer(trips, truck.id);
+    return (truck.servicePlan || []).map(item => ({ truck, item, ...getServiceStatus(item, currentKm, today) }));
+  })
+  .filter(alert => alert.status !== 'ok')
+  .sort((a, b) => (a.status === b.status ? 0 : a.status === 'overdue' ? -1 : 1));
 
-  const handleGenerateReport = async () => {
-    setIsGenerating(true);
-    setAiReport("");
-    const report = await generateGeminiReport(trips);
-    setAiReport(report);
-    setIsGenerating(false);
-  };
+// --- Vehicle & Driver Documents ---
+// Papers a truck or driver must hold to run, each with its validity and a scanned copy
+const DOCUMENT_TYPES = {
+  truck: {
+    insurance: 'Insurance',
+    vignette: 'Vignette',
+    visiteTechnique: 'Visite Technique',
+    transportPermit: 'Transport Permit'
+  },
+  driver: {
+    license: 'Driving License'
+  }
+};
 
-  // Destination Stats
-  const destStats = useMemo(() => {
-    const stats = {};
-    trips.filter(t => t.type === 'trip').forEach(t => {
-      const d = t.destination || 'Unknown';
-      if (!stats[d]) stats[d] = { count: 0, tons: 0, revenue: 0 };
-      stats[d].count += 1;
-      stats[d].tons += t.weightTons;
-      stats[d].revenue += t.revenue;
-    });
-    return Object.entries(stats).sort((a, b) => b[1].tons - a[1].tons);
-  }, [trips]);
+const DOCUMENT_EXPIRY_WARNING_DAYS = 30;
 
-  // Cost Breakdown
-  const costs = useMemo(() => {
-    const c = { fuel: 0, labor: 0, maintenance: 0, other: 0 };
-    trips.forEach(t => {
-      c.fuel += t.fuelCost || 0;
-      c.labor += t.laborCost || 0;
-      c.other += t.otherCost || 0;
-      
-      if (t.type === 'expense') {
-        if (t.category === 'Fuel') c.fuel += t.amount;
-        else if (t.category === 'Maintenance' || t.category === 'Tires') c.maintenance += t.amount;
-        else c.other += t.amount;
-      }
-    });
-    const total = c.fuel + c.labor + c.maintenance + c.other || 1;
-    return { ...c, total };
-  }, [trips]);
+const DOCUMENT_STATUS_STYLES = {
+  valid: 'bg-emerald-100 text-emerald-700',
+  expiringSoon: 'bg-amber-100 text-amber-700',
+  expired: 'bg-red-100 text-red-700',
+  renewed: 'bg-slate-100 text-slate-500'
+};
 
-  return (
-    <div className="space-y-6 animate-fade-in"> 
-      
-      {/* AI REPORT SECTION */}
-      <div className="bg-gradient-to-r from-indigo-900 to-slate-800 p-6 rounded-xl shadow-lg text-white">
-        <div className="flex justify-between items-start mb-4">
-          <h3 className="text-xl font-bold flex items-center">
-            <Sparkles className="w-5 h-5 mr-2 text-yellow-400" />
-            AI Business Insights
-          </h3>
-          <button 
-            onClick={handleGenerateReport}
-            disabled={isGenerating}
-            className="bg-white/10 hover:bg-white/20 text-white border border-white/20 px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center disabled:opacity-50"
-          >
-            {isGenerating ? <Loader className="w-4 h-4 mr-2 animate-spin"/> : "Generate AI Report"}
-          </button>
-        </div>
-        
-        {isGenerating && (
-          <div className="py-8 text-center text-indigo-200 animate-pulse">
-            Consulting Gemini AI to analyze your logistics data...
-          </div>
-        )}
+const DOCUMENT_STATUS_LABELS = {
+  valid: 'Valid',
+  expiringSoon: 'Expiring soon',
+  expired: 'Expired',
+  renewed: 'Renewed'
+};
 
-        {!isGenerating && aiReport && (
-          <div className="bg-white/10 p-4 rounded-lg text-sm leading-relaxed whitespace-pre-line border border-white/10 shadow-inner">
-            {aiReport}
-          </div>
-        )}
+const describeDocumentType = (ownerType, type) => (DOCUMENT_TYPES[ownerType]?.[type] ? t(`documentType.${ownerType}.${type}`) : type);
 
-        {!isGenerating && !aiReport && (
-          <p className="text-indigo-200 text-sm">
-            Click the button above to have Gemini AI analyze your profit margins, efficient routes, and suggest cost-saving measures based on your recent data.
-          </p>
-        )}
-      </div>
+// Documents on file for a truck or driver, newest expiry first. Drivers saved before the
+// documents module kept their license on the driver record; it stands in until a scan is filed.
+const getOwnerDocuments = (documents, ownerType, owner) => {
+  const own = documents
+    .filter(d => d.ownerType === ownerType && d.ownerId === owner.id)
+    .sort((a, b) => (b.expiryDate || '').localeCompare(a.expiryDate || ''));
+  if (ownerType === 'driver' && owner.licenseExpiry && !own.some(d => d.type === 'license')) {
+    own.push({ id: null, ownerType, ownerId: owner.id, type: 'license', number: owner.licenseNumber || '', issueDate: '', expiryDate: owner.licenseExpiry, legacy: true });
+  }
+  return own;
+};
 
-      {/* Chart 1: Revenue vs Profit Trend */}
-      <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-200">
-        <h3 className="text-lg font-bold text-slate-800 mb-6 flex items-center">
-          <BarChart3 className="w-5 h-5 mr-2 text-emerald-600" />
-          Financial Performance History
-        </h3>
-        
-        {trips.length > 0 ? (
-          <div className="h-64 flex items-end space-x-2 sm:space-x-4 overflow-x-auto pb-2 px-2">
-            {sortedTrips.map((trip) => {
-              const isExpense = trip.type === 'expense';
-              // Fixed: Adjusted max height to 85% to accommodate labels
-              const heightPercent = isExpense 
-                ? Math.min((trip.totalExpenses / maxRevenue) * 85, 85)
-                : Math.max((trip.revenue / maxRevenue) * 85, 1);
-              
-              const profitPercent = isExpense ? 0 : (trip.netProfit / trip.revenue) * 100;
-              
-              return (
-                // Fixed: Added h-full and justify-end to prevent 0-height collapse
-                <div key={trip.id} className="group relative flex-shrink-0 w-12 sm:w-16 h-full flex flex-col justify-end items-center cursor-pointer">
-                  {/* Tooltip */}
-                  <div className="absolute bottom-full mb-2 opacity-0 group-hover:opacity-100 transition-opacity bg-slate-800 text-white text-xs p-2 rounded z-10 w-32 text-center pointer-events-none shadow-lg">
+// Only the latest document of each type counts; older ones were renewed
+const getCurrentDocuments = (documents, ownerType, owner) => {
+  const byType = {};
+  getOwnerDocuments(documents, ownerType, owner).forEach(d => {
+    if (!byType[d.type]) byType[d.type] = d;
+  });
+  return Object.values(byType);
+};
+
+const getDocumentStatus = (document, today) => {
+  const daysLeft = document.expiryDate ? daysBetween(today, document.expiryDate) : null;
+  const status = daysLeft === null ? 'valid'
+    : daysLeft < 0 ? 'expired'
+    : daysLeft <= DOCUMENT_EXPIRY_WARNING_DAYS ? 'expiringSoon'
+    : 'valid';
+  return { daysLeft, status };
+};
+
+const describeDocumentExpiry = ({ daysLeft }) => {
+  if (daysLeft === null) return t('document.noExpiry');
+  if (daysLeft < 0) return t('document.expiredDaysAgo', { days: -daysLeft });
+  return daysLeft === 0 ? t('document.expiresToday') : t('document.daysLeft', { days: daysLeft });
+};
+
+// Current documents of the active fleet and drivers that have expired or expire soon, soonest first
+const collectDocumentAlerts = (documents, trucks, drivers, today) => [
+  ...trucks.filter(t => t.status !== 'retired').map(owner => ({ ownerType: 'truck', owner, ownerLabel: owner.plate })),
+  ...drivers.filter(d => d.status !== 'inactive').map(owner => ({ ownerType: 'driver', owner, ownerLabel: owner.name }))
+]
+  .flatMap(({ ownerType, owner, ownerLabel }) => getCurrentDocuments(documents, ownerType, owner)
+    .map(document => ({ ownerType, ownerLabel, document, ...getDocumentStatus(document, today) })))
+  .filter(alert => alert.status !== 'valid')
+  .sort((a, b) => a.daysLeft - b.daysLeft);
+
+// Current documents of a truck or driver that are no longer valid on a given date
+const findExpiredDocuments = (documents, ownerType, owner, date) => {
+  if (!owner) return [];
+  return getCurrentDocuments(documents, ownerType, owner).filter(d => d.expiryDate && d.expiryDate < date);
+};
+
+// Scans and receipts are capped like isScan() in storage.rules; base64-encoded, a receipt this
+// size also stays within the model's 20 MB inline request limit
+const UPLOAD_MAX_MB = 10;
+const UPLOAD_MAX_BYTES = UPLOAD_MAX_MB * 1024 * 1024;
+
+// Uploads a file to Storage and returns what a record keeps to link to it
+const uploadWorkspaceFile = async (pathSegments, file) => {
+  const path = pathSegments.join('/');
+  const fileRef = storageRef(storage, path);
+  await uploadBytes(fileRef, file, { contentType: file.type });
+  return { path, url: await getDownloadURL(fileRef), name: file.name, contentType: file.type };
+};
+
+// --- Receipts ---
+const RECEIPT_MAX_DIMENSION = 1600;
+const RECEIPT_JPEG_QUALITY = 0.75;
+
+const isImageFile = (file) => (file?.contentType || file?.type || '').startsWith('image/');
+
+// Re-encodes a photo as a JPEG no larger than maxDimension on its longest side
+const compressImage = (file, maxDimension = RECEIPT_MAX_DIMENSION, quality = RECEIPT_JPEG_QUALITY) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), 'image/jpeg', quality);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not decode image'));
+  };
+  image.src = url;
+});
+
+// Types a receipt can be scanned from, by their file signature
+const RECEIPT_FILE_TYPES = ['image/jpeg', 'image/png', 'image/heic', 'application/pdf'];
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'heim', 'heis', 'mif1', 'msf1'];
+
+// Phones often label HEIC photos or PDFs wrongly, or not at all, so the type is read from the bytes
+export const detectFileType = async (file) => {
+  const bytes = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+  const ascii = (from, to) => String.fromCharCode(...bytes.slice(from, to));
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'image/jpeg';
+  if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+  if (ascii(0, 4) === '%PDF') return 'application/pdf';
+  if (ascii(4, 8) === 'ftyp' && HEIC_BRANDS.includes(ascii(8, 12))) return 'image/heic';
+  return null;
+};
+
+// The file kept as proof of an expense, labelled with its real type. JPEG and PNG photos are
+// downscaled; HEIC (which most browsers cannot decode) and PDF are kept as they are.
+const prepareReceiptFile = async (file) => {
+  const type = await detectFileType(file);
+  if (!RECEIPT_FILE_TYPES.includes(type)) throw new Error('Unsupported receipt file type');
+  const original = file.type === type ? file : new File([file], file.name, { type });
+  if (type !== 'image/jpeg' && type !== 'image/png') return original;
+  try {
+    const blob = await compressImage(original);
+    if (blob.size >= original.size) return original;
+    return new File([blob], `${file.name.replace(/\.[^.]+$/, '')}.jpg`, { type: 'image/jpeg' });
+  } catch (e) {
+    console.error("Error compressing receipt: ", e);
+    return original;
+  }
+};
+
+const readFileAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result.split(',')[1]);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+// Expenses above the workspace threshold need a receipt; a threshold of 0 turns the rule off
+const isReceiptRequired = (amount, threshold) => threshold > 0 && Number(amount) > threshold;
+
+const getMonthKey = (date) => (date || '').slice(0, 7);
+
+// --- Receipt Scanning ---
+
+const RECEIPT_SCAN_FIELDS = {
+  date: 'Date',
+  amount: 'Amount',
+  description: 'Description',
+  category: 'Category',
+  truckPlate: 'Truck'
+};
+
+// Extracted values below this confidence are not pre-selected in the review
+const RECEIPT_SCAN_MIN_CONFIDENCE = 0.7;
+
+// Response schema for the model, in its OpenAPI subset
+const RECEIPT_SCAN_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    date: { type: 'STRING', nullable: true, description: 'YYYY-MM-DD' },
+    amount: { type: 'NUMBER', nullable: true },
+    description: { type: 'STRING', nullable: true },
+    category: { type: 'STRING', nullable: true, enum: Object.keys(EXPENSE_CATEGORIES) },
+    truckPlate: { type: 'STRING', nullable: true },
+    lineItems: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          description: { type: 'STRING' },
+          quantity: { type: 'NUMBER', nullable: true },
+          amount: { type: 'NUMBER' }
+        },
+        required: ['description', 'amount']
+      }
+    },
+    confidence: {
+      type: 'OBJECT',
+      properties: Object.fromEntries(Object.keys(RECEIPT_SCAN_FIELDS).map(field => [field, { type: 'NUMBER' }])),
+      required: Object.keys(RECEIPT_SCAN_FIELDS)
+    }
+  },
+  required: ['date', 'amount', 'description', 'category', 'truckPlate', 'lineItems', 'confidence']
+};
+
+const isIsoDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime());
+
+// Amounts sometimes come back as text with separators and currency ("1 250 000 GNF")
+const readScannedAmount = (value) => {
+  if (typeof value === 'string') value = Number(value.replace(/[^\d.]/g, ''));
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : undefined;
+};
+
+const readScannedText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+// Checks the model's answer against RECEIPT_SCAN_SCHEMA. Missing values become null; values of the
+// wrong shape are dropped too and listed in `issues`, so nothing malformed reaches the form.
+const validateReceiptScan = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Scan result is not an object');
+  const issues = [];
+  const readField = (field, read) => {
+    if (raw[field] === null || raw[field] === undefined || raw[field] === '') return null;
+    const value = read(raw[field]);
+    if (value === undefined) {
+      issues.push(field);
+      return null;
+    }
+    return value;
+  };
+  const scan = {
+    date: readField('date', value => (isIsoDate(value) ? value : undefined)),
+    amount: readField('amount', readScannedAmount),
+    description: readField('description', readScannedText),
+    category: readField('category', value => (EXPENSE_CATEGORIES[value] ? value : undefined)),
+    truckPlate: readField('truckPlate', readScannedText)
+  };
+  if (raw.lineItems !== undefined && !Array.isArray(raw.lineItems)) issues.push('lineItems');
+  const lineItems = (Array.isArray(raw.lineItems) ? raw.lineItems : [])
+    .map(item => ({
+      description: readScannedText(item?.description),
+      quantity: readScannedAmount(item?.quantity) ?? null,
+      amount: readScannedAmount(item?.amount)
+    }))
+    .filter(item => item.description && item.amount !== undefined);
+  const confidence = Object.fromEntries(Object.keys(RECEIPT_SCAN_FIELDS).map(field => {
+    const value = Number(raw.confidence?.[field]);
+    return [field, scan[field] === null ? 0 : Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0.5];
+  }));
+  return { ...scan, lineItems, confidence, issues };
+};
+
+// Case- and accent-insensitive key, so "Kipé", "kipe" and "KIPE" compare equal
+const normalizeText = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// The built-in places plus the approved workspace ones. A workspace place named like a
+// built-in one replaces it, which is how an owner corrects a distance or adds aliases.
+const buildLocationDirectory = (customLocations) => {
+  const directory = new Map(BUILT_IN_LOCATIONS.map(loc => [normalizeText(loc.name), { ...loc, builtIn: true }]));
+  customLocations
+    .filter(loc => loc.status === 'approved')
+    .forEach(loc => directory.set(normalizeText(loc.name), {
+      ...loc,
+      aliases: loc.aliases || [],
+      builtIn: BUILT_IN_LOCATIONS.some(b => normalizeText(b.name) === normalizeText(loc.name))
+    }));
+  return [...directory.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Matches a typed place on its name or one of its aliases
+const findLocation = (locations, text) => {
+  const key = normalizeText(text);
+  if (!key) return null;
+  return locations.find(loc => [loc.name, ...loc.aliases].some(name => normalizeText(name) === key)) || null;
+};
+
+// Places whose name or an alias contains the typed text, for suggestions
+const searchLocations = (locations, text) => {
+  const key = normalizeText(text);
+  return locations.filter(loc => [loc.name, ...loc.aliases].some(name => normalizeText(name).includes(key)));
+};
+
+// The directory name of a destination; places outside the directory keep the text as typed
+const getDestinationName = (locations, destination) =>
+  findLocation(locations, destination)?.name || (destination || '').trim();
+
+const describeLocation = (location) => t('location.summary', {
+  commune: location.commune,
+  prefecture: location.prefecture,
+  km: formatNumber(location.distanceKm, 0)
+});
+
+const PAYMENT_METHODS = {
+  cash: 'Cash',
+  mobile_money: 'Mobile Money',
+  bank: 'Bank Transfer'
+};
+
+const INVOICE_STATUS_LABELS = {
+  unpaid: 'Unpaid',
+  partial: 'Partly paid',
+  paid: 'Paid'
+};
+
+const INVOICE_STATUS_STYLES = {
+  unpaid: 'bg-red-100 text-red-700',
+  partial: 'bg-amber-100 text-amber-700',
+  paid: 'bg-emerald-100 text-emerald-700'
+};
+
+const CUSTOMER_KINDS = {
+  hardware: 'Hardware Store',
+  construction: 'Construction Site',
+  other: 'Other'
+};
+
+export const getInvoiceStatus = (total, amountPaid) => {
+  if (amountPaid <= 0) return 'unpaid';
+  if (amountPaid < total) return 'partial';
+  return 'paid';
+};
+
+// Sequential invoice numbers restart every year, e.g. FAC-2026-0007
+const formatInvoiceNumber = (year, sequence) => `FAC-${year}-${String(sequence).padStart(4, '0')}`;
+
+// Highest number issued for the year; seeds the workspace counter for a year it has not counted yet
+const getLastInvoiceSequence = (invoices, year) => {
+  const prefix = `FAC-${year}-`;
+  return invoices
+    .filter(inv => inv.number?.startsWith(prefix))
+    .map(inv => Number(inv.number.slice(prefix.length)))
+    .reduce((max, n) => Math.max(max, n), 0);
+};
+
+const daysBetween = (fromDate, toDate) => {
+  return Math.floor((new Date(toDate) - new Date(fromDate)) / (1000 * 60 * 60 * 24));
+};
+
+// Outstanding invoice balances bucketed by days since issue
+const computeReceivablesAging = (invoices, asOf) => {
+  const aging = { current: 0, days31to60: 0, over60: 0, total: 0, count: 0 };
+  invoices.forEach(inv => {
+    const outstanding = inv.total - (inv.amountPaid || 0);
+    if (outstanding <= 0) return;
+    const age = daysBetween(inv.issueDate, asOf);
+    if (age <= 30) aging.current += outstanding;
+    else if (age <= 60) aging.days31to60 += outstanding;
+    else aging.over60 += outstanding;
+    aging.total += outstanding;
+    aging.count += 1;
+  });
+  return aging;
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
+// Opens the invoice as a standalone page and triggers the browser's print dialog
+const printInvoice = (invoice, customer) => {
+  const rows = invoice.lines.map(line => `
+    <tr>
+      <td>${formatDate(line.date)}</td>
+      <td>${escapeHtml(line.truckNumber)}</td>
+      <td>${escapeHtml(line.destination)}</td>
+      <td>${escapeHtml(line.load ?? t('invoice.bags', { bags: line.bags }))}</td>
+      <td class="num">${line.weightTons.toFixed(2)}</td>
+      <td class="num">${formatCurrency(line.amount)}</td>
+    </tr>`).join('');
+  const payments = (invoice.payments || []).map(p => `
+    <tr>
+      <td>${formatDate(p.date)}</td>
+      <td colspan="4">${t(`paymentMethod.${p.method}`)}${p.reference ? ` — ${escapeHtml(p.reference)}` : ''}</td>
+      <td class="num">-${formatCurrency(p.amount)}</td>
+    </tr>`).join('');
+  const win = window.open('', '_blank');
+  if (!win) return;
+  win.document.write(`<!doctype html>
+    <html lang="${currentLanguage}"><head><meta charset="UTF-8"><title>${invoice.number}</title>
+    <style>
+      body { font-family: sans-serif; color: #1e293b; padding: 32px; }
+      h1 { margin: 0 0 4px; }
+      table { width: 100%; border-collapse: collapse; margin-top: 24px; font-size: 13px; }
+      th, td { border-bottom: 1px solid #e2e8f0; padding: 6px; text-align: left; }
+      .num { text-align: right; }
+      .total td { font-weight: bold; border-top: 2px solid #1e293b; }
+    </style></head>
+    <body>
+      <h1>CimenLog GNF — ${t('invoice.heading', { number: invoice.number })}</h1>
+      <div>${t('invoice.dateLabel')} ${formatDate(invoice.issueDate)}</div>
+      <div>${t('invoice.customerLabel')} <strong>${escapeHtml(customer?.name || invoice.customerName)}</strong></div>
+      ${customer?.address ? `<div>${escapeHtml(customer.address)}</div>` : ''}
+      ${customer?.phone ? `<div>${escapeHtml(customer.phone)}</div>` : ''}
+      <table>
+        <thead><tr><th>${t('common.date')}</th><th>${t('common.truck')}</th><th>${t('common.destination')}</th><th>${t('common.load')}</th><th class="num">${t('common.tons')}</th><th class="num">${t('common.amount')}</th></tr></thead>
+        <tbody>
+          ${rows}
+          <tr class="total"><td colspan="5">${t('invoice.total')}</td><td class="num">${formatCurrency(invoice.total)}</td></tr>
+          ${payments}
+          <tr class="total"><td colspan="5">${t('invoice.balanceDue')}</td><td class="num">${formatCurrency(invoice.total - (invoice.amountPaid || 0))}</td></tr>
+        </tbody>
+      </table>
+    </body></html>`);
+  win.document.close();
+  win.print();
+};
+
+// --- Workspaces & Roles ---
+// A company shares one workspace; what each member may do depends on their role
+const ROLES = {
+  owner: 'Owner',
+  dispatcher: 'Dispatcher',
+  driver: 'Driver',
+  accountant: 'Accountant'
+};
+
+// Keep in step with firestore.rules, which enforces the same split on the server
+const ROLE_PERMISSIONS = {
+  owner: ['viewAll', 'editRecords', 'deleteRecords', 'manageSettings', 'manageMembers', 'viewBilling', 'export'],
+  dispatcher: ['viewAll', 'editRecords'],
+  accountant: ['viewAll', 'viewBilling', 'export'],
+  driver: []
+};
+
+const can = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// Collections that older versions kept under the anonymous user's private path
+const WORKSPACE_COLLECTIONS = ['trips', 'rates', 'tariffs', 'trucks', 'drivers', 'driverPayments', 'customers', 'invoices'];
+
+// Invitations are keyed by the email or phone number the invitee will sign in with
+const getInviteId = (contact) => {
+  const value = (contact || '').trim();
+  return value.includes('@') ? value.toLowerCase() : value.replace(/[^+\d]/g, '');
+};
+
+const getUserContact = (user) => user.email || user.phoneNumber || user.uid;
+
+// Copies the records of an anonymous session into a workspace, keeping document ids so
+// invoice and driver links still resolve. Originals are deleted only once every copy is
+// written, and re-running after a failure simply overwrites the same documents.
+const migrateLegacyData = async (uid, workspaceId) => {
+  const snapshots = [];
+  for (const name of WORKSPACE_COLLECTIONS) {
+    const snapshot = await getDocs(collection(db, 'artifacts', appId, 'users', uid, name));
+    await commitInBatches(snapshot.docs, (batch, legacyDoc) => {
+      batch.set(doc(db, 'artifacts', appId, 'workspaces', workspaceId, name, legacyDoc.id), legacyDoc.data());
+    });
+    snapshots.push(snapshot);
+  }
+  const legacyDocs = snapshots.flatMap(snapshot => snapshot.docs);
+  await commitInBatches(legacyDocs, (batch, legacyDoc) => batch.delete(legacyDoc.ref));
+  return legacyDocs.length;
+};
+
+// Trips saved before multi-drop trips have no destinations list for the operations list to
+// filter on. Fills it in from their single destination, then marks the workspace as done.
+const backfillTripDestinations = async (workspacePath) => {
+  const snapshot = await getDocs(query(collection(db, ...workspacePath, 'trips'), where('type', '==', 'trip')));
+  const missing = snapshot.docs.filter(tripDoc => !Array.isArray(tripDoc.data().destinations));
+  await commitInBatches(missing, (batch, tripDoc) => {
+    batch.update(tripDoc.ref, { destinations: getTripDrops(tripDoc.data()).map(drop => drop.destination) });
+  });
+  await updateDoc(doc(db, ...workspacePath), { tripDestinationsBackfilled: true });
+};
+
+// --- Reporting Periods ---
+// Periods are inclusive { from, to } ISO dates; an empty bound leaves that side open
+const PERIOD_PRESETS = {
+  today: 'Today',
+  week: 'This Week',
+  month: 'This Month',
+  lastMonth: 'Last Month',
+  quarter: 'This Quarter',
+  custom: 'Custom Range',
+  all: 'All Time'
+};
+
+const PERIOD_COMPARISON_LABELS = {
+  today: 'vs yesterday',
+  week: 'vs last week',
+  month: 'vs last month',
+  lastMonth: 'vs month before',
+  quarter: 'vs last quarter',
+  custom: 'vs previous period'
+};
+
+const addDays = (isoDate, days) => {
+  const date = new Date(isoDate);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+// First day of the month `offset` months away from the one containing isoDate
+const startOfMonth = (isoDate, offset = 0) => {
+  const date = new Date(isoDate);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1)).toISOString().split('T')[0];
+};
+
+// Periods in progress end today, so they compare like for like with the previous one
+const getPeriodRange = (preset, customRange, today) => {
+  switch (preset) {
+    case 'today':
+      return { from: today, to: today };
+    case 'week': {
+      const daysSinceMonday = (new Date(today).getUTCDay() + 6) % 7;
+      return { from: addDays(today, -daysSinceMonday), to: today };
+    }
+    case 'month':
+      return { from: startOfMonth(today), to: today };
+    case 'lastMonth':
+      return { from: startOfMonth(today, -1), to: addDays(startOfMonth(today), -1) };
+    case 'quarter':
+      return { from: startOfMonth(today, -(new Date(today).getUTCMonth() % 3)), to: today };
+    case 'custom':
+      return { from: customRange.from, to: customRange.to };
+    default:
+      return { from: '', to: '' };
+  }
+};
+
+// The equivalent stretch just before `range`: a finished month compares with the whole month
+// before it, months and quarters in progress with the same days of the previous one
+// (1-19 Oct with 1-19 Sep), and other periods step back by their own length in days
+const getPreviousPeriodRange = (preset, range) => {
+  if (!range.from || !range.to) return null;
+  const length = daysBetween(range.from, range.to);
+  if (preset === 'lastMonth') {
+    return { from: startOfMonth(range.from, -1), to: addDays(range.from, -1) };
+  }
+  if (preset === 'month' || preset === 'quarter') {
+    const from = startOfMonth(range.from, preset === 'quarter' ? -3 : -1);
+    const to = addDays(from, length);
+    return { from, to: to < range.from ? to : addDays(range.from, -1) };
+  }
+  return { from: addDays(range.from, -(length + 1)), to: addDays(range.from, -1) };
+};
+
+const isInPeriod = (date, range) => (!range.from || date >= range.from) && (!range.to || date <= range.to);
+
+const describePeriod = (range) => {
+  if (range.from && range.to) return `${formatDate(range.from)} – ${formatDate(range.to)}`;
+  if (range.from) return t('period.from', { date: formatDate(range.from) });
+  if (range.to) return t('period.until', { date: formatDate(range.to) });
+  return t('period.allRecords');
+};
+
+const summarizeRecords = (records) => records.reduce((acc, trip) => ({
+  totalTrips: acc.totalTrips + (trip.type === 'trip' ? 1 : 0),
+  totalTons: acc.totalTons + (trip.weightTons || 0),
+  totalRevenue: acc.totalRevenue + (trip.revenue || 0),
+  totalProfit: acc.totalProfit + (trip.netProfit || 0),
+  totalExpenses: acc.totalExpenses + (trip.totalExpenses || 0)
+}), { totalTrips: 0, totalTons: 0, totalRevenue: 0, totalProfit: 0, totalExpenses: 0 });
+
+// Percentage change, or null when there is nothing to compare against
+const percentChange = (current, previous) => {
+  if (!previous) return null;
+  return ((current - previous) / Math.abs(previous)) * 100;
+};
+
+// --- Operations List ---
+const LIST_PAGE_SIZE = 50;
+
+// Away from the screens that work over every record, the app keeps this much history in memory:
+// enough for the period on screen, its comparison, recent odometer readings and fuel baselines
+const RECENT_HISTORY_MONTHS = 12;
+
+// Earliest date the in-memory records must reach back to; '' loads every record
+const getHistoryStart = (period, previousPeriod, today) => {
+  if (!period.from) return '';
+  return [period.from, previousPeriod?.from, startOfMonth(today, -RECENT_HISTORY_MONTHS)]
+    .filter(Boolean)
+    .reduce((earliest, date) => (date < earliest ? date : earliest));
+};
+
+const DEFAULT_LIST_FILTERS = {
+  type: '',
+  destination: '',
+  category: '',
+  lossOnly: false,
+  minAmount: '',
+  maxAmount: '',
+  search: '',
+  truck: ''
+};
+
+const DEFAULT_LIST_SORT = { key: 'date', dir: 'desc' };
+
+// Stored fields the table can be sorted on; every record carries them, so no sort hides expenses or trips
+const SORTABLE_FIELDS = ['date', 'revenue', 'netProfit'];
+
+const getRecordAmount = (record) => record.type === 'expense' ? record.totalExpenses : record.revenue;
+
+// Firestore narrows each page on at most one filter plus the period, so every query shape has its
+// index in firestore.indexes.json; each loaded page is then checked against all the filters in memory.
+// A destination matches any drop of a trip. A driver's list narrows on the driver, and a list sorted
+// on an amount only on the period.
+export const buildListConstraints = (spec) => {
+  const filters = [];
+  if (spec.driverId) {
+    filters.push(where('driverId', '==', spec.driverId));
+  } else if (spec.sortKey === 'date') {
+    // Trips saved before multi-drop trips only carry their single destination until an owner
+    // opens the workspace and backfillTripDestinations fills in their list
+    if (spec.destination) {
+      filters.push(or(where('destinations', 'array-contains', spec.destination), where('destination', '==', spec.destination)));
+    } else if (spec.category) {
+      filters.push(where('category', '==', spec.category));
+    } else if (spec.type) {
+      filters.push(where('type', '==', spec.type));
+    }
+  }
+  if (spec.from) filters.push(where('date', '>=', spec.from));
+  if (spec.to) filters.push(where('date', '<=', spec.to));
+  const orders = [orderBy(spec.sortKey, spec.sortDir)];
+  if (spec.sortKey !== 'date') orders.push(orderBy('date', 'desc'));
+  // A disjunction only combines with other filters inside and()
+  return filters.length ? [and(...filters), ...orders] : orders;
+};
+
+const matchesListRefinements = (record, filters) => {
+  const amount = getRecordAmount(record);
+  const search = normalizeText(filters.search);
+  return normalizePlate(record.truckNumber).includes(normalizePlate(filters.truck))
+    && (filters.minAmount === '' || amount >= Number(filters.minAmount))
+    && (filters.maxAmount === '' || amount <= Number(filters.maxAmount))
+    && (!search || [record.description, record.otherDesc, record.type === 'trip' ? describeTripRoute(record) : '', record.customerName, record.driverName, record.tariffOverride?.reason]
+      .some(text => normalizeText(text).includes(search)));
+};
+
+// The same filters over records already in memory, for analytics and exports
+const matchesListFilters = (record, filters) =>
+  (!filters.type || record.type === filters.type)
+  && (!filters.destination || (record.type === 'trip' && getTripDrops(record).some(drop => drop.destination === filters.destination)))
+  && (!filters.category || record.category === filters.category)
+  && (!filters.lossOnly || record.netProfit < 0)
+  && matchesListRefinements(record, filters);
+
+const compareRecords = (sort) => (a, b) => {
+  const av = a[sort.key] ?? '';
+  const bv = b[sort.key] ?? '';
+  const order = av < bv ? -1 : av > bv ? 1 : 0;
+  return sort.dir === 'asc' ? order : -order;
+};
+
+const countActiveFilters = (filters) => Object.entries(filters)
+  .filter(([key, value]) => key !== 'truck' && value !== DEFAULT_LIST_FILTERS[key])
+  .length;
+
+// The period, filters and sort live in the query string so a filtered view can be bookmarked and shared
+const readListStateFromUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  const sortKey = params.get('sort');
+  return {
+    period: PERIOD_PRESETS[params.get('period')] ? params.get('period') : 'month',
+    customPeriod: { from: params.get('from') || '', to: params.get('to') || '' },
+    filters: {
+      type: params.get('type') || '',
+      destination: params.get('dest') || '',
+      category: params.get('cat') || '',
+      lossOnly: params.get('loss') === '1',
+      minAmount: params.get('min') || '',
+      maxAmount: params.get('max') || '',
+      search: params.get('q') || '',
+      truck: params.get('truck') || ''
+    },
+    sort: SORTABLE_FIELDS.includes(sortKey)
+      ? { key: sortKey, dir: params.get('dir') === 'asc' ? 'asc' : 'desc' }
+      : DEFAULT_LIST_SORT
+  };
+};
+
+const writeListStateToUrl = ({ period, customPeriod, filters, sort }) => {
+  const isDefaultSort = sort.key === DEFAULT_LIST_SORT.key && sort.dir === DEFAULT_LIST_SORT.dir;
+  const params = new URLSearchParams(Object.entries({
+    period: period !== 'month' ? period : '',
+    from: period === 'custom' ? customPeriod.from : '',
+    to: period === 'custom' ? customPeriod.to : '',
+    type: filters.type,
+    dest: filters.destination,
+    cat: filters.category,
+    loss: filters.lossOnly ? '1' : '',
+    min: filters.minAmount,
+    max: filters.maxAmount,
+    q: filters.search,
+    truck: filters.truck,
+    sort: isDefaultSort ? '' : sort.key,
+    dir: isDefaultSort ? '' : sort.dir
+  }).filter(([, value]) => value));
+  const search = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+};
+
+// --- Export Helpers ---
+
+// Accounting exports use DD/MM/YYYY dates and plain GNF integers so spreadsheets can sum them
+const formatExportDate = (isoDate) => {
+  if (!isoDate) return '';
+  const [year, month, day] = isoDate.split('-');
+  return `${day}/${month}/${year}`;
+};
+
+const toExportAmount = (amount) => Math.round(amount || 0);
+
+const RECORD_EXPORT_COLUMNS = [
+  { header: 'Date', value: r => formatExportDate(r.date) },
+  { header: 'Type', value: r => r.type === 'expense' ? 'Expense' : 'Trip' },
+  { header: 'Truck', value: r => r.truckNumber },
+  { header: 'Driver', value: r => r.driverName || '' },
+  { header: 'Customer', value: r => r.customerName || '' },
+  { header: 'Origin', value: r => r.type === 'expense' ? '' : LOADING_POINTS[getTripOrigin(r)] },
+  { header: 'Destination / Category', value: r => r.type === 'expense' ? r.category : describeTripRoute(r) },
+  { header: 'Description', value: r => r.type === 'expense' ? (r.description || '') : (r.otherDesc || '') },
+  { header: 'Products', value: r => r.type === 'expense' ? '' : getTripLines(r).map(line => `${line.productName} x ${line.quantity}`).join('; ') },
+  { header: 'Bags', value: r => r.bags || 0 },
+  { header: 'Tons', value: r => Number((r.weightTons || 0).toFixed(2)) },
+  { header: 'Fuel (L)', value: r => r.fuelLiters || 0 },
+  { header: 'Fuel Cost (GNF)', value: r => toExportAmount(r.fuelCost) },
+  { header: 'Labor Cost (GNF)', value: r => toExportAmount(r.laborCost) },
+  { header: 'Driver Pay (GNF)', value: r => toExportAmount(r.driverPay) },
+  { header: 'Other Costs (GNF)', value: r => toExportAmount(r.type === 'expense' ? r.amount : r.otherCost) },
+  { header: 'Total Expenses (GNF)', value: r => toExportAmount(r.totalExpenses) },
+  { header: 'Revenue (GNF)', value: r => toExportAmount(r.revenue) },
+  { header: 'Net Profit (GNF)', value: r => toExportAmount(r.netProfit) }
+];
+
+const buildRecordsTable = (records) => ({
+  name: 'Operations',
+  headers: RECORD_EXPORT_COLUMNS.map(c => c.header),
+  rows: records.map(r => RECORD_EXPORT_COLUMNS.map(c => c.value(r)))
+});
+
+const escapeCsvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Writes one or more { name, headers, rows } tables to a CSV file (tables separated by a
+// blank line) or to an XLSX workbook with one sheet per table
+const exportTables = (tables, filename, format) => {
+  if (format === 'xlsx') {
+    const workbook = XLSX.utils.book_new();
+    tables.forEach(table => {
+      const sheet = XLSX.utils.aoa_to_sheet([table.headers, ...table.rows]);
+      XLSX.utils.book_append_sheet(workbook, sheet, table.name.slice(0, 31));
+    });
+    XLSX.writeFile(workbook, `${filename}.xlsx`);
+    return;
+  }
+  const csv = tables.map(table => [
+    ...(tables.length > 1 ? [escapeCsvCell(table.name)] : []),
+    table.headers.map(escapeCsvCell).join(','),
+    ...table.rows.map(row => row.map(escapeCsvCell).join(','))
+  ].join('\r\n')).join('\r\n\r\n');
+  // The BOM lets Excel detect UTF-8, so accented destinations stay readable
+  downloadBlob(new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+};
+
+const ExportButtons = ({ onExport }) => (
+  <div className="flex bg-white rounded-lg border border-slate-300 overflow-hidden">
+    <span className="px-2 py-2 text-slate-400 flex items-center"><Download className="w-4 h-4" /></span>
+    <button type="button" onClick={() => onExport('csv')}
+      className="px-3 py-2 text-sm font-medium text-slate-600 hover:bg-slate-50 border-l border-slate-200">
+      CSV
+    </button>
+    <button type="button" onClick={() => onExport('xlsx')}
+      className="px-3 py-2 text-sm font-medium text-slate-600 hover:bg-slate-50 border-l border-slate-200">
+      XLSX
+    </button>
+  </div>
+);
+
+// --- Import Helpers ---
+
+const IMPORT_FIELDS = {
+  trip: [
+    { key: 'date', label: 'Date', required: true, aliases: ['date', 'jour'] },
+    { key: 'truckNumber', label: 'Truck', required: true, aliases: ['truck', 'camion', 'plate', 'immatriculation'] },
+    { key: 'origin', label: 'Loading Point', required: false, aliases: ['origin', 'origine', 'loading point', 'chargement'] },
+    { key: 'destination', label: 'Destination', required: true, aliases: ['destination', 'lieu'] },
+    { key: 'product', label: 'Product', required: false, aliases: ['product', 'produit'] },
+    { key: 'quantity', label: 'Quantity', required: true, aliases: ['quantity', 'quantité', 'quantite', 'bags', 'sacs', 'nombre de sacs'] },
+    { key: 'fuelLiters', label: 'Fuel (L)', required: false, aliases: ['fuel', 'carburant', 'litres', 'fuel (l)'] },
+    { key: 'otherCost', label: 'Other Costs', required: false, aliases: ['other costs', 'autres frais', 'other'] },
+    { key: 'otherDesc', label: 'Description', required: false, aliases: ['description', 'details', 'détails'] }
+  ],
+  expense: [
+    { key: 'date', label: 'Date', required: true, aliases: ['date', 'jour'] },
+    { key: 'truckNumber', label: 'Truck', required: true, aliases: ['truck', 'camion', 'plate', 'immatriculation'] },
+    { key: 'category', label: 'Category', required: true, aliases: ['category', 'catégorie', 'categorie'] },
+    { key: 'amount', label: 'Amount', required: true, aliases: ['amount', 'montant'] },
+    { key: 'description', label: 'Description', required: false, aliases: ['description', 'details', 'détails'] }
+  ]
+};
+
+// Accepts YYYY-MM-DD or DD/MM/YYYY (also with - or . separators); returns YYYY-MM-DD or null
+const parseImportDate = (value) => {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  let [year, month, day] = match ? [match[1], match[2], match[3]] : [];
+  if (!match) {
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (!match) return null;
+    [day, month, year] = [match[1], match[2], match[3]];
+  }
+  const iso = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  const parsed = new Date(iso);
+  return Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== iso ? null : iso;
+};
+
+// Spreadsheet numbers may use spaces as thousands separators and a comma as decimal mark
+const parseImportNumber = (value) => {
+  const text = String(value ?? '').replace(/[\s\u00a0]/g, '').replace(',', '.');
+  if (text === '') return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+const guessColumnMapping = (headers, fields) => Object.fromEntries(
+  fields.map(field => {
+    const index = headers.findIndex(h => field.aliases.includes(normalizeText(h)) || normalizeText(h) === normalizeText(field.label));
+    return [field.key, index >= 0 ? index : ''];
+  })
+);
+
+// Validates one spreadsheet row and turns it into a record with the same derived fields
+// as a manually entered one. Returns { record, errors, warnings }; record is null on errors.
+const buildImportRecord = (recordType, cells, mapping, { trucks, rateHistory, tariffs, products, locations }) => {
+  const get = (key) => mapping[key] === '' || mapping[key] === undefined ? '' : String(cells[mapping[key]] ?? '').trim();
+  const errors = [];
+  const warnings = [];
+
+  const date = parseImportDate(get('date'));
+  if (!date) errors.push(t('importError.badDate', { value: get('date') }));
+
+  const plate = get('truckNumber').toUpperCase();
+  const truck = plate ? findTruckByPlate(trucks, plate) : null;
+  if (!plate) errors.push(t('importError.missingTruck'));
+  else if (!truck) warnings.push(t('importError.unregisteredTruck', { plate }));
+
+  const truckFields = { truckId: truck?.id || '', truckNumber: truck?.plate || plate };
+
+  if (recordType === 'expense') {
+    const categoryText = normalizeText(get('category'));
+    const category = Object.keys(EXPENSE_CATEGORIES).find(key =>
+      normalizeText(key) === categoryText || normalizeText(EXPENSE_CATEGORIES[key]) === categoryText
+    );
+    if (!category) errors.push(t('importError.unknownCategory', { value: get('category') }));
+    const amount = parseImportNumber(get('amount'));
+    if (!(amount > 0)) errors.push(t('importError.invalidAmount', { value: get('amount') }));
+    if (errors.length) return { record: null, errors, warnings };
+
+    const expense = { type: 'expense', ...truckFields, date, category, amount, description: get('description') };
+    return { record: { ...expense, ...computeExpenseFields(expense), source: 'import' }, errors, warnings };
+  }
+
+  const destination = findLocation(locations, get('destination'))?.name;
+  if (!destination) errors.push(t('importError.unknownDestination', { value: get('destination') }));
+  // Rows without an origin column loaded at the port
+  const originText = normalizeText(get('origin'));
+  const origin = originText
+    ? Object.keys(LOADING_POINTS).find(key => normalizeText(key) === originText || normalizeText(LOADING_POINTS[key]) === originText)
+    : DEFAULT_LOADING_POINT;
+  if (!origin) errors.push(t('importError.unknownLoadingPoint', { value: get('origin') }));
+  // Rows without a product column are the first bag product of the catalog
+  const catalog = getProductCatalog(products);
+  const productText = normalizeText(get('product'));
+  const product = productText
+    ? catalog.find(p => normalizeText(p.name) === productText)
+    : catalog.find(p => p.unit === 'bag') || catalog[0];
+  if (!product) errors.push(t('importError.unknownProduct', { value: get('product') }));
+  const quantity = parseImportNumber(get('quantity'));
+  if (quantity < 0) errors.push(t('importError.negativeQuantity'));
+  else if (!(quantity > 0) || (['bag', 'piece'].includes(product?.unit) && !Number.isInteger(quantity))) {
+    errors.push(t('importError.invalidQuantity', { value: get('quantity') }));
+  }
+  const fuelLiters = parseImportNumber(get('fuelLiters')) ?? 0;
+  if (Number.isNaN(fuelLiters) || fuelLiters < 0) errors.push(t('importError.invalidFuel', { value: get('fuelLiters') }));
+  const otherCost = parseImportNumber(get('otherCost')) ?? 0;
+  if (Number.isNaN(otherCost) || otherCost < 0) errors.push(t('importError.invalidOtherCost', { value: get('otherCost') }));
+  if (errors.length) return { record: null, errors, warnings };
+
+  const trip = {
+    type: 'trip',
+    ...truckFields,
+    driverId: '',
+    driverName: '',
+    customerId: '',
+    customerName: '',
+    origin,
+    drops: [{ destination }],
+    date,
+    lines: [{ ...toProductLine(product, quantity), drop: 0 }],
+    expectedKm: getExpectedKm([findLocation(locations, destination)]),
+    fuelLiters,
+    otherCost,
+    otherDesc: get('otherDesc'),
+    tariffOverride: null
+  };
+  const rates = getRatesForDate(rateHistory, date);
+  const dropTariffs = [resolveTariff(tariffs, locations, destination, rates.revenuePerTon)];
+  return {
+    record: { ...trip, ...computeTripFinancials(trip, { rates, dropTariffs, driverPayRule: null }), source: 'import' },
+    errors,
+    warnings
+  };
+};
+
+const tripDedupeKey = (r) => {
+  const load = getTripLines(r).map(line => `${normalizeText(line.productName)}:${line.quantity}`).join('+');
+  return `${normalizePlate(r.truckNumber)}|${r.date}|${normalizeText(describeTripRoute(r))}|${load}`;
+};
+const expenseDedupeKey = (r) => `${normalizePlate(r.truckNumber)}|${r.date}|${r.category}|${Number(r.amount)}`;
+
+const formatHistoryValue = (value) => {
+  if (value === null || value === '') return '—';
+  if (typeof value === 'number') return value.toLocaleString(getLocale(), { maximumFractionDigits: 2 });
+  // Product lines show as the load they describe, attached files by name, other nested values as JSON
+  if (Array.isArray(value) && value[0]?.productId) return describeTripLoad({ lines: value });
+  if (Array.isArray(value) && value[0]?.destination !== undefined) return describeTripRoute({ drops: value });
+  if (typeof value === 'object') return value.name || JSON.stringify(value);
+  return String(value);
+};
+
+// --- AI Client ---
+// Every AI feature goes through requestAi. The provider, model and key come from this device's
+// settings, then from the environment (VITE_AI_PROVIDER, VITE_AI_MODEL, VITE_AI_API_KEY),
+// then from the defaults below.
+const AI_PROVIDERS = {
+  gemini: { label: 'Google Gemini', defaultModel: 'gemini-2.5-flash-preview-09-2025' },
+  mock: { label: 'Local mock (offline)', defaultModel: 'mock' }
+};
+
+const AI_SETTINGS_STORAGE_KEY = 'cimenlog.aiSettings';
+const AI_TIMEOUT_MS = 45000;
+const AI_MAX_RETRIES = 2;
+const AI_RETRY_BASE_DELAY_MS = 1000;
+const MOCK_AI_LATENCY_MS = 400;
+
+const AI_ERROR_MESSAGES = {
+  config: 'The AI service is not set up. Check the AI settings, or switch to the local mock.',
+  auth: 'The AI provider rejected the API key.',
+  rateLimit: 'Too many AI requests at the moment. Please wait a minute and try again.',
+  timeout: 'The AI service took too long to answer.',
+  network: 'Could not reach the AI service. Check your connection.',
+  provider: 'The AI service returned an error.',
+  invalidResponse: 'The AI answer could not be understood.'
+};
+
+// Categories worth another attempt; the others fail the same way every time
+const RETRYABLE_AI_ERRORS = ['rateLimit', 'timeout', 'network', 'provider'];
+
+class AiError extends Error {
+  constructor(category, detail, { retryable = RETRYABLE_AI_ERRORS.includes(category), retryAfterMs = null } = {}) {
+    super(detail || AI_ERROR_MESSAGES[category]);
+    this.name = 'AiError';
+    this.category = category;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// What to tell the user about an error thrown by an AI feature
+const describeAiError = (error) => t(`aiError.${AI_ERROR_MESSAGES[error?.category] ? error.category : 'provider'}`);
+
+const readAiSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(AI_SETTINGS_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Kept on this device only, so the API key never lands in the shared workspace data
+const saveAiSettings = (settings) => {
+  localStorage.setItem(AI_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+};
+
+const getAiConfig = () => {
+  const saved = readAiSettings();
+  const env = import.meta.env;
+  const provider = saved.provider || env.VITE_AI_PROVIDER || 'gemini';
+  return {
+    provider,
+    model: saved.model || env.VITE_AI_MODEL || AI_PROVIDERS[provider]?.defaultModel,
+    apiKey: saved.apiKey || env.VITE_AI_API_KEY || API_KEY
+  };
+};
+
+// Token usage of this session
+const aiUsageLog = [];
+
+const logAiUsage = (entry) => {
+  aiUsageLog.push({ ...entry, at: new Date().toISOString() });
+};
+
+const getAiUsageTotals = () => aiUsageLog.reduce((totals, entry) => ({
+  requests: totals.requests + 1,
+  inputTokens: totals.inputTokens + entry.inputTokens,
+  outputTokens: totals.outputTokens + entry.outputTokens
+}), { requests: 0, inputTokens: 0, outputTokens: 0 });
+
+// Each provider takes { model, apiKey, prompt, file, schema, mock, signal } and resolves to
+// { text, usage: { inputTokens, outputTokens } }, throwing AiError on failure
+const AI_PROVIDER_CLIENTS = {
+  gemini: async ({ model, apiKey, prompt, file, schema, signal }) => {
+    const parts = [{ text: prompt }];
+    if (file) parts.push({ inlineData: { mimeType: file.type, data: await readFileAsBase64(file) } });
+
+    let response;
+    try {
+      response = await fetch(
+        `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          signal,
+          body: JSON.stringify({
+            contents: [{ role: "user", parts }],
+            ...(schema && { generationConfig: { responseMimeType: "application/json", responseSchema: schema } })
+          })
+        }
+      );
+    } catch (error) {
+      if (error.name === 'AbortError') throw new AiError('timeout');
+      throw new AiError('network', error.message);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const detail = data.error?.message;
+      if (response.status === 429) {
+        const retryAfter = Number(response.headers.get('Retry-After'));
+        throw new AiError('rateLimit', detail, { retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null });
+      }
+      if (response.status === 401 || response.status === 403 || /api key/i.test(detail || '')) throw new AiError('auth', detail);
+      throw new AiError('provider', detail, { retryable: response.status >= 500 });
+    }
+
+    const text = data.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('');
+    if (!text) throw new AiError('invalidResponse', data.promptFeedback?.blockReason ? `Blocked: ${data.promptFeedback.blockReason}` : 'Empty answer', { retryable: false });
+    return {
+      text,
+      usage: {
+        inputTokens: data.usageMetadata?.promptTokenCount || 0,
+        outputTokens: data.usageMetadata?.candidatesTokenCount || 0
+      }
+    };
+  },
+
+  // Answers with the canned reply each feature supplies, so features work with no network
+  mock: async ({ prompt, mock }) => {
+    await new Promise(resolve => setTimeout(resolve, MOCK_AI_LATENCY_MS));
+    if (!mock) throw new AiError('config', 'This feature has no mock answer', { retryable: false });
+    const text = mock();
+    return { text, usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) } };
+  }
+};
+
+// Sends one request with a timeout, retrying with exponential backoff on transient errors.
+// `feature` names the caller in the usage log; `mock` returns the local mock provider's answer.
+const requestAi = async ({ feature, timeoutMs = AI_TIMEOUT_MS, ...request }) => {
+  const config = getAiConfig();
+  const callProvider = AI_PROVIDER_CLIENTS[config.provider];
+  if (!callProvider) throw new AiError('config', `Unknown AI provider "${config.provider}"`);
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const { text, usage } = await callProvider({ ...config, ...request, signal: controller.signal });
+      logAiUsage({ feature, provider: config.provider, model: config.model, attempts: attempt + 1, ...usage });
+      return text;
+    } catch (error) {
+      const aiError = error instanceof AiError ? error : new AiError('provider', error.message);
+      if (!aiError.retryable || attempt >= AI_MAX_RETRIES) {
+        console.error(`[AI] ${feature} failed (${aiError.category}):`, aiError.message);
+        throw aiError;
+      }
+      const delay = aiError.retryAfterMs || AI_RETRY_BASE_DELAY_MS * 2 ** attempt + Math.random() * 250;
+      await new Promise(resolve => setTimeout(resolve, delay));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+};
+
+// Same as requestAi, for answers constrained to a JSON schema
+const requestAiJson = async (request) => {
+  const text = await requestAi(request);
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new AiError('invalidResponse', 'Answer is not valid JSON', { retryable: false });
+  }
+};
+
+// --- AI Features ---
+
+// 1. Structured Business Report
+// The model never sees raw records: it gets aggregates of the whole period computed here, and
+// cites them by key, so every number in the report comes from the data rather than the model.
+const REPORT_COST_LABELS = {
+  fuel: 'Trip Fuel',
+  labor: 'Labor',
+  driverPay: 'Driver Pay',
+  otherTripCosts: 'Other Trip Costs',
+  ...EXPENSE_CATEGORIES
+};
+
+const summarizeCosts = (records) => {
+  const costs = { fuel: 0, labor: 0, driverPay: 0, otherTripCosts: 0 };
+  records.forEach(record => {
+    if (record.type === 'expense') {
+      costs[record.category] = (costs[record.category] || 0) + (record.totalExpenses || 0);
+    } else {
+      costs.fuel += record.fuelCost || 0;
+      costs.labor += record.laborCost || 0;
+      costs.driverPay += record.driverPay || 0;
+      costs.otherTripCosts += Number(record.otherCost) || 0;
+    }
+  });
+  return costs;
+};
+
+// Per drop, so each place of a multi-drop trip counts its own volume. Spellings of a place
+// ("Kipe", "kipé") count as the one directory entry.
+const summarizeDestinations = (records, locations) => {
+  const destinations = {};
+  records.filter(r => r.type === 'trip').forEach(trip => {
+    getPricedTripDrops(trip).forEach(drop => {
+      const name = getDestinationName(locations, drop.destination) || 'Unknown';
+      if (!destinations[name]) destinations[name] = { trips: 0, tons: 0, km: 0, revenue: 0, netProfit: 0 };
+      destinations[name].trips += 1;
+      destinations[name].tons += drop.weightTons;
+      destinations[name].km += getTripKm(trip) * drop.share;
+      destinations[name].revenue += drop.revenue;
+      destinations[name].netProfit += drop.netProfit;
+    });
+  });
+  return destinations;
+};
+
+// Volume and revenue per product, from the lines each trip was priced with
+const summarizeProducts = (records) => {
+  const products = {};
+  records.filter(r => r.type === 'trip').forEach(trip => {
+    getPricedTripLines(trip).forEach(line => {
+      const name = describeProductName(line);
+      if (!products[name]) products[name] = { unit: line.unit, trips: 0, quantity: 0, tons: 0, revenue: 0 };
+      products[name].trips += 1;
+      products[name].quantity += line.quantity;
+      products[name].tons += line.weightTons;
+      products[name].revenue += line.revenue;
+    });
+  });
+  return products;
+};
+
+// Flat map of metric key -> { label, unit, value, previous, change } for the period, with the
+// previous period alongside when there is one
+const buildReportMetrics = (records, previousRecords, trucks, locations) => {
+  const metrics = {};
+  const put = (key, label, unit, value, previous) => {
+    const hasPrevious = previousRecords !== null && previous !== undefined && previous !== null;
+    metrics[key] = {
+      label,
+      unit,
+      value,
+      previous: hasPrevious ? previous : null,
+      change: hasPrevious ? percentChange(value, previous) : null
+    };
+  };
+
+  const totals = summarizeRecords(records);
+  const previousTotals = previousRecords ? summarizeRecords(previousRecords) : {};
+  const margin = (t) => (t.totalRevenue ? (t.totalProfit / t.totalRevenue) * 100 : null);
+  put('total.trips', t('metric.trips'), 'count', totals.totalTrips, previousTotals.totalTrips);
+  put('total.tons', t('metric.tons'), 'tons', totals.totalTons, previousTotals.totalTons);
+  put('total.revenue', t('metric.revenue'), 'GNF', totals.totalRevenue, previousTotals.totalRevenue);
+  put('total.costs', t('metric.costs'), 'GNF', totals.totalExpenses, previousTotals.totalExpenses);
+  put('total.netProfit', t('metric.netProfit'), 'GNF', totals.totalProfit, previousTotals.totalProfit);
+  put('total.margin', t('metric.margin'), '%', margin(totals), previousRecords ? margin(previousTotals) : null);
+
+  const previousTrucks = previousRecords ? computeTruckPnl(previousRecords, trucks) : [];
+  computeTruckPnl(records, trucks).forEach(row => {
+    const previous = previousTrucks.find(p => p.key === row.key) || {};
+    put(`truck.${row.plate}.trips`, t('metric.nameTrips', { name: row.plate }), 'count', row.trips, previous.trips);
+    put(`truck.${row.plate}.revenue`, t('metric.nameRevenue', { name: row.plate }), 'GNF', row.revenue, previous.revenue);
+    put(`truck.${row.plate}.netProfit`, t('metric.nameNetProfit', { name: row.plate }), 'GNF', row.netProfit, previous.netProfit);
+    put(`truck.${row.plate}.profitPerTon`, t('metric.nameProfitPerTon', { name: row.plate }), 'GNF/T', row.profitPerTon, previous.profitPerTon);
+    put(`truck.${row.plate}.profitPerKm`, t('metric.nameProfitPerKm', { name: row.plate }), 'GNF/km', row.profitPerKm, previous.profitPerKm);
+  });
+
+  const previousDestinations = previousRecords ? summarizeDestinations(previousRecords, locations) : {};
+  Object.entries(summarizeDestinations(records, locations)).forEach(([name, row]) => {
+    const previous = previousDestinations[name] || {};
+    put(`destination.${name}.trips`, t('metric.nameTrips', { name }), 'count', row.trips, previous.trips);
+    put(`destination.${name}.tons`, t('metric.nameTons', { name }), 'tons', row.tons, previous.tons);
+    put(`destination.${name}.netProfit`, t('metric.nameNetProfit', { name }), 'GNF', row.netProfit, previous.netProfit);
+  });
+
+  const previousProducts = previousRecords ? summarizeProducts(previousRecords) : {};
+  Object.entries(summarizeProducts(records)).forEach(([name, row]) => {
+    const previous = previousProducts[name] || {};
+    put(`product.${name}.tons`, t('metric.nameTons', { name }), 'tons', row.tons, previous.tons);
+    put(`product.${name}.revenue`, t('metric.nameRevenue', { name }), 'GNF', row.revenue, previous.revenue);
+  });
+
+  const previousCosts = previousRecords ? summarizeCosts(previousRecords) : {};
+  Object.entries(summarizeCosts(records)).forEach(([category, amount]) => {
+    put(`cost.${category}`, REPORT_COST_LABELS[category] ? t(`reportCost.${category}`) : category, 'GNF', amount, previousCosts[category] ?? 0);
+  });
+
+  return metrics;
+};
+
+const formatMetricValue = ({ unit, value }) => {
+  if (value === null || value === undefined) return '—';
+  if (unit === 'GNF') return formatCurrency(value);
+  if (unit === 'GNF/T') return `${formatCurrency(value)}/T`;
+  if (unit === 'GNF/km') return `${formatCurrency(value)}/km`;
+  if (unit === '%') return `${formatNumber(value)}%`;
+  if (unit === 'tons') return `${formatNumber(value)} T`;
+  if (unit === 'L' || unit === 'km') return `${value.toLocaleString(getLocale(), { maximumFractionDigits: 1 })} ${unit}`;
+  return value.toLocaleString(getLocale(), { maximumFractionDigits: 1 });
+};
+
+const BUSINESS_REPORT_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    headline: { type: 'STRING' },
+    sections: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          title: { type: 'STRING' },
+          markdown: { type: 'STRING' },
+          figures: { type: 'ARRAY', items: { type: 'STRING' } }
+        },
+        required: ['title', 'markdown', 'figures']
+      }
+    },
+    recommendations: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          title: { type: 'STRING' },
+          detail: { type: 'STRING' },
+          figures: { type: 'ARRAY', items: { type: 'STRING' } }
+        },
+        required: ['title', 'detail', 'figures']
+      }
+    }
+  },
+  required: ['headline', 'sections', 'recommendations']
+};
+
+// Checks the model's answer against BUSINESS_REPORT_SCHEMA and keeps only figures that name a
+// real metric. The cited metrics are copied into the report, so a saved report keeps its numbers.
+const validateBusinessReport = (raw, metrics) => {
+  const isText = (value) => typeof value === 'string' && value.trim() !== '';
+  if (!raw || !isText(raw.headline) || !Array.isArray(raw.sections)) throw new Error('Report is missing its headline or sections');
+  const readFigures = (figures) => (Array.isArray(figures) ? figures.filter(key => metrics[key]) : []);
+  const sections = raw.sections
+    .filter(section => isText(section?.title) && isText(section?.markdown))
+    .map(section => ({ title: section.title.trim(), markdown: section.markdown.trim(), figures: readFigures(section.figures) }));
+  if (sections.length === 0) throw new Error('Report has no readable section');
+  const recommendations = (Array.isArray(raw.recommendations) ? raw.recommendations : [])
+    .filter(item => isText(item?.title) && isText(item?.detail))
+    .map(item => ({ title: item.title.trim(), detail: item.detail.trim(), figures: readFigures(item.figures) }));
+  const cited = new Set([...sections, ...recommendations].flatMap(item => item.figures));
+  return {
+    headline: raw.headline.trim(),
+    sections,
+    recommendations,
+    metrics: Object.fromEntries([...cited].map(key => [key, metrics[key]]))
+  };
+};
+
+// Reports loaded for the history view
+const REPORT_HISTORY_LIMIT = 36;
+
+const mockBusinessReport = (metrics, periodLabel) => {
+  const best = (prefix, field) => Object.keys(metrics)
+    .filter(key => key.startsWith(prefix) && key.endsWith(`.${field}`))
+    .sort((a, b) => metrics[b].value - metrics[a].value)[0];
+  const topTruck = best('truck.', 'netProfit');
+  const topDestination = best('destination.', 'tons');
+  const topCost = Object.keys(metrics).filter(key => key.startsWith('cost.')).sort((a, b) => metrics[b].value - metrics[a].value)[0];
+  const cite = (...keys) => keys.filter(Boolean);
+  return JSON.stringify({
+    headline: `Mock report for ${periodLabel}`,
+    sections: [
+      { title: 'Financial Summary', markdown: 'Net profit and margin for the period, from the **local mock provider**.', figures: cite('total.netProfit', 'total.margin', 'total.revenue') },
+      { title: 'Operational Efficiency', markdown: '- Best truck by net profit\n- Busiest destination by tonnage', figures: cite('total.trips', topTruck, topDestination) },
+      { title: 'Cost Analysis', markdown: 'The largest cost line of the period.', figures: cite('total.costs', topCost) }
+    ],
+    recommendations: [
+      { title: 'Switch to a real provider', detail: 'This report is canned; choose a provider in Settings for an actual analysis.', figures: [] }
+    ]
+  });
+};
+
+const generateBusinessReport = async ({ records, previousRecords, trucks, locations, periodLabel, comparisonLabel }) => {
+  const metrics = buildReportMetrics(records, previousRecords, trucks, locations);
+  const compactMetrics = Object.fromEntries(Object.entries(metrics).map(([key, metric]) => [key, {
+    label: metric.label,
+    unit: metric.unit,
+    value: metric.value === null ? null : Math.round(metric.value * 10) / 10,
+    ...(metric.previous !== null && { previous: Math.round(metric.previous * 10) / 10 }),
+    ...(metric.change !== null && { changePct: Math.round(metric.change * 10) / 10 })
+  }]));
+
+  const prompt = `
+    You are a logistics business analyst for a cement transport company in Guinea. Currency is GNF.
+    Below are the figures for the whole period ${periodLabel}${previousRecords ? `, each with its value ${comparisonLabel} ("previous", "changePct")` : ''}.
+    They are exact; do not compute new totals. Every number you mention must be one of these figures.
+
+    Metrics (JSON, keyed by metric id): ${JSON.stringify(compactMetrics)}
+
+    Write a concise report:
+    - "headline": one sentence on how the period went.
+    - "sections": "Financial Summary", "Operational Efficiency" (trucks and routes) and "Cost Analysis",
+      each with a short Markdown body (paragraphs or "- " bullet lists, **bold** allowed) and in
+      "figures" the ids of the metrics it relies on.
+    - "recommendations": one to three specific actions to improve profitability, each with the
+      ids of the metrics that justify it in "figures".
+    Write the headline, the section titles and all text in ${LANGUAGES[getLanguage()].name}.
+  `;
+
+  const raw = await requestAiJson({
+    feature: 'report',
+    prompt,
+    schema: BUSINESS_REPORT_SCHEMA,
+    mock: () => mockBusinessReport(metrics, periodLabel)
+  });
+  try {
+    return validateBusinessReport(raw, metrics);
+  } catch (error) {
+    throw new AiError('invalidResponse', error.message, { retryable: false });
+  }
+};
+
+// 3. Questions About the Fleet
+// The model only translates a question into a query spec; runFleetQuery does the filtering and
+// arithmetic locally over the records, so the numbers never come from the model.
+const QUERY_METRICS = {
+  count: { label: 'Records', unit: 'count', types: ['trip', 'expense'], read: () => 1 },
+  fuelLiters: { label: 'Fuel', unit: 'L', types: ['trip'], read: r => Number(r.fuelLiters) || 0 },
+  fuelCost: { label: 'Fuel cost', unit: 'GNF', types: ['trip'], read: r => r.fuelCost || 0 },
+  distanceKm: { label: 'Distance', unit: 'km', types: ['trip'], read: r => (getTripKm(r) > 0 ? getTripKm(r) : null) },
+  tons: { label: 'Tons', unit: 'tons', types: ['trip'], read: r => r.weightTons || 0 },
+  bags: { label: 'Bags', unit: 'count', types: ['trip'], read: r => Number(r.bags) || 0 },
+  revenue: { label: 'Revenue', unit: 'GNF', types: ['trip'], read: r => r.revenue || 0 },
+  laborCost: { label: 'Labor', unit: 'GNF', types: ['trip'], read: r => r.laborCost || 0 },
+  driverPay: { label: 'Driver pay', unit: 'GNF', types: ['trip'], read: r => r.driverPay || 0 },
+  costs: { label: 'Costs', unit: 'GNF', types: ['trip', 'expense'], read: r => r.totalExpenses || 0 },
+  netProfit: { label: 'Net profit', unit: 'GNF', types: ['trip', 'expense'], read: r => r.netProfit || 0 }
+};
+
+const QUERY_AGGREGATIONS = {
+  sum: 'Total',
+  avg: 'Average',
+  min: 'Minimum',
+  max: 'Maximum',
+  count: 'Count'
+};
+
+const QUERY_GROUPS = {
+  truck: { label: 'Truck', read: (r, trucks) => trucks.find(t => t.id === r.truckId)?.plate || r.truckNumber || t('common.unknown') },
+  destination: { label: 'Destination', read: r => (r.type === 'expense' ? t('common.expenses') : r.destination || t('common.unknown')) },
+  driver: { label: 'Driver', read: r => r.driverName || t('common.noDriver') },
+  category: { label: 'Category', read: r => (r.type === 'expense' ? (EXPENSE_CATEGORIES[r.category] ? t(`expenseCategory.${r.category}`) : r.category) : t('common.trips')) },
+  month: { label: 'Month', read: r => getMonthKey(r.date) },
+  day: { label: 'Day', read: r => r.date }
+};
+
+const FLEET_QUERY_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    interpretation: { type: 'STRING' },
+    metric: { type: 'STRING', enum: Object.keys(QUERY_METRICS) },
+    aggregation: { type: 'STRING', enum: Object.keys(QUERY_AGGREGATIONS) },
+    groupBy: { type: 'STRING', nullable: true, enum: Object.keys(QUERY_GROUPS) },
+    recordType: { type: 'STRING', nullable: true, enum: ['trip', 'expense'] },
+    trucks: { type: 'ARRAY', items: { type: 'STRING' } },
+    destinations: { type: 'ARRAY', items: { type: 'STRING' } },
+    drivers: { type: 'ARRAY', items: { type: 'STRING' } },
+    categories: { type: 'ARRAY', items: { type: 'STRING', enum: Object.keys(EXPENSE_CATEGORIES) } },
+    dateFrom: { type: 'STRING', nullable: true },
+    dateTo: { type: 'STRING', nullable: true },
+    sort: { type: 'STRING', enum: ['desc', 'asc'] },
+    limit: { type: 'INTEGER', nullable: true }
+  },
+  required: ['interpretation', 'metric', 'aggregation', 'groupBy', 'recordType', 'trucks', 'destinations', 'drivers', 'categories', 'dateFrom', 'dateTo', 'sort', 'limit']
+};
+
+// Checks a query spec against FLEET_QUERY_SCHEMA; unknown filters are dropped, an unknown metric is an error
+const validateFleetQuery = (raw) => {
+  if (!raw || typeof raw !== 'object') throw new Error('Query is not an object');
+  if (!QUERY_METRICS[raw.metric]) throw new Error(`Unknown metric "${raw.metric}"`);
+  const readList = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim()) : []);
+  return {
+    interpretation: typeof raw.interpretation === 'string' ? raw.interpretation.trim() : '',
+    metric: raw.metric,
+    aggregation: raw.metric === 'count' ? 'count' : QUERY_AGGREGATIONS[raw.aggregation] ? raw.aggregation : 'sum',
+    groupBy: QUERY_GROUPS[raw.groupBy] ? raw.groupBy : null,
+    recordType: ['trip', 'expense'].includes(raw.recordType) ? raw.recordType : null,
+    trucks: readList(raw.trucks),
+    destinations: readList(raw.destinations),
+    drivers: readList(raw.drivers),
+    categories: readList(raw.categories).filter(category => EXPENSE_CATEGORIES[category]),
+    dateFrom: isIsoDate(raw.dateFrom) ? raw.dateFrom : null,
+    dateTo: isIsoDate(raw.dateTo) ? raw.dateTo : null,
+    sort: raw.sort === 'asc' ? 'asc' : 'desc',
+    limit: Number.isInteger(raw.limit) && raw.limit > 0 ? raw.limit : null
+  };
+};
+
+const aggregateValues = (values, aggregation) => {
+  if (aggregation === 'count') return values.length;
+  const present = values.filter(value => value !== null);
+  if (aggregation === 'sum') return present.reduce((sum, value) => sum + value, 0);
+  if (present.length === 0) return null;
+  if (aggregation === 'avg') return present.reduce((sum, value) => sum + value, 0) / present.length;
+  if (aggregation === 'min') return Math.min(...present);
+  return Math.max(...present);
+};
+
+// A trip counted per drop: each part carries its drop's destination, tonnage, revenue and costs,
+// and its weight share of the fuel, distance and driver pay
+const splitTripByDrop = (trip) => getPricedTripDrops(trip).map(drop => ({
+  ...trip,
+  ...drop,
+  fuelLiters: (Number(trip.fuelLiters) || 0) * drop.share,
+  driverPay: (trip.driverPay || 0) * drop.share,
+  distanceKm: (trip.distanceKm || 0) * drop.share,
+  expectedKm: (trip.expectedKm || 0) * drop.share
+}));
+
+// Runs a validated query spec over the records: { rows: [{ label, value, count }], total, records }.
+// Filtering or grouping by destination counts multi-drop trips per drop, so each destination is
+// credited with what was delivered there rather than with the whole trip.
+const runFleetQuery = (records, trucks, query) => {
+  const metric = QUERY_METRICS[query.metric];
+  const truckKeys = query.trucks.map(plate => findTruckByPlate(trucks, plate)?.id || normalizePlate(plate));
+  const destinations = query.destinations.map(normalizeText);
+  const drivers = query.drivers.map(normalizeText);
+
+  const matched = records.filter(r =>
+    metric.types.includes(r.type)
+    && (!query.recordType || r.type === query.recordType)
+    && isInPeriod(r.date, { from: query.dateFrom, to: query.dateTo })
+    && (truckKeys.length === 0 || truckKeys.includes(getTruckKey(r)) || truckKeys.includes(normalizePlate(r.truckNumber)))
+    && (destinations.length === 0 || getTripDrops(r).some(drop => destinations.includes(normalizeText(drop.destination))))
+    && (drivers.length === 0 || drivers.some(name => normalizeText(r.driverName).includes(name)))
+    && (query.categories.length === 0 || (r.type === 'expense' && query.categories.includes(r.category)))
+  ).sort((a, b) => b.date.localeCompare(a.date));
+
+  const byDrop = destinations.length > 0 || query.groupBy === 'destination';
+  const counted = byDrop
+    ? matched.flatMap(r => (r.type === 'trip' ? splitTripByDrop(r) : [r]))
+      .filter(r => destinations.length === 0 || (r.type === 'trip' && destinations.includes(normalizeText(r.destination))))
+    : matched;
+
+  const groups = {};
+  if (query.groupBy) {
+    counted.forEach(r => {
+      const label = QUERY_GROUPS[query.groupBy].read(r, trucks);
+      if (!groups[label]) groups[label] = [];
+      groups[label].push(r);
+    });
+  }
+  const direction = query.sort === 'asc' ? 1 : -1;
+  const rows = Object.entries(groups)
+    .map(([label, group]) => ({ label, value: aggregateValues(group.map(metric.read), query.aggregation), count: group.length }))
+    .sort((a, b) => direction * ((a.value ?? -Infinity) - (b.value ?? -Infinity)));
+
+  return {
+    rows: query.limit ? rows.slice(0, query.limit) : rows,
+    total: aggregateValues(counted.map(metric.read), query.aggregation),
+    records: matched
+  };
+};
+
+const QUESTION_MONTHS = [
+  ['janvier', 'january'], ['fevrier', 'february'], ['mars', 'march'], ['avril', 'april'],
+  ['mai', 'may'], ['juin', 'june'], ['juillet', 'july'], ['aout', 'august'],
+  ['septembre', 'september'], ['octobre', 'october'], ['novembre', 'november'], ['decembre', 'december']
+];
+
+// Keyword rules standing in for the model under the mock provider, for French and English
+const QUESTION_KEYWORDS = {
+  metrics: [
+    ['fuelCost', /(cout|cost|prix|price).*(carburant|fuel|gasoil)|(carburant|fuel|gasoil).*(cout|cost)/],
+    ['fuelLiters', /litre|liter|carburant|fuel|gasoil|consomm/],
+    ['netProfit', /benefice|profit/],
+    ['revenue', /revenu|chiffre|revenue|recette/],
+    ['tons', /tonne|\btons?\b/],
+    ['bags', /\bsacs?\b|\bbags?\b/],
+    ['distanceKm', /\bkm\b|kilometre|kilometer|distance/],
+    ['costs', /depense|expense|cout|cost/],
+    ['count', /voyage|trip|combien de fois|how many/]
+  ],
+  groups: [
+    ['truck', /par camion|by truck|per truck|chaque camion|each truck/],
+    ['destination', /par destination|by destination|per destination/],
+    ['driver', /par chauffeur|by driver|per driver/],
+    ['month', /par mois|by month|per month|mensuel|monthly/],
+    ['category', /par categorie|by category|per category/]
+  ],
+  aggregations: [
+    ['avg', /moyenne|average|en moyenne|\bavg\b/],
+    ['max', /maximum|le plus|the most|highest/],
+    ['min', /minimum|le moins|the least|lowest/]
+  ]
+};
+
+const mockFleetQuery = (question, { trucks, destinations, drivers }, today) => {
+  const text = normalizeText(question);
+  const pick = (rules, fallback) => rules.find(([, pattern]) => pattern.test(text))?.[0] ?? fallback;
+  const metric = pick(QUESTION_KEYWORDS.metrics, 'count');
+  const monthIndex = QUESTION_MONTHS.findIndex(names => names.some(name => new RegExp(`\\b${name}\\b`).test(text)));
+  let dateFrom = null;
+  let dateTo = null;
+  if (monthIndex >= 0) {
+    // A month without a year is the latest one that has started
+    const year = Number(today.slice(0, 4)) - (monthIndex > Number(today.slice(5, 7)) - 1 ? 1 : 0);
+    dateFrom = `${year}-${String(monthIndex + 1).padStart(2, '0')}-01`;
+    dateTo = addDays(startOfMonth(dateFrom, 1), -1);
+  }
+  const plates = (question.toUpperCase().match(/[A-Z0-9][A-Z0-9-]{3,}/g) || []).filter(token => findTruckByPlate(trucks, token));
+  return JSON.stringify({
+    interpretation: `(mock) ${question}`,
+    metric,
+    aggregation: metric === 'count' ? 'count' : pick(QUESTION_KEYWORDS.aggregations, 'sum'),
+    groupBy: pick(QUESTION_KEYWORDS.groups, null),
+    recordType: metric === 'count' && /voyage|trip/.test(text) ? 'trip' : null,
+    trucks: plates,
+    destinations: destinations.filter(name => text.includes(normalizeText(name))),
+    drivers: drivers.filter(name => text.includes(normalizeText(name))),
+    categories: [],
+    dateFrom,
+    dateTo,
+    sort: 'desc',
+    limit: null
+  });
+};
+
+const askFleetQuestion = async (question, records, trucks) => {
+  const today = todayISO();
+  const vocabulary = {
+    trucks: [...new Set([...trucks.map(t => t.plate), ...records.map(r => r.truckNumber).filter(Boolean)])],
+    destinations: [...new Set(records.filter(r => r.type === 'trip').flatMap(r => getTripDrops(r).map(drop => drop.destination)).filter(Boolean))],
+    drivers: [...new Set(records.map(r => r.driverName).filter(Boolean))]
+  };
+
+  const prompt = `
+    You translate questions from the owner of a cement transport company in Guinea into a query
+    over their trip and expense records. Do not answer the question and do not compute anything;
+    only describe the query. Today is ${today}.
+
+    Records are trips (fuelLiters, fuelCost, distanceKm, tons, bags, revenue, laborCost, driverPay,
+    costs, netProfit) or expenses (costs, netProfit, with a category). Metric "count" counts records.
+    Known trucks: ${JSON.stringify(vocabulary.trucks)}
+    Known destinations: ${JSON.stringify(vocabulary.destinations)}
+    Known drivers: ${JSON.stringify(vocabulary.drivers)}
+
+    - Filters use the known names exactly as listed; leave a list empty when the question does not restrict it.
+    - A month without a year is the most recent one that has started. Dates are YYYY-MM-DD, inclusive.
+    - "groupBy" only when the question asks for a breakdown or a ranking; "limit" for "top N".
+    - "interpretation" restates the query in one sentence, in ${LANGUAGES[getLanguage()].name}.
+
+    Question: ${question}
+  `;
+
+  const raw = await requestAiJson({
+    feature: 'question',
+    prompt,
+    schema: FLEET_QUERY_SCHEMA,
+    mock: () => mockFleetQuery(question, { trucks, ...vocabulary }, today)
+  });
+  let query;
+  try {
+    query = validateFleetQuery(raw);
+  } catch (error) {
+    throw new AiError('invalidResponse', error.message, { retryable: false });
+  }
+  return { question, query, result: runFleetQuery(records, trucks, query) };
+};
+
+// 2. Image Understanding for Receipt Scanning
+const MOCK_RECEIPT_SCAN = {
+  amount: 450000,
+  description: 'Vidange moteur',
+  category: 'Maintenance',
+  truckPlate: null,
+  lineItems: [
+    { description: 'Huile moteur 15W40', quantity: 2, amount: 300000 },
+    { description: 'Filtre à huile', quantity: 1, amount: 150000 }
+  ],
+  confidence: { date: 0.9, amount: 0.95, description: 0.8, category: 0.75, truckPlate: 0 }
+};
+
+// Takes a file from prepareReceiptFile and returns a validated scan (see validateReceiptScan)
+const scanReceipt = async (file) => {
+  if (!RECEIPT_FILE_TYPES.includes(file.type)) throw new Error("Unsupported receipt file type.");
+  if (file.size > UPLOAD_MAX_BYTES) throw new Error("Receipt file is too large to scan.");
+
+  const prompt = `
+    Look at this receipt from a cement transport company in Guinea. Amounts are in GNF.
+    Extract the following details. Use null for anything you cannot read; do not guess.
+
+    - "date": the date of the receipt, formatted YYYY-MM-DD.
+    - "amount": the total paid, as a number without currency or separators.
+    - "description": a short summary in ${LANGUAGES[getLanguage()].name} of what was bought (e.g. "Tire repair", "Oil change").
+    - "category": the best match among ${Object.entries(EXPENSE_CATEGORIES).map(([key, label]) => `"${key}" (${label})`).join(', ')}.
+    - "truckPlate": a vehicle registration plate written on the receipt, if any.
+    - "lineItems": each purchased item with its description as printed, quantity (if shown) and amount.
+    - "confidence": for each of date, amount, description, category and truckPlate, how sure you
+      are of the value, from 0 (guess) to 1 (clearly printed).
+  `;
+
+  const raw = await requestAiJson({
+    feature: 'receiptScan',
+    prompt,
+    file,
+    schema: RECEIPT_SCAN_SCHEMA,
+    timeoutMs: 60000,
+    mock: () => JSON.stringify({ ...MOCK_RECEIPT_SCAN, date: todayISO() })
+  });
+  try {
+    return validateReceiptScan(raw);
+  } catch (error) {
+    throw new AiError('invalidResponse', error.message, { retryable: false });
+  }
+};
+
+// --- Translations ---
+// English label maps above stay the source for their own text; French gets its own copy.
+const labelKeys = (prefix, labels, read = (label) => label) =>
+  Object.fromEntries(Object.entries(labels).map(([value, label]) => [`${prefix}.${value}`, read(label)]));
+
+export const TRANSLATIONS = {
+  en: {
+    ...labelKeys('expenseCategory', EXPENSE_CATEGORIES),
+    ...labelKeys('periodPreset', PERIOD_PRESETS),
+    ...labelKeys('periodComparison', PERIOD_COMPARISON_LABELS),
+    ...labelKeys('role', ROLES),
+    ...labelKeys('driverPayRule', DRIVER_PAY_RULE_TYPES),
+    ...labelKeys('paymentMethod', PAYMENT_METHODS),
+    ...labelKeys('invoiceStatus', INVOICE_STATUS_LABELS),
+    ...labelKeys('customerKind', CUSTOMER_KINDS),
+    ...labelKeys('importField', Object.fromEntries([...IMPORT_FIELDS.trip, ...IMPORT_FIELDS.expense].map(field => [field.key, field.label]))),
+    ...labelKeys('serviceStatus', SERVICE_STATUS_LABELS),
+    ...labelKeys('serviceTask', SERVICE_TASKS, task => task.label),
+    ...labelKeys('documentStatus', DOCUMENT_STATUS_LABELS),
+    ...labelKeys('documentType.truck', DOCUMENT_TYPES.truck),
+    ...labelKeys('documentType.driver', DOCUMENT_TYPES.driver),
+    ...labelKeys('scanField', RECEIPT_SCAN_FIELDS),
+    ...labelKeys('aiError', AI_ERROR_MESSAGES),
+    ...labelKeys('reportCost', REPORT_COST_LABELS),
+    ...labelKeys('queryMetric', QUERY_METRICS, metric => metric.label),
+    ...labelKeys('queryAggregation', QUERY_AGGREGATIONS),
+    ...labelKeys('queryGroup', QUERY_GROUPS, group => group.label),
+    ...labelKeys('productUnit', PRODUCT_UNITS, unit => unit.label),
+    ...labelKeys('productUnitShort', PRODUCT_UNITS, unit => unit.short),
+    ...labelKeys('loadingPoint', LOADING_POINTS),
+    'product.defaultName': DEFAULT_PRODUCT.name,
+
+    'common.all': 'All',
+    'common.amount': 'Amount',
+    'common.cancel': 'Cancel',
+    'common.category': 'Category',
+    'common.customer': 'Customer',
+    'common.date': 'Date',
+    'common.delete': 'Delete',
+    'common.destination': 'Destination',
+    'common.driver': 'Driver',
+    'common.edit': 'Edit',
+    'common.expenseCategory': 'Expense Category',
+    'common.expenses': 'Expenses',
+    'common.gnfPerTon': 'GNF/Ton',
+    'common.load': 'Load',
+    'common.name': 'Name',
+    'common.netProfit': 'Net Profit',
+    'common.noDriver': 'No driver',
+    'common.none': 'None',
+    'common.optional': 'Optional',
+    'common.remove': 'Remove',
+    'common.revenue': 'Revenue',
+    'common.save': 'Save',
+    'common.saved': 'Saved',
+    'common.select': 'Select...',
+    'common.tons': 'Tons',
+    'common.totalExpenses': 'Total Expenses',
+    'common.trips': 'Trips',
+    'common.truck': 'Truck',
+    'common.unknown': 'Unknown',
+
+    'app.loading': 'Loading...',
+    'nav.language': 'Language',
+    'nav.customers': 'Customers & Invoices',
+    'nav.receipts': 'Receipts',
+    'nav.drivers': 'Drivers',
+    'nav.fleet': 'Fleet',
+    'nav.settings': 'Settings',
+    'nav.settingsPlaceRequests': 'Settings — {count} places awaiting approval',
+    'nav.members': 'Members',
+    'nav.signOut': 'Sign Out ({contact})',
+    'nav.listView': 'List View',
+    'nav.analyticsView': 'Analytics View',
+    'nav.truckPnl': 'Truck P&L',
+    'nav.moreFilters': 'More Filters',
+    'nav.importCsv': 'Import CSV',
+
+    'workspaceSetup.verifyEmail': 'Verify {email} to accept an invitation: open the link we emailed you, then check again.',
+    'workspaceSetup.verificationResent': 'A new verification link was sent to {email}.',
+    'workspaceSetup.resendVerification': 'Resend Link',
+    'workspaceSetup.checkVerification': 'I Verified It',
+
+    'alert.receiptUploadFailed': 'The receipt could not be uploaded. Check your connection.',
+    'alert.scanUploadFailed': 'The scan could not be uploaded. Check your connection.',
+    'alert.fileTooLarge': 'This file is too large. Files can be at most {max} MB.',
+    'alert.invoiceFailed': 'The invoice could not be created.',
+    'alert.invoiceTripsChanged': 'Some of these trips were invoiced or deleted meanwhile. Check the list and try again.',
+    'alert.invoiceTooManyTrips': 'An invoice can hold at most {max} trips.',
+    'alert.paymentOverBalance': 'The payment must be more than zero and at most the balance due ({balance}).',
+    'alert.paymentFailed': 'The payment could not be recorded.',
+    'alert.needsConnection': 'Invoices and payments are checked against the server. Try again once you are back online.',
+    'alert.importFailed': 'The import failed. Some rows may already have been saved.',
+    'alert.inviteFailed': 'The invitation could not be sent.',
+    'alert.verificationFailed': 'The verification email could not be sent.',
+    'alert.emailNotVerified': 'This address is not verified yet. Open the link in the email, then try again.',
+    'alert.memberUpdateFailed': 'The member could not be updated.',
+    'alert.workspaceCreateFailed': 'The workspace could not be created.',
+    'alert.joinFailed': 'The invitation could not be accepted.',
+    'alert.truckExists': 'This truck is already registered ({plate}).',
+    'alert.importNoRows': 'The file has no data rows.',
+    'alert.importUnreadable': 'This file could not be read.',
+    'confirm.delete': 'Are you sure you want to delete this item?',
+    'confirm.deleteRate': 'Delete this rate from the history?',
+    'confirm.mergePlate': 'Merge {count} record(s) "{plate}" into {target}?',
+    'confirm.removeMember': 'Remove {contact} from the workspace?',
+    'confirm.signOutUnsynced': 'Some changes are not synced yet. Sign out anyway?',
+    'confirm.removeServiceItem': 'Remove this item from the service plan?',
+
+    'stats.totalTons': 'Total Tons',
+    'stats.receivables': 'Receivables',
+    'stats.openInvoices': '{count} open invoices',
+    'stats.days0to30': '0–30 Days',
+    'stats.days31to60': '31–60 Days',
+    'stats.daysOver60': '60+ Days',
+    'alerts.documentExpiries': 'Document Expiries',
+    'alerts.maintenanceDue': 'Maintenance Due',
+
+    'list.title': 'Operations',
+    'list.truckFilter': 'Filter by Truck ID...',
+    'list.filters': 'Filters',
+    'list.addExpense': 'Add Expense',
+    'list.addTrip': 'Add Trip',
+    'list.details': 'Details',
+    'list.cargo': 'Cargo',
+    'list.action': 'Action',
+    'list.waitingSync': 'Waiting to sync',
+    'list.syncFailed': 'Sync failed',
+    'list.viewReceipt': 'View Receipt',
+    'list.noReceipt': 'No receipt',
+    'list.tariffOverride': 'Tariff override',
+    'list.loadedAt': 'Loaded at {origin}',
+    'list.fuel': '{liters}L Fuel',
+    'list.edit': 'Edit Record',
+    'list.edits': '{count} edit(s)',
+    'list.delete': 'Delete Record',
+    'list.emptyEditable': 'No data found. Start by adding a trip!',
+    'list.empty': 'No data found.',
+    'list.showing': 'Showing {shown} of the first {loaded} records',
+    'list.loadMore': 'Load More',
+    'list.loadFailed': 'The records could not be loaded.',
+
+    'filters.search': 'Search',
+    'filters.searchPlaceholder': 'Description, customer, driver...',
+    'filters.type': 'Type',
+    'filters.lossOnly': 'Loss-making only',
+    'filters.minAmount': 'Min Amount (GNF)',
+    'filters.maxAmount': 'Max Amount (GNF)',
+    'filters.clear': 'Clear Filters',
+
+    'period.fromTitle': 'From',
+    'period.toTitle': 'To',
+    'period.from': 'from {date}',
+    'period.until': 'until {date}',
+    'period.allRecords': 'all records',
+
+    'history.title': 'Change History',
+    'history.field': 'Field',
+    'history.original': 'Original',
+    'history.corrected': 'Corrected',
+
+    'sync.status': 'Sync Status',
+    'sync.online': 'Online',
+    'sync.offline': 'Offline',
+    'sync.syncing': 'Syncing {count} change(s)...',
+    'sync.allSaved': 'All changes are saved.',
+    'sync.offlinePending': 'Offline — {count} change(s) will sync when the connection returns.',
+    'sync.kind.add': 'add',
+    'sync.kind.update': 'update',
+    'sync.kind.delete': 'delete',
+    'sync.retry': 'Retry',
+    'sync.dismiss': 'Dismiss',
+    'sync.label.receiptPolicy': 'Receipt policy',
+    'sync.label.rates': 'Rates from {date}',
+    'sync.label.tariff': 'Tariff {name}',
+    'sync.label.driverPayment': 'Driver payment {date}',
+    'sync.label.report': 'AI report {period}',
+
+    'truckPicker.select': 'Select a truck...',
+    'truckPicker.retired': ' (retired)',
+    'truckPicker.none': 'No trucks registered yet. Add them from the Fleet screen.',
+
+    'aiSettings.title': 'AI Provider (this device)',
+    'aiSettings.provider': 'Provider',
+    'aiSettings.default': 'Default',
+    'aiSettings.model': 'Model',
+    'aiSettings.apiKey': 'API Key',
+    'aiSettings.apiKeyPlaceholder': 'Leave empty to use the environment key',
+    'aiSettings.inUse': 'In use: {provider} / {model}',
+    'aiSettings.usage': 'This session: {requests} request(s), {tokens} tokens',
+
+    'settings.title': 'App Settings',
+    'settings.currentRates': 'Current Rates',
+    'settings.since': 'since {date}',
+    'settings.defaults': 'defaults',
+    'settings.fuel': 'Fuel',
+    'settings.revenue': 'Revenue',
+    'settings.labor': 'Labor',
+    'settings.newRate': 'New Rate Entry',
+    'settings.effectiveFrom': 'Effective From',
+    'settings.fuelPrice': 'Fuel Price (GNF/Liter)',
+    'settings.revenuePerTon': 'Revenue per Ton (GNF)',
+    'settings.laborPerTon': 'Labor Cost per Ton (GNF)',
+    'settings.saveChanges': 'Save Changes',
+    'settings.rateHistory': 'Rate History',
+    'settings.from': 'From',
+    'settings.fuelPerLiter': 'Fuel/L',
+    'settings.revenuePerTonShort': 'Rev/T',
+    'settings.laborPerTonShort': 'Labor/T',
+    'settings.deleteRate': 'Delete Rate Entry',
+    'settings.noRates': 'No saved rates yet — the built-in defaults apply.',
+    'settings.tariffs': 'Destination Tariffs',
+    'settings.products': 'Products',
+    'settings.places': 'Places',
+    'settings.receiptPolicy': 'Receipt Policy',
+    'settings.receiptThreshold': 'Require a receipt above (GNF, 0 = never)',
+
+    'tariff.destination': 'Destination: {name}',
+    'tariff.zone': 'Zone: {name}',
+    'tariff.flatRate': 'Flat rate',
+    'tariffEditor.help': "Destinations without a tariff use their zone's tariff, then the flat rate ({rate}/T).",
+    'tariffEditor.scope.zone': 'Zone',
+    'tariffEditor.scope.destination': 'Destination',
+    'tariffEditor.set': 'Set Tariff',
+    'tariffEditor.delete': 'Delete Tariff',
+    'tariffEditor.none': 'No tariffs yet — every destination uses the flat rate.',
+    'productEditor.help': 'Leave the rates empty to price a product per ton, with the destination tariffs and the labor rate above.',
+    'productEditor.name': 'Product name',
+    'productEditor.unitWeight': 'Weight per unit (kg)',
+    'productEditor.revenuePerUnit': 'Revenue per unit (GNF)',
+    'productEditor.laborPerUnit': 'Labor per unit (GNF)',
+    'productEditor.add': 'Add Product',
+    'productEditor.byTariff': 'Tariff per ton',
+    'productEditor.byLaborRate': 'per-ton rate',
+    'productEditor.laborShort': 'Labor',
+    'productEditor.edit': 'Edit Product',
+    'productEditor.delete': 'Delete Product',
+    'productEditor.none': 'No products yet — every trip carries 50 kg cement bags.',
+    'locationEditor.help': 'Places trips can be delivered to. Distances are road km from the loading point and set the expected fuel of new trips.',
+    'locationEditor.requests': 'Places awaiting approval ({count})',
+    'locationEditor.requestedBy': 'asked by {contact}',
+    'locationEditor.approve': 'Approve Place',
+    'locationEditor.reject': 'Reject Place',
+    'locationEditor.name': 'Place name',
+    'locationEditor.aliases': 'Other spellings, comma-separated',
+    'locationEditor.commune': 'Commune',
+    'locationEditor.prefecture': 'Prefecture',
+    'locationEditor.distance': 'Distance (km)',
+    'locationEditor.add': 'Add Place',
+    'locationEditor.search': 'Search places...',
+    'locationEditor.edit': 'Edit Place',
+    'locationEditor.delete': 'Delete Place',
+    'locationEditor.restore': 'Restore the built-in details',
+    'locationEditor.edited': 'Edited',
+    'locationEditor.custom': 'Added',
+    'locationEditor.incomplete': 'A place needs a name, a commune and a distance.',
+    'locationEditor.duplicate': 'This is already {name}; edit that place instead.',
+    'location.summary': '{commune}, {prefecture} — {km} km',
+    'payRule.perZone': 'By zone (base {amount})',
+    'payRule.fixed': '{amount}/trip',
+
+    'odometer.endBeforeStart': 'The end reading must be higher than the start reading.',
+    'odometer.belowEarlier': 'Reading is below the {km} km recorded on {date}.',
+    'odometer.aboveLater': 'Reading is above the {km} km recorded on {date}.',
+    'fuelAnomaly.truck': "{value} L/100 km, {deviation}% vs {name}'s usual {baseline}",
+    'fuelAnomaly.route': "{value} L/100 km, {deviation}% vs the {name} route's usual {baseline}",
+    'service.kmOver': '{km} km over',
+    'service.kmLeft': '{km} km left',
+    'service.daysLate': '{days} days late',
+    'service.daysLeft': '{days} days left',
+    'service.noInterval': 'No interval set',
+    'document.noExpiry': 'No expiry',
+    'document.expiredDaysAgo': 'expired {days} days ago',
+    'document.expiresToday': 'expires today',
+    'document.daysLeft': '{days} days left',
+
+    'tripForm.documentExpired': '{owner}: {document} expired on {date}',
+    'tripForm.editTitle': 'Edit Trip Entry',
+    'tripForm.newTitle': 'New Trip Entry',
+    'tripForm.logistics': 'Logistics Details',
+    'tripForm.noCustomer': 'No customer',
+    'tripForm.alreadyBilled': 'Already billed on invoice {number}.',
+    'tripForm.destinationPlaceholder': 'e.g. Coyah, Dubréka, Kaloum...',
+    'tripForm.unknownPlace': 'Not in the places list.',
+    'tripForm.proposePlace': 'Propose this place',
+    'tripForm.proposePlaceTitle': 'New place: {name}',
+    'tripForm.proposePlaceSend': 'Send',
+    'tripForm.placePending': 'This place is awaiting approval.',
+    'tripForm.expectedFuel': 'Expected for this route: {liters} L ({km} km round trip)',
+    'tripForm.load': 'Load',
+    'tripForm.addProduct': 'Add a product',
+    'tripForm.removeProduct': 'Remove Product',
+    'tripForm.origin': 'Loading Point',
+    'tripForm.dropTitle': 'Drop {number}',
+    'tripForm.addDrop': 'Add Drop-off',
+    'tripForm.removeDrop': 'Remove Drop-off',
+    'tripForm.moveDropUp': 'Deliver Earlier',
+    'tripForm.dropProfitHelp': 'By drop, with fuel, driver pay and other costs shared by weight:',
+    'tripForm.tons': '{tons} Tons',
+    'tripForm.overCapacity': "Exceeds {plate}'s capacity of {tons} T.",
+    'tripForm.financials': 'Financials (GNF)',
+    'tripForm.fuelRate': 'Rate: {rate}k/L',
+    'tripForm.fuelUsed': 'Fuel Used (Liters)',
+    'tripForm.otherCosts': 'Other Costs',
+    'tripForm.odometerStart': 'Odometer Start (km)',
+    'tripForm.odometerEnd': 'Odometer End (km)',
+    'tripForm.otherDesc': 'Description (Optional)',
+    'tripForm.otherDescPlaceholder': 'e.g. Police, Tolls',
+    'tripForm.tariff': 'Tariff',
+    'tripForm.overrideTariff': 'Override tariff manually',
+    'tripForm.overrideReason': 'Reason (e.g. negotiated price)',
+    'tripForm.revenue': 'Calculated Revenue',
+    'tripForm.labor': 'Labor Cost (Auto)',
+    'tripForm.fuel': 'Fuel ({liters}L)',
+    'tripForm.driverPay': 'Driver Pay ({name})',
+    'tripForm.update': 'Update Trip Record',
+    'tripForm.save': 'Save Trip Record',
+
+    'scanReview.title': 'Review Scanned Values',
+    'scanReview.unreliable': 'Could not be read reliably: {fields}',
+    'scanReview.field': 'Field',
+    'scanReview.scanned': 'Scanned',
+    'scanReview.current': 'Current',
+    'scanReview.confidence': 'Confidence',
+    'scanReview.notRegistered': '(not registered)',
+    'scanReview.keepLineItems': 'Keep {count} line item(s)',
+    'scanReview.discard': 'Discard',
+    'scanReview.apply': 'Apply Selected',
+
+    'expenseForm.enterManually': 'Please enter details manually.',
+    'expenseForm.unsupportedFile': 'Unsupported format. Use a JPEG, PNG or HEIC photo, or a PDF.',
+    'expenseForm.editTitle': 'Edit Expense',
+    'expenseForm.newTitle': 'Log General Expense',
+    'expenseForm.scanning': 'Analyzing Receipt with AI...',
+    'expenseForm.scan': 'Tap to Scan Receipt with AI',
+    'expenseForm.replacesReceipt': 'Replaces the saved receipt',
+    'expenseForm.receiptAttached': 'Receipt attached',
+    'expenseForm.receiptOnFile': 'Receipt on file',
+    'expenseForm.amount': 'Amount (GNF)',
+    'expenseForm.completesService': 'Completes Service Item',
+    'expenseForm.serviceOdometer': 'Odometer at Service (km)',
+    'expenseForm.description': 'Description (Detail)',
+    'expenseForm.descriptionPlaceholder': 'e.g. Changed rear axle, 2 new tires',
+    'expenseForm.removeLineItems': 'Remove Line Items',
+    'expenseForm.receiptRequired': 'A receipt is required for expenses over {amount}.',
+    'expenseForm.update': 'Update Expense',
+    'expenseForm.save': 'Log Expense',
+
+    'metric.trips': 'Trips',
+    'metric.tons': 'Tons delivered',
+    'metric.revenue': 'Revenue',
+    'metric.costs': 'Total costs',
+    'metric.netProfit': 'Net profit',
+    'metric.margin': 'Profit margin',
+    'metric.nameTrips': '{name} trips',
+    'metric.nameRevenue': '{name} revenue',
+    'metric.nameNetProfit': '{name} net profit',
+    'metric.nameProfitPerTon': '{name} profit per ton',
+    'metric.nameProfitPerKm': '{name} profit per km',
+    'metric.nameTons': '{name} tons',
+    'report.recommendations': 'Recommendations',
+    'report.period': 'Period',
+    'report.generated': 'Generated',
+
+    'fleetQuestion.title': 'Ask About Your Fleet',
+    'fleetQuestion.placeholder': 'e.g. How many liters did RC-1234-A use in March?',
+    'fleetQuestion.ask': 'Ask',
+    'fleetQuestion.summary': '{aggregation} of {metric}',
+    'fleetQuestion.recordCount': '{count} record(s)',
+    'fleetQuestion.showRecords': 'Show the {count} record(s) behind this answer',
+    'fleetQuestion.hideRecords': 'Hide the {count} record(s) behind this answer',
+    'fleetQuestion.tripsOnly': 'trips only',
+    'fleetQuestion.expensesOnly': 'expenses only',
+    'fleetQuestion.trucks': 'trucks: {names}',
+    'fleetQuestion.destinations': 'destinations: {names}',
+    'fleetQuestion.drivers': 'drivers: {names}',
+    'fleetQuestion.categories': 'categories: {names}',
+
+    'analytics.aiTitle': 'AI Business Insights',
+    'analytics.history': 'History ({count})',
+    'analytics.generate': 'Generate AI Report',
+    'analytics.generating': 'Consulting the AI service to analyze your logistics data...',
+    'analytics.savedReport': 'Saved report for {period}, generated {date}',
+    'analytics.aiIntro': 'Click the button above to have AI analyze your profit margins, efficient routes, and suggest cost-saving measures based on your recent data.',
+    'analytics.performance': 'Financial Performance History',
+    'analytics.tooltipExpenses': 'Exp',
+    'analytics.tooltipRevenue': 'Rev',
+    'analytics.tooltipProfit': 'Prof',
+    'analytics.noData': 'No financial data available yet.',
+    'analytics.topDestinations': 'Top Destinations (by Volume)',
+    'analytics.tripCount': '{count} trips',
+    'analytics.noDestinations': 'No destination data.',
+    'analytics.costDistribution': 'Cost Distribution',
+    'analytics.cost.fuel': 'Fuel',
+    'analytics.cost.labor': 'Labor',
+    'analytics.cost.drivers': 'Drivers',
+    'analytics.cost.maintenance': 'Maintenance',
+    'analytics.cost.other': 'Other',
+    'analytics.shareOfTotal': '{share}% of total',
+    'analytics.byProduct': 'Volume & Revenue by Product',
+    'analytics.noProducts': 'No product data.',
+    'analytics.revenueByZone': 'Revenue per Ton by Zone',
+    'analytics.otherZone': 'Other',
+    'analytics.noZones': 'No zone data.',
+    'analytics.fuelEfficiency': 'Fuel Efficiency & Anomalies',
+    'analytics.byTruck': 'By Truck',
+    'analytics.byRoute': 'By Route',
+    'analytics.name': 'Name',
+    'analytics.km': 'Km',
+    'analytics.flaggedTrips': 'Flagged Trips',
+    'analytics.noAnomalies': 'No unusual consumption in this period.',
+    'analytics.noFuelData': 'Record odometer readings on trips to track fuel efficiency.',
+
+    'auth.keepRecords': 'Create an account to keep the records saved on this device. They move into your company workspace when you create it.',
+    'auth.email': 'Email',
+    'auth.phone': 'Phone',
+    'auth.password': 'Password',
+    'auth.createAccount': 'Create Account',
+    'auth.signIn': 'Sign In',
+    'auth.haveAccount': 'Already have an account? Sign in',
+    'auth.newHere': 'New here? Create an account',
+    'auth.codeSent': 'Enter the code sent to {phone}.',
+    'auth.confirm': 'Confirm',
+    'auth.otherNumber': 'Use another number',
+    'auth.sendCode': 'Send Code',
+
+    'workspaceSetup.moving': 'Moving existing records...',
+    'workspaceSetup.title': 'Company Workspace',
+    'auth.signOut': 'Sign Out',
+    'workspaceSetup.signedInAs': 'Signed in as {contact}',
+    'workspaceSetup.invited': 'You have been invited to {workspace} as {role}.',
+    'workspaceSetup.join': 'Join {workspace}',
+    'workspaceSetup.create': 'Create a Workspace',
+    'workspaceSetup.companyName': 'Company name',
+    'workspaceSetup.createButton': 'Create Workspace',
+    'workspaceSetup.createHelp': 'You become its owner; records saved on this device before sign-in are moved into it.',
+
+    'members.invite': 'Invite Member',
+    'members.contact': 'Email or Phone',
+    'members.contactPlaceholder': 'name@company.com or +224...',
+    'members.role': 'Role',
+    'members.driverProfile': 'Driver Profile',
+    'members.sendInvitation': 'Send Invitation',
+    'members.you': '{role} (you)',
+    'members.noProfile': 'No profile',
+    'members.remove': 'Remove Member',
+    'members.pending': 'Pending Invitations',
+    'members.cancelInvite': 'Cancel Invitation',
+
+    'receipts.openOriginal': 'Open Original',
+    'receipts.allTrucks': 'All trucks',
+    'receipts.allCategories': 'All categories',
+    'receipts.count': '{count} receipt(s)',
+    'receipts.missing': '{count} expense(s) over {threshold} without a receipt',
+    'receipts.noMatch': 'No receipts match these filters.',
+
+    'documents.number': 'No. {number}',
+    'documents.fromDriverProfile': 'from driver profile',
+    'documents.viewScan': 'View Scan',
+    'documents.none': 'No documents on file yet.',
+    'documents.document': 'Document',
+    'documents.numberLabel': 'Number',
+    'documents.issued': 'Issued',
+    'documents.expires': 'Expires',
+    'documents.scan': 'Scanned Copy',
+    'documents.update': 'Update Document',
+    'documents.file': 'File Document',
+    'service.currentOdometer': 'Current odometer: {km} km',
+    'service.noOdometer': 'Current odometer: no reading on any trip yet',
+    'service.every': 'every {interval}',
+    'service.days': '{days} days',
+    'service.lastDoneAt': 'last {date} at {km} km',
+    'service.lastDone': 'last {date}',
+    'service.noPlan': 'No service plan for this truck yet.',
+    'service.task': 'Task',
+    'service.everyKm': 'Every (km)',
+    'service.everyDays': 'Every (days)',
+    'service.lastDoneLabel': 'Last Done',
+    'service.atKm': 'At (km)',
+    'service.add': 'Add to Service Plan',
+
+    'fleet.title': 'Fleet Registry',
+    'fleet.edit': 'Edit Truck',
+    'fleet.register': 'Register Truck',
+    'fleet.plate': 'Plate',
+    'fleet.make': 'Make',
+    'fleet.model': 'Model',
+    'fleet.platePlaceholder': 'e.g. RC-1234-A',
+    'fleet.makePlaceholder': 'e.g. Mercedes',
+    'fleet.modelPlaceholder': 'e.g. Actros',
+    'fleet.owner': 'Owner',
+    'fleet.capacityTons': 'Capacity (Tons)',
+    'fleet.capacityBags': 'Capacity (Bags)',
+    'fleet.fuel': 'Fuel (L/100 km)',
+    'fleet.status': 'Status',
+    'fleet.active': 'Active',
+    'fleet.retired': 'Retired',
+    'fleet.update': 'Update Truck',
+    'fleet.registered': 'Registered Trucks',
+    'fleet.makeModel': 'Make / Model',
+    'fleet.capacity': 'Capacity',
+    'fleet.aliases': 'aka {plates}',
+    'fleet.capacityValue': '{tons} T / {bags} bags',
+    'documents.title': 'Documents',
+    'fleet.servicePlan': 'Service Plan',
+    'fleet.none': 'No trucks registered yet.',
+    'documents.titleOf': 'Documents — {name}',
+    'fleet.servicePlanOf': 'Service Plan — {plate}',
+    'fleet.mergeTitle': 'Merge Free-Text Plates',
+    'fleet.mergeHelp': 'These plates were typed by hand on older records. Merging links every record to a registered truck.',
+    'fleet.recordCount': '({count} records)',
+    'fleet.mergeInto': 'Merge into...',
+    'fleet.merge': 'Merge',
+
+    'ledger.earnings': 'Earnings ({count} trips)',
+    'ledger.payments': 'Advances & Payments',
+    'ledger.balance': 'Balance Owed',
+    'ledger.advance': 'Advance',
+    'ledger.payment': 'Payment',
+    'ledger.amount': 'Amount (GNF)',
+    'ledger.note': 'Note',
+    'ledger.record': 'Record',
+    'ledger.noTrips': 'No trips yet.',
+    'ledger.noPayments': 'No advances yet.',
+    'drivers.edit': 'Edit Driver',
+    'drivers.add': 'Add Driver',
+    'drivers.payRule': 'Pay Rule',
+    'drivers.perTon': 'GNF per Ton',
+    'drivers.basePerTrip': 'Base GNF per Trip',
+    'drivers.perTrip': 'GNF per Trip',
+    'drivers.active': 'Active',
+    'drivers.inactive': 'Inactive',
+    'drivers.zoneRate': '{zone} (GNF/trip)',
+    'drivers.update': 'Update Driver',
+    'drivers.licenseExpiry': 'License Expiry',
+    'drivers.expired': 'expired',
+    'drivers.ledger': 'Ledger',
+    'drivers.none': 'No drivers yet.',
+    'drivers.ledgerOf': 'Ledger — {name}',
+
+    'invoice.bags': '{bags} bags',
+    'invoice.heading': 'Invoice {number}',
+    'invoice.dateLabel': 'Date:',
+    'invoice.customerLabel': 'Customer:',
+    'invoice.total': 'Total',
+    'invoice.balanceDue': 'Balance Due',
+    'invoice.summary': '{date} — {count} trips',
+    'invoice.due': 'due {amount}',
+    'invoice.recordPayment': 'Record Payment',
+    'invoice.print': 'Print Invoice',
+    'invoice.maxAmount': 'max {amount}',
+    'invoice.reference': 'Reference',
+    'customers.edit': 'Edit Customer',
+    'customers.add': 'Add Customer',
+    'customers.kind': 'Type',
+    'customers.address': 'Address',
+    'customers.update': 'Update Customer',
+    'customers.unbilledCount': '{count} unbilled',
+    'customers.none': 'No customers yet.',
+    'customers.unbilledOf': 'Unbilled Trips — {name}',
+    'customers.createInvoice': 'Invoice {count} trips — {amount}',
+    'customers.allInvoiced': 'Every trip for this customer has been invoiced.',
+    'customers.invoices': 'Invoices',
+    'customers.noInvoices': 'No invoices yet.',
+
+    'importError.badDate': 'Bad date "{value}"',
+    'importError.missingTruck': 'Missing truck',
+    'importError.unregisteredTruck': 'Unregistered truck {plate}',
+    'importError.unknownCategory': 'Unknown category "{value}"',
+    'importError.invalidAmount': 'Invalid amount "{value}"',
+    'importError.unknownDestination': 'Unknown destination "{value}"',
+    'importError.unknownLoadingPoint': 'Unknown loading point "{value}"',
+    'importError.unknownProduct': 'Unknown product "{value}"',
+    'importError.negativeQuantity': 'Negative quantity',
+    'importError.invalidQuantity': 'Invalid quantity "{value}"',
+    'importError.invalidFuel': 'Invalid fuel "{value}"',
+    'importError.invalidOtherCost': 'Invalid other costs "{value}"',
+    'import.title': 'Import Records',
+    'import.chooseFile': 'Choose a CSV or Excel file',
+    'import.headerHelp': 'The first row must contain the column headers.',
+    'import.importAs': 'Import as',
+    'import.rowCount': '{count} rows',
+    'import.notInFile': '— not in file —',
+    'import.back': 'Back',
+    'import.preview': 'Preview',
+    'import.validCount': '{count} valid',
+    'import.errorCount': '{count} with errors',
+    'import.duplicateCount': '{count} duplicates',
+    'import.includeDuplicates': 'Import duplicates anyway',
+    'import.row': 'Row',
+    'import.duplicate': 'Duplicate of an existing record',
+    'import.ok': 'OK',
+    'import.importCount': 'Import {count} records',
+    'import.done': '{count} records imported.',
+    'import.close': 'Close',
+
+    'pnl.ranking': 'Net Profit by Truck',
+    'pnl.noRecords': 'No records in this period.',
+    'pnl.truckExpenses': 'Truck Expenses',
+    'pnl.perTon': 'Per Ton',
+    'pnl.perTrip': 'Per Trip',
+    'pnl.perKm': 'Per Km',
+    'pnl.drillDown': '{plate} — {count} records',
+    'pnl.fuelLiters': '{liters}L fuel'
+  },
+  fr: {
+    'expenseCategory.Maintenance': 'Entretien & Réparations',
+    'expenseCategory.Tires': 'Pneus',
+    'expenseCategory.Taxes': 'Taxes & Assurances',
+    'expenseCategory.Fuel': 'Carburant (hors trajet)',
+    'expenseCategory.Other': 'Autre',
+    'periodPreset.today': "Aujourd'hui",
+    'periodPreset.week': 'Cette semaine',
+    'periodPreset.month': 'Ce mois-ci',
+    'periodPreset.lastMonth': 'Le mois dernier',
+    'periodPreset.quarter': 'Ce trimestre',
+    'periodPreset.custom': 'Période personnalisée',
+    'periodPreset.all': 'Tout',
+    'periodComparison.today': 'vs hier',
+    'periodComparison.week': 'vs semaine dernière',
+    'periodComparison.month': 'vs mois dernier',
+    'periodComparison.lastMonth': 'vs mois précédent',
+    'periodComparison.quarter': 'vs trimestre dernier',
+    'periodComparison.custom': 'vs période précédente',
+    'role.owner': 'Propriétaire',
+    'role.dispatcher': 'Répartiteur',
+    'role.driver': 'Chauffeur',
+    'role.accountant': 'Comptable',
+    'driverPayRule.fixed': 'Forfait par trajet',
+    'driverPayRule.perTon': 'Par tonne',
+    'driverPayRule.perZone': 'Par zone de destination',
+    'paymentMethod.cash': 'Espèces',
+    'paymentMethod.mobile_money': 'Mobile Money',
+    'paymentMethod.bank': 'Virement bancaire',
+    'invoiceStatus.unpaid': 'Impayée',
+    'invoiceStatus.partial': 'Partiellement payée',
+    'invoiceStatus.paid': 'Payée',
+    'customerKind.hardware': 'Quincaillerie',
+    'customerKind.construction': 'Chantier',
+    'customerKind.other': 'Autre',
+    'importField.date': 'Date',
+    'importField.truckNumber': 'Camion',
+    'importField.origin': 'Point de chargement',
+    'importField.destination': 'Destination',
+    'importField.product': 'Produit',
+    'importField.quantity': 'Quantité',
+    'importField.fuelLiters': 'Carburant (L)',
+    'importField.otherCost': 'Autres frais',
+    'importField.otherDesc': 'Description',
+    'importField.category': 'Catégorie',
+    'importField.amount': 'Montant',
+    'importField.description': 'Description',
+    'serviceStatus.ok': 'OK',
+    'serviceStatus.dueSoon': 'Bientôt dû',
+    'serviceStatus.overdue': 'En retard',
+    'serviceTask.oilChange': 'Vidange',
+    'serviceTask.tireRotation': 'Permutation des pneus',
+    'serviceTask.brakeInspection': 'Contrôle des freins',
+    'serviceTask.other': 'Autre entretien',
+    'documentStatus.valid': 'Valide',
+    'documentStatus.expiringSoon': 'Expire bientôt',
+    'documentStatus.expired': 'Expiré',
+    'documentStatus.renewed': 'Renouvelé',
+    'documentType.truck.insurance': 'Assurance',
+    'documentType.truck.vignette': 'Vignette',
+    'documentType.truck.visiteTechnique': 'Visite technique',
+    'documentType.truck.transportPermit': 'Autorisation de transport',
+    'documentType.driver.license': 'Permis de conduire',
+    'scanField.date': 'Date',
+    'scanField.amount': 'Montant',
+    'scanField.description': 'Description',
+    'scanField.category': 'Catégorie',
+    'scanField.truckPlate': 'Camion',
+    'aiError.config': "Le service d'IA n'est pas configuré. Vérifiez les paramètres IA ou passez au mode simulé local.",
+    'aiError.auth': "Le fournisseur d'IA a refusé la clé API.",
+    'aiError.rateLimit': "Trop de requêtes IA pour le moment. Patientez une minute puis réessayez.",
+    'aiError.timeout': "Le service d'IA a mis trop de temps à répondre.",
+    'aiError.network': "Impossible de joindre le service d'IA. Vérifiez votre connexion.",
+    'aiError.provider': "Le service d'IA a renvoyé une erreur.",
+    'aiError.invalidResponse': "La réponse de l'IA n'a pas pu être interprétée.",
+    'reportCost.fuel': 'Carburant des trajets',
+    'reportCost.labor': "Main-d'œuvre",
+    'reportCost.driverPay': 'Paie des chauffeurs',
+    'reportCost.otherTripCosts': 'Autres frais de trajet',
+    'reportCost.Maintenance': 'Entretien & Réparations',
+    'reportCost.Tires': 'Pneus',
+    'reportCost.Taxes': 'Taxes & Assurances',
+    'reportCost.Fuel': 'Carburant (hors trajet)',
+    'reportCost.Other': 'Autre',
+    'queryMetric.count': 'Enregistrements',
+    'queryMetric.fuelLiters': 'Carburant',
+    'queryMetric.fuelCost': 'Coût du carburant',
+    'queryMetric.distanceKm': 'Distance',
+    'queryMetric.tons': 'Tonnes',
+    'queryMetric.bags': 'Sacs',
+    'queryMetric.revenue': "Chiffre d'affaires",
+    'queryMetric.laborCost': "Main-d'œuvre",
+    'queryMetric.driverPay': 'Paie chauffeur',
+    'queryMetric.costs': 'Coûts',
+    'queryMetric.netProfit': 'Bénéfice net',
+    'queryAggregation.sum': 'Total',
+    'queryAggregation.avg': 'Moyenne',
+    'queryAggregation.min': 'Minimum',
+    'queryAggregation.max': 'Maximum',
+    'queryAggregation.count': 'Nombre',
+    'queryGroup.truck': 'Camion',
+    'queryGroup.destination': 'Destination',
+    'queryGroup.driver': 'Chauffeur',
+    'queryGroup.category': 'Catégorie',
+    'queryGroup.month': 'Mois',
+    'queryGroup.day': 'Jour',
+    'productUnit.bag': 'Sac',
+    'productUnit.ton': 'Tonne',
+    'productUnit.m3': 'Mètre cube',
+    'productUnit.piece': 'Pièce',
+    'productUnitShort.bag': 'sacs',
+    'productUnitShort.ton': 'T',
+    'productUnitShort.m3': 'm³',
+    'productUnitShort.piece': 'pcs',
+    'loadingPoint.port': 'Port de Conakry',
+    'loadingPoint.factory': 'Cimenterie',
+    'loadingPoint.depot': 'Notre dépôt',
+    'product.defaultName': 'Ciment 50 kg',
+
+    'common.all': 'Tous',
+    'common.amount': 'Montant',
+    'common.cancel': 'Annuler',
+    'common.category': 'Catégorie',
+    'common.customer': 'Client',
+    'common.date': 'Date',
+    'common.delete': 'Supprimer',
+    'common.destination': 'Destination',
+    'common.driver': 'Chauffeur',
+    'common.edit': 'Modifier',
+    'common.expenseCategory': 'Catégorie de dépense',
+    'common.expenses': 'Dépenses',
+    'common.gnfPerTon': 'GNF/Tonne',
+    'common.load': 'Chargement',
+    'common.name': 'Nom',
+    'common.netProfit': 'Bénéfice net',
+    'common.noDriver': 'Sans chauffeur',
+    'common.none': 'Aucun',
+    'common.optional': 'Facultatif',
+    'common.remove': 'Retirer',
+    'common.revenue': "Chiffre d'affaires",
+    'common.save': 'Enregistrer',
+    'common.saved': 'Enregistré',
+    'common.select': 'Choisir...',
+    'common.tons': 'Tonnes',
+    'common.totalExpenses': 'Total des dépenses',
+    'common.trips': 'Trajets',
+    'common.truck': 'Camion',
+    'common.unknown': 'Inconnu',
+
+    'app.loading': 'Chargement...',
+    'nav.language': 'Langue',
+    'nav.customers': 'Clients & Factures',
+    'nav.receipts': 'Reçus',
+    'nav.drivers': 'Chauffeurs',
+    'nav.fleet': 'Flotte',
+    'nav.settings': 'Paramètres',
+    'nav.settingsPlaceRequests': 'Paramètres — {count} lieux en attente de validation',
+    'nav.members': 'Membres',
+    'nav.signOut': 'Se déconnecter ({contact})',
+    'nav.listView': 'Vue liste',
+    'nav.analyticsView': 'Vue analyses',
+    'nav.truckPnl': 'Résultat par camion',
+    'nav.moreFilters': 'Plus de filtres',
+    'nav.importCsv': 'Importer un CSV',
+
+    'workspaceSetup.verifyEmail': "Vérifiez {email} pour accepter une invitation : ouvrez le lien reçu par email, puis vérifiez à nouveau.",
+    'workspaceSetup.verificationResent': 'Un nouveau lien de vérification a été envoyé à {email}.',
+    'workspaceSetup.resendVerification': 'Renvoyer le lien',
+    'workspaceSetup.checkVerification': "C'est vérifié",
+
+    'alert.receiptUploadFailed': "Erreur lors de l'envoi du reçu. Vérifiez votre connexion.",
+    'alert.scanUploadFailed': "Erreur lors de l'envoi du scan. Vérifiez votre connexion.",
+    'alert.fileTooLarge': 'Ce fichier est trop volumineux. Les fichiers ne doivent pas dépasser {max} Mo.',
+    'alert.invoiceFailed': 'Erreur lors de la création de la facture.',
+    'alert.invoiceTripsChanged': 'Certains de ces voyages ont été facturés ou supprimés entre-temps. Vérifiez la liste et réessayez.',
+    'alert.invoiceTooManyTrips': 'Une facture peut contenir au plus {max} voyages.',
+    'alert.paymentOverBalance': 'Le paiement doit être supérieur à zéro et au plus égal au solde dû ({balance}).',
+    'alert.paymentFailed': "Erreur lors de l'enregistrement du paiement.",
+    'alert.needsConnection': 'Les factures et les paiements sont vérifiés par le serveur. Réessayez une fois la connexion revenue.',
+    'alert.importFailed': "Erreur lors de l'importation. Certaines lignes ont pu être enregistrées.",
+    'alert.inviteFailed': "Erreur lors de l'envoi de l'invitation.",
+    'alert.verificationFailed': "Erreur lors de l'envoi de l'email de vérification.",
+    'alert.emailNotVerified': "Cette adresse n'est pas encore vérifiée. Ouvrez le lien reçu par email, puis réessayez.",
+    'alert.memberUpdateFailed': 'Erreur lors de la mise à jour du membre.',
+    'alert.workspaceCreateFailed': "Erreur lors de la création de l'espace de travail.",
+    'alert.joinFailed': "Erreur lors de l'acceptation de l'invitation.",
+    'alert.truckExists': 'Ce camion est déjà enregistré ({plate}).',
+    'alert.importNoRows': 'Le fichier ne contient aucune ligne de données.',
+    'alert.importUnreadable': 'Impossible de lire ce fichier.',
+    'confirm.delete': 'Êtes-vous sûr de vouloir supprimer cet élément ?',
+    'confirm.deleteRate': "Supprimer ce tarif de l'historique ?",
+    'confirm.mergePlate': 'Fusionner {count} enregistrement(s) "{plate}" dans {target} ?',
+    'confirm.removeMember': "Retirer {contact} de l'espace de travail ?",
+    'confirm.signOutUnsynced': 'Des modifications ne sont pas encore synchronisées. Se déconnecter quand même ?',
+    'confirm.removeServiceItem': "Supprimer cet élément du plan d'entretien ?",
+
+    'stats.totalTons': 'Tonnage total',
+    'stats.receivables': 'Créances',
+    'stats.openInvoices': '{count} factures ouvertes',
+    'stats.days0to30': '0–30 jours',
+    'stats.days31to60': '31–60 jours',
+    'stats.daysOver60': '60+ jours',
+    'alerts.documentExpiries': 'Documents à renouveler',
+    'alerts.maintenanceDue': 'Entretiens à prévoir',
+
+    'list.title': 'Opérations',
+    'list.truckFilter': 'Filtrer par camion...',
+    'list.filters': 'Filtres',
+    'list.addExpense': 'Ajouter une dépense',
+    'list.addTrip': 'Ajouter un trajet',
+    'list.details': 'Détails',
+    'list.cargo': 'Chargement',
+    'list.action': 'Action',
+    'list.waitingSync': 'En attente de synchronisation',
+    'list.syncFailed': 'Échec de la synchronisation',
+    'list.viewReceipt': 'Voir le reçu',
+    'list.noReceipt': 'Sans reçu',
+    'list.tariffOverride': 'Tarif modifié',
+    'list.loadedAt': 'Chargé à : {origin}',
+    'list.fuel': '{liters} L de carburant',
+    'list.edit': "Modifier l'enregistrement",
+    'list.edits': '{count} modification(s)',
+    'list.delete': "Supprimer l'enregistrement",
+    'list.emptyEditable': 'Aucune donnée trouvée. Commencez par ajouter un trajet !',
+    'list.empty': 'Aucune donnée trouvée.',
+    'list.showing': '{shown} affiché(s) sur les {loaded} premiers enregistrements',
+    'list.loadMore': 'Charger plus',
+    'list.loadFailed': "Les enregistrements n'ont pas pu être chargés.",
+
+    'filters.search': 'Recherche',
+    'filters.searchPlaceholder': 'Description, client, chauffeur...',
+    'filters.type': 'Type',
+    'filters.lossOnly': 'Trajets déficitaires uniquement',
+    'filters.minAmount': 'Montant min. (GNF)',
+    'filters.maxAmount': 'Montant max. (GNF)',
+    'filters.clear': 'Effacer les filtres',
+
+    'period.fromTitle': 'Du',
+    'period.toTitle': 'Au',
+    'period.from': 'depuis le {date}',
+    'period.until': "jusqu'au {date}",
+    'period.allRecords': 'tous les enregistrements',
+
+    'history.title': 'Historique des modifications',
+    'history.field': 'Champ',
+    'history.original': 'Valeur initiale',
+    'history.corrected': 'Correction',
+
+    'sync.status': 'État de la synchronisation',
+    'sync.online': 'En ligne',
+    'sync.offline': 'Hors ligne',
+    'sync.syncing': 'Synchronisation de {count} modification(s)...',
+    'sync.allSaved': 'Toutes les modifications sont enregistrées.',
+    'sync.offlinePending': 'Hors ligne — {count} modification(s) seront synchronisées au retour de la connexion.',
+    'sync.kind.add': 'ajout',
+    'sync.kind.update': 'modification',
+    'sync.kind.delete': 'suppression',
+    'sync.retry': 'Réessayer',
+    'sync.dismiss': 'Ignorer',
+    'sync.label.receiptPolicy': 'Politique des reçus',
+    'sync.label.rates': 'Tarifs du {date}',
+    'sync.label.tariff': 'Tarif {name}',
+    'sync.label.driverPayment': 'Paiement chauffeur du {date}',
+    'sync.label.report': 'Rapport IA {period}',
+
+    'truckPicker.select': 'Choisir un camion...',
+    'truckPicker.retired': ' (retiré)',
+    'truckPicker.none': "Aucun camion enregistré. Ajoutez-les depuis l'écran Flotte.",
+
+    'aiSettings.title': "Fournisseur d'IA (cet appareil)",
+    'aiSettings.provider': 'Fournisseur',
+    'aiSettings.default': 'Par défaut',
+    'aiSettings.model': 'Modèle',
+    'aiSettings.apiKey': 'Clé API',
+    'aiSettings.apiKeyPlaceholder': "Laisser vide pour utiliser la clé de l'environnement",
+    'aiSettings.inUse': 'Utilisé : {provider} / {model}',
+    'aiSettings.usage': 'Cette session : {requests} requête(s), {tokens} jetons',
+
+    'settings.title': "Paramètres de l'application",
+    'settings.currentRates': 'Tarifs en vigueur',
+    'settings.since': 'depuis le {date}',
+    'settings.defaults': 'par défaut',
+    'settings.fuel': 'Carburant',
+    'settings.revenue': 'Recette',
+    'settings.labor': "Main-d'œuvre",
+    'settings.newRate': 'Nouveaux tarifs',
+    'settings.effectiveFrom': "Date d'effet",
+    'settings.fuelPrice': 'Prix du carburant (GNF/litre)',
+    'settings.revenuePerTon': 'Recette par tonne (GNF)',
+    'settings.laborPerTon': "Coût de main-d'œuvre par tonne (GNF)",
+    'settings.saveChanges': 'Enregistrer les modifications',
+    'settings.rateHistory': 'Historique des tarifs',
+    'settings.from': 'Depuis',
+    'settings.fuelPerLiter': 'Carb./L',
+    'settings.revenuePerTonShort': 'Rec./T',
+    'settings.laborPerTonShort': 'M.O./T',
+    'settings.deleteRate': 'Supprimer ces tarifs',
+    'settings.noRates': "Aucun tarif enregistré — les valeurs par défaut s'appliquent.",
+    'settings.tariffs': 'Tarifs par destination',
+    'settings.products': 'Produits',
+    'settings.places': 'Lieux',
+    'settings.receiptPolicy': 'Politique des reçus',
+    'settings.receiptThreshold': 'Exiger un reçu au-delà de (GNF, 0 = jamais)',
+
+    'tariff.destination': 'Destination : {name}',
+    'tariff.zone': 'Zone : {name}',
+    'tariff.flatRate': 'Tarif unique',
+    'tariffEditor.help': "Les destinations sans tarif utilisent celui de leur zone, puis le tarif unique ({rate}/T).",
+    'tariffEditor.scope.zone': 'Zone',
+    'tariffEditor.scope.destination': 'Destination',
+    'tariffEditor.set': 'Définir le tarif',
+    'tariffEditor.delete': 'Supprimer le tarif',
+    'tariffEditor.none': 'Aucun tarif — toutes les destinations utilisent le tarif unique.',
+    'productEditor.help': "Laissez les prix vides pour facturer un produit à la tonne, avec les tarifs par destination et le coût de main-d'œuvre ci-dessus.",
+    'productEditor.name': 'Nom du produit',
+    'productEditor.unitWeight': 'Poids unitaire (kg)',
+    'productEditor.revenuePerUnit': 'Recette par unité (GNF)',
+    'productEditor.laborPerUnit': "Main-d'œuvre par unité (GNF)",
+    'productEditor.add': 'Ajouter le produit',
+    'productEditor.byTariff': 'Tarif à la tonne',
+    'productEditor.byLaborRate': 'taux à la tonne',
+    'productEditor.laborShort': 'M.O.',
+    'productEditor.edit': 'Modifier le produit',
+    'productEditor.delete': 'Supprimer le produit',
+    'productEditor.none': 'Aucun produit — tous les trajets transportent des sacs de ciment de 50 kg.',
+    'locationEditor.help': 'Lieux de livraison. Les distances sont en km de route depuis le point de chargement et fixent le carburant prévu des nouveaux trajets.',
+    'locationEditor.requests': 'Lieux en attente de validation ({count})',
+    'locationEditor.requestedBy': 'demandé par {contact}',
+    'locationEditor.approve': 'Valider le lieu',
+    'locationEditor.reject': 'Refuser le lieu',
+    'locationEditor.name': 'Nom du lieu',
+    'locationEditor.aliases': 'Autres orthographes, séparées par des virgules',
+    'locationEditor.commune': 'Commune',
+    'locationEditor.prefecture': 'Préfecture',
+    'locationEditor.distance': 'Distance (km)',
+    'locationEditor.add': 'Ajouter le lieu',
+    'locationEditor.search': 'Rechercher un lieu...',
+    'locationEditor.edit': 'Modifier le lieu',
+    'locationEditor.delete': 'Supprimer le lieu',
+    'locationEditor.restore': 'Rétablir les informations d’origine',
+    'locationEditor.edited': 'Modifié',
+    'locationEditor.custom': 'Ajouté',
+    'locationEditor.incomplete': 'Un lieu doit avoir un nom, une commune et une distance.',
+    'locationEditor.duplicate': 'Ce lieu existe déjà sous le nom {name} ; modifiez-le plutôt.',
+    'location.summary': '{commune}, {prefecture} — {km} km',
+    'payRule.perZone': 'Par zone (base {amount})',
+    'payRule.fixed': '{amount}/trajet',
+
+    'odometer.endBeforeStart': "Le relevé d'arrivée doit être supérieur au relevé de départ.",
+    'odometer.belowEarlier': 'Relevé inférieur aux {km} km enregistrés le {date}.',
+    'odometer.aboveLater': 'Relevé supérieur aux {km} km enregistrés le {date}.',
+    'fuelAnomaly.truck': '{value} L/100 km, {deviation} % vs {baseline} habituels de {name}',
+    'fuelAnomaly.route': '{value} L/100 km, {deviation} % vs {baseline} habituels sur la route {name}',
+    'service.kmOver': '{km} km de dépassement',
+    'service.kmLeft': '{km} km restants',
+    'service.daysLate': '{days} jours de retard',
+    'service.daysLeft': '{days} jours restants',
+    'service.noInterval': 'Aucun intervalle défini',
+    'document.noExpiry': "Pas d'échéance",
+    'document.expiredDaysAgo': 'expiré depuis {days} jours',
+    'document.expiresToday': "expire aujourd'hui",
+    'document.daysLeft': '{days} jours restants',
+
+    'tripForm.documentExpired': '{owner} : {document} expiré le {date}',
+    'tripForm.editTitle': 'Modifier le trajet',
+    'tripForm.newTitle': 'Nouveau trajet',
+    'tripForm.logistics': 'Logistique',
+    'tripForm.noCustomer': 'Sans client',
+    'tripForm.alreadyBilled': 'Déjà facturé sur la facture {number}.',
+    'tripForm.destinationPlaceholder': 'ex. Coyah, Dubréka, Kaloum...',
+    'tripForm.unknownPlace': 'Absent de la liste des lieux.',
+    'tripForm.proposePlace': 'Proposer ce lieu',
+    'tripForm.proposePlaceTitle': 'Nouveau lieu : {name}',
+    'tripForm.proposePlaceSend': 'Envoyer',
+    'tripForm.placePending': 'Ce lieu est en attente de validation.',
+    'tripForm.expectedFuel': 'Prévu pour ce trajet : {liters} L ({km} km aller-retour)',
+    'tripForm.load': 'Chargement',
+    'tripForm.addProduct': 'Ajouter un produit',
+    'tripForm.removeProduct': 'Retirer le produit',
+    'tripForm.origin': 'Point de chargement',
+    'tripForm.dropTitle': 'Livraison {number}',
+    'tripForm.addDrop': 'Ajouter une livraison',
+    'tripForm.removeDrop': 'Retirer la livraison',
+    'tripForm.moveDropUp': 'Livrer plus tôt',
+    'tripForm.dropProfitHelp': 'Par livraison, carburant, chauffeur et autres frais répartis au poids :',
+    'tripForm.tons': '{tons} tonnes',
+    'tripForm.overCapacity': 'Dépasse la capacité de {plate} ({tons} T).',
+    'tripForm.financials': 'Finances (GNF)',
+    'tripForm.fuelRate': 'Prix : {rate}k/L',
+    'tripForm.fuelUsed': 'Carburant consommé (litres)',
+    'tripForm.otherCosts': 'Autres frais',
+    'tripForm.odometerStart': 'Compteur au départ (km)',
+    'tripForm.odometerEnd': "Compteur à l'arrivée (km)",
+    'tripForm.otherDesc': 'Description (facultatif)',
+    'tripForm.otherDescPlaceholder': 'ex. Police, péages',
+    'tripForm.tariff': 'Tarif',
+    'tripForm.overrideTariff': 'Modifier le tarif manuellement',
+    'tripForm.overrideReason': 'Motif (ex. prix négocié)',
+    'tripForm.revenue': 'Recette calculée',
+    'tripForm.labor': "Main-d'œuvre (auto)",
+    'tripForm.fuel': 'Carburant ({liters} L)',
+    'tripForm.driverPay': 'Paie chauffeur ({name})',
+    'tripForm.update': 'Mettre à jour le trajet',
+    'tripForm.save': 'Enregistrer le trajet',
+
+    'scanReview.title': 'Vérifier les valeurs scannées',
+    'scanReview.unreliable': 'Lecture incertaine : {fields}',
+    'scanReview.field': 'Champ',
+    'scanReview.scanned': 'Scanné',
+    'scanReview.current': 'Actuel',
+    'scanReview.confidence': 'Confiance',
+    'scanReview.notRegistered': '(non enregistré)',
+    'scanReview.keepLineItems': 'Garder {count} ligne(s) du reçu',
+    'scanReview.discard': 'Ignorer',
+    'scanReview.apply': 'Appliquer la sélection',
+
+    'expenseForm.enterManually': 'Veuillez saisir les détails manuellement.',
+    'expenseForm.unsupportedFile': 'Format non pris en charge. Utilisez une photo JPEG, PNG ou HEIC, ou un PDF.',
+    'expenseForm.editTitle': 'Modifier la dépense',
+    'expenseForm.newTitle': 'Nouvelle dépense générale',
+    'expenseForm.scanning': "Analyse du reçu par l'IA...",
+    'expenseForm.scan': "Touchez pour scanner un reçu avec l'IA",
+    'expenseForm.replacesReceipt': 'Remplace le reçu enregistré',
+    'expenseForm.receiptAttached': 'Reçu joint',
+    'expenseForm.receiptOnFile': 'Reçu enregistré',
+    'expenseForm.amount': 'Montant (GNF)',
+    'expenseForm.completesService': "Termine l'entretien",
+    'expenseForm.serviceOdometer': "Compteur à l'entretien (km)",
+    'expenseForm.description': 'Description (détail)',
+    'expenseForm.descriptionPlaceholder': 'ex. Essieu arrière changé, 2 pneus neufs',
+    'expenseForm.removeLineItems': 'Retirer les lignes du reçu',
+    'expenseForm.receiptRequired': 'Un reçu est obligatoire pour les dépenses de plus de {amount}.',
+    'expenseForm.update': 'Mettre à jour la dépense',
+    'expenseForm.save': 'Enregistrer la dépense',
+
+    'metric.trips': 'Trajets',
+    'metric.tons': 'Tonnes livrées',
+    'metric.revenue': "Chiffre d'affaires",
+    'metric.costs': 'Coûts totaux',
+    'metric.netProfit': 'Bénéfice net',
+    'metric.margin': 'Marge bénéficiaire',
+    'metric.nameTrips': '{name} — trajets',
+    'metric.nameRevenue': "{name} — chiffre d'affaires",
+    'metric.nameNetProfit': '{name} — bénéfice net',
+    'metric.nameProfitPerTon': '{name} — bénéfice par tonne',
+    'metric.nameProfitPerKm': '{name} — bénéfice par km',
+    'metric.nameTons': '{name} — tonnes',
+    'report.recommendations': 'Recommandations',
+    'report.period': 'Période',
+    'report.generated': 'Généré le',
+
+    'fleetQuestion.title': 'Interroger votre flotte',
+    'fleetQuestion.placeholder': 'ex. Combien de litres le RC-1234-A a consommé en mars ?',
+    'fleetQuestion.ask': 'Demander',
+    'fleetQuestion.summary': '{aggregation} — {metric}',
+    'fleetQuestion.recordCount': '{count} enregistrement(s)',
+    'fleetQuestion.showRecords': 'Afficher les {count} enregistrement(s) de cette réponse',
+    'fleetQuestion.hideRecords': 'Masquer les {count} enregistrement(s) de cette réponse',
+    'fleetQuestion.tripsOnly': 'trajets uniquement',
+    'fleetQuestion.expensesOnly': 'dépenses uniquement',
+    'fleetQuestion.trucks': 'camions : {names}',
+    'fleetQuestion.destinations': 'destinations : {names}',
+    'fleetQuestion.drivers': 'chauffeurs : {names}',
+    'fleetQuestion.categories': 'catégories : {names}',
+
+    'analytics.aiTitle': 'Analyses IA',
+    'analytics.history': 'Historique ({count})',
+    'analytics.generate': 'Générer un rapport IA',
+    'analytics.generating': "Le service d'IA analyse vos données logistiques...",
+    'analytics.savedReport': 'Rapport enregistré pour {period}, généré le {date}',
+    'analytics.aiIntro': "Cliquez sur le bouton ci-dessus pour que l'IA analyse vos marges, vos itinéraires les plus rentables et propose des économies à partir de vos données récentes.",
+    'analytics.performance': 'Historique des performances financières',
+    'analytics.tooltipExpenses': 'Dép.',
+    'analytics.tooltipRevenue': 'Rec.',
+    'analytics.tooltipProfit': 'Bén.',
+    'analytics.noData': 'Aucune donnée financière pour le moment.',
+    'analytics.topDestinations': 'Principales destinations (par volume)',
+    'analytics.tripCount': '{count} trajets',
+    'analytics.noDestinations': 'Aucune donnée de destination.',
+    'analytics.costDistribution': 'Répartition des coûts',
+    'analytics.cost.fuel': 'Carburant',
+    'analytics.cost.labor': "Main-d'œuvre",
+    'analytics.cost.drivers': 'Chauffeurs',
+    'analytics.cost.maintenance': 'Entretien',
+    'analytics.cost.other': 'Autre',
+    'analytics.shareOfTotal': '{share} % du total',
+    'analytics.byProduct': "Volume & chiffre d'affaires par produit",
+    'analytics.noProducts': 'Aucune donnée produit.',
+    'analytics.revenueByZone': 'Recette par tonne et par zone',
+    'analytics.otherZone': 'Autre',
+    'analytics.noZones': 'Aucune donnée de zone.',
+    'analytics.fuelEfficiency': 'Consommation & anomalies',
+    'analytics.byTruck': 'Par camion',
+    'analytics.byRoute': 'Par itinéraire',
+    'analytics.name': 'Nom',
+    'analytics.km': 'km',
+    'analytics.flaggedTrips': 'Trajets signalés',
+    'analytics.noAnomalies': 'Aucune consommation inhabituelle sur cette période.',
+    'analytics.noFuelData': 'Relevez le compteur sur les trajets pour suivre la consommation.',
+
+    'auth.keepRecords': "Créez un compte pour conserver les enregistrements de cet appareil. Ils passent dans l'espace de votre entreprise lorsque vous le créez.",
+    'auth.email': 'E-mail',
+    'auth.phone': 'Téléphone',
+    'auth.password': 'Mot de passe',
+    'auth.createAccount': 'Créer un compte',
+    'auth.signIn': 'Se connecter',
+    'auth.haveAccount': 'Déjà un compte ? Connectez-vous',
+    'auth.newHere': 'Nouveau ? Créez un compte',
+    'auth.codeSent': 'Saisissez le code envoyé au {phone}.',
+    'auth.confirm': 'Confirmer',
+    'auth.otherNumber': 'Utiliser un autre numéro',
+    'auth.sendCode': 'Envoyer le code',
+
+    'workspaceSetup.moving': 'Transfert des enregistrements existants...',
+    'workspaceSetup.title': "Espace de l'entreprise",
+    'auth.signOut': 'Se déconnecter',
+    'workspaceSetup.signedInAs': 'Connecté en tant que {contact}',
+    'workspaceSetup.invited': 'Vous êtes invité à rejoindre {workspace} en tant que {role}.',
+    'workspaceSetup.join': 'Rejoindre {workspace}',
+    'workspaceSetup.create': 'Créer un espace',
+    'workspaceSetup.companyName': "Nom de l'entreprise",
+    'workspaceSetup.createButton': "Créer l'espace",
+    'workspaceSetup.createHelp': 'Vous en devenez le propriétaire ; les enregistrements faits sur cet appareil avant la connexion y sont transférés.',
+
+    'members.invite': 'Inviter un membre',
+    'members.contact': 'E-mail ou téléphone',
+    'members.contactPlaceholder': 'nom@entreprise.com ou +224...',
+    'members.role': 'Rôle',
+    'members.driverProfile': 'Profil chauffeur',
+    'members.sendInvitation': "Envoyer l'invitation",
+    'members.you': '{role} (vous)',
+    'members.noProfile': 'Aucun profil',
+    'members.remove': 'Retirer le membre',
+    'members.pending': 'Invitations en attente',
+    'members.cancelInvite': "Annuler l'invitation",
+
+    'receipts.openOriginal': "Ouvrir l'original",
+    'receipts.allTrucks': 'Tous les camions',
+    'receipts.allCategories': 'Toutes les catégories',
+    'receipts.count': '{count} justificatif(s)',
+    'receipts.missing': '{count} dépense(s) de plus de {threshold} sans justificatif',
+    'receipts.noMatch': 'Aucun justificatif ne correspond à ces filtres.',
+
+    'documents.number': 'N° {number}',
+    'documents.fromDriverProfile': 'depuis la fiche chauffeur',
+    'documents.viewScan': 'Voir le scan',
+    'documents.none': 'Aucun document enregistré pour le moment.',
+    'documents.document': 'Document',
+    'documents.numberLabel': 'Numéro',
+    'documents.issued': 'Délivré le',
+    'documents.expires': 'Expire le',
+    'documents.scan': 'Copie scannée',
+    'documents.update': 'Mettre à jour le document',
+    'documents.file': 'Enregistrer le document',
+    'service.currentOdometer': 'Compteur actuel : {km} km',
+    'service.noOdometer': 'Compteur actuel : aucun relevé sur les trajets',
+    'service.every': 'tous les {interval}',
+    'service.days': '{days} jours',
+    'service.lastDoneAt': 'dernier le {date} à {km} km',
+    'service.lastDone': 'dernier le {date}',
+    'service.noPlan': "Aucun plan d'entretien pour ce camion.",
+    'service.task': 'Tâche',
+    'service.everyKm': 'Tous les (km)',
+    'service.everyDays': 'Tous les (jours)',
+    'service.lastDoneLabel': 'Dernière fois',
+    'service.atKm': 'À (km)',
+    'service.add': "Ajouter au plan d'entretien",
+
+    'fleet.title': 'Registre de la flotte',
+    'fleet.edit': 'Modifier le camion',
+    'fleet.register': 'Enregistrer un camion',
+    'fleet.plate': 'Immatriculation',
+    'fleet.make': 'Marque',
+    'fleet.model': 'Modèle',
+    'fleet.platePlaceholder': 'ex. RC-1234-A',
+    'fleet.makePlaceholder': 'ex. Mercedes',
+    'fleet.modelPlaceholder': 'ex. Actros',
+    'fleet.owner': 'Propriétaire',
+    'fleet.capacityTons': 'Capacité (tonnes)',
+    'fleet.capacityBags': 'Capacité (sacs)',
+    'fleet.fuel': 'Carburant (L/100 km)',
+    'fleet.status': 'Statut',
+    'fleet.active': 'En service',
+    'fleet.retired': 'Retiré',
+    'fleet.update': 'Mettre à jour le camion',
+    'fleet.registered': 'Camions enregistrés',
+    'fleet.makeModel': 'Marque / modèle',
+    'fleet.capacity': 'Capacité',
+    'fleet.aliases': 'alias {plates}',
+    'fleet.capacityValue': '{tons} T / {bags} sacs',
+    'documents.title': 'Documents',
+    'fleet.servicePlan': "Plan d'entretien",
+    'fleet.none': 'Aucun camion enregistré pour le moment.',
+    'documents.titleOf': 'Documents — {name}',
+    'fleet.servicePlanOf': "Plan d'entretien — {plate}",
+    'fleet.mergeTitle': 'Fusionner les immatriculations saisies',
+    'fleet.mergeHelp': "Ces immatriculations ont été saisies à la main sur d'anciens enregistrements. La fusion relie chaque enregistrement à un camion enregistré.",
+    'fleet.recordCount': '({count} enregistrements)',
+    'fleet.mergeInto': 'Fusionner avec...',
+    'fleet.merge': 'Fusionner',
+
+    'ledger.earnings': 'Gains ({count} trajets)',
+    'ledger.payments': 'Avances et paiements',
+    'ledger.balance': 'Solde dû',
+    'ledger.advance': 'Avance',
+    'ledger.payment': 'Paiement',
+    'ledger.amount': 'Montant (GNF)',
+    'ledger.note': 'Note',
+    'ledger.record': 'Enregistrer',
+    'ledger.noTrips': 'Aucun trajet pour le moment.',
+    'ledger.noPayments': 'Aucune avance pour le moment.',
+    'drivers.edit': 'Modifier le chauffeur',
+    'drivers.add': 'Ajouter un chauffeur',
+    'drivers.payRule': 'Mode de rémunération',
+    'drivers.perTon': 'GNF par tonne',
+    'drivers.basePerTrip': 'Base GNF par trajet',
+    'drivers.perTrip': 'GNF par trajet',
+    'drivers.active': 'Actif',
+    'drivers.inactive': 'Inactif',
+    'drivers.zoneRate': '{zone} (GNF/trajet)',
+    'drivers.update': 'Mettre à jour le chauffeur',
+    'drivers.licenseExpiry': 'Expiration du permis',
+    'drivers.expired': 'expiré',
+    'drivers.ledger': 'Compte',
+    'drivers.none': 'Aucun chauffeur pour le moment.',
+    'drivers.ledgerOf': 'Compte — {name}',
+
+    'invoice.bags': '{bags} sacs',
+    'invoice.heading': 'Facture {number}',
+    'invoice.dateLabel': 'Date :',
+    'invoice.customerLabel': 'Client :',
+    'invoice.total': 'Total',
+    'invoice.balanceDue': 'Reste à payer',
+    'invoice.summary': '{date} — {count} trajets',
+    'invoice.due': 'reste {amount}',
+    'invoice.recordPayment': 'Enregistrer un paiement',
+    'invoice.print': 'Imprimer la facture',
+    'invoice.maxAmount': 'max {amount}',
+    'invoice.reference': 'Référence',
+    'customers.edit': 'Modifier le client',
+    'customers.add': 'Ajouter un client',
+    'customers.kind': 'Type',
+    'customers.address': 'Adresse',
+    'customers.update': 'Mettre à jour le client',
+    'customers.unbilledCount': '{count} non facturé(s)',
+    'customers.none': 'Aucun client pour le moment.',
+    'customers.unbilledOf': 'Trajets non facturés — {name}',
+    'customers.createInvoice': 'Facturer {count} trajets — {amount}',
+    'customers.allInvoiced': 'Tous les trajets de ce client ont été facturés.',
+    'customers.invoices': 'Factures',
+    'customers.noInvoices': 'Aucune facture pour le moment.',
+
+    'importError.badDate': 'Date invalide "{value}"',
+    'importError.missingTruck': 'Camion manquant',
+    'importError.unregisteredTruck': 'Camion non enregistré {plate}',
+    'importError.unknownCategory': 'Catégorie inconnue "{value}"',
+    'importError.invalidAmount': 'Montant invalide "{value}"',
+    'importError.unknownDestination': 'Destination inconnue "{value}"',
+    'importError.unknownLoadingPoint': 'Point de chargement inconnu "{value}"',
+    'importError.unknownProduct': 'Produit inconnu "{value}"',
+    'importError.negativeQuantity': 'Quantité négative',
+    'importError.invalidQuantity': 'Quantité invalide "{value}"',
+    'importError.invalidFuel': 'Carburant invalide "{value}"',
+    'importError.invalidOtherCost': 'Autres frais invalides "{value}"',
+    'import.title': 'Importer des enregistrements',
+    'import.chooseFile': 'Choisir un fichier CSV ou Excel',
+    'import.headerHelp': 'La première ligne doit contenir les en-têtes de colonnes.',
+    'import.importAs': 'Importer comme',
+    'import.rowCount': '{count} lignes',
+    'import.notInFile': '— absent du fichier —',
+    'import.back': 'Retour',
+    'import.preview': 'Aperçu',
+    'import.validCount': '{count} valide(s)',
+    'import.errorCount': '{count} en erreur',
+    'import.duplicateCount': '{count} doublon(s)',
+    'import.includeDuplicates': 'Importer quand même les doublons',
+    'import.row': 'Ligne',
+    'import.duplicate': "Doublon d'un enregistrement existant",
+    'import.ok': 'OK',
+    'import.importCount': 'Importer {count} enregistrements',
+    'import.done': '{count} enregistrements importés.',
+    'import.close': 'Fermer',
+
+    'pnl.ranking': 'Bénéfice net par camion',
+    'pnl.noRecords': 'Aucun enregistrement sur cette période.',
+    'pnl.truckExpenses': 'Dépenses camion',
+    'pnl.perTon': 'Par tonne',
+    'pnl.perTrip': 'Par trajet',
+    'pnl.perKm': 'Par km',
+    'pnl.drillDown': '{plate} — {count} enregistrements',
+    'pnl.fuelLiters': '{liters} L de carburant'
+  }
+};
+
+// --- Components ---
+
+// `change` is the % difference with the previous period; for costs a rise shows in red
+const StatCard = ({ title, value, subtext, icon: Icon, colorClass, change, changeLabel, lowerIsBetter }) => (
+  <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-100 flex items-start space-x-4">
+    <div className={`p-3 rounded-lg ${colorClass} bg-opacity-10`}>
+      <Icon className={`w-6 h-6 ${colorClass.replace('bg-', 'text-')}`} />
+    </div>
+    <div>
+      <p className="text-slate-500 text-sm font-medium">{title}</p>
+      <h3 className="text-xl font-bold text-slate-800 mt-1">{value}</h3>
+      {subtext && <p className="text-xs text-slate-400 mt-1">{subtext}</p>}
+      {change != null && (
+        <p className={`text-xs font-medium mt-1 ${(change >= 0) !== Boolean(lowerIsBetter) ? 'text-emerald-600' : 'text-red-500'}`}>
+          {change >= 0 ? '+' : ''}{change.toFixed(0)}% <span className="text-slate-400 font-normal">{changeLabel}</span>
+        </p>
+      )}
+    </div>
+  </div>
+);
+
+const SortableHeader = ({ label, sortKey, sort, onSort, align = 'left' }) => (
+  <th className={`p-4 text-${align}`}>
+    <button
+      type="button"
+      onClick={() => onSort(sortKey)}
+      className={`inline-flex items-center uppercase font-semibold hover:text-slate-800 ${sort.key === sortKey ? 'text-slate-800' : ''}`}
+    >
+      {label}
+      {sort.key === sortKey && (sort.dir === 'asc' ? <ArrowUp className="w-3 h-3 ml-1" /> : <ArrowDown className="w-3 h-3 ml-1" />)}
+    </button>
+  </th>
+);
+
+const ListFilters = ({ filters, destinations, onChange, onClear }) => {
+  const inputClass = "w-full p-2 border border-slate-300 rounded-lg text-sm bg-white focus:ring-2 focus:ring-emerald-500 outline-none";
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-4 grid grid-cols-2 md:grid-cols-6 gap-3 animate-fade-in">
+      <div className="col-span-2 relative">
+        <label className="block text-xs font-medium text-slate-600 mb-1">{t('filters.search')}</label>
+        <Search className="absolute left-3 top-8 w-4 h-4 text-slate-400" />
+        <input type="text" placeholder={t('filters.searchPlaceholder')} className={`${inputClass} pl-9`}
+          value={filters.search}
+          onChange={(e) => onChange({ search: e.target.value })} />
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-slate-600 mb-1">{t('filters.type')}</label>
+        <select className={inputClass}
+          value={filters.type}
+          onChange={(e) => onChange({ type: e.target.value })}>
+          <option value="">{t('common.all')}</option>
+          <option value="trip">{t('common.trips')}</option>
+          <option value="expense">{t('common.expenses')}</option>
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-slate-600 mb-1">{t('common.destination')}</label>
+        <select className={inputClass}
+          value={filters.destination}
+          onChange={(e) => onChange({ destination: e.target.value })}>
+          <option value="">{t('common.all')}</option>
+          {destinations.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-slate-600 mb-1">{t('common.expenseCategory')}</label>
+        <select className={inputClass}
+          value={filters.category}
+          onChange={(e) => onChange({ category: e.target.value })}>
+          <option value="">{t('common.all')}</option>
+          {Object.keys(EXPENSE_CATEGORIES).map(value => (
+            <option key={value} value={value}>{t(`expenseCategory.${value}`)}</option>
+          ))}
+        </select>
+      </div>
+      <div className="flex items-end">
+        <label className="flex items-center text-sm text-slate-600 cursor-pointer pb-2">
+          <input type="checkbox" className="mr-2"
+            checked={filters.lossOnly}
+            onChange={(e) => onChange({ lossOnly: e.target.checked })} />
+          {t('filters.lossOnly')}
+        </label>
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-slate-600 mb-1">{t('filters.minAmount')}</label>
+        <input type="number" min="0" className={inputClass}
+          value={filters.minAmount}
+          onChange={(e) => onChange({ minAmount: e.target.value })} />
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-slate-600 mb-1">{t('filters.maxAmount')}</label>
+        <input type="number" min="0" className={inputClass}
+          value={filters.maxAmount}
+          onChange={(e) => onChange({ maxAmount: e.target.value })} />
+      </div>
+      <div className="col-span-2 md:col-span-4 flex items-end justify-end">
+        <button type="button" onClick={onClear}
+          className="py-2 px-4 border border-slate-300 rounded-lg text-sm text-slate-600 hover:bg-slate-50 font-medium">
+          {t('filters.clear')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const PeriodSelector = ({ preset, customRange, range, onPresetChange, onCustomRangeChange }) => (
+  <div className="flex flex-wrap items-center gap-2">
+    <Calendar className="w-4 h-4 text-slate-400" />
+    <select
+      className="px-2 py-1.5 rounded-lg border border-slate-300 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-emerald-500"
+      value={preset}
+      onChange={(e) => onPresetChange(e.target.value)}
+    >
+      {Object.keys(PERIOD_PRESETS).map(value => (
+        <option key={value} value={value}>{t(`periodPreset.${value}`)}</option>
+      ))}
+    </select>
+    {preset === 'custom' ? (
+      <div className="flex items-center space-x-1">
+        <input 
+          type="date" 
+          title={t('period.fromTitle')}
+          className="px-2 py-1.5 rounded-lg border border-slate-300 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+          value={customRange.from}
+          onChange={(e) => onCustomRangeChange({ ...customRange, from: e.target.value })}
+        />
+        <span className="text-slate-400">–</span>
+        <input 
+          type="date" 
+          title={t('period.toTitle')}
+          className="px-2 py-1.5 rounded-lg border border-slate-300 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+          value={customRange.to}
+          onChange={(e) => onCustomRangeChange({ ...customRange, to: e.target.value })}
+        />
+      </div>
+    ) : (
+      <span className="text-xs text-slate-500">{describePeriod(range)}</span>
+    )}
+  </div>
+);
+
+const RecordHistory = ({ history }) => (
+  <div className="space-y-3">
+    <h4 className="text-xs font-bold text-slate-400 uppercase tracking-wider flex items-center">
+      <History className="w-4 h-4 mr-1" /> {t('history.title')}
+    </h4>
+    {[...history].reverse().map((entry, idx) => (
+      <div key={idx} className="bg-white border border-slate-200 rounded-lg p-3 text-sm">
+        <div className="text-xs text-slate-500 mb-2">
+          {formatDateTime(entry.changedAt)} — <span className="font-medium text-slate-700">{entry.changedBy}</span>
+        </div>
+        <table className="w-full text-left">
+          <thead className="text-[10px] uppercase text-slate-400">
+            <tr>
+              <th className="pb-1">{t('history.field')}</th>
+              <th className="pb-1">{t('history.original')}</th>
+              <th className="pb-1">{t('history.corrected')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entry.changes.map(change => (
+              <tr key={change.field}>
+                <td className="py-0.5 pr-2 font-medium text-slate-700">{change.field}</td>
+                <td className="py-0.5 pr-2 text-red-500 line-through">{formatHistoryValue(change.from)}</td>
+                <td className="py-0.5 text-emerald-600">{formatHistoryValue(change.to)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    ))}
+  </div>
+);
+
+const SyncIndicator = ({ isOnline, pendingCount, failedOps, onRetry, onDismiss }) => {
+  const [showDetails, setShowDetails] = useState(false);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setShowDetails(!showDetails)}
+        className={`flex items-center space-x-2 px-3 py-1 rounded-full text-xs font-medium ${
+          failedOps.length > 0 ? 'bg-red-500/20 text-red-300' : isOnline ? 'bg-slate-800 text-slate-300' : 'bg-amber-500/20 text-amber-300'
+        }`}
+        title={t('sync.status')}
+      >
+        {isOnline ? <Wifi className="w-3 h-3" /> : <WifiOff className="w-3 h-3" />}
+        <span>{isOnline ? t('sync.online') : t('sync.offline')}</span>
+        {pendingCount > 0 && (
+          <span className="flex items-center"><RefreshCw className={`w-3 h-3 mr-1 ${isOnline ? 'animate-spin' : ''}`} />{pendingCount}</span>
+        )}
+        {failedOps.length > 0 && (
+          <span className="flex items-center"><AlertTriangle className="w-3 h-3 mr-1" />{failedOps.length}</span>
+        )}
+      </button>
+
+      {showDetails && (
+        <div className="absolute right-0 mt-2 w-80 bg-white text-slate-700 rounded-lg shadow-xl border border-slate-200 p-4 z-50 text-sm">
+          <p className="mb-2">
+            {isOnline
+              ? pendingCount > 0 ? t('sync.syncing', { count: pendingCount }) : t('sync.allSaved')
+              : t('sync.offlinePending', { count: pendingCount })}
+          </p>
+          {failedOps.length > 0 && (
+            <ul className="divide-y divide-slate-100">
+              {failedOps.map(op => (
+                <li key={op.opId} className="py-2">
+                  <div className="flex justify-between items-center">
+                    <span className="font-medium text-red-600">{t(`sync.kind.${op.kind}`)} — {op.label}</span>
+                    <span className="flex space-x-2">
+                      <button onClick={() => onRetry(op)} className="text-slate-400 hover:text-emerald-600" title={t('sync.retry')}>
+                        <RefreshCw className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => onDismiss(op)} className="text-slate-400 hover:text-red-500" title={t('sync.dismiss')}>
+                        <X className="w-4 h-4" />
+                      </button>
+                    </span>
+                  </div>
+                  <div className="text-xs text-slate-400 mt-0.5">{op.error}</div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Shown until the user signs in with an email or phone number. A session left over from the
+// anonymous version is upgraded in place, which keeps its uid and so its records.
+const AuthScreen = ({ isAnonymous }) => {
+  const [method, setMethod] = useState('email'); // 'email' or 'phone'
+  const [isNewAccount, setIsNewAccount] = useState(isAnonymous);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [phone, setPhone] = useState('');
+  const [code, setCode] = useState('');
+  const [confirmation, setConfirmation] = useState(null);
+  const [error, setError] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const verifierRef = useRef(null);
+
+  useEffect(() => () => verifierRef.current?.clear(), []);
+
+  const run = async (action) => {
+    setError('');
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (e) {
+      console.error("Error signing in: ", e);
+      setError(e.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleEmailSubmit = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (!isNewAccount) {
+        await signInWithEmailAndPassword(auth, email.trim(), password);
+        return;
+      }
+      const { user: account } = isAnonymous
+        ? await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email.trim(), password))
+        : await createUserWithEmailAndPassword(auth, email.trim(), password);
+      // Invitations only open to a verified address (see firestore.rules)
+      await sendEmailVerification(account);
+    });
+  };
+
+  const handleSendCode = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (!verifierRef.current) {
+        verifierRef.current = new RecaptchaVerifier(auth, 'recaptcha-container', { size: 'invisible' });
+      }
+      const number = getInviteId(phone);
+      setConfirmation(isAnonymous
+        ? await linkWithPhoneNumber(auth.currentUser, number, verifierRef.current)
+        : await signInWithPhoneNumber(auth, number, verifierRef.current));
+    });
+  };
+
+  const handleConfirmCode = (e) => {
+    e.preventDefault();
+    run(() => confirmation.confirm(code.trim()));
+  };
+
+  const inputClass = "w-full p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none";
+  const tabClass = (active) => `flex-1 py-2 rounded-md text-sm font-medium flex items-center justify-center transition-all ${active ? 'bg-white shadow text-slate-800' : 'text-slate-500 hover:text-slate-700'}`;
+
+  return (
+    <div className="min-h-screen bg-slate-100 flex items-center justify-center p-4 font-sans text-slate-800">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-sm overflow-hidden animate-fade-in">
+        <div className="bg-slate-900 px-6 py-5 flex items-center space-x-2">
+          <div className="bg-emerald-500 p-2 rounded-lg">
+            <Truck className="w-6 h-6 text-white" />
+          </div>
+          <h1 className="text-xl font-bold tracking-tight text-white">CimenLog <span className="text-emerald-400">GNF</span></h1>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {isAnonymous && (
+            <p className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-3">
+              {t('auth.keepRecords')}
+            </p>
+          )}
+
+          <div className="bg-slate-200 p-1 rounded-lg flex space-x-1">
+            <button type="button" onClick={() => setMethod('email')} className={tabClass(method === 'email')}>
+              <Mail className="w-4 h-4 mr-1" /> {t('auth.email')}
+            </button>
+            <button type="button" onClick={() => setMethod('phone')} className={tabClass(method === 'phone')}>
+              <Phone className="w-4 h-4 mr-1" /> {t('auth.phone')}
+            </button>
+          </div>
+
+          {method === 'email' ? (
+            <form onSubmit={handleEmailSubmit} className="space-y-3">
+              <input required type="email" placeholder={t('auth.email')} autoComplete="email" className={inputClass}
+                value={email}
+                onChange={(e) => setEmail(e.target.value)} />
+              <input required type="password" minLength="6" placeholder={t('auth.password')} className={inputClass}
+                autoComplete={isNewAccount ? 'new-password' : 'current-password'}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)} />
+              <button type="submit" disabled={isBusy}
+                className="w-full py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-medium shadow-md flex justify-center items-center disabled:opacity-50">
+                {isBusy && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+                {isNewAccount ? t('auth.createAccount') : t('auth.signIn')}
+              </button>
+              <button type="button" onClick={() => setIsNewAccount(!isNewAccount)}
+                className="w-full text-xs text-slate-500 hover:text-emerald-600">
+                {isNewAccount ? t('auth.haveAccount') : t('auth.newHere')}
+              </button>
+            </form>
+          ) : confirmation ? (
+            <form onSubmit={handleConfirmCode} className="space-y-3">
+              <p className="text-xs text-slate-500">{t('auth.codeSent', { phone })}</p>
+              <input required type="text" inputMode="numeric" autoComplete="one-time-code" placeholder="123456" className={inputClass}
+                value={code}
+                onChange={(e) => setCode(e.target.value)} />
+              <button type="submit" disabled={isBusy}
+                className="w-full py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-medium shadow-md flex justify-center items-center disabled:opacity-50">
+                {isBusy && <Loader className="w-4 h-4 mr-2 animate-spin" />} {t('auth.confirm')}
+              </button>
+              <button type="button" onClick={() => { setConfirmation(null); setCode(''); }}
+                className="w-full text-xs text-slate-500 hover:text-emerald-600">
+                {t('auth.otherNumber')}
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleSendCode} className="space-y-3">
+              <input required type="tel" placeholder="+224 6xx xx xx xx" autoComplete="tel" className={inputClass}
+                value={phone}
+                onChange={(e) => setPhone(e.target.value)} />
+              <button type="submit" disabled={isBusy}
+                className="w-full py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-medium shadow-md flex justify-center items-center disabled:opacity-50">
+                {isBusy && <Loader className="w-4 h-4 mr-2 animate-spin" />} {t('auth.sendCode')}
+              </button>
+            </form>
+          )}
+
+          {error && <p className="text-xs text-red-600">{error}</p>}
+          <div id="recaptcha-container" />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Shown to a signed-in user who does not belong to a workspace yet: they either accept
+// the invitation waiting for their email or phone, or create their company's workspace
+const WorkspaceSetup = ({ user, onSignOut }) => {
+  const [invite, setInvite] = useState(null);
+  const [companyName, setCompanyName] = useState('');
+  const [status, setStatus] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [verificationSent, setVerificationSent] = useState(false);
+  // Anyone can register an email address they do not own, so an invitation addressed to one
+  // only opens once the address is verified; phone numbers are proven by their SMS code
+  const needsVerification = Boolean(user.email) && !user.emailVerified;
+  const inviteId = needsVerification ? '' : getInviteId(user.email || user.phoneNumber);
+  const profileRef = doc(db, 'artifacts', appId, 'users', user.uid);
+
+  useEffect(() => {
+    if (!inviteId) return;
+    getDoc(doc(db, 'artifacts', appId, 'invitations', inviteId))
+      .then(snapshot => setInvite(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null))
+      .catch(e => console.error("Error fetching invitation: ", e));
+  }, [inviteId]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const workspaceRef = doc(collection(db, 'artifacts', appId, 'workspaces'));
+      const batch = writeBatch(db);
+      batch.set(workspaceRef, { name: companyName.trim(), ownerUid: user.uid, createdAt: new Date().toISOString() });
+      batch.set(doc(workspaceRef, 'members', user.uid), {
+        role: 'owner',
+        contact: getUserContact(user),
+        joinedAt: new Date().toISOString()
+      });
+      await batch.commit();
+
+      setStatus(t('workspaceSetup.moving'));
+      await migrateLegacyData(user.uid, workspaceRef.id);
+      // The profile is pointed at the workspace last, so the app opens with every record in place
+      await setDoc(profileRef, { workspaceId: workspaceRef.id }, { merge: true });
+    } catch (e) {
+      console.error("Error creating workspace: ", e);
+      alert(t('alert.workspaceCreateFailed'));
+      setStatus('');
+      setIsBusy(false);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      await sendEmailVerification(auth.currentUser);
+      setVerificationSent(true);
+    } catch (e) {
+      console.error("Error sending verification email: ", e);
+      alert(t('alert.verificationFailed'));
+    }
+  };
+
+  // Reloading the account and forcing a new token carries the verified flag to the rules
+  const handleCheckVerification = async () => {
+    setIsBusy(true);
+    try {
+      await reload(auth.currentUser);
+      await auth.currentUser.getIdToken(true);
+      if (!auth.currentUser.emailVerified) alert(t('alert.emailNotVerified'));
+    } catch (e) {
+      console.error("Error checking email verification: ", e);
+    }
+    setIsBusy(false);
+  };
+
+  const handleJoin = async () => {
+    setIsBusy(true);
+    try {
+      const batch = writeBatch(db);
+      batch.set(doc(db, 'artifacts', appId, 'workspaces', invite.workspaceId, 'members', user.uid), {
+        role: invite.role,
+        driverId: invite.driverId || null,
+        contact: getUserContact(user),
+        inviteId: invite.id,
+        joinedAt: new Date().toISOString()
+      });
+      batch.set(profileRef, { workspaceId: invite.workspaceId }, { merge: true });
+      batch.delete(doc(db, 'artifacts', appId, 'invitations', invite.id));
+      await batch.commit();
+    } catch (e) {
+      console.error("Error joining workspace: ", e);
+      alert(t('alert.joinFailed'));
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-100 flex items-center justify-center p-4 font-sans text-slate-800">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-md overflow-hidden animate-fade-in">
+        <div className="bg-slate-800 px-6 py-4 flex justify-between items-center">
+          <h2 className="text-white font-bold text-lg flex items-center">
+            <Users className="w-5 h-5 mr-2" /> {t('workspaceSetup.title')}
+          </h2>
+          <button onClick={onSignOut} className="text-slate-400 hover:text-white" title={t('auth.signOut')}>
+            <LogOut className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <p className="text-xs text-slate-500">{t('workspaceSetup.signedInAs', { contact: getUserContact(user) })}</p>
+
+          {needsVerification && (
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 space-y-3">
+              <p className="text-sm text-slate-700">
+                {t(verificationSent ? 'workspaceSetup.verificationResent' : 'workspaceSetup.verifyEmail', { email: user.email })}
+              </p>
+              <div className="flex space-x-3">
+                <button type="button" onClick={handleResendVerification}
+                  className="flex-1 py-2 border border-slate-300 rounded-lg text-sm text-slate-600 hover:bg-slate-50 font-medium">
+                  {t('workspaceSetup.resendVerification')}
+                </button>
+                <button type="button" onClick={handleCheckVerification} disabled={isBusy}
+                  className="flex-1 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg text-sm font-medium shadow-md disabled:opacity-50">
+                  {t('workspaceSetup.checkVerification')}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {invite && (
+            <div className="bg-emerald-50 border border-emerald-200 rounded-lg p-4">
+              <p className="text-sm text-slate-700 mb-3">
+                {t('workspaceSetup.invited', { workspace: invite.workspaceName, role: t(`role.${invite.role}`) })}
+              </p>
+              <button type="button" onClick={handleJoin} disabled={isBusy}
+                className="w-full py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-medium shadow-md disabled:opacity-50">
+                {t('workspaceSetup.join', { workspace: invite.workspaceName })}
+              </button>
+            </div>
+          )}
+
+          <form onSubmit={handleCreate} className="space-y-3">
+            <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider">{t('workspaceSetup.create')}</h3>
+            <input required type="text" placeholder={t('workspaceSetup.companyName')} className="w-full p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+              value={companyName}
+              onChange={(e) => setCompanyName(e.target.value)} />
+            <button type="submit" disabled={isBusy}
+              className="w-full py-2 bg-slate-700 hover:bg-slate-800 text-white rounded-lg font-medium shadow-md flex justify-center items-center disabled:opacity-50">
+              {isBusy && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+              {status || t('workspaceSetup.createButton')}
+            </button>
+            <p className="text-xs text-slate-400">{t('workspaceSetup.createHelp')}</p>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const EMPTY_INVITE = {
+  contact: '',
+  role: 'dispatcher',
+  driverId: ''
+};
+
+const MembersModal = ({ members, invitations, drivers, currentUid, onInvite, onChangeMember, onRemoveMember, onCancelInvite, onClose }) => {
+  const [inviteForm, setInviteForm] = useState(EMPTY_INVITE);
+
+  const driverName = (driverId) => drivers.find(d => d.id === driverId)?.name || '-';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await onInvite({
+      inviteId: getInviteId(inviteForm.contact),
+      role: inviteForm.role,
+      driverId: inviteForm.role === 'driver' ? inviteForm.driverId : null
+    });
+    setInviteForm(EMPTY_INVITE);
+  };
+
+  const inputClass = "w-full p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[90vh] overflow-y-auto animate-fade-in">
+        <div className="bg-slate-800 px-6 py-4 flex justify-between items-center">
+          <h2 className="text-white font-bold text-lg flex items-center">
+            <UserCog className="w-5 h-5 mr-2" /> {t('nav.members')}
+          </h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 grid grid-cols-2 md:grid-cols-4 gap-3">
+          <h3 className="col-span-2 md:col-span-4 text-sm font-bold text-slate-400 uppercase tracking-wider">{t('members.invite')}</h3>
+          <div className="col-span-2">
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('members.contact')}</label>
+            <input required type="text" placeholder={t('members.contactPlaceholder')} className={inputClass}
+              value={inviteForm.contact}
+              onChange={(e) => setInviteForm({...inviteForm, contact: e.target.value})} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('members.role')}</label>
+            <select className={inputClass}
+              value={inviteForm.role}
+              onChange={(e) => setInviteForm({...inviteForm, role: e.target.value})}>
+              {Object.keys(ROLES).map(value => (
+                <option key={value} value={value}>{t(`role.${value}`)}</option>
+              ))}
+            </select>
+          </div>
+          {inviteForm.role === 'driver' && (
+            <div>
+              <label className="block text-xs font-medium text-slate-600 mb-1">{t('members.driverProfile')}</label>
+              <select required className={inputClass}
+                value={inviteForm.driverId}
+                onChange={(e) => setInviteForm({...inviteForm, driverId: e.target.value})}>
+                <option value="">{t('common.select')}</option>
+                {drivers.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+              </select>
+            </div>
+          )}
+          <button type="submit"
+            className="col-span-2 md:col-span-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-medium shadow-md flex justify-center items-center">
+            <Mail className="w-4 h-4 mr-2" /> {t('members.sendInvitation')}
+          </button>
+        </form>
+
+        <div className="px-6 pb-6 space-y-6">
+          <div>
+            <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2">{t('nav.members')}</h3>
+            <ul className="divide-y divide-slate-100 text-sm">
+              {members.map(member => (
+                <li key={member.id} className="py-2 flex justify-between items-center">
+                  <span className="text-slate-700">
+                    <span className="font-medium">{member.contact}</span>
+                    {member.role === 'driver' && (
+                      <span className="text-xs text-slate-400 ml-2">{driverName(member.driverId)}</span>
+                    )}
+                  </span>
+                  {member.id === currentUid ? (
+                    <span className="text-xs text-slate-400">{t('members.you', { role: t(`role.${member.role}`) })}</span>
+                  ) : (
+                    <span className="flex items-center space-x-3">
+                      <select className="p-1 border border-slate-300 rounded text-xs"
+                        value={member.role}
+                        onChange={(e) => onChangeMember(member.id, { role: e.target.value })}>
+                        {Object.keys(ROLES).map(value => (
+                          <option key={value} value={value}>{t(`role.${value}`)}</option>
+                        ))}
+                      </select>
+                      {member.role === 'driver' && (
+                        <select className="p-1 border border-slate-300 rounded text-xs"
+                          value={member.driverId || ''}
+                          onChange={(e) => onChangeMember(member.id, { driverId: e.target.value || null })}>
+                          <option value="">{t('members.noProfile')}</option>
+                          {drivers.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+                        </select>
+                      )}
+                      <button type="button" onClick={() => onRemoveMember(member)}
+                        className="text-slate-400 hover:text-red-500 transition-colors" title={t('members.remove')}>
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {invitations.length > 0 && (
+            <div>
+              <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2">{t('members.pending')}</h3>
+              <ul className="divide-y divide-slate-100 text-sm">
+                {invitations.map(invite => (
+                  <li key={invite.id} className="py-2 flex justify-between items-center">
+                    <span className="text-slate-700">
+                      {invite.id}
+                      <span className="text-xs text-slate-400 ml-2">
+                        {t(`role.${invite.role}`)}{invite.driverId ? ` — ${driverName(invite.driverId)}` : ''}
+                      </span>
+                    </span>
+                    <button type="button" onClick={() => onCancelInvite(invite.id)}
+                      className="text-slate-400 hover:text-red-500 transition-colors" title={t('members.cancelInvite')}>
+                      <X className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Imported records may carry a category outside EXPENSE_CATEGORIES, which is shown as written
+const getCategoryLabel = (category) => (EXPENSE_CATEGORIES[category] ? t(`expenseCategory.${category}`) : category);
+
+const ReceiptThumbnail = ({ receipt, className = 'w-10 h-10' }) => (
+  isImageFile(receipt) ? (
+    <img src={receipt.url} alt={receipt.name} loading="lazy" className={`${className} object-cover rounded border border-slate-200`} />
+  ) : (
+    <span className={`${className} flex items-center justify-center rounded border border-slate-200 bg-slate-50 text-slate-400`}>
+      <FileText className="w-1/2 h-1/2" />
+    </span>
+  )
+);
+
+const ReceiptViewer = ({ record, onClose }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4" onClick={onClose}>
+    <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[95vh] flex flex-col overflow-hidden animate-fade-in" onClick={(e) => e.stopPropagation()}>
+      <div className="bg-slate-800 px-6 py-3 flex justify-between items-center">
+        <div className="text-white">
+          <div className="font-bold flex items-center"><Receipt className="w-5 h-5 mr-2" /> {record.truckNumber} — {getCategoryLabel(record.category)}</div>
+          <div className="text-xs text-slate-400">{formatDate(record.date)} · {formatCurrency(record.totalExpenses)}{record.description && ` · ${record.description}`}</div>
+        </div>
+        <div className="flex items-center space-x-3">
+          <a href={record.receipt.url} target="_blank" rel="noreferrer" className="text-slate-300 hover:text-white" title={t('receipts.openOriginal')}>
+            <Download className="w-5 h-5" />
+          </a>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+      </div>
+      <div className="flex-1 overflow-auto bg-slate-900 flex items-center justify-center">
+        {isImageFile(record.receipt) ? (
+          <img src={record.receipt.url} alt={record.receipt.name} className="max-w-full max-h-[80vh] object-contain" />
+        ) : (
+          <iframe src={record.receipt.url} title={record.receipt.name} className="w-full h-[80vh] bg-white" />
+        )}
+      </div>
+    </div>
+  </div>
+);
+
+const ReceiptGallery = ({ records, trucks, receiptThreshold, onView, onClose }) => {
+  const [filters, setFilters] = useState({ truck: '', category: '', month: '' });
+
+  const expenses = records.filter(r => r.type === 'expense'
+    && (!filters.truck || getTruckKey(r) === filters.truck)
+    && (!filters.category || r.category === filters.category)
+    && (!filters.month || getMonthKey(r.date) === filters.month));
+  const withReceipt = expenses.filter(r => r.receipt).sort((a, b) => b.date.localeCompare(a.date));
+  const missing = expenses.filter(r => !r.receipt && isReceiptRequired(r.totalExpenses, receiptThreshold));
+
+  const truckOptions = [...new Map(records
+    .filter(r => r.type === 'expense')
+    .map(r => [getTruckKey(r), trucks.find(t => t.id === r.truckId)?.plate || r.truckNumber || t('common.unknown')])
+  ).entries()].sort((a, b) => a[1].localeCompare(b[1]));
+
+  const inputClass = "p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-5xl max-h-[90vh] overflow-y-auto animate-fade-in">
+        <div className="bg-slate-800 px-6 py-4 flex justify-between items-center">
+          <h2 className="text-white font-bold text-lg flex items-center">
+            <Receipt className="w-5 h-5 mr-2" /> {t('nav.receipts')}
+          </h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div className="flex flex-wrap gap-3 items-center">
+            <select className={inputClass} value={filters.truck} onChange={(e) => setFilters({...filters, truck: e.target.value})}>
+              <option value="">{t('receipts.allTrucks')}</option>
+              {truckOptions.map(([key, plate]) => <option key={key} value={key}>{plate}</option>)}
+            </select>
+            <select className={inputClass} value={filters.category} onChange={(e) => setFilters({...filters, category: e.target.value})}>
+              <option value="">{t('receipts.allCategories')}</option>
+              {Object.keys(EXPENSE_CATEGORIES).map(value => <option key={value} value={value}>{t(`expenseCategory.${value}`)}</option>)}
+            </select>
+            <input type="month" className={inputClass} value={filters.month} onChange={(e) => setFilters({...filters, month: e.target.value})} />
+            <span className="text-sm text-slate-500">{t('receipts.count', { count: withReceipt.length })}</span>
+          </div>
+
+          {missing.length > 0 && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">
+              <div className="font-medium flex items-center mb-1">
+                <AlertTriangle className="w-4 h-4 mr-2" /> {t('receipts.missing', { count: missing.length, threshold: formatCurrency(receiptThreshold) })}
+              </div>
+              <ul className="text-xs space-y-0.5">
+                {missing.map(r => (
+                  <li key={r.id}>{formatDate(r.date)} — {r.truckNumber} — {getCategoryLabel(r.category)} — {formatCurrency(r.totalExpenses)}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {withReceipt.length > 0 ? (
+            <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-5 gap-4">
+              {withReceipt.map(record => (
+                <button key={record.id} type="button" onClick={() => onView(record)}
+                  className="text-left bg-slate-50 hover:bg-slate-100 border border-slate-200 rounded-lg p-2 transition-colors">
+                  <ReceiptThumbnail receipt={record.receipt} className="w-full h-32" />
+                  <div className="mt-2 text-xs">
+                    <div className="font-medium text-slate-700">{record.truckNumber} · {formatDate(record.date)}</div>
+                    <div className="text-slate-500">{getCategoryLabel(record.category)}</div>
+                    <div className="text-red-600 font-medium">{formatCurrency(record.totalExpenses)}</div>
+                  </div>
+                </button>
+              ))}
+            </div>
+          ) : (
+            <p className="text-slate-400 text-sm">{t('receipts.noMatch')}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const AiSettingsForm = () => {
+  const [aiSettings, setAiSettings] = useState(() => ({ provider: '', model: '', apiKey: '', ...readAiSettings() }));
+  const [isSaved, setIsSaved] = useState(false);
+  const active = getAiConfig();
+  const usage = getAiUsageTotals();
+
+  const updateAiSettings = (changes) => {
+    setAiSettings({ ...aiSettings, ...changes });
+    setIsSaved(false);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveAiSettings(aiSettings);
+    setIsSaved(true);
+  };
+
+  const inputClass = "w-full p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none";
+
+  return (
+    <form onSubmit={handleSubmit} className="px-6 pb-6 space-y-3">
+      <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider flex items-center">
+        <Sparkles className="w-4 h-4 mr-1" /> {t('aiSettings.title')}
+      </h3>
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-slate-600 mb-1">{t('aiSettings.provider')}</label>
+          <select className={inputClass}
+            value={aiSettings.provider}
+            onChange={(e) => updateAiSettings({ provider: e.target.value })}>
+            <option value="">{t('aiSettings.default')}</option>
+            {Object.entries(AI_PROVIDERS).map(([value, provider]) => (
+              <option key={value} value={value}>{provider.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-600 mb-1">{t('aiSettings.model')}</label>
+          <input type="text" className={inputClass}
+            placeholder={AI_PROVIDERS[aiSettings.provider || active.provider]?.defaultModel}
+            value={aiSettings.model}
+            onChange={(e) => updateAiSettings({ model: e.target.value })} />
+        </div>
+        <div className="col-span-2">
+          <label className="block text-xs font-medium text-slate-600 mb-1">{t('aiSettings.apiKey')}</label>
+          <input type="password" autoComplete="off" className={inputClass}
+            placeholder={t('aiSettings.apiKeyPlaceholder')}
+            value={aiSettings.apiKey}
+            onChange={(e) => updateAiSettings({ apiKey: e.target.value })} />
+        </div>
+      </div>
+      <div className="flex justify-between items-center text-xs text-slate-500">
+        <span>
+          {t('aiSettings.inUse', { provider: AI_PROVIDERS[active.provider]?.label || active.provider, model: active.model })}
+          {' · '}{t('aiSettings.usage', { requests: usage.requests, tokens: usage.inputTokens + usage.outputTokens })}
+        </span>
+        <button type="submit"
+          className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg text-sm font-medium shadow-md">
+          {isSaved ? t('common.saved') : t('common.save')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const SettingsModal = ({ config, rateHistory, tariffs, products, locations, customLocations, receiptThreshold, onSave, onDeleteRate, onSaveTariff, onDeleteTariff, onSaveProduct, onDeleteProduct, onSaveLocation, onDeleteLocation, onSaveReceiptThreshold, onClose }) => {
+  const [localConfig, setLocalConfig] = useState({
+    fuelPrice: config.fuelPrice,
+    revenuePerTon: config.revenuePerTon,
+    laborPerTon: config.laborPerTon,
+    effectiveFrom: todayISO()
+  });
+
+  const [localReceiptThreshold, setLocalReceiptThreshold] = useState(receiptThreshold);
+
+  const sortedHistory = [...rateHistory].sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(localConfig);
+  };
+
+  const handleReceiptSubmit = (e) => {
+    e.preventDefault();
+    onSaveReceiptThreshold(localReceiptThreshold);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto animate-fade-in">
+        <div className="bg-slate-800 px-6 py-4 flex justify-between items-center">
+          <h2 className="text-white font-bold text-lg flex items-center">
+            <Settings className="w-5 h-5 mr-2" /> {t('settings.title')}
+          </h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="px-6 pt-6">
+          <div className="bg-emerald-50 border border-emerald-100 rounded-lg p-3 text-sm">
+            <div className="font-medium text-emerald-800 mb-1">
+              {t('settings.currentRates')} {config.effectiveFrom ? `(${t('settings.since', { date: formatDate(config.effectiveFrom) })})` : `(${t('settings.defaults')})`}
+            </div>
+            <div className="grid grid-cols-3 gap-2 text-xs text-emerald-700">
+              <span>{t('settings.fuel')}: {formatCurrency(config.fuelPrice)}/L</span>
+              <span>{t('settings.revenue')}: {formatCurrency(config.revenuePerTon)}/T</span>
+              <span>{t('settings.labor')}: {formatCurrency(config.laborPerTon)}/T</span>
+            </div>
+          </div>
+        </div>
+        
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider">{t('settings.newRate')}</h3>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('settings.effectiveFrom')}</label>
+            <input 
+              required
+              type="date" 
+              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+              value={localConfig.effectiveFrom}
+              onChange={(e) => setLocalConfig({...localConfig, effectiveFrom: e.target.value})}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('settings.fuelPrice')}</label>
+            <input 
+              type="number" 
+              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+              value={localConfig.fuelPrice}
+              onChange={(e) => setLocalConfig({...localConfig, fuelPrice: Number(e.target.value)})}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('settings.revenuePerTon')}</label>
+            <input 
+              type="number" 
+              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+              value={localConfig.revenuePerTon}
+              onChange={(e) => setLocalConfig({...localConfig, revenuePerTon: Number(e.target.value)})}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('settings.laborPerTon')}</label>
+            <input 
+              type="number" 
+              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+              value={localConfig.laborPerTon}
+              onChange={(e) => setLocalConfig({...localConfig, laborPerTon: Number(e.target.value)})}
+            />
+          </div>
+          
+          <div className="pt-4 flex space-x-3">
+            <button 
+              type="button"
+              onClick={onClose}
+              className="flex-1 py-2 border border-slate-300 rounded-lg text-slate-600 hover:bg-slate-50 font-medium"
+            >
+              {t('common.cancel')}
+            </button>
+            <button 
+              type="submit"
+              className="flex-1 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-medium shadow-md"
+            >
+              {t('settings.saveChanges')}
+            </button>
+          </div>
+        </form>
+
+        <div className="px-6 pb-6">
+          <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center">
+            <History className="w-4 h-4 mr-1" /> {t('settings.rateHistory')}
+          </h3>
+          {sortedHistory.length > 0 ? (
+            <table className="w-full text-left text-sm">
+              <thead className="text-[10px] uppercase text-slate-400 border-b border-slate-200">
+                <tr>
+                  <th className="py-1">{t('settings.from')}</th>
+                  <th className="py-1 text-right">{t('settings.fuelPerLiter')}</th>
+                  <th className="py-1 text-right">{t('settings.revenuePerTonShort')}</th>
+                  <th className="py-1 text-right">{t('settings.laborPerTonShort')}</th>
+                  <th className="py-1"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {sortedHistory.map(entry => (
+                  <tr key={entry.id}>
+                    <td className="py-1.5 text-slate-700">{formatDate(entry.effectiveFrom)}</td>
+                    <td className="py-1.5 text-right text-slate-600">{formatCurrency(entry.fuelPrice)}</td>
+                    <td className="py-1.5 text-right text-slate-600">{formatCurrency(entry.revenuePerTon)}</td>
+                    <td className="py-1.5 text-right text-slate-600">{formatCurrency(entry.laborPerTon)}</td>
+                    <td className="py-1.5 text-right">
+                      <button
+                        type="button"
+                        onClick={() => onDeleteRate(entry.id)}
+                        className="text-slate-400 hover:text-red-500 transition-colors"
+                        title={t('settings.deleteRate')}
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-slate-400 text-sm">{t('settings.noRates')}</p>
+          )}
+        </div>
+
+        <div className="px-6 pb-6">
+          <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center">
+            <MapPin className="w-4 h-4 mr-1" /> {t('settings.tariffs')}
+          </h3>
+          <TariffEditor
+            tariffs={tariffs}
+            locations={locations}
+            defaultRate={config.revenuePerTon}
+            onSave={onSaveTariff}
+            onDelete={onDeleteTariff}
+          />
+        </div>
+
+        <div className="px-6 pb-6">
+          <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center">
+            <Package className="w-4 h-4 mr-1" /> {t('settings.products')}
+          </h3>
+          <ProductCatalogEditor
+            products={products}
+            onSave={onSaveProduct}
+            onDelete={onDeleteProduct}
+          />
+        </div>
+
+        <div className="px-6 pb-6">
+          <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center">
+            <Navigation className="w-4 h-4 mr-1" /> {t('settings.places')}
+          </h3>
+          <LocationDirectoryEditor
+            locations={locations}
+            customLocations={customLocations}
+            onSave={onSaveLocation}
+            onDelete={onDeleteLocation}
+          />
+        </div>
+
+        <form onSubmit={handleReceiptSubmit} className="px-6 pb-6">
+          <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center">
+            <Receipt className="w-4 h-4 mr-1" /> {t('settings.receiptPolicy')}
+          </h3>
+          <label className="block text-sm font-medium text-slate-700 mb-1">{t('settings.receiptThreshold')}</label>
+          <div className="flex space-x-2">
+            <input 
+              type="number" 
+              min="0"
+              className="flex-1 p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+              value={localReceiptThreshold}
+              onChange={(e) => setLocalReceiptThreshold(Number(e.target.value))}
+            />
+            <button 
+              type="submit"
+              disabled={localReceiptThreshold === receiptThreshold}
+              className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-medium shadow-md disabled:opacity-50"
+            >
+              {t('common.save')}
+            </button>
+          </div>
+        </form>
+
+        <AiSettingsForm />
+      </div>
+    </div>
+  );
+};
+
+const TruckPicker = ({ trucks, value, onChange, focusClass = 'focus:ring-emerald-500' }) => {
+  // Retired trucks stay selectable only for records that already use them
+  const options = trucks
+    .filter(t => t.status !== 'retired' || t.id === value)
+    .sort((a, b) => a.plate.localeCompare(b.plate));
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-slate-700 mb-1">{t('common.truck')}</label>
+      <select
+        required
+        className={`w-full p-2 border border-slate-300 rounded-lg focus:ring-2 ${focusClass} outline-none`}
+        value={value}
+        onChange={(e) => onChange(trucks.find(t => t.id === e.target.value) || null)}
+      >
+        <option value="">{t('truckPicker.select')}</option>
+        {options.map(truck => (
+          <option key={truck.id} value={truck.id}>
+            {truck.plate}{truck.make ? ` — ${truck.make} ${truck.model || ''}` : ''}{truck.status === 'retired' ? t('truckPicker.retired') : ''}
+          </option>
+        ))}
+      </select>
+      {options.length === 0 && (
+        <p className="text-xs text-amber-600 mt-1">{t('truckPicker.none')}</p>
+      )}
+    </div>
+  );
+};
+
+const EMPTY_TRUCK = {
+  plate: '',
+  make: '',
+  model: '',
+  capacityTons: 35,
+  capacityBags: 700,
+  fuelPer100Km: 35,
+  owner: '',
+  status: 'active'
+};
+
+const EMPTY_DOCUMENT = {
+  type: '',
+  number: '',
+  issueDate: '',
+  expiryDate: ''
+};
+
+const DocumentsPanel = ({ ownerType, owner, documents, onSaveDocument, onDeleteDocument }) => {
+  const types = DOCUMENT_TYPES[ownerType];
+  const emptyForm = { ...EMPTY_DOCUMENT, type: Object.keys(types)[0] };
+  const [documentForm, setDocumentForm] = useState(emptyForm);
+  const [editingDocumentId, setEditingDocumentId] = useState(null);
+  const [scanFile, setScanFile] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const ownerDocuments = getOwnerDocuments(documents, ownerType, owner);
+  const currentDocuments = getCurrentDocuments(documents, ownerType, owner);
+  const today = todayISO();
+
+  const resetForm = () => {
+    setEditingDocumentId(null);
+    setDocumentForm(emptyForm);
+    setScanFile(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const handleScanFileChange = (e) => {
+    const file = e.target.files[0] || null;
+    if (file && file.size > UPLOAD_MAX_BYTES) {
+      alert(t('alert.fileTooLarge', { max: UPLOAD_MAX_MB }));
+      e.target.value = '';
+      setScanFile(null);
+      return;
+    }
+    setScanFile(file);
+  };
+
+  // The stand-in license from an old driver record is filed as a new document
+  const handleEdit = (document) => {
+    setEditingDocumentId(document.id);
+    setDocumentForm(pickFormFields(document, EMPTY_DOCUMENT));
+    setScanFile(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const saved = await onSaveDocument(editingDocumentId, {
+      ...documentForm,
+      number: documentForm.number.trim(),
+      ownerType,
+      ownerId: owner.id
+    }, scanFile);
+    setIsSaving(false);
+    if (saved) resetForm();
+  };
+
+  const inputClass = "w-full p-1.5 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none";
+
+  return (
+    <div className="space-y-4">
+      {ownerDocuments.length > 0 ? (
+        <ul className="divide-y divide-slate-100 text-sm">
+          {ownerDocuments.map(document => {
+            const expiry = getDocumentStatus(document, today);
+            const status = currentDocuments.includes(document) ? expiry.status : 'renewed';
+            return (
+              <li key={document.id || `legacy-${document.type}`} className="py-2 flex justify-between items-center">
+                <span className="text-slate-700">
+                  <span className="font-medium">{describeDocumentType(ownerType, document.type)}</span>
+                  {document.number && <span className="text-xs text-slate-500 ml-2">{t('documents.number', { number: document.number })}</span>}
+                  <span className="text-xs text-slate-400 ml-2">
+                    {document.issueDate && `${formatDate(document.issueDate)} → `}
+                    {document.expiryDate ? formatDate(document.expiryDate) : t('document.noExpiry')}
+                    {document.legacy && ` — ${t('documents.fromDriverProfile')}`}
+                  </span>
+                </span>
+                <span className="flex items-center space-x-3">
+                  {status !== 'renewed' && <span className="text-xs text-slate-500">{describeDocumentExpiry(expiry)}</span>}
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${DOCUMENT_STATUS_STYLES[status]}`}>{t(`documentStatus.${status}`)}</span>
+                  {document.scan && (
+                    <a href={document.scan.url} target="_blank" rel="noreferrer"
+                      className="text-slate-400 hover:text-indigo-600 transition-colors" title={t('documents.viewScan')}>
+                      <FileText className="w-4 h-4" />
+                    </a>
+                  )}
+                  <button type="button" onClick={() => handleEdit(document)}
+                    className="text-slate-400 hover:text-emerald-600 transition-colors" title={t('common.edit')}>
+                    <Edit3 className="w-4 h-4" />
+                  </button>
+                  {!document.legacy && (
+                    <button type="button" onClick={() => onDeleteDocument(document)}
+                      className="text-slate-400 hover:text-red-500 transition-colors" title={t('common.delete')}>
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="text-slate-400 text-sm">{t('documents.none')}</p>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-5 gap-2 items-end">
+        <div>
+          <label className="block text-xs font-medium text-slate-600 mb-1">{t('documents.document')}</label>
+          <select className={inputClass}
+            value={documentForm.type}
+            onChange={(e) => setDocumentForm({...documentForm, type: e.target.value})}>
+            {Object.keys(types).map(value => (
+              <option key={value} value={value}>{describeDocumentType(ownerType, value)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-600 mb-1">{t('documents.numberLabel')}</label>
+          <input type="text" className={inputClass}
+            value={documentForm.number}
+            onChange={(e) => setDocumentForm({...documentForm, number: e.target.value})} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-600 mb-1">{t('documents.issued')}</label>
+          <input type="date" className={inputClass}
+            value={documentForm.issueDate}
+            onChange={(e) => setDocumentForm({...documentForm, issueDate: e.target.value})} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-600 mb-1">{t('documents.expires')}</label>
+          <input required type="date" className={inputClass}
+            value={documentForm.expiryDate}
+            onChange={(e) => setDocumentForm({...documentForm, expiryDate: e.target.value})} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-600 mb-1">{t('documents.scan')}</label>
+          <input ref={fileInputRef} type="file" accept="image/*,application/pdf" className="w-full text-xs text-slate-500"
+            onChange={handleScanFileChange} />
+        </div>
+        <div className="col-span-2 md:col-span-5 flex space-x-2">
+          {(editingDocumentId || documentForm.number || documentForm.expiryDate) && (
+            <button type="button" onClick={resetForm}
+              className="flex-1 py-2 border border-slate-300 rounded-lg text-slate-600 hover:bg-slate-50 text-sm font-medium">
+              {t('common.cancel')}
+            </button>
+          )}
+          <button type="submit" disabled={isSaving}
+            className="flex-1 py-2 bg-slate-700 hover:bg-slate-800 text-white rounded-lg text-sm font-medium flex justify-center items-center disabled:opacity-50">
+            {isSaving ? <Loader className="w-4 h-4 mr-1 animate-spin" /> : <Save className="w-4 h-4 mr-1" />}
+            {editingDocumentId ? t('documents.update') : t('documents.file')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+const EMPTY_SERVICE_ITEM = {
+  task: 'oilChange',
+  label: '',
+  intervalKm: SERVICE_TASKS.oilChange.intervalKm,
+  intervalDays: SERVICE_TASKS.oilChange.intervalDays,
+  lastDoneDate: '',
+  lastDoneKm: ''
+};
+
+const ServicePlanEditor = ({ truck, currentKm, onSavePlan }) => {
+  const plan = truck.servicePlan || [];
+  const [itemForm, setItemForm] = useState({ ...EMPTY_SERVICE_ITEM, lastDoneDate: todayISO(), lastDoneKm: currentKm ?? '' });
+
+  const handleTaskChange = (task) => {
+    setItemForm({ ...itemForm, task, intervalKm: SERVICE_TASKS[task].intervalKm, intervalDays: SERVICE_TASKS[task].intervalDays });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const item = {
+      id: Math.random().toString(36).slice(2, 10),
+      task: itemForm.task,
+      label: itemForm.task === 'other' ? itemForm.label.trim() : '',
+      intervalKm: itemForm.intervalKm === '' ? null : Number(itemForm.intervalKm),
+      intervalDays: itemForm.intervalDays === '' ? null : Number(itemForm.intervalDays),
+      lastDoneDate: itemForm.lastDoneDate || null,
+      lastDoneKm: itemForm.lastDoneKm === '' ? null : Number(itemForm.lastDoneKm)
+    };
+    onSavePlan([...plan, item]);
+    setItemForm({ ...EMPTY_SERVICE_ITEM, lastDoneDate: todayISO(), lastDoneKm: currentKm ?? '' });
+  };
+
+  const handleRemove = (itemId) => {
+    if (confirm(t('confirm.removeServiceItem'))) {
+      onSavePlan(plan.filter(item => item.id !== itemId));
+    }
+  };
+
+  const inputClass = "w-full p-1.5 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none";
+
+  return (
+    <div className="space-y-4">
+      <p className="text-xs text-slate-500">
+        {currentKm !== null ? t('service.currentOdometer', { km: currentKm }) : t('service.noOdometer')}
+      </p>
+      {plan.length > 0 ? (
+        <ul className="divide-y divide-slate-100 text-sm">
+          {plan.map(item => {
+            const due = getServiceStatus(item, currentKm, todayISO());
+            return (
+              <li key={item.id} className="py-2 flex justify-between items-center">
+                <span className="text-slate-700">
+                  <span className="font-medium">{describeServiceItem(item)}</span>
+                  <span className="text-xs text-slate-400 ml-2">
+                    {t('service.every', { interval: [item.intervalKm && `${item.intervalKm} km`, item.intervalDays && t('service.days', { days: item.intervalDays })].filter(Boolean).join(' / ') })}
+                    {item.lastDoneDate && ` — ${item.lastDoneKm != null
+                      ? t('service.lastDoneAt', { date: formatDate(item.lastDoneDate), km: item.lastDoneKm })
+                      : t('service.lastDone', { date: formatDate(item.lastDoneDate) })}`}
+                  </span>
+                </span>
+                <span className="flex items-center space-x-3">
+                  <span className="text-xs text-slate-500">{describeServiceDue(due)}</span>
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${SERVICE_STATUS_STYLES[due.status]}`}>{t(`serviceStatus.${due.status}`)}</span>
+                  <button type="button" onClick={() => handleRemove(item.id)}
+                    className="text-slate-400 hover:text-red-500 transition-colors" title={t('common.remove')}>
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="text-slate-400 text-sm">{t('service.noPlan')}</p>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-6 gap-2 items-end">
+        <div className="col-span-2">
+          <label className="block text-xs font-medium text-slate-600 mb-1">{t('service.task')}</label>
+          <select className={inputClass}
+            value={itemForm.task}
+            onChange={(e) => handleTaskChange(e.target.value)}>
+            {Object.keys(SERVICE_TASKS).map(value => (
+              <option key={value} value={value}>{t(`serviceTask.${value}`)}</option>
+            ))}
+          </select>
+          {itemForm.task === 'other' && (
+            <input required type="text" placeholder={t('common.name')} className={`${inputClass} mt-1`}
+              value={itemForm.label}
+              onChange={(e) => setItemForm({...itemForm, label: e.target.value})} />
+          )}
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-600 mb-1">{t('service.everyKm')}</label>
+          <input type="number" min="0" className={inputClass}
+            value={itemForm.intervalKm}
+            onChange={(e) => setItemForm({...itemForm, intervalKm: e.target.value})} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-600 mb-1">{t('service.everyDays')}</label>
+          <input type="number" min="0" className={inputClass}
+            value={itemForm.intervalDays}
+            onChange={(e) => setItemForm({...itemForm, intervalDays: e.target.value})} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-600 mb-1">{t('service.lastDoneLabel')}</label>
+          <input type="date" className={inputClass}
+            value={itemForm.lastDoneDate}
+            onChange={(e) => setItemForm({...itemForm, lastDoneDate: e.target.value})} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-600 mb-1">{t('service.atKm')}</label>
+          <input type="number" min="0" className={inputClass}
+            value={itemForm.lastDoneKm}
+            onChange={(e) => setItemForm({...itemForm, lastDoneKm: e.target.value})} />
+        </div>
+        <button type="submit" disabled={!itemForm.intervalKm && !itemForm.intervalDays}
+          className="col-span-2 md:col-span-6 py-2 bg-slate-700 hover:bg-slate-800 text-white rounded-lg text-sm font-medium flex justify-center items-center disabled:opacity-50">
+          <Plus className="w-4 h-4 mr-1" /> {t('service.add')}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const FleetModal = ({ trucks, trips, documents, onSaveTruck, onMergePlate, onSaveDocument, onDeleteDocument, onClose }) => {
+  const [truckForm, setTruckForm] = useState(EMPTY_TRUCK);
+  const [editingTruckId, setEditingTruckId] = useState(null);
+  const [mergeTargets, setMergeTargets] = useState({});
+  const [planTruckId, setPlanTruckId] = useState(null);
+  const [documentsTruckId, setDocumentsTruckId] = useState(null);
+
+  const planTruck = trucks.find(t => t.id === planTruckId) || null;
+  const documentsTruck = trucks.find(t => t.id === documentsTruckId) || null;
+
+  // Free-text plates on records that are not linked to a registered truck yet
+  const unregisteredPlates = useMemo(() => {
+    const counts = {};
+    trips.filter(t => !t.truckId && t.truckNumber).forEach(t => {
+      counts[t.truckNumber] = (counts[t.truckNumber] || 0) + 1;
+    });
+    return Object.entries(counts).sort((a, b) => a[0].localeCompare(b[0]));
+  }, [trips]);
+
+  const handleEditTruck = (truck) => {
+    setEditingTruckId(truck.id);
+    setTruckForm(pickFormFields(truck, EMPTY_TRUCK));
+  };
+
+  const resetTruckForm = () => {
+    setEditingTruckId(null);
+    setTruckForm(EMPTY_TRUCK);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const plate = truckForm.plate.trim().toUpperCase();
+    const duplicate = trucks.find(t => t.id !== editingTruckId && normalizePlate(t.plate) === normalizePlate(plate));
+    if (duplicate) {
+      alert(t('alert.truckExists', { plate: duplicate.plate }));
+      return;
+    }
+    await onSaveTruck(editingTruckId, { ...truckForm, plate });
+    resetTruckForm();
+  };
+
+  const handleMerge = (plate) => {
+    const target = trucks.find(t => t.id === (mergeTargets[plate] || findTruckByPlate(trucks, plate)?.id));
+    if (target) onMergePlate(plate, target);
+  };
+
+  const inputClass = "w-full p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[90vh] overflow-y-auto animate-fade-in">
+        <div className="bg-slate-800 px-6 py-4 flex justify-between items-center">
+          <h2 className="text-white font-bold text-lg flex items-center">
+            <Truck className="w-5 h-5 mr-2" /> {t('fleet.title')}
+          </h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 grid grid-cols-2 md:grid-cols-4 gap-3">
+          <h3 className="col-span-2 md:col-span-4 text-sm font-bold text-slate-400 uppercase tracking-wider">
+            {editingTruckId ? t('fleet.edit') : t('fleet.register')}
+          </h3>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('fleet.plate')}</label>
+            <input required type="text" placeholder={t('fleet.platePlaceholder')} className={inputClass}
+              value={truckForm.plate}
+              onChange={(e) => setTruckForm({...truckForm, plate: e.target.value.toUpperCase()})} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('fleet.make')}</label>
+            <input type="text" placeholder={t('fleet.makePlaceholder')} className={inputClass}
+              value={truckForm.make}
+              onChange={(e) => setTruckForm({...truckForm, make: e.target.value})} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('fleet.model')}</label>
+            <input type="text" placeholder={t('fleet.modelPlaceholder')} className={inputClass}
+              value={truckForm.model}
+              onChange={(e) => setTruckForm({...truckForm, model: e.target.value})} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('fleet.owner')}</label>
+            <input type="text" className={inputClass}
+              value={truckForm.owner}
+              onChange={(e) => setTruckForm({...truckForm, owner: e.target.value})} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('fleet.capacityTons')}</label>
+            <input type="number" min="0" className={inputClass}
+              value={truckForm.capacityTons}
+              onChange={(e) => setTruckForm({...truckForm, capacityTons: Number(e.target.value)})} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('fleet.capacityBags')}</label>
+            <input type="number" min="0" className={inputClass}
+              value={truckForm.capacityBags}
+              onChange={(e) => setTruckForm({...truckForm, capacityBags: Number(e.target.value)})} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('fleet.fuel')}</label>
+            <input type="number" min="0" className={inputClass}
+              value={truckForm.fuelPer100Km}
+              onChange={(e) => setTruckForm({...truckForm, fuelPer100Km: Number(e.target.value)})} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('fleet.status')}</label>
+            <select className={inputClass}
+              value={truckForm.status}
+              onChange={(e) => setTruckForm({...truckForm, status: e.target.value})}>
+              <option value="active">{t('fleet.active')}</option>
+              <option value="retired">{t('fleet.retired')}</option>
+            </select>
+          </div>
+          <div className="col-span-2 md:col-span-4 flex space-x-3">
+            {editingTruckId && (
+              <button type="button" onClick={resetTruckForm}
+                className="flex-1 py-2 border border-slate-300 rounded-lg text-slate-600 hover:bg-slate-50 font-medium">
+                {t('common.cancel')}
+              </button>
+            )}
+            <button type="submit"
+              className="flex-1 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-medium shadow-md flex justify-center items-center">
+              <Save className="w-4 h-4 mr-2" /> {editingTruckId ? t('fleet.update') : t('fleet.register')}
+            </button>
+          </div>
+        </form>
+
+        <div className="px-6 pb-6">
+          <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2">{t('fleet.registered')}</h3>
+          {trucks.length > 0 ? (
+            <table className="w-full text-left text-sm">
+              <thead className="text-[10px] uppercase text-slate-400 border-b border-slate-200">
+                <tr>
+                  <th className="py-1">{t('fleet.plate')}</th>
+                  <th className="py-1">{t('fleet.makeModel')}</th>
+                  <th className="py-1 text-right">{t('fleet.capacity')}</th>
+                  <th className="py-1 text-right">L/100 km</th>
+                  <th className="py-1">{t('fleet.owner')}</th>
+                  <th className="py-1">{t('fleet.status')}</th>
+                  <th className="py-1"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {[...trucks].sort((a, b) => a.plate.localeCompare(b.plate)).map(truck => (
+                  <tr key={truck.id} className={truck.status === 'retired' ? 'text-slate-400' : 'text-slate-700'}>
+                    <td className="py-1.5 font-medium">
+                      {truck.plate}
+                      {truck.aliases?.length > 0 && (
+                        <div className="text-[10px] text-slate-400">{t('fleet.aliases', { plates: truck.aliases.join(', ') })}</div>
+                      )}
+                    </td>
+                    <td className="py-1.5">{truck.make} {truck.model}</td>
+                    <td className="py-1.5 text-right">{t('fleet.capacityValue', { tons: truck.capacityTons, bags: getTruckCapacityBags(truck) })}</td>
+                    <td className="py-1.5 text-right">{truck.fuelPer100Km || '-'}</td>
+                    <td className="py-1.5">{truck.owner || '-'}</td>
+                    <td className="py-1.5">
+                      <span className={`text-xs px-2 py-0.5 rounded-full ${truck.status === 'retired' ? 'bg-slate-100' : 'bg-emerald-100 text-emerald-700'}`}>
+                        {truck.status === 'retired' ? t('fleet.retired') : t('fleet.active')}
+                      </span>
+                    </td>
+                    <td className="py-1.5 text-right whitespace-nowrap">
+                      <button type="button" onClick={() => setDocumentsTruckId(documentsTruckId === truck.id ? null : truck.id)}
+                        className={`transition-colors mr-2 ${documentsTruckId === truck.id ? 'text-indigo-600' : 'text-slate-400 hover:text-indigo-600'}`} title={t('documents.title')}>
+                        <FileText className="w-4 h-4" />
+                      </button>
+                      <button type="button" onClick={() => setPlanTruckId(planTruckId === truck.id ? null : truck.id)}
+                        className={`transition-colors mr-2 ${planTruckId === truck.id ? 'text-indigo-600' : 'text-slate-400 hover:text-indigo-600'}`} title={t('fleet.servicePlan')}>
+                        <Wrench className="w-4 h-4" />
+                      </button>
+                      <button type="button" onClick={() => handleEditTruck(truck)}
+                        className="text-slate-400 hover:text-emerald-600 transition-colors" title={t('fleet.edit')}>
+                        <Edit3 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-slate-400 text-sm">{t('fleet.none')}</p>
+          )}
+        </div>
+
+        {documentsTruck && (
+          <div className="px-6 pb-6">
+            <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2">{t('documents.titleOf', { name: documentsTruck.plate })}</h3>
+            <DocumentsPanel
+              key={documentsTruck.id}
+              ownerType="truck"
+              owner={documentsTruck}
+              documents={documents}
+              onSaveDocument={onSaveDocument}
+              onDeleteDocument={onDeleteDocument}
+            />
+          </div>
+        )}
+
+        {planTruck && (
+          <div className="px-6 pb-6">
+            <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2">{t('fleet.servicePlanOf', { plate: planTruck.plate })}</h3>
+            <ServicePlanEditor
+              key={planTruck.id}
+              truck={planTruck}
+              currentKm={getTruckOdometer(trips, planTruck.id)}
+              onSavePlan={(servicePlan) => onSaveTruck(planTruck.id, { servicePlan })}
+            />
+          </div>
+        )}
+
+        {unregisteredPlates.length > 0 && (
+          <div className="px-6 pb-6">
+            <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-1">{t('fleet.mergeTitle')}</h3>
+            <p className="text-xs text-slate-500 mb-2">
+              {t('fleet.mergeHelp')}
+            </p>
+            <ul className="divide-y divide-slate-100 text-sm">
+              {unregisteredPlates.map(([plate, count]) => {
+                const suggested = findTruckByPlate(trucks, plate);
+                return (
+                  <li key={plate} className="py-2 flex items-center justify-between space-x-3">
+                    <span className="text-slate-700">
+                      <span className="font-medium">{plate}</span>
+                      <span className="text-xs text-slate-400 ml-2">{t('fleet.recordCount', { count })}</span>
+                    </span>
+                    <span className="flex items-center space-x-2">
+                      <select
+                        className="p-1.5 border border-slate-300 rounded-lg text-sm"
+                        value={mergeTargets[plate] ?? suggested?.id ?? ''}
+                        onChange={(e) => setMergeTargets({ ...mergeTargets, [plate]: e.target.value })}
+                      >
+                        <option value="">{t('fleet.mergeInto')}</option>
+                        {trucks.map(truck => (
+                          <option key={truck.id} value={truck.id}>{truck.plate}</option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() => handleMerge(plate)}
+                        disabled={!(mergeTargets[plate] || suggested)}
+                        className="px-3 py-1.5 bg-slate-700 hover:bg-slate-800 text-white rounded-lg text-xs font-medium disabled:opacity-50"
+                      >
+                        {t('fleet.merge')}
+                      </button>
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const EMPTY_DRIVER = {
+  name: '',
+  phone: '',
+  payRule: DEFAULT_DRIVER_PAY_RULE,
+  status: 'active'
+};
+
+const DriverLedger = ({ driver, trips, payments, onAddPayment, onDeletePayment }) => {
+  const [payment, setPayment] = useState({ date: todayISO(), amount: '', kind: 'advance', note: '' });
+
+  const driverTrips = trips
+    .filter(t => t.type === 'trip' && t.driverId === driver.id)
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+  const driverPayments = payments
+    .filter(p => p.driverId === driver.id)
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  const earnings = driverTrips.reduce((sum, t) => sum + (t.driverPay || 0), 0);
+  const paid = driverPayments.reduce((sum, p) => sum + p.amount, 0);
+  const balance = earnings - paid;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await onAddPayment({ ...payment, driverId: driver.id, amount: Number(payment.amount) });
+    setPayment({ ...payment, amount: '', note: '' });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-3 gap-3 text-center">
+        <div className="bg-slate-50 rounded-lg p-3">
+          <div className="text-xs text-slate-500">{t('ledger.earnings', { count: driverTrips.length })}</div>
+          <div className="font-bold text-slate-800">{formatCurrency(earnings)}</div>
+        </div>
+        <div className="bg-slate-50 rounded-lg p-3">
+          <div className="text-xs text-slate-500">{t('ledger.payments')}</div>
+          <div className="font-bold text-slate-800">{formatCurrency(paid)}</div>
+        </div>
+        <div className={`rounded-lg p-3 ${balance > 0 ? 'bg-amber-50' : 'bg-emerald-50'}`}>
+          <div className="text-xs text-slate-500">{t('ledger.balance')}</div>
+          <div className={`font-bold ${balance > 0 ? 'text-amber-700' : 'text-emerald-700'}`}>{formatCurrency(balance)}</div>
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-5 gap-2">
+        <input required type="date" className="p-2 border border-slate-300 rounded-lg text-sm"
+          value={payment.date}
+          onChange={(e) => setPayment({...payment, date: e.target.value})} />
+        <select className="p-2 border border-slate-300 rounded-lg text-sm"
+          value={payment.kind}
+          onChange={(e) => setPayment({...payment, kind: e.target.value})}>
+          <option value="advance">{t('ledger.advance')}</option>
+          <option value="payment">{t('ledger.payment')}</option>
+        </select>
+        <input required type="number" min="1" placeholder={t('ledger.amount')} className="p-2 border border-slate-300 rounded-lg text-sm"
+          value={payment.amount}
+          onChange={(e) => setPayment({...payment, amount: e.target.value})} />
+        <input type="text" placeholder={t('ledger.note')} className="p-2 border border-slate-300 rounded-lg text-sm"
+          value={payment.note}
+          onChange={(e) => setPayment({...payment, note: e.target.value})} />
+        <button type="submit" className="py-2 bg-slate-700 hover:bg-slate-800 text-white rounded-lg text-sm font-medium">
+          {t('ledger.record')}
+        </button>
+      </form>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+        <div>
+          <h4 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-1">{t('common.trips')}</h4>
+          <ul className="divide-y divide-slate-100 max-h-48 overflow-y-auto">
+            {driverTrips.map(t => (
+              <li key={t.id} className="py-1 flex justify-between">
+                <span className="text-slate-600">{formatDate(t.date)} — {describeTripRoute(t)} ({t.weightTons.toFixed(1)} T)</span>
+                <span className="text-slate-800">{formatCurrency(t.driverPay || 0)}</span>
+              </li>
+            ))}
+            {driverTrips.length === 0 && <li className="py-1 text-slate-400">{t('ledger.noTrips')}</li>}
+          </ul>
+        </div>
+        <div>
+          <h4 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-1">{t('ledger.payments')}</h4>
+          <ul className="divide-y divide-slate-100 max-h-48 overflow-y-auto">
+            {driverPayments.map(p => (
+              <li key={p.id} className="py-1 flex justify-between items-center">
+                <span className="text-slate-600">
+                  {formatDate(p.date)} — {p.kind === 'advance' ? t('ledger.advance') : t('ledger.payment')}
+                  {p.note && <span className="text-xs text-slate-400 ml-1">({p.note})</span>}
+                </span>
+                <span className="flex items-center space-x-2">
+                  <span className="text-slate-800">{formatCurrency(p.amount)}</span>
+                  <button type="button" onClick={() => onDeletePayment(p.id)}
+                    className="text-slate-400 hover:text-red-500 transition-colors" title={t('common.delete')}>
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </span>
+              </li>
+            ))}
+            {driverPayments.length === 0 && <li className="py-1 text-slate-400">{t('ledger.noPayments')}</li>}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const DriversModal = ({ drivers, trips, payments, documents, onSaveDriver, onAddPayment, onDeletePayment, onSaveDocument, onDeleteDocument, onClose }) => {
+  const [driverForm, setDriverForm] = useState(EMPTY_DRIVER);
+  const [editingDriverId, setEditingDriverId] = useState(null);
+  const [ledgerDriverId, setLedgerDriverId] = useState(null);
+  const [documentsDriverId, setDocumentsDriverId] = useState(null);
+
+  const ledgerDriver = drivers.find(d => d.id === ledgerDriverId) || null;
+  const documentsDriver = drivers.find(d => d.id === documentsDriverId) || null;
+
+  const handleEditDriver = (driver) => {
+    setEditingDriverId(driver.id);
+    setDriverForm(pickFormFields(driver, EMPTY_DRIVER));
+  };
+
+  const resetDriverForm = () => {
+    setEditingDriverId(null);
+    setDriverForm(EMPTY_DRIVER);
+  };
+
+  const updatePayRule = (changes) => {
+    setDriverForm({ ...driverForm, payRule: { ...driverForm.payRule, ...changes } });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await onSaveDriver(editingDriverId, { ...driverForm, name: driverForm.name.trim() });
+    resetDriverForm();
+  };
+
+  const inputClass = "w-full p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[90vh] overflow-y-auto animate-fade-in">
+        <div className="bg-slate-800 px-6 py-4 flex justify-between items-center">
+          <h2 className="text-white font-bold text-lg flex items-center">
+            <User className="w-5 h-5 mr-2" /> {t('nav.drivers')}
+          </h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 grid grid-cols-2 md:grid-cols-4 gap-3">
+          <h3 className="col-span-2 md:col-span-4 text-sm font-bold text-slate-400 uppercase tracking-wider">
+            {editingDriverId ? t('drivers.edit') : t('drivers.add')}
+          </h3>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('common.name')}</label>
+            <input required type="text" className={inputClass}
+              value={driverForm.name}
+              onChange={(e) => setDriverForm({...driverForm, name: e.target.value})} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('auth.phone')}</label>
+            <input type="tel" placeholder="+224 6xx xx xx xx" className={inputClass}
+              value={driverForm.phone}
+              onChange={(e) => setDriverForm({...driverForm, phone: e.target.value})} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('drivers.payRule')}</label>
+            <select className={inputClass}
+              value={driverForm.payRule.type}
+              onChange={(e) => updatePayRule({ type: e.target.value })}>
+              {Object.keys(DRIVER_PAY_RULE_TYPES).map(value => (
+                <option key={value} value={value}>{t(`driverPayRule.${value}`)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">
+              {driverForm.payRule.type === 'perTon' ? t('drivers.perTon') : driverForm.payRule.type === 'perZone' ? t('drivers.basePerTrip') : t('drivers.perTrip')}
+            </label>
+            <input type="number" min="0" className={inputClass}
+              value={driverForm.payRule.amount}
+              onChange={(e) => updatePayRule({ amount: Number(e.target.value) })} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('fleet.status')}</label>
+            <select className={inputClass}
+              value={driverForm.status}
+              onChange={(e) => setDriverForm({...driverForm, status: e.target.value})}>
+              <option value="active">{t('drivers.active')}</option>
+              <option value="inactive">{t('drivers.inactive')}</option>
+            </select>
+          </div>
+          {driverForm.payRule.type === 'perZone' && (
+            <div className="col-span-2 md:col-span-4 grid grid-cols-3 gap-3">
+              {ZONES.map(zone => (
+                <div key={zone}>
+                  <label className="block text-xs font-medium text-slate-600 mb-1">{t('drivers.zoneRate', { zone })}</label>
+                  <input type="number" min="0" className={inputClass}
+                    value={driverForm.payRule.zoneRates?.[zone] ?? ''}
+                    onChange={(e) => updatePayRule({ zoneRates: { ...driverForm.payRule.zoneRates, [zone]: Number(e.target.value) } })} />
+                </div>
+              ))}
+            </div>
+          )}
+          <div className="col-span-2 md:col-span-4 flex space-x-3">
+            {editingDriverId && (
+              <button type="button" onClick={resetDriverForm}
+                className="flex-1 py-2 border border-slate-300 rounded-lg text-slate-600 hover:bg-slate-50 font-medium">
+                {t('common.cancel')}
+              </button>
+            )}
+            <button type="submit"
+              className="flex-1 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-medium shadow-md flex justify-center items-center">
+              <Save className="w-4 h-4 mr-2" /> {editingDriverId ? t('drivers.update') : t('drivers.add')}
+            </button>
+          </div>
+        </form>
+
+        <div className="px-6 pb-6">
+          {drivers.length > 0 ? (
+            <table className="w-full text-left text-sm">
+              <thead className="text-[10px] uppercase text-slate-400 border-b border-slate-200">
+                <tr>
+                  <th className="py-1">{t('common.name')}</th>
+                  <th className="py-1">{t('auth.phone')}</th>
+                  <th className="py-1">{t('drivers.licenseExpiry')}</th>
+                  <th className="py-1">{t('drivers.payRule')}</th>
+                  <th className="py-1"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {[...drivers].sort((a, b) => a.name.localeCompare(b.name)).map(driver => {
+                  const license = getCurrentDocuments(documents, 'driver', driver).find(d => d.type === 'license');
+                  return (
+                    <tr key={driver.id} className={driver.status === 'inactive' ? 'text-slate-400' : 'text-slate-700'}>
+                      <td className="py-1.5 font-medium">{driver.name}</td>
+                      <td className="py-1.5">{driver.phone || '-'}</td>
+                      <td className={`py-1.5 ${isExpired(license?.expiryDate) ? 'text-red-600 font-medium' : ''}`}>
+                        {license?.expiryDate ? formatDate(license.expiryDate) : '-'}
+                        {isExpired(license?.expiryDate) && ` (${t('drivers.expired')})`}
+                      </td>
+                      <td className="py-1.5">{describePayRule(driver.payRule)}</td>
+                      <td className="py-1.5 text-right whitespace-nowrap">
+                        <button type="button" onClick={() => setDocumentsDriverId(documentsDriverId === driver.id ? null : driver.id)}
+                          className={`mr-2 transition-colors ${documentsDriverId === driver.id ? 'text-indigo-600' : 'text-slate-400 hover:text-indigo-600'}`}
+                          title={t('documents.title')}>
+                          <FileText className="w-4 h-4" />
+                        </button>
+                        <button type="button" onClick={() => setLedgerDriverId(ledgerDriverId === driver.id ? null : driver.id)}
+                          className={`mr-2 transition-colors ${ledgerDriverId === driver.id ? 'text-indigo-600' : 'text-slate-400 hover:text-indigo-600'}`}
+                          title={t('drivers.ledger')}>
+                          <Wallet className="w-4 h-4" />
+                        </button>
+                        <button type="button" onClick={() => handleEditDriver(driver)}
+                          className="text-slate-400 hover:text-emerald-600 transition-colors" title={t('drivers.edit')}>
+                          <Edit3 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-slate-400 text-sm">{t('drivers.none')}</p>
+          )}
+        </div>
+
+        {documentsDriver && (
+          <div className="px-6 pb-6">
+            <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2">
+              {t('documents.titleOf', { name: documentsDriver.name })}
+            </h3>
+            <DocumentsPanel
+              key={documentsDriver.id}
+              ownerType="driver"
+              owner={documentsDriver}
+              documents={documents}
+              onSaveDocument={onSaveDocument}
+              onDeleteDocument={onDeleteDocument}
+            />
+          </div>
+        )}
+
+        {ledgerDriver && (
+          <div className="px-6 pb-6">
+            <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2">
+              {t('drivers.ledgerOf', { name: ledgerDriver.name })}
+            </h3>
+            <DriverLedger
+              driver={ledgerDriver}
+              trips={trips}
+              payments={payments}
+              onAddPayment={onAddPayment}
+              onDeletePayment={onDeletePayment}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const EMPTY_CUSTOMER = {
+  name: '',
+  phone: '',
+  address: '',
+  kind: 'hardware'
+};
+
+const InvoiceRow = ({ invoice, customer, readOnly, onRecordPayment }) => {
+  const [showPayment, setShowPayment] = useState(false);
+  const [payment, setPayment] = useState({ date: todayISO(), amount: '', method: 'cash', reference: '' });
+  const balance = invoice.total - (invoice.amountPaid || 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!(await onRecordPayment(invoice, { ...payment, amount: Number(payment.amount) }))) return;
+    setPayment({ ...payment, amount: '', reference: '' });
+    setShowPayment(false);
+  };
+
+  return (
+    <li className="py-2">
+      <div className="flex justify-between items-center">
+        <span className="text-slate-700">
+          <span className="font-medium">{invoice.number}</span>
+          <span className="text-xs text-slate-400 ml-2">{t('invoice.summary', { date: formatDate(invoice.issueDate), count: invoice.lines.length })}</span>
+        </span>
+        <span className="flex items-center space-x-3">
+          <span className="text-right">
+            <div className="text-slate-800">{formatCurrency(invoice.total)}</div>
+            {balance > 0 && invoice.status !== 'unpaid' && (
+              <div className="text-[10px] text-slate-400">{t('invoice.due', { amount: formatCurrency(balance) })}</div>
+            )}
+          </span>
+          <span className={`text-xs px-2 py-0.5 rounded-full ${INVOICE_STATUS_STYLES[invoice.status]}`}>{t(`invoiceStatus.${invoice.status}`)}</span>
+          {!readOnly && invoice.status !== 'paid' && (
+            <button type="button" onClick={() => setShowPayment(!showPayment)}
+              className="text-slate-400 hover:text-emerald-600 transition-colors" title={t('invoice.recordPayment')}>
+              <DollarSign className="w-4 h-4" />
+            </button>
+          )}
+          <button type="button" onClick={() => printInvoice(invoice, customer)}
+            className="text-slate-400 hover:text-slate-700 transition-colors" title={t('invoice.print')}>
+            <Printer className="w-4 h-4" />
+          </button>
+        </span>
+      </div>
+      {showPayment && (
+        <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-5 gap-2 mt-2">
+          <input required type="date" className="p-2 border border-slate-300 rounded-lg text-sm"
+            value={payment.date}
+            onChange={(e) => setPayment({...payment, date: e.target.value})} />
+          <select className="p-2 border border-slate-300 rounded-lg text-sm"
+            value={payment.method}
+            onChange={(e) => setPayment({...payment, method: e.target.value})}>
+            {Object.keys(PAYMENT_METHODS).map(value => (
+              <option key={value} value={value}>{t(`paymentMethod.${value}`)}</option>
+            ))}
+          </select>
+          <input required type="number" min="1" max={balance} placeholder={t('invoice.maxAmount', { amount: balance })} className="p-2 border border-slate-300 rounded-lg text-sm"
+            value={payment.amount}
+            onChange={(e) => setPayment({...payment, amount: e.target.value})} />
+          <input type="text" placeholder={t('invoice.reference')} className="p-2 border border-slate-300 rounded-lg text-sm"
+            value={payment.reference}
+            onChange={(e) => setPayment({...payment, reference: e.target.value})} />
+          <button type="submit" className="py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg text-sm font-medium">
+            {t('invoice.recordPayment')}
+          </button>
+        </form>
+      )}
+    </li>
+  );
+};
+
+// Accountants open it read-only: they follow receivables but do not bill or collect
+const CustomersModal = ({ customers, trips, invoices, readOnly, onSaveCustomer, onCreateInvoice, onRecordPayment, onClose }) => {
+  const [customerForm, setCustomerForm] = useState(EMPTY_CUSTOMER);
+  const [editingCustomerId, setEditingCustomerId] = useState(null);
+  const [selectedCustomerId, setSelectedCustomerId] = useState(null);
+  const [excludedTripIds, setExcludedTripIds] = useState([]);
+
+  const selectedCustomer = customers.find(c => c.id === selectedCustomerId) || null;
+
+  const unbilledTrips = (customerId) => trips
+    .filter(t => t.type === 'trip' && t.customerId === customerId && !t.invoiceId)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const selectedUnbilled = selectedCustomer ? unbilledTrips(selectedCustomer.id) : [];
+  const tripsToInvoice = selectedUnbilled.filter(t => !excludedTripIds.includes(t.id));
+  const customerInvoices = invoices
+    .filter(inv => inv.customerId === selectedCustomerId)
+    .sort((a, b) => b.number.localeCompare(a.number));
+
+  const handleEditCustomer = (customer) => {
+    setEditingCustomerId(customer.id);
+    setCustomerForm(pickFormFields(customer, EMPTY_CUSTOMER));
+  };
+
+  const resetCustomerForm = () => {
+    setEditingCustomerId(null);
+    setCustomerForm(EMPTY_CUSTOMER);
+  };
+
+  const handleSelectCustomer = (customerId) => {
+    setSelectedCustomerId(selectedCustomerId === customerId ? null : customerId);
+    setExcludedTripIds([]);
+  };
+
+  const toggleTrip = (tripId) => {
+    setExcludedTripIds(excludedTripIds.includes(tripId)
+      ? excludedTripIds.filter(id => id !== tripId)
+      : [...excludedTripIds, tripId]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await onSaveCustomer(editingCustomerId, { ...customerForm, name: customerForm.name.trim() });
+    resetCustomerForm();
+  };
+
+  const inputClass = "w-full p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[90vh] overflow-y-auto animate-fade-in">
+        <div className="bg-slate-800 px-6 py-4 flex justify-between items-center">
+          <h2 className="text-white font-bold text-lg flex items-center">
+            <Users className="w-5 h-5 mr-2" /> {t('nav.customers')}
+          </h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {!readOnly && (
+        <form onSubmit={handleSubmit} className="p-6 grid grid-cols-2 md:grid-cols-4 gap-3">
+          <h3 className="col-span-2 md:col-span-4 text-sm font-bold text-slate-400 uppercase tracking-wider">
+            {editingCustomerId ? t('customers.edit') : t('customers.add')}
+          </h3>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('common.name')}</label>
+            <input required type="text" className={inputClass}
+              value={customerForm.name}
+              onChange={(e) => setCustomerForm({...customerForm, name: e.target.value})} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('customers.kind')}</label>
+            <select className={inputClass}
+              value={customerForm.kind}
+              onChange={(e) => setCustomerForm({...customerForm, kind: e.target.value})}>
+              {Object.keys(CUSTOMER_KINDS).map(value => (
+                <option key={value} value={value}>{t(`customerKind.${value}`)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('auth.phone')}</label>
+            <input type="tel" className={inputClass}
+              value={customerForm.phone}
+              onChange={(e) => setCustomerForm({...customerForm, phone: e.target.value})} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">{t('customers.address')}</label>
+            <input type="text" className={inputClass}
+              value={customerForm.address}
+              onChange={(e) => setCustomerForm({...customerForm, address: e.target.value})} />
+          </div>
+          <div className="col-span-2 md:col-span-4 flex space-x-3">
+            {editingCustomerId && (
+              <button type="button" onClick={resetCustomerForm}
+                className="flex-1 py-2 border border-slate-300 rounded-lg text-slate-600 hover:bg-slate-50 font-medium">
+                {t('common.cancel')}
+              </button>
+            )}
+            <button type="submit"
+              className="flex-1 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-medium shadow-md flex justify-center items-center">
+              <Save className="w-4 h-4 mr-2" /> {editingCustomerId ? t('customers.update') : t('customers.add')}
+            </button>
+          </div>
+        </form>
+        )}
+
+        <div className={`px-6 pb-6 ${readOnly ? 'pt-6' : ''}`}>
+          {customers.length > 0 ? (
+            <ul className="divide-y divide-slate-100 text-sm">
+              {[...customers].sort((a, b) => a.name.localeCompare(b.name)).map(customer => {
+                const unbilledCount = unbilledTrips(customer.id).length;
+                return (
+                  <li key={customer.id} className={`py-2 flex justify-between items-center ${selectedCustomerId === customer.id ? 'bg-slate-50' : ''}`}>
+                    <button type="button" onClick={() => handleSelectCustomer(customer.id)} className="text-left">
+                      <span className="font-medium text-slate-700">{customer.name}</span>
+                      <span className="text-xs text-slate-400 ml-2">{CUSTOMER_KINDS[customer.kind] && t(`customerKind.${customer.kind}`)}</span>
+                      {unbilledCount > 0 && (
+                        <span className="ml-2 text-[10px] bg-amber-100 text-amber-700 px-1.5 py-0.5 rounded">{t('customers.unbilledCount', { count: unbilledCount })}</span>
+                      )}
+                    </button>
+                    {!readOnly && (
+                      <button type="button" onClick={() => handleEditCustomer(customer)}
+                        className="text-slate-400 hover:text-emerald-600 transition-colors" title={t('customers.edit')}>
+                        <Edit3 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <p className="text-slate-400 text-sm">{t('customers.none')}</p>
+          )}
+        </div>
+
+        {selectedCustomer && (
+          <div className="px-6 pb-6 space-y-6">
+            <div>
+              <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2">
+                {t('customers.unbilledOf', { name: selectedCustomer.name })}
+              </h3>
+              {selectedUnbilled.length > 0 ? (
+                <>
+                  <ul className="divide-y divide-slate-100 text-sm max-h-48 overflow-y-auto">
+                    {selectedUnbilled.map(t => (
+                      <li key={t.id} className="py-1 flex justify-between items-center">
+                        <label className="flex items-center text-slate-600 cursor-pointer">
+                          {!readOnly && (
+                            <input type="checkbox" className="mr-2"
+                              checked={!excludedTripIds.includes(t.id)}
+                              onChange={() => toggleTrip(t.id)} />
+                          )}
+                          {formatDate(t.date)} — {t.truckNumber} — {describeTripRoute(t)} ({describeTripLoad(t)})
+                        </label>
+                        <span className="text-slate-800">{formatCurrency(t.revenue)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                  {!readOnly && (
+                    <button type="button"
+                      disabled={tripsToInvoice.length === 0}
+                      onClick={() => onCreateInvoice(selectedCustomer, tripsToInvoice)}
+                      className="mt-3 w-full py-2 bg-slate-700 hover:bg-slate-800 text-white rounded-lg text-sm font-medium flex justify-center items-center disabled:opacity-50">
+                      <FileText className="w-4 h-4 mr-2" />
+                      {t('customers.createInvoice', {
+                        count: tripsToInvoice.length,
+                        amount: formatCurrency(tripsToInvoice.reduce((sum, trip) => sum + trip.revenue, 0))
+                      })}
+                    </button>
+                  )}
+                </>
+              ) : (
+                <p className="text-slate-400 text-sm">{t('customers.allInvoiced')}</p>
+              )}
+            </div>
+
+            <div>
+              <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2">{t('customers.invoices')}</h3>
+              {customerInvoices.length > 0 ? (
+                <ul className="divide-y divide-slate-100 text-sm">
+                  {customerInvoices.map(invoice => (
+                    <InvoiceRow
+                      key={invoice.id}
+                      invoice={invoice}
+                      customer={selectedCustomer}
+                      readOnly={readOnly}
+                      onRecordPayment={onRecordPayment}
+                    />
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-slate-400 text-sm">{t('customers.noInvoices')}</p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ImportWizard = ({ trips, trucks, rateHistory, tariffs, products, locations, onImport, onClose }) => {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [dataRows, setDataRows] = useState([]);
+  const [recordType, setRecordType] = useState('trip');
+  const [mapping, setMapping] = useState({});
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importedCount, setImportedCount] = useState(0);
+
+  const fields = IMPORT_FIELDS[recordType];
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const isCsv = /\.csv$/i.test(file.name);
+    const reader = new FileReader();
+    reader.readAsArrayBuffer(file);
+    reader.onload = () => {
+      try {
+        // CSV cells are kept as raw text so DD/MM/YYYY dates are not read as US dates
+        const workbook = XLSX.read(reader.result, { type: 'array', raw: isCsv, cellDates: true });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, dateNF: 'yyyy-mm-dd', defval: '' })
+          .filter(row => row.some(cell => String(cell).trim() !== ''));
+        if (rows.length < 2) {
+          alert(t('alert.importNoRows'));
+          return;
+        }
+        setFileName(file.name);
+        setHeaders(rows[0].map(String));
+        setDataRows(rows.slice(1));
+        setMapping(guessColumnMapping(rows[0].map(String), IMPORT_FIELDS[recordType]));
+        setStep('map');
+      } catch (err) {
+        console.error("Error reading import file:", err);
+        alert(t('alert.importUnreadable'));
+      }
+    };
+  };
+
+  const handleRecordTypeChange = (type) => {
+    setRecordType(type);
+    setMapping(guessColumnMapping(headers, IMPORT_FIELDS[type]));
+  };
+
+  const missingRequired = fields.filter(f => f.required && mapping[f.key] === '');
+
+  const previewRows = useMemo(() => {
+    if (step !== 'preview') return [];
+    const dedupeKey = recordType === 'trip' ? tripDedupeKey : expenseDedupeKey;
+    const seenKeys = new Set(trips.filter(t => t.type === recordType).map(dedupeKey));
+    return dataRows.map((cells, index) => {
+      const result = buildImportRecord(recordType, cells, mapping, { trucks, rateHistory, tariffs, products, locations });
+      let duplicate = false;
+      if (result.record) {
+        const key = dedupeKey(result.record);
+        duplicate = seenKeys.has(key);
+        seenKeys.add(key);
+      }
+      // Row numbers match the spreadsheet, where row 1 is the header
+      return { rowNumber: index + 2, cells, ...result, duplicate };
+    });
+  }, [step, recordType, dataRows, mapping, trips, trucks, rateHistory, tariffs, products, locations]);
+
+  const validRows = previewRows.filter(r => r.record);
+  const errorCount = previewRows.length - validRows.length;
+  const duplicateCount = validRows.filter(r => r.duplicate).length;
+  const rowsToImport = validRows.filter(r => includeDuplicates || !r.duplicate);
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    const count = await onImport(rowsToImport.map(r => r.record));
+    setIsImporting(false);
+    if (count !== null) {
+      setImportedCount(count);
+      setStep('done');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-5xl max-h-[90vh] overflow-y-auto animate-fade-in">
+        <div className="bg-slate-800 px-6 py-4 flex justify-between items-center">
+          <h2 className="text-white font-bold text-lg flex items-center">
+            <Upload className="w-5 h-5 mr-2" /> {t('import.title')} {fileName && <span className="text-slate-400 text-sm ml-2">{fileName}</span>}
+          </h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {step === 'upload' && (
+          <div className="p-6 space-y-4">
+            <div className="flex space-x-3">
+              {['trip', 'expense'].map(type => (
+                <button key={type} type="button" onClick={() => setRecordType(type)}
+                  className={`flex-1 py-2 rounded-lg border font-medium ${recordType === type ? 'bg-emerald-50 border-emerald-400 text-emerald-700' : 'border-slate-300 text-slate-600'}`}>
+                  {type === 'trip' ? t('common.trips') : t('common.expenses')}
+                </button>
+              ))}
+            </div>
+            <input type="file" accept=".csv,.xlsx,.xls" className="hidden" id="import-upload" onChange={handleFileChange} />
+            <label htmlFor="import-upload"
+              className="w-full flex flex-col items-center justify-center p-8 border-2 border-dashed border-slate-300 rounded-lg cursor-pointer hover:border-emerald-400 hover:bg-emerald-50 text-slate-600">
+              <Upload className="w-8 h-8 mb-2 text-slate-400" />
+              <span className="font-medium">{t('import.chooseFile')}</span>
+              <span className="text-xs text-slate-400 mt-1">{t('import.headerHelp')}</span>
+            </label>
+          </div>
+        )}
+
+        {step === 'map' && (
+          <div className="p-6 space-y-4">
+            <div className="flex items-center space-x-3 text-sm">
+              <span className="text-slate-600">{t('import.importAs')}</span>
+              <select className="p-2 border border-slate-300 rounded-lg"
+                value={recordType}
+                onChange={(e) => handleRecordTypeChange(e.target.value)}>
+                <option value="trip">{t('common.trips')}</option>
+                <option value="expense">{t('common.expenses')}</option>
+              </select>
+              <span className="text-slate-400">{t('import.rowCount', { count: dataRows.length })}</span>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {fields.map(field => (
+                <div key={field.key} className="flex items-center justify-between space-x-3">
+                  <label className="text-sm font-medium text-slate-700">
+                    {t(`importField.${field.key}`)}{field.required && <span className="text-red-500">*</span>}
+                  </label>
+                  <select className="w-56 p-2 border border-slate-300 rounded-lg text-sm"
+                    value={mapping[field.key]}
+                    onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value === '' ? '' : Number(e.target.value) })}>
+                    <option value="">{t('import.notInFile')}</option>
+                    {headers.map((header, index) => (
+                      <option key={index} value={index}>{header}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            <div className="flex space-x-3 pt-2">
+              <button type="button" onClick={() => setStep('upload')}
+                className="flex-1 py-2 border border-slate-300 rounded-lg text-slate-600 hover:bg-slate-50 font-medium">
+                {t('import.back')}
+              </button>
+              <button type="button" disabled={missingRequired.length > 0} onClick={() => setStep('preview')}
+                className="flex-1 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-medium disabled:opacity-50">
+                {t('import.preview')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'preview' && (
+          <div className="p-6 space-y-4">
+            <div className="flex flex-wrap gap-3 text-sm">
+              <span className="px-3 py-1 rounded-full bg-emerald-100 text-emerald-700">{t('import.validCount', { count: validRows.length })}</span>
+              <span className="px-3 py-1 rounded-full bg-red-100 text-red-700">{t('import.errorCount', { count: errorCount })}</span>
+              <span className="px-3 py-1 rounded-full bg-amber-100 text-amber-700">{t('import.duplicateCount', { count: duplicateCount })}</span>
+              <label className="flex items-center text-slate-600 cursor-pointer">
+                <input type="checkbox" className="mr-2" checked={includeDuplicates}
+                  onChange={(e) => setIncludeDuplicates(e.target.checked)} />
+                {t('import.includeDuplicates')}
+              </label>
+            </div>
+            <div className="overflow-x-auto max-h-[50vh] border border-slate-200 rounded-lg">
+              <table className="w-full text-left text-xs">
+                <thead className="bg-slate-50 text-slate-500 uppercase sticky top-0">
+                  <tr>
+                    <th className="p-2">{t('import.row')}</th>
+                    <th className="p-2">{t('common.date')}</th>
+                    <th className="p-2">{t('common.truck')}</th>
+                    <th className="p-2">{recordType === 'trip' ? t('common.destination') : t('common.category')}</th>
+                    <th className="p-2 text-right">{recordType === 'trip' ? t('common.load') : t('common.amount')}</th>
+                    <th className="p-2 text-right">{recordType === 'trip' ? t('common.netProfit') : ''}</th>
+                    <th className="p-2">{t('fleet.status')}</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {previewRows.map(row => (
+                    <tr key={row.rowNumber} className={row.errors.length ? 'bg-red-50' : row.duplicate ? 'bg-amber-50' : ''}>
+                      <td className="p-2 text-slate-400">{row.rowNumber}</td>
+                      <td className="p-2">{row.record ? formatDate(row.record.date) : row.cells[mapping.date]}</td>
+                      <td className="p-2">{row.record ? row.record.truckNumber : row.cells[mapping.truckNumber]}</td>
+                      <td className="p-2">{row.record ? (row.record.destination || getCategoryLabel(row.record.category)) : row.cells[mapping[recordType === 'trip' ? 'destination' : 'category']]}</td>
+                      <td className="p-2 text-right">{row.record ? (recordType === 'trip' ? describeTripLoad(row.record) : formatCurrency(row.record.amount)) : row.cells[mapping[recordType === 'trip' ? 'quantity' : 'amount']]}</td>
+                      <td className="p-2 text-right">{row.record && recordType === 'trip' ? formatCurrency(row.record.netProfit) : ''}</td>
+                      <td className="p-2">
+                        {row.errors.map(err => <div key={err} className="text-red-600">{err}</div>)}
+                        {row.duplicate && <div className="text-amber-700">{t('import.duplicate')}</div>}
+                        {row.warnings.map(w => <div key={w} className="text-slate-500">{w}</div>)}
+                        {!row.errors.length && !row.duplicate && !row.warnings.length && <span className="text-emerald-600">{t('import.ok')}</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex space-x-3">
+              <button type="button" onClick={() => setStep('map')}
+                className="flex-1 py-2 border border-slate-300 rounded-lg text-slate-600 hover:bg-slate-50 font-medium">
+                {t('import.back')}
+              </button>
+              <button type="button" disabled={rowsToImport.length === 0 || isImporting} onClick={handleImport}
+                className="flex-1 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-medium flex justify-center items-center disabled:opacity-50">
+                {isImporting ? <Loader className="w-4 h-4 mr-2 animate-spin" /> : <Upload className="w-4 h-4 mr-2" />}
+                {t('import.importCount', { count: rowsToImport.length })}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'done' && (
+          <div className="p-6 text-center space-y-4">
+            <p className="text-slate-700">{t('import.done', { count: importedCount })}</p>
+            <button type="button" onClick={onClose}
+              className="px-6 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-medium">
+              {t('import.close')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const TariffEditor = ({ tariffs, locations, defaultRate, onSave, onDelete }) => {
+  const [scope, setScope] = useState('zone');
+  const [key, setKey] = useState(ZONES[0]);
+  const [revenuePerTon, setRevenuePerTon] = useState(defaultRate);
+
+  const sortedTariffs = [...tariffs].sort((a, b) =>
+    a.scope.localeCompare(b.scope) || a.key.localeCompare(b.key)
+  );
+
+  const handleScopeChange = (newScope) => {
+    setScope(newScope);
+    setKey(newScope === 'zone' ? ZONES[0] : locations[0].name);
+  };
+
+  const handleAdd = () => {
+    if (!revenuePerTon) return;
+    onSave({ scope, key, revenuePerTon: Number(revenuePerTon) });
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-xs text-slate-500">
+        {t('tariffEditor.help', { rate: formatCurrency(defaultRate) })}
+      </p>
+      <div className="grid grid-cols-1 sm:grid-cols-4 gap-2">
+        <select
+          className="p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+          value={scope}
+          onChange={(e) => handleScopeChange(e.target.value)}
+        >
+          <option value="zone">{t('tariffEditor.scope.zone')}</option>
+          <option value="destination">{t('tariffEditor.scope.destination')}</option>
+        </select>
+        <select
+          className="p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+          value={key}
+          onChange={(e) => setKey(e.target.value)}
+        >
+          {(scope === 'zone' ? ZONES : locations.map(loc => loc.name)).map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          placeholder={t('common.gnfPerTon')}
+          className="p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+          value={revenuePerTon}
+          onChange={(e) => setRevenuePerTon(e.target.value)}
+        />
+        <button
+          type="button"
+          onClick={handleAdd}
+          className="py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg text-sm font-medium"
+        >
+          {t('tariffEditor.set')}
+        </button>
+      </div>
+      {sortedTariffs.length > 0 ? (
+        <ul className="divide-y divide-slate-100 text-sm">
+          {sortedTariffs.map(tariff => (
+            <li key={tariff.id} className="py-1.5 flex justify-between items-center">
+              <span className="text-slate-700">
+                <span className="text-[10px] uppercase text-slate-400 mr-2">{t(`tariffEditor.scope.${tariff.scope}`)}</span>
+                {tariff.key}
+              </span>
+              <span className="flex items-center space-x-3">
+                <span className="text-slate-600">{formatCurrency(tariff.revenuePerTon)}/T</span>
+                <button
+                  type="button"
+                  onClick={() => onDelete(tariff.id)}
+                  className="text-slate-400 hover:text-red-500 transition-colors"
+                  title={t('tariffEditor.delete')}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-slate-400 text-sm">{t('tariffEditor.none')}</p>
+      )}
+    </div>
+  );
+};
+
+const EMPTY_PRODUCT = {
+  name: '',
+  unit: 'bag',
+  unitWeightKg: DEFAULT_BAG_WEIGHT_KG,
+  revenuePerUnit: '',
+  laborPerUnit: ''
+};
+
+// Rates left empty keep the product on per-ton pricing (destination tariffs and the labor rate)
+const ProductCatalogEditor = ({ products, onSave, onDelete }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_PRODUCT);
+
+  const sortedProducts = [...products].sort((a, b) => a.name.localeCompare(b.name));
+  const inputClass = 'p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none';
+
+  const handleEdit = (product) => {
+    setEditingId(product.id);
+    setForm(pickFormFields(product, EMPTY_PRODUCT));
+  };
+
+  const handleReset = () => {
+    setEditingId(null);
+    setForm(EMPTY_PRODUCT);
+  };
+
+  // A ton weighs what it says; other units keep the weight typed for them
+  const handleUnitChange = (unit) => {
+    setForm({ ...form, unit, unitWeightKg: unit === 'ton' ? 1000 : form.unitWeightKg });
+  };
+
+  const handleSave = () => {
+    if (!form.name.trim() || !(Number(form.unitWeightKg) > 0)) return;
+    onSave(editingId, {
+      name: form.name.trim(),
+      unit: form.unit,
+      unitWeightKg: Number(form.unitWeightKg),
+      revenuePerUnit: form.revenuePerUnit === '' ? null : Number(form.revenuePerUnit),
+      laborPerUnit: form.laborPerUnit === '' ? null : Number(form.laborPerUnit)
+    });
+    handleReset();
+  };
+
+  const describeRate = (rate, unit, perTonLabel) => (rate === null || rate === undefined
+    ? perTonLabel
+    : `${formatCurrency(rate)}/${t(`productUnitShort.${unit}`)}`);
+
+  return (
+    <div className="space-y-3">
+      <p className="text-xs text-slate-500">{t('productEditor.help')}</p>
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+        <input
+          type="text"
+          placeholder={t('productEditor.name')}
+          className={`${inputClass} col-span-2 sm:col-span-1`}
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+        />
+        <select className={inputClass} value={form.unit} onChange={(e) => handleUnitChange(e.target.value)}>
+          {Object.keys(PRODUCT_UNITS).map(unit => (
+            <option key={unit} value={unit}>{t(`productUnit.${unit}`)}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          step="any"
+          placeholder={t('productEditor.unitWeight')}
+          title={t('productEditor.unitWeight')}
+          className={inputClass}
+          value={form.unitWeightKg}
+          onChange={(e) => setForm({ ...form, unitWeightKg: e.target.value })}
+        />
+        <input
+          type="number"
+          min="0"
+          placeholder={t('productEditor.revenuePerUnit')}
+          title={t('productEditor.revenuePerUnit')}
+          className={inputClass}
+          value={form.revenuePerUnit}
+          onChange={(e) => setForm({ ...form, revenuePerUnit: e.target.value })}
+        />
+        <input
+          type="number"
+          min="0"
+          placeholder={t('productEditor.laborPerUnit')}
+          title={t('productEditor.laborPerUnit')}
+          className={inputClass}
+          value={form.laborPerUnit}
+          onChange={(e) => setForm({ ...form, laborPerUnit: e.target.value })}
+        />
+        <div className="flex space-x-2">
+          {editingId && (
+            <button
+              type="button"
+              onClick={handleReset}
+              className="flex-1 py-2 border border-slate-300 rounded-lg text-slate-600 hover:bg-slate-50 text-sm font-medium"
+            >
+              {t('common.cancel')}
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handleSave}
+            className="flex-1 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg text-sm font-medium"
+          >
+            {editingId ? t('common.save') : t('productEditor.add')}
+          </button>
+        </div>
+      </div>
+      {sortedProducts.length > 0 ? (
+        <ul className="divide-y divide-slate-100 text-sm">
+          {sortedProducts.map(product => (
+            <li key={product.id} className="py-1.5 flex justify-between items-center">
+              <span className="text-slate-700">
+                {product.name}
+                <span className="text-xs text-slate-400 ml-2">
+                  {t(`productUnit.${product.unit}`)} · {formatNumber(product.unitWeightKg, 0)} kg
+                </span>
+              </span>
+              <span className="flex items-center space-x-3">
+                <span className="text-xs text-slate-600 text-right">
+                  {describeRate(product.revenuePerUnit, product.unit, t('productEditor.byTariff'))}
+                  {' · '}
+                  {t('productEditor.laborShort')} {describeRate(product.laborPerUnit, product.unit, t('productEditor.byLaborRate'))}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleEdit(product)}
+                  className="text-slate-400 hover:text-emerald-600 transition-colors"
+                  title={t('productEditor.edit')}
+                >
+                  <Edit3 className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onDelete(product.id)}
+                  className="text-slate-400 hover:text-red-500 transition-colors"
+                  title={t('productEditor.delete')}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-slate-400 text-sm">{t('productEditor.none')}</p>
+      )}
+    </div>
+  );
+};
+
+const EMPTY_LOCATION = {
+  name: '',
+  aliases: '',
+  commune: '',
+  prefecture: '',
+  zone: ZONES[0],
+  distanceKm: ''
+};
+
+// The form keeps aliases as the comma-separated text being typed
+const toLocationForm = (location) => ({ ...pickFormFields(location, EMPTY_LOCATION), aliases: (location.aliases || []).join(', ') });
+
+const toLocationFields = (form) => ({
+  name: form.name.trim(),
+  aliases: form.aliases.split(',').map(alias => alias.trim()).filter(Boolean),
+  commune: form.commune.trim(),
+  prefecture: form.prefecture.trim(),
+  zone: form.zone,
+  distanceKm: Number(form.distanceKm)
+});
+
+// Places typed in trip forms wait here for approval. Editing a built-in place saves a
+// workspace copy under the same name, and deleting that copy restores the built-in one.
+const LocationDirectoryEditor = ({ locations, customLocations, onSave, onDelete }) => {
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_LOCATION);
+  const [search, setSearch] = useState('');
+  const [error, setError] = useState(null);
+
+  const requests = customLocations.filter(loc => loc.status === 'pending');
+  const shownLocations = search ? searchLocations(locations, search) : locations;
+  const inputClass = 'p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none';
+
+  const handleEdit = (location) => {
+    setEditing(location);
+    setForm(toLocationForm(location));
+    setError(null);
+  };
+
+  const handleReset = () => {
+    setEditing(null);
+    setForm(EMPTY_LOCATION);
+    setError(null);
+  };
+
+  const handleSave = () => {
+    const fields = toLocationFields(form);
+    if (!fields.name || !fields.commune || !(fields.distanceKm > 0)) {
+      setError(t('locationEditor.incomplete'));
+      return;
+    }
+    const existing = findLocation(locations, fields.name);
+    if (existing && existing.name !== editing?.name) {
+      setError(t('locationEditor.duplicate', { name: existing.name }));
+      return;
+    }
+    onSave(editing?.id || null, { ...fields, status: 'approved' });
+    handleReset();
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-xs text-slate-500">{t('locationEditor.help')}</p>
+
+      {requests.length > 0 && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-3">
+          <p className="text-xs font-bold text-amber-800 mb-2">{t('locationEditor.requests', { count: requests.length })}</p>
+          <ul className="divide-y divide-amber-100 text-sm">
+            {requests.map(request => (
+              <li key={request.id} className="py-1.5 flex justify-between items-center">
+                <span className="text-slate-700">
+                  {request.name}
+                  <span className="text-xs text-slate-500 ml-2">
+                    {describeLocation(request)} · {request.zone}
+                    {request.createdBy && <> · {t('locationEditor.requestedBy', { contact: request.createdBy })}</>}
+                  </span>
+                </span>
+                <span className="flex items-center space-x-3">
+                  <button
+                    type="button"
+                    onClick={() => onSave(request.id, { ...toLocationFields(toLocationForm(request)), status: 'approved' })}
+                    className="text-slate-400 hover:text-emerald-600 transition-colors"
+                    title={t('locationEditor.approve')}
+                  >
+                    <Check className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleEdit(request)}
+                    className="text-slate-400 hover:text-emerald-600 transition-colors"
+                    title={t('locationEditor.edit')}
+                  >
+                    <Edit3 className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onDelete(request.id)}
+                    className="text-slate-400 hover:text-red-500 transition-colors"
+                    title={t('locationEditor.reject')}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+        <input
+          type="text"
+          placeholder={t('locationEditor.name')}
+          className={`${inputClass} disabled:bg-slate-100`}
+          value={form.name}
+          disabled={Boolean(editing?.builtIn)}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+        />
+        <input
+          type="text"
+          placeholder={t('locationEditor.aliases')}
+          title={t('locationEditor.aliases')}
+          className={`${inputClass} sm:col-span-2`}
+          value={form.aliases}
+          onChange={(e) => setForm({ ...form, aliases: e.target.value })}
+        />
+        <input
+          type="text"
+          placeholder={t('locationEditor.commune')}
+          className={inputClass}
+          value={form.commune}
+          onChange={(e) => setForm({ ...form, commune: e.target.value })}
+        />
+        <input
+          type="text"
+          placeholder={t('locationEditor.prefecture')}
+          className={inputClass}
+          value={form.prefecture}
+          onChange={(e) => setForm({ ...form, prefecture: e.target.value })}
+        />
+        <select className={inputClass} value={form.zone} onChange={(e) => setForm({ ...form, zone: e.target.value })}>
+          {ZONES.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+        </select>
+        <input
+          type="number"
+          min="0"
+          placeholder={t('locationEditor.distance')}
+          title={t('locationEditor.distance')}
+          className={inputClass}
+          value={form.distanceKm}
+          onChange={(e) => setForm({ ...form, distanceKm: e.target.value })}
+        />
+        <div className="flex space-x-2 sm:col-span-2">
+          {editing && (
+            <button
+              type="button"
+              onClick={handleReset}
+              className="flex-1 py-2 border border-slate-300 rounded-lg text-slate-600 hover:bg-slate-50 text-sm font-medium"
+            >
+              {t('common.cancel')}
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handleSave}
+            className="flex-1 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg text-sm font-medium"
+          >
+            {editing ? t('common.save') : t('locationEditor.add')}
+          </button>
+        </div>
+      </div>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      <div className="relative">
+        <Search className="absolute left-3 top-2.5 w-4 h-4 text-slate-400" />
+        <input
+          type="text"
+          placeholder={t('locationEditor.search')}
+          className={`${inputClass} w-full pl-9`}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+      </div>
+      <ul className="divide-y divide-slate-100 text-sm max-h-64 overflow-y-auto">
+        {shownLocations.map(location => (
+          <li key={location.name} className="py-1.5 flex justify-between items-center">
+            <span className="text-slate-700">
+              {location.name}
+              {location.aliases.length > 0 && <span className="text-xs text-slate-400 ml-1">({location.aliases.join(', ')})</span>}
+              <span className="text-xs text-slate-500 ml-2">{describeLocation(location)} · {location.zone}</span>
+              {location.id && (
+                <span className="text-[10px] uppercase text-slate-400 ml-2">
+                  {location.builtIn ? t('locationEditor.edited') : t('locationEditor.custom')}
+                </span>
+              )}
+            </span>
+            <span className="flex items-center space-x-3">
+              <button
+                type="button"
+                onClick={() => handleEdit(location)}
+                className="text-slate-400 hover:text-emerald-600 transition-colors"
+                title={t('locationEditor.edit')}
+              >
+                <Edit3 className="w-4 h-4" />
+              </button>
+              {location.id && (
+                <button
+                  type="button"
+                  onClick={() => onDelete(location.id)}
+                  className="text-slate-400 hover:text-red-500 transition-colors"
+                  title={location.builtIn ? t('locationEditor.restore') : t('locationEditor.delete')}
+                >
+                  {location.builtIn ? <RefreshCw className="w-4 h-4" /> : <Trash2 className="w-4 h-4" />}
+                </button>
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Destination field with suggestions from the place directory. A place the directory does not
+// know can be proposed from here, and joins the suggestions once an owner approves it.
+const DestinationInput = ({ value, locations, locationRequests, onChange, onProposeLocation }) => {
+  const [filteredLocations, setFilteredLocations] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [proposal, setProposal] = useState(null);
+  const wrapperRef = useRef(null);
+
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (wrapperRef.current && !wrapperRef.current.contains(event.target)) {
+        setShowSuggestions(false);
+      }
+    }
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, [wrapperRef]);
+
+  const location = findLocation(locations, value);
+  const pendingRequest = !location && locationRequests.find(r => normalizeText(r.name) === normalizeText(value));
+
+  const handleChange = (e) => {
+    const input = e.target.value;
+    onChange(input);
+    setProposal(null);
+
+    if (input.length > 0) {
+      setFilteredLocations(searchLocations(locations, input));
+      setShowSuggestions(true);
+    } else {
+      setShowSuggestions(false);
+    }
+  };
+
+  const selectLocation = (selected) => {
+    onChange(selected.name);
+    setShowSuggestions(false);
+  };
+
+  // "kipe" or an alias such as "Port" becomes the directory name once the field is left
+  const handleBlur = () => {
+    if (location && location.name !== value) onChange(location.name);
+  };
+
+  const handlePropose = () => {
+    if (!proposal.commune.trim() || !(Number(proposal.distanceKm) > 0)) return;
+    onProposeLocation({
+      name: value.trim(),
+      aliases: [],
+      commune: proposal.commune.trim(),
+      prefecture: proposal.prefecture.trim(),
+      zone: proposal.zone,
+      distanceKm: Number(proposal.distanceKm)
+    });
+    setProposal(null);
+  };
+
+  return (
+    <div ref={wrapperRef}>
+      <div className="relative">
+        <input 
+          type="text" 
+          placeholder={t('tripForm.destinationPlaceholder')}
+          className="w-full p-2 pl-9 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+          value={value}
+          onChange={handleChange}
+          onBlur={handleBlur}
+          onFocus={() => value && setShowSuggestions(true)}
+          autoComplete="off"
+        />
+        <MapPin className="w-4 h-4 text-slate-400 absolute left-3 top-2.5" />
+        
+        {showSuggestions && filteredLocations.length > 0 && (
+          <ul className="absolute z-50 w-full bg-white border border-slate-300 rounded-lg mt-1 max-h-48 overflow-y-auto shadow-xl">
+            {filteredLocations.map(loc => (
+              <li 
+                key={loc.name}
+                onClick={() => selectLocation(loc)}
+                className="px-4 py-2 hover:bg-emerald-50 cursor-pointer text-sm text-slate-700 border-b border-slate-100 last:border-0"
+              >
+                {loc.name}
+                <span className="text-xs text-slate-400 ml-2">{describeLocation(loc)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {location ? (
+        <p className="text-xs text-slate-500 mt-1">{describeLocation(location)} · {location.zone}</p>
+      ) : pendingRequest ? (
+        <p className="text-xs text-amber-600 mt-1">{t('tripForm.placePending')}</p>
+      ) : value.trim() && !(showSuggestions && filteredLocations.length > 0) && (
+        proposal ? (
+          <div className="mt-2 bg-slate-50 border border-slate-200 rounded-lg p-3 space-y-2">
+            <p className="text-xs font-medium text-slate-600">{t('tripForm.proposePlaceTitle', { name: value.trim() })}</p>
+            <div className="grid grid-cols-2 gap-2">
+              <input type="text" placeholder={t('locationEditor.commune')}
+                className="p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+                value={proposal.commune} onChange={(e) => setProposal({ ...proposal, commune: e.target.value })} />
+              <input type="text" placeholder={t('locationEditor.prefecture')}
+                className="p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+                value={proposal.prefecture} onChange={(e) => setProposal({ ...proposal, prefecture: e.target.value })} />
+              <select className="p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+                value={proposal.zone} onChange={(e) => setProposal({ ...proposal, zone: e.target.value })}>
+                {ZONES.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+              </select>
+              <input type="number" min="0" placeholder={t('locationEditor.distance')}
+                className="p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+                value={proposal.distanceKm} onChange={(e) => setProposal({ ...proposal, distanceKm: e.target.value })} />
+            </div>
+            <div className="flex justify-end space-x-2">
+              <button type="button" onClick={() => setProposal(null)} className="px-3 py-1 text-xs text-slate-600 hover:text-slate-800">
+                {t('common.cancel')}
+              </button>
+              <button type="button" onClick={handlePropose} className="px-3 py-1 bg-emerald-600 hover:bg-emerald-700 text-white rounded text-xs font-medium">
+                {t('tripForm.proposePlaceSend')}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <p className="text-xs text-slate-500 mt-1">
+            {t('tripForm.unknownPlace')}{' '}
+            <button type="button" onClick={() => setProposal({ commune: '', prefecture: '', zone: ZONES[0], distanceKm: '' })}
+              className="text-emerald-700 hover:text-emerald-800 font-medium">
+              {t('tripForm.proposePlace')}
+            </button>
+          </p>
+        )
+      )}
+    </div>
+  );
+};
+
+const TripForm = ({ trips, rateHistory, tariffs, products, locations, locationRequests, trucks, drivers, customers, documents, initialData, onSave, onProposeLocation, onCancel }) => {
+  const isEditing = Boolean(initialData);
+  const catalog = getProductCatalog(products);
+  const [formData, setFormData] = useState(() => pickFormFields(initialData, {
+    type: 'trip',
+    truckId: '',
+    truckNumber: '',
+    driverId: '',
+    driverName: '',
+    customerId: '',
+    customerName: '',
+    origin: DEFAULT_LOADING_POINT,
+    // Older trips have a single destination, which getTripDrops turns into one drop
+    drops: initialData ? getTripDrops(initialData) : [{ destination: '' }],
+    date: todayISO(),
+    // Older trips only have a bag count, which getTripLines turns into a cement line
+    lines: initialData ? getTripLines(initialData) : [{ ...toProductLine(catalog[0], catalog[0].unit === 'bag' ? 700 : ''), drop: 0 }],
+    fuelLiters: 50, 
+    odometerStart: '',
+    odometerEnd: '',
+    otherCost: 0,
+    otherDesc: '',
+    tariffOverride: null
+  }));
+
+  // An edited trip keeps the rates it was originally saved with; a new one uses the rates
+  // in force on its own date, so back-entered trips are priced correctly
+  const rates = initialData?.appliedRates || getRatesForDate(rateHistory, formData.date);
+  // Trips saved before drops were priced one by one kept their tariff in appliedRates instead of
+  // the flat rate, so theirs is looked up again in the rate history
+  const flatRate = initialData && !initialData.drops?.length
+    ? getRatesForDate(rateHistory, initialData.date).revenuePerTon
+    : rates.revenuePerTon;
+  // Likewise each drop keeps the tariff it was saved with while it keeps its destination
+  const savedDrops = initialData ? getTripDrops(initialData) : [];
+  const dropTariffs = formData.drops.map((drop, index) => {
+    const saved = savedDrops[index];
+    if (!saved || normalizeText(saved.destination) !== normalizeText(drop.destination)) {
+      return resolveTariff(tariffs, locations, drop.destination, flatRate);
+    }
+    const pricing = saved.tariffSource
+      ? saved
+      : { revenuePerTon: rates.revenuePerTon, tariffSource: initialData.tariffSource || 'default', tariffKey: initialData.tariffKey || null };
+    return { revenuePerTon: pricing.revenuePerTon, source: pricing.tariffSource, key: pricing.tariffKey, zone: getZoneForDestination(locations, drop.destination) };
+  });
+  const [tariff] = dropTariffs;
+
+  const toggleTariffOverride = (enabled) => {
+    setFormData({
+      ...formData,
+      tariffOverride: enabled ? { revenuePerTon: tariff.revenuePerTon, reason: '' } : null
+    });
+  };
+
+  const updateTariffOverride = (changes) => {
+    setFormData({ ...formData, tariffOverride: { ...formData.tariffOverride, ...changes } });
+  };
+
+  // A new trip starts from the fuel its route should need, until the fuel is typed in by hand
+  const [fuelEdited, setFuelEdited] = useState(isEditing);
+  const withExpectedFuel = (data) => {
+    if (fuelEdited) return data;
+    const dropLocations = data.drops.map(drop => findLocation(locations, drop.destination));
+    const liters = estimateTripFuel(dropLocations, trucks.find(t => t.id === data.truckId));
+    return liters ? { ...data, fuelLiters: liters } : data;
+  };
+
+  const dropLocations = formData.drops.map(drop => findLocation(locations, drop.destination));
+  const expectedKm = getExpectedKm(dropLocations);
+
+  const updateDrop = (dropIndex, destination) => {
+    setFormData(withExpectedFuel({ ...formData, drops: formData.drops.map((d, i) => (i === dropIndex ? { destination } : d)) }));
+  };
+
+  const addDrop = () => setFormData({
+    ...formData,
+    drops: [...formData.drops, { destination: '' }],
+    lines: [...formData.lines, { ...toProductLine(catalog[0], ''), drop: formData.drops.length }]
+  });
+
+  // Lines follow their drop: those of a removed drop go with it, later ones shift down
+  const removeDrop = (dropIndex) => setFormData(withExpectedFuel({
+    ...formData,
+    drops: formData.drops.filter((d, i) => i !== dropIndex),
+    lines: formData.lines
+      .filter(line => (line.drop || 0) !== dropIndex)
+      .map(line => ((line.drop || 0) > dropIndex ? { ...line, drop: line.drop - 1 } : line))
+  }));
+
+  const moveDropUp = (dropIndex) => {
+    const swap = (index) => (index === dropIndex ? dropIndex - 1 : index === dropIndex - 1 ? dropIndex : index);
+    setFormData({
+      ...formData,
+      drops: formData.drops.map((d, i) => formData.drops[swap(i)]),
+      lines: formData.lines.map(line => ({ ...line, drop: swap(line.drop || 0) }))
+    });
+  };
+
+  const updateLine = (index, line) => {
+    setFormData({ ...formData, lines: formData.lines.map((l, i) => (i === index ? line : l)) });
+  };
+
+  const changeLineProduct = (index, productId) => {
+    const product = catalog.find(p => p.id === productId);
+    if (product) updateLine(index, { ...toProductLine(product, formData.lines[index].quantity), drop: formData.lines[index].drop || 0 });
+  };
+
+  const addLine = (dropIndex) => setFormData({ ...formData, lines: [...formData.lines, { ...toProductLine(catalog[0], ''), drop: dropIndex }] });
+
+  const removeLine = (index) => setFormData({ ...formData, lines: formData.lines.filter((l, i) => i !== index) });
+
+  const selectedTruck = trucks.find(t => t.id === formData.truckId) || null;
+
+  // Like the other rates, an edited trip keeps the pay rule it was saved with unless the driver changes
+  const selectedDriver = drivers.find(d => d.id === formData.driverId) || null;
+  const driverPayRule = isEditing && formData.driverId === initialData.driverId && rates.driverPayRule
+    ? rates.driverPayRule
+    : selectedDriver?.payRule || null;
+
+  // Typed places are saved under their directory name, so "kipe" is stored as Kipé
+  const canonicalTrip = { ...formData, drops: formData.drops.map(drop => ({ destination: getDestinationName(locations, drop.destination) })) };
+  const financials = computeTripFinancials(canonicalTrip, { rates: { ...rates, revenuePerTon: flatRate }, dropTariffs, driverPayRule });
+  const { weightTons, revenue, laborCost, fuelCost, driverPay, totalExpenses, netProfit } = financials;
+  const pricedDrops = getPricedTripDrops({ ...formData, ...financials });
+  const capacityTons = selectedTruck ? getTruckCapacityTons(selectedTruck) : Infinity;
+  const isOverCapacity = weightTons > capacityTons;
+
+  const odometerStart = readOdometer(formData.odometerStart);
+  const odometerEnd = readOdometer(formData.odometerEnd);
+  const distanceKm = odometerStart !== null && odometerEnd !== null ? odometerEnd - odometerStart : null;
+  const odometerConflict = formData.truckNumber ? findOdometerConflict(trips, formData, initialData) : null;
+
+  // Papers that had lapsed by the trip date; the trip can still be saved
+  const expiredDocuments = [
+    ...findExpiredDocuments(documents, 'truck', selectedTruck, formData.date)
+      .map(d => t('tripForm.documentExpired', { owner: selectedTruck.plate, document: describeDocumentType('truck', d.type), date: formatDate(d.expiryDate) })),
+    ...findExpiredDocuments(documents, 'driver', selectedDriver, formData.date)
+      .map(d => t('tripForm.documentExpired', { owner: selectedDriver.name, document: describeDocumentType('driver', d.type), date: formatDate(d.expiryDate) }))
+  ];
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isOverCapacity || odometerConflict) return;
+    onSave({
+      // id will be generated by Firestore
+      ...formData,
+      odometerStart,
+      odometerEnd,
+      distanceKm,
+      expectedKm,
+      ...financials
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-slate-200 overflow-hidden animate-slide-up">
+      <div className="bg-slate-800 px-6 py-4 flex justify-between items-center">
+        <h2 className="text-white font-bold text-lg flex items-center">
+          {isEditing ? <Edit3 className="w-5 h-5 mr-2" /> : <Plus className="w-5 h-5 mr-2" />}
+          {isEditing ? t('tripForm.editTitle') : t('tripForm.newTitle')}
+        </h2>
+        <button onClick={onCancel} className="text-slate-400 hover:text-white">
+          <X className="w-6 h-6" />
+        </button>
+      </div>
+
+      <form onSubmit={handleSubmit} className="p-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-4">
+          <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider">{t('tripForm.logistics')}</h3>
+          <TruckPicker
+            trucks={trucks}
+            value={formData.truckId}
+            onChange={(truck) => setFormData(withExpectedFuel({...formData, truckId: truck?.id || '', truckNumber: truck?.plate || ''}))}
+          />
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('common.driver')}</label>
+            <div className="relative">
+              <select
+                className="w-full p-2 pl-9 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                value={formData.driverId}
+                onChange={(e) => {
+                  const driver = drivers.find(d => d.id === e.target.value);
+                  setFormData({...formData, driverId: driver?.id || '', driverName: driver?.name || ''});
+                }}
+              >
+                <option value="">{t('common.noDriver')}</option>
+                {drivers
+                  .filter(d => d.status !== 'inactive' || d.id === formData.driverId)
+                  .sort((a, b) => a.name.localeCompare(b.name))
+                  .map(driver => (
+                    <option key={driver.id} value={driver.id}>{driver.name} — {describePayRule(driver.payRule)}</option>
+                  ))}
+              </select>
+              <User className="w-4 h-4 text-slate-400 absolute left-3 top-2.5" />
+            </div>
+          </div>
+
+          {expiredDocuments.length > 0 && (
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 text-xs text-amber-800 space-y-1">
+              {expiredDocuments.map(message => (
+                <div key={message} className="flex items-center">
+                  <AlertTriangle className="w-4 h-4 mr-2 text-amber-500 shrink-0" /> {message}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('common.customer')}</label>
+            <div className="relative">
+              <select
+                className="w-full p-2 pl-9 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none disabled:bg-slate-100"
+                value={formData.customerId}
+                disabled={Boolean(initialData?.invoiceId)}
+                onChange={(e) => {
+                  const customer = customers.find(c => c.id === e.target.value);
+                  setFormData({...formData, customerId: customer?.id || '', customerName: customer?.name || ''});
+                }}
+              >
+                <option value="">{t('tripForm.noCustomer')}</option>
+                {[...customers].sort((a, b) => a.name.localeCompare(b.name)).map(customer => (
+                  <option key={customer.id} value={customer.id}>{customer.name}</option>
+                ))}
+              </select>
+              <Users className="w-4 h-4 text-slate-400 absolute left-3 top-2.5" />
+            </div>
+            {initialData?.invoiceId && (
+              <p className="text-xs text-slate-500 mt-1">{t('tripForm.alreadyBilled', { number: initialData.invoiceNumber })}</p>
+            )}
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('common.date')}</label>
+            <input 
+              required
+              type="date" 
+              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+              value={formData.date}
+              onChange={(e) => setFormData({...formData, date: e.target.value})}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('tripForm.origin')}</label>
+            <select
+              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+              value={formData.origin}
+              onChange={(e) => setFormData({...formData, origin: e.target.value})}
+            >
+              {Object.keys(LOADING_POINTS).map(key => (
+                <option key={key} value={key}>{t(`loadingPoint.${key}`)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="space-y-3">
+            {formData.drops.map((drop, dropIndex) => (
+              <div key={dropIndex} className={formData.drops.length > 1 ? 'border border-slate-200 rounded-lg p-3 space-y-2' : 'space-y-2'}>
+                <div className="flex justify-between items-center">
+                  <label className="block text-sm font-medium text-slate-700">
+                    {formData.drops.length > 1 ? t('tripForm.dropTitle', { number: dropIndex + 1 }) : t('common.destination')}
+                  </label>
+                  {formData.drops.length > 1 && (
+                    <span className="flex items-center space-x-2">
+                      {dropIndex > 0 && (
+                        <button type="button" onClick={() => moveDropUp(dropIndex)}
+                          className="text-slate-400 hover:text-emerald-600 transition-colors" title={t('tripForm.moveDropUp')}>
+                          <ArrowUp className="w-4 h-4" />
+                        </button>
+                      )}
+                      <button type="button" onClick={() => removeDrop(dropIndex)}
+                        className="text-slate-400 hover:text-red-500 transition-colors" title={t('tripForm.removeDrop')}>
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </span>
+                  )}
+                </div>
+                <DestinationInput
+                  value={drop.destination}
+                  locations={locations}
+                  locationRequests={locationRequests}
+                  onChange={(destination) => updateDrop(dropIndex, destination)}
+                  onProposeLocation={onProposeLocation}
+                />
+
+                <label className="block text-sm font-medium text-slate-700">{t('tripForm.load')}</label>
+                <div className="space-y-2">
+                  {formData.lines.map((line, index) => (line.drop || 0) === dropIndex && (
+                    <div key={index} className="flex space-x-2">
+                      {/* A product dropped from the catalog stays selectable on the trips that carry it */}
+                      <select
+                        className="flex-1 min-w-0 p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                        value={line.productId}
+                        onChange={(e) => changeLineProduct(index, e.target.value)}
+                      >
+                        {!catalog.some(p => p.id === line.productId) && (
+                          <option value={line.productId}>{describeProductName(line)}</option>
+                        )}
+                        {catalog.map(product => (
+                          <option key={product.id} value={product.id}>{describeProductName({ productId: product.id, productName: product.name })}</option>
+                        ))}
+                      </select>
+                      <div className="relative w-32">
+                        <input
+                          required
+                          type="number"
+                          min="0"
+                          step={['bag', 'piece'].includes(line.unit) ? 1 : 'any'}
+                          className="w-full p-2 pr-10 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                          value={line.quantity}
+                          onChange={(e) => updateLine(index, { ...line, quantity: Number(e.target.value) })}
+                        />
+                        <span className="absolute right-2 top-2.5 text-xs text-slate-400">{PRODUCT_UNITS[line.unit] ? t(`productUnitShort.${line.unit}`) : line.unit}</span>
+                      </div>
+                      {formData.lines.filter(l => (l.drop || 0) === dropIndex).length > 1 && (
+                        <button type="button" onClick={() => removeLine(index)}
+                          className="text-slate-400 hover:text-red-500 transition-colors" title={t('tripForm.removeProduct')}>
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                <button type="button" onClick={() => addLine(dropIndex)} className="text-xs text-emerald-700 hover:text-emerald-800 font-medium flex items-center">
+                  <Plus className="w-3 h-3 mr-1" /> {t('tripForm.addProduct')}
+                </button>
+              </div>
+            ))}
+            <button type="button" onClick={addDrop} className="text-xs text-emerald-700 hover:text-emerald-800 font-medium flex items-center">
+              <MapPin className="w-3 h-3 mr-1" /> {t('tripForm.addDrop')}
+            </button>
+            <div className="text-xs text-emerald-600 font-medium bg-emerald-50 inline-block px-2 py-1 rounded">
+              = {t('tripForm.tons', { tons: formatNumber(weightTons, 2) })}
+            </div>
+            {isOverCapacity && (
+              <div className="text-xs text-red-600 font-medium">
+                {t('tripForm.overCapacity', { plate: selectedTruck.plate, tons: formatNumber(capacityTons) })}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="space-y-4">
+          <div className="flex justify-between items-center">
+            <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider">{t('tripForm.financials')}</h3>
+            <span className="text-xs text-slate-400 bg-slate-100 px-2 py-1 rounded">{t('tripForm.fuelRate', { rate: formatNumber(rates.fuelPrice / 1000, 0) })}</span>
+          </div>
+          
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t('tripForm.fuelUsed')}</label>
+              <div className="relative">
+                <input 
+                  type="number" 
+                  min="0"
+                  className="w-full p-2 pl-9 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                  value={formData.fuelLiters}
+                  onChange={(e) => {
+                    setFuelEdited(true);
+                    setFormData({...formData, fuelLiters: Number(e.target.value)});
+                  }}
+                />
+                <Droplet className="w-4 h-4 text-slate-400 absolute left-3 top-2.5" />
+              </div>
+              <div className="text-xs text-slate-500 mt-1">
+                 = <span className="font-semibold text-slate-700">{formatCurrency(fuelCost)}</span>
+              </div>
+              {expectedKm && selectedTruck?.fuelPer100Km > 0 && (
+                <div className="text-xs text-slate-400 mt-0.5">
+                  {t('tripForm.expectedFuel', { liters: estimateTripFuel(dropLocations, selectedTruck), km: expectedKm })}
+                </div>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t('tripForm.otherCosts')}</label>
+              <input 
+                type="number" 
+                className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                value={formData.otherCost}
+                onChange={(e) => setFormData({...formData, otherCost: Number(e.target.value)})}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t('tripForm.odometerStart')}</label>
+              <input 
+                type="number" 
+                min="0"
+                placeholder={t('common.optional')}
+                className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                value={formData.odometerStart}
+                onChange={(e) => setFormData({...formData, odometerStart: e.target.value})}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t('tripForm.odometerEnd')}</label>
+              <input 
+                type="number" 
+                min="0"
+                placeholder={t('common.optional')}
+                className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                value={formData.odometerEnd}
+                onChange={(e) => setFormData({...formData, odometerEnd: e.target.value})}
+              />
+            </div>
+          </div>
+
+          {odometerConflict ? (
+            <div className="text-xs text-red-600 font-medium">{odometerConflict}</div>
+          ) : distanceKm > 0 && (
+            <div className="text-xs text-slate-500">
+              = <span className="font-semibold text-slate-700">{distanceKm} km</span>
+              {formData.fuelLiters > 0 && <>, {formatNumber((formData.fuelLiters / distanceKm) * 100)} L/100 km</>}
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('tripForm.otherDesc')}</label>
+            <input 
+              type="text" 
+              placeholder={t('tripForm.otherDescPlaceholder')}
+              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+              value={formData.otherDesc}
+              onChange={(e) => setFormData({...formData, otherDesc: e.target.value})}
+            />
+          </div>
+
+          <div className="bg-blue-50 p-3 rounded-lg border border-blue-100 space-y-2">
+            {dropTariffs.map((dropTariff, index) => (
+              <div key={index} className="flex justify-between items-center text-sm">
+                <span className="text-slate-600">
+                  {dropTariffs.length > 1 ? `${index + 1}. ${formData.drops[index].destination || '-'}` : t('tripForm.tariff')}
+                  {' '}<span className="text-xs text-slate-400">({describeTariff(dropTariff)})</span>
+                </span>
+                <span className={`font-semibold ${formData.tariffOverride ? 'text-slate-400 line-through' : 'text-slate-800'}`}>
+                  {formatCurrency(dropTariff.revenuePerTon)}/T
+                </span>
+              </div>
+            ))}
+            <label className="flex items-center text-xs text-slate-600 cursor-pointer">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={Boolean(formData.tariffOverride)}
+                onChange={(e) => toggleTariffOverride(e.target.checked)}
+              />
+              {t('tripForm.overrideTariff')}
+            </label>
+            {formData.tariffOverride && (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                <input
+                  required
+                  type="number"
+                  min="0"
+                  placeholder={t('common.gnfPerTon')}
+                  className="w-full p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+                  value={formData.tariffOverride.revenuePerTon}
+                  onChange={(e) => updateTariffOverride({ revenuePerTon: Number(e.target.value) })}
+                />
+                <input
+                  required
+                  type="text"
+                  placeholder={t('tripForm.overrideReason')}
+                  className="w-full p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+                  value={formData.tariffOverride.reason}
+                  onChange={(e) => updateTariffOverride({ reason: e.target.value })}
+                />
+              </div>
+            )}
+          </div>
+
+          <div className="bg-slate-50 p-4 rounded-lg border border-slate-200 space-y-2 mt-4">
+            <div className="flex justify-between text-sm">
+              <span className="text-slate-600">{t('tripForm.revenue')}:</span>
+              <span className="font-semibold text-slate-800">{formatCurrency(revenue)}</span>
+            </div>
+            {pricedDrops.length > 1 ? pricedDrops.map((drop, index) => (
+              <div key={index} className="flex justify-between text-xs text-slate-500 pl-3">
+                <span>{index + 1}. {drop.destination || '-'} ({formatNumber(drop.weightTons, 2)} T)</span>
+                <span>{formatCurrency(drop.revenue)}</span>
+              </div>
+            )) : financials.lines.length > 1 && financials.lines.map((line, index) => (
+              <div key={index} className="flex justify-between text-xs text-slate-500 pl-3">
+                <span>{describeProductName(line)} ({formatNumber(line.weightTons, 2)} T)</span>
+                <span>{formatCurrency(line.revenue)}</span>
+              </div>
+            ))}
+            <div className="flex justify-between text-sm">
+              <span className="text-slate-600">{t('tripForm.labor')}:</span>
+              <span className="text-red-500">-{formatCurrency(laborCost)}</span>
+            </div>
+            <div className="flex justify-between text-sm">
+              <span className="text-slate-600">{t('tripForm.fuel', { liters: formData.fuelLiters })}:</span>
+              <span className="text-red-500">-{formatCurrency(fuelCost)}</span>
+            </div>
+            {selectedDriver && (
+              <div className="flex justify-between text-sm">
+                <span className="text-slate-600">{t('tripForm.driverPay', { name: selectedDriver.name })}:</span>
+                <span className="text-red-500">-{formatCurrency(driverPay)}</span>
+              </div>
+            )}
+            <div className="flex justify-between text-sm pt-2 border-t border-slate-200">
+              <span className="text-slate-600 font-medium">{t('common.totalExpenses')}:</span>
+              <span className="text-red-600 font-medium">-{formatCurrency(totalExpenses)}</span>
+            </div>
+            <div className="pt-2 flex justify-between items-center">
+              <span className="font-bold text-slate-700 uppercase">{t('common.netProfit')}</span>
+              <span className={`font-bold text-lg ${netProfit >= 0 ? 'text-emerald-600' : 'text-red-600'}`}>
+                {formatCurrency(netProfit)}
+              </span>
+            </div>
+            {pricedDrops.length > 1 && (
+              <div className="pt-2 border-t border-slate-200 space-y-1">
+                <p className="text-xs text-slate-400">{t('tripForm.dropProfitHelp')}</p>
+                {pricedDrops.map((drop, index) => (
+                  <div key={index} className="flex justify-between text-xs text-slate-500">
+                    <span>{index + 1}. {drop.destination || '-'}</span>
+                    <span className={drop.netProfit >= 0 ? 'text-emerald-600' : 'text-red-600'}>{formatCurrency(drop.netProfit)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+        <div className="md:col-span-2 pt-4">
+          <button 
+            type="submit"
+            disabled={isOverCapacity || Boolean(odometerConflict)}
+            className="w-full bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition-colors flex justify-center items-center disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Save className="w-5 h-5 mr-2" /> {isEditing ? t('tripForm.update') : t('tripForm.save')}
+          </button>
+        </div>
+      </form>
+
+      {initialData?.history?.length > 0 && (
+        <div className="px-6 pb-6">
+          <div className="bg-slate-50 p-4 rounded-lg border border-slate-200">
+            <RecordHistory history={initialData.history} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const CONFIDENCE_STYLES = [
+  { min: 0.8, className: 'bg-emerald-100 text-emerald-700' },
+  { min: 0.5, className: 'bg-amber-100 text-amber-700' },
+  { min: 0, className: 'bg-red-100 text-red-700' }
+];
+
+// Side-by-side check of what was read from a receipt against the form, before anything is applied
+const ReceiptScanReview = ({ scan, formData, trucks, onApply, onDiscard }) => {
+  const matchedTruck = scan.truckPlate ? findTruckByPlate(trucks, scan.truckPlate) : null;
+
+  const describeValue = {
+    date: (value) => (value ? formatDate(value) : '—'),
+    amount: (value) => (value !== null && value !== '' ? formatCurrency(Number(value)) : '—'),
+    description: (value) => value || '—',
+    category: (value) => (EXPENSE_CATEGORIES[value] ? t(`expenseCategory.${value}`) : '—'),
+    truckPlate: (value) => value || '—'
+  };
+  const currentValues = { ...formData, truckPlate: formData.truckNumber };
+
+  const rows = Object.keys(RECEIPT_SCAN_FIELDS).map(field => {
+    const extracted = scan[field];
+    const current = currentValues[field];
+    const isSame = field === 'truckPlate'
+      ? Boolean(matchedTruck) && matchedTruck.id === formData.truckId
+      : field === 'amount' ? Number(current) === extracted : current === extracted;
+    // A plate only applies when it belongs to a registered truck
+    const canApply = extracted !== null && !isSame && (field !== 'truckPlate' || Boolean(matchedTruck));
+    const isEmpty = current === '' || current === null || current === undefined;
+    return { field, extracted, current, canApply, preselect: canApply && (isEmpty || scan.confidence[field] >= RECEIPT_SCAN_MIN_CONFIDENCE) };
+  });
+
+  const [selected, setSelected] = useState(() => ({
+    ...Object.fromEntries(rows.map(row => [row.field, row.preselect])),
+    lineItems: scan.lineItems.length > 0
+  }));
+
+  const handleApply = () => {
+    const changes = {};
+    rows.filter(row => row.canApply && selected[row.field]).forEach(({ field, extracted }) => {
+      if (field === 'truckPlate') {
+        changes.truckId = matchedTruck.id;
+        changes.truckNumber = matchedTruck.plate;
+      } else {
+        changes[field] = extracted;
+      }
+    });
+    if (selected.lineItems) changes.lineItems = scan.lineItems;
+    onApply(changes);
+  };
+
+  return (
+    <div className="mt-3 bg-indigo-50 border border-indigo-200 rounded-lg p-4 space-y-3">
+      <h3 className="text-sm font-bold text-indigo-800 flex items-center">
+        <Sparkles className="w-4 h-4 mr-2 text-yellow-500" /> {t('scanReview.title')}
+      </h3>
+      {scan.issues.length > 0 && (
+        <div className="text-xs text-amber-700 flex items-center">
+          <AlertTriangle className="w-3 h-3 mr-1" />
+          {t('scanReview.unreliable', { fields: scan.issues.map(field => (RECEIPT_SCAN_FIELDS[field] ? t(`scanField.${field}`) : field)).join(', ') })}
+        </div>
+      )}
+      <table className="w-full text-left text-sm">
+        <thead className="text-[10px] uppercase text-slate-400">
+          <tr>
+            <th className="py-1 w-8"></th>
+            <th className="py-1">{t('scanReview.field')}</th>
+            <th className="py-1">{t('scanReview.scanned')}</th>
+            <th className="py-1">{t('scanReview.current')}</th>
+            <th className="py-1 text-right">{t('scanReview.confidence')}</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-indigo-100">
+          {rows.map(({ field, extracted, current, canApply }) => (
+            <tr key={field} className={canApply ? 'text-slate-700' : 'text-slate-400'}>
+              <td className="py-1.5">
+                <input type="checkbox" disabled={!canApply}
+                  checked={canApply && selected[field]}
+                  onChange={(e) => setSelected({...selected, [field]: e.target.checked})} />
+              </td>
+              <td className="py-1.5 font-medium">{t(`scanField.${field}`)}</td>
+              <td className="py-1.5">
+                {describeValue[field](extracted)}
+                {field === 'truckPlate' && extracted && !matchedTruck && <span className="text-xs text-amber-600 ml-1">({t('scanReview.notRegistered')})</span>}
+              </td>
+              <td className="py-1.5">{describeValue[field](current)}</td>
+              <td className="py-1.5 text-right">
+                {extracted !== null && (
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${CONFIDENCE_STYLES.find(s => scan.confidence[field] >= s.min).className}`}>
+                    {Math.round(scan.confidence[field] * 100)}%
+                  </span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {scan.lineItems.length > 0 && (
+        <label className="block text-sm text-slate-700">
+          <span className="flex items-center font-medium">
+            <input type="checkbox" className="mr-2"
+              checked={selected.lineItems}
+              onChange={(e) => setSelected({...selected, lineItems: e.target.checked})} />
+            {t('scanReview.keepLineItems', { count: scan.lineItems.length })}
+          </span>
+          <ul className="ml-6 mt-1 text-xs text-slate-500 space-y-0.5">
+            {scan.lineItems.map((item, idx) => (
+              <li key={idx}>{item.quantity !== null && `${item.quantity} × `}{item.description} — {formatCurrency(item.amount)}</li>
+            ))}
+          </ul>
+        </label>
+      )}
+      <div className="flex space-x-3">
+        <button type="button" onClick={onDiscard}
+          className="flex-1 py-2 border border-slate-300 rounded-lg text-slate-600 hover:bg-white text-sm font-medium">
+          {t('scanReview.discard')}
+        </button>
+        <button type="button" onClick={handleApply}
+          className="flex-1 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg text-sm font-medium">
+          {t('scanReview.apply')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ExpenseForm = ({ trucks, trips, receiptThreshold, initialData, onSave, onCancel }) => {
+  const isEditing = Boolean(initialData);
+  const [formData, setFormData] = useState(() => pickFormFields(initialData, {
+    type: 'expense',
+    truckId: '',
+    truckNumber: '',
+    date: todayISO(),
+    category: 'Maintenance', 
+    amount: '',
+    description: '',
+    lineItems: [],
+    servicePlanItemId: '',
+    serviceOdometer: ''
+  }));
+
+  // Maintenance work can complete an item of the truck's service plan
+  const selectedTruck = trucks.find(t => t.id === formData.truckId) || null;
+  const serviceItems = SERVICE_EXPENSE_CATEGORIES.includes(formData.category) ? selectedTruck?.servicePlan || [] : [];
+
+  const [isScanning, setIsScanning] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // The photo is kept as proof; it is uploaded with the expense when the form is saved
+  const [receiptFile, setReceiptFile] = useState(null);
+  const [receiptPreview, setReceiptPreview] = useState(null);
+  const [scan, setScan] = useState(null);
+  const savedReceipt = initialData?.receipt || null;
+  const missingReceipt = isReceiptRequired(formData.amount, receiptThreshold) && !receiptFile && !savedReceipt;
+
+  useEffect(() => {
+    if (!receiptFile || !isImageFile(receiptFile)) {
+      setReceiptPreview(null);
+      return;
+    }
+    const url = URL.createObjectURL(receiptFile);
+    setReceiptPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [receiptFile]);
+
+  // Keep the receipt, then scan it; what was read is only applied after review
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsScanning(true);
+    setScan(null);
+    try {
+      const prepared = await prepareReceiptFile(file);
+      if (prepared.size > UPLOAD_MAX_BYTES) {
+        alert(t('alert.fileTooLarge', { max: UPLOAD_MAX_MB }));
+        return;
+      }
+      setReceiptFile(prepared);
+      setScan(await scanReceipt(prepared));
+    } catch (err) {
+      alert(err instanceof AiError
+        ? `${describeAiError(err)} ${t('expenseForm.enterManually')}`
+        : t('expenseForm.unsupportedFile'));
+    } finally {
+      setIsScanning(false);
+    }
+  };
+
+  const handleApplyScan = (changes) => {
+    setFormData(prev => ({ ...prev, ...changes }));
+    setScan(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (missingReceipt) return;
+    const completesItem = serviceItems.some(item => item.id === formData.servicePlanItemId);
+    setIsSaving(true);
+    await onSave({
+      // id generated by Firestore
+      ...formData,
+      lineItems: formData.lineItems.length > 0 ? formData.lineItems : null,
+      servicePlanItemId: completesItem ? formData.servicePlanItemId : null,
+      serviceOdometer: completesItem ? readOdometer(formData.serviceOdometer) : null,
+      ...computeExpenseFields(formData)
+    }, receiptFile);
+    setIsSaving(false);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-red-200 overflow-hidden animate-slide-up">
+      <div className="bg-slate-800 px-6 py-4 flex justify-between items-center">
+        <h2 className="text-white font-bold text-lg flex items-center">
+          <Wallet className="w-5 h-5 mr-2 text-red-400" /> {isEditing ? t('expenseForm.editTitle') : t('expenseForm.newTitle')}
+        </h2>
+        <button onClick={onCancel} className="text-slate-400 hover:text-white">
+          <X className="w-6 h-6" />
+        </button>
+      </div>
+
+      <div className="p-6 pb-0">
+        {/* AI SCANNER BUTTON */}
+        <div className="relative">
+          <input 
+            type="file" 
+            accept="image/jpeg,image/png,image/heic,image/heif,application/pdf" 
+            className="hidden" 
+            id="receipt-upload"
+            onChange={handleFileChange}
+          />
+          <label 
+            htmlFor="receipt-upload"
+            className={`w-full flex items-center justify-center p-3 border-2 border-dashed rounded-lg cursor-pointer transition-colors ${isScanning ? 'bg-indigo-50 border-indigo-300' : 'bg-slate-50 border-slate-300 hover:border-indigo-400 hover:bg-indigo-50'}`}
+          >
+            {isScanning ? (
+              <div className="flex items-center text-indigo-600 font-medium animate-pulse">
+                <Loader className="w-5 h-5 mr-2 animate-spin" /> {t('expenseForm.scanning')}
+              </div>
+            ) : (
+              <div className="flex items-center text-slate-600 font-medium">
+                <Sparkles className="w-5 h-5 mr-2 text-yellow-500" /> 
+                <span>{t('expenseForm.scan')}</span>
+                <Camera className="w-5 h-5 ml-2 text-slate-400" />
+              </div>
+            )}
+          </label>
+        </div>
+
+        {scan && (
+          <ReceiptScanReview
+            scan={scan}
+            formData={formData}
+            trucks={trucks}
+            onApply={handleApplyScan}
+            onDiscard={() => setScan(null)}
+          />
+        )}
+
+        {(receiptFile || savedReceipt) && (
+          <div className="mt-3 flex items-center space-x-3 text-sm text-slate-600">
+            {receiptFile ? (
+              <>
+                {receiptPreview ? (
+                  <img src={receiptPreview} alt={receiptFile.name} className="w-10 h-10 object-cover rounded border border-slate-200" />
+                ) : (
+                  <ReceiptThumbnail receipt={{ name: receiptFile.name, contentType: receiptFile.type }} />
+                )}
+                <span className="flex-1">
+                  {savedReceipt ? t('expenseForm.replacesReceipt') : t('expenseForm.receiptAttached')}
+                  <span className="text-xs text-slate-400 ml-2">{receiptFile.name} · {Math.round(receiptFile.size / 1024)} KB</span>
+                </span>
+                <button type="button" onClick={() => setReceiptFile(null)}
+                  className="text-slate-400 hover:text-red-500 transition-colors" title={t('common.remove')}>
+                  <X className="w-4 h-4" />
+                </button>
+              </>
+            ) : (
+              <>
+                <a href={savedReceipt.url} target="_blank" rel="noreferrer"><ReceiptThumbnail receipt={savedReceipt} /></a>
+                <span className="flex-1">{t('expenseForm.receiptOnFile')} <span className="text-xs text-slate-400 ml-2">{savedReceipt.name}</span></span>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      <form onSubmit={handleSubmit} className="p-6 space-y-4 pt-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <TruckPicker
+            trucks={trucks}
+            value={formData.truckId}
+            focusClass="focus:ring-red-500"
+            onChange={(truck) => setFormData({...formData, truckId: truck?.id || '', truckNumber: truck?.plate || ''})}
+          />
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('common.date')}</label>
+            <input 
+              required
+              type="date" 
+              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-red-500 outline-none"
+              value={formData.date}
+              onChange={(e) => setFormData({...formData, date: e.target.value})}
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('common.expenseCategory')}</label>
+            <select 
+              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-red-500 outline-none"
+              value={formData.category}
+              onChange={(e) => setFormData({...formData, category: e.target.value})}
+            >
+              {Object.keys(EXPENSE_CATEGORIES).map(value => (
+                <option key={value} value={value}>{t(`expenseCategory.${value}`)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('expenseForm.amount')}</label>
+            <input 
+              required
+              type="number" 
+              min="0"
+              placeholder="0"
+              className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-red-500 outline-none font-bold"
+              value={formData.amount}
+              onChange={(e) => setFormData({...formData, amount: e.target.value})}
+            />
+          </div>
+        </div>
+
+        {serviceItems.length > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 bg-slate-50 p-3 rounded-lg border border-slate-200">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t('expenseForm.completesService')}</label>
+              <select 
+                className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-red-500 outline-none"
+                value={formData.servicePlanItemId || ''}
+                onChange={(e) => setFormData({...formData, servicePlanItemId: e.target.value})}
+              >
+                <option value="">{t('common.none')}</option>
+                {serviceItems.map(item => (
+                  <option key={item.id} value={item.id}>{describeServiceItem(item)}</option>
+                ))}
+              </select>
+            </div>
+            {formData.servicePlanItemId && (
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">{t('expenseForm.serviceOdometer')}</label>
+                <input 
+                  type="number" 
+                  min="0"
+                  placeholder={`${getTruckOdometer(trips, selectedTruck.id) ?? ''}`}
+                  className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-red-500 outline-none"
+                  value={formData.serviceOdometer ?? ''}
+                  onChange={(e) => setFormData({...formData, serviceOdometer: e.target.value})}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-slate-700 mb-1">{t('expenseForm.description')}</label>
+          <input 
+            type="text" 
+            placeholder={t('expenseForm.descriptionPlaceholder')}
+            className="w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-red-500 outline-none"
+            value={formData.description}
+            onChange={(e) => setFormData({...formData, description: e.target.value})}
+          />
+          {formData.lineItems.length > 0 && (
+            <div className="mt-2 text-xs text-slate-500 flex justify-between items-start">
+              <ul className="space-y-0.5">
+                {formData.lineItems.map((item, idx) => (
+                  <li key={idx}>{item.quantity !== null && `${item.quantity} × `}{item.description} — {formatCurrency(item.amount)}</li>
+                ))}
+              </ul>
+              <button type="button" onClick={() => setFormData({...formData, lineItems: []})}
+                className="text-slate-400 hover:text-red-500 transition-colors" title={t('expenseForm.removeLineItems')}>
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="pt-2">
+          {missingReceipt && (
+            <div className="text-xs text-red-600 font-medium mb-2">
+              {t('expenseForm.receiptRequired', { amount: formatCurrency(receiptThreshold) })}
+            </div>
+          )}
+          <button 
+            type="submit"
+            disabled={missingReceipt || isSaving}
+            className="w-full bg-slate-800 hover:bg-slate-900 text-white font-bold py-3 px-6 rounded-lg shadow-md transition-colors flex justify-center items-center disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSaving ? <Loader className="w-5 h-5 mr-2 animate-spin" /> : <Save className="w-5 h-5 mr-2" />}
+            {isEditing ? t('expenseForm.update') : t('expenseForm.save')}
+          </button>
+        </div>
+      </form>
+
+      {initialData?.history?.length > 0 && (
+        <div className="px-6 pb-6">
+          <div className="bg-slate-50 p-4 rounded-lg border border-slate-200">
+            <RecordHistory history={initialData.history} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Renders the small Markdown subset the AI report uses: headings, bullet and numbered lists,
+// paragraphs, **bold**, *italic* and `code`
+const renderInlineMarkdown = (text) => text.split(/(\*\*[^*]+\*\*|\*[^*]+\*|`[^`]+`)/).map((part, idx) => {
+  if (part.startsWith('**') && part.endsWith('**')) return <strong key={idx}>{part.slice(2, -2)}</strong>;
+  if (part.startsWith('`') && part.endsWith('`')) return <code key={idx} className="px-1 rounded bg-black/10">{part.slice(1, -1)}</code>;
+  if (part.length > 2 && part.startsWith('*') && part.endsWith('*')) return <em key={idx}>{part.slice(1, -1)}</em>;
+  return part;
+});
+
+const MarkdownText = ({ text }) => {
+  const blocks = [];
+  text.split('\n').forEach(line => {
+    const trimmed = line.trim();
+    const bullet = trimmed.match(/^[-*]\s+(.*)$/);
+    const numbered = trimmed.match(/^\d+[.)]\s+(.*)$/);
+    const heading = trimmed.match(/^#{1,6}\s+(.*)$/);
+    const last = blocks[blocks.length - 1];
+    if (!trimmed) {
+      blocks.push({ type: 'break' });
+    } else if (bullet || numbered) {
+      const type = bullet ? 'ul' : 'ol';
+      if (last?.type === type) last.items.push((bullet || numbered)[1]);
+      else blocks.push({ type, items: [(bullet || numbered)[1]] });
+    } else if (heading) {
+      blocks.push({ type: 'heading', text: heading[1] });
+    } else if (last?.type === 'p') {
+      last.text += ` ${trimmed}`;
+    } else {
+      blocks.push({ type: 'p', text: trimmed });
+    }
+  });
+
+  return (
+    <div className="space-y-2">
+      {blocks.map((block, idx) => {
+        if (block.type === 'heading') return <h5 key={idx} className="font-bold">{renderInlineMarkdown(block.text)}</h5>;
+        if (block.type === 'p') return <p key={idx}>{renderInlineMarkdown(block.text)}</p>;
+        if (block.type === 'ul' || block.type === 'ol') {
+          const List = block.type;
+          return (
+            <List key={idx} className={`pl-5 space-y-0.5 ${block.type === 'ul' ? 'list-disc' : 'list-decimal'}`}>
+              {block.items.map((item, itemIdx) => <li key={itemIdx}>{renderInlineMarkdown(item)}</li>)}
+            </List>
+          );
+        }
+        return null;
+      })}
+    </div>
+  );
+};
+
+const ReportFigures = ({ keys, metrics }) => (
+  keys.length > 0 && (
+    <div className="flex flex-wrap gap-2 mt-2">
+      {keys.map(key => {
+        const metric = metrics[key];
+        return (
+          <span key={key} className="text-xs bg-white/10 border border-white/10 rounded px-2 py-1">
+            <span className="text-indigo-200">{metric.label}:</span> <span className="font-semibold">{formatMetricValue(metric)}</span>
+            {metric.change !== null && (
+              <span className={metric.change >= 0 ? 'text-emerald-300 ml-1' : 'text-red-300 ml-1'}>
+                {metric.change >= 0 ? '+' : ''}{formatNumber(metric.change)}%
+              </span>
+            )}
+          </span>
+        );
+      })}
+    </div>
+  )
+);
+
+const BusinessReportView = ({ report }) => (
+  <div className="bg-white/10 p-4 rounded-lg text-sm leading-relaxed border border-white/10 shadow-inner space-y-4">
+    <p className="text-base font-semibold">{report.headline}</p>
+    {report.sections.map(section => (
+      <div key={section.title}>
+        <h4 className="font-bold text-yellow-200 mb-1">{section.title}</h4>
+        <MarkdownText text={section.markdown} />
+        <ReportFigures keys={section.figures} metrics={report.metrics} />
+      </div>
+    ))}
+    {report.recommendations.length > 0 && (
+      <div>
+        <h4 className="font-bold text-yellow-200 mb-1">{t('report.recommendations')}</h4>
+        <ol className="list-decimal pl-5 space-y-2">
+          {report.recommendations.map(item => (
+            <li key={item.title}>
+              <span className="font-semibold">{item.title}</span> — {renderInlineMarkdown(item.detail)}
+              <ReportFigures keys={item.figures} metrics={report.metrics} />
+            </li>
+          ))}
+        </ol>
+      </div>
+    )}
+  </div>
+);
+
+// Saved reports, newest first, with their recommendations side by side per period
+const ReportHistory = ({ reports, selectedId, onSelect }) => (
+  <div className="bg-white/5 rounded-lg border border-white/10 p-4 space-y-4 text-sm">
+    <table className="w-full text-left">
+      <thead className="text-[10px] uppercase text-indigo-300">
+        <tr>
+          <th className="py-1 pr-4">{t('report.period')}</th>
+          <th className="py-1 pr-4">{t('report.generated')}</th>
+          <th className="py-1">{t('report.recommendations')}</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-white/10 align-top">
+        {reports.map(report => (
+          <tr key={report.id}
+            onClick={() => onSelect(report.id === selectedId ? null : report.id)}
+            className={`cursor-pointer transition-colors ${report.id === selectedId ? 'bg-white/15' : 'hover:bg-white/10'}`}>
+            <td className="py-2 pr-4 font-medium whitespace-nowrap">{report.periodLabel}</td>
+            <td className="py-2 pr-4 text-indigo-200 whitespace-nowrap">
+              {formatDateTime(report.createdAt)}
+              <div className="text-[10px]">{report.createdBy}</div>
+            </td>
+            <td className="py-2">
+              <ul className="list-disc pl-4 space-y-0.5">
+                {report.recommendations.map(item => <li key={item.title}>{item.title}</li>)}
+              </ul>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const describeQueryFilters = (query) => [
+  query.recordType && (query.recordType === 'trip' ? t('fleetQuestion.tripsOnly') : t('fleetQuestion.expensesOnly')),
+  query.trucks.length > 0 && t('fleetQuestion.trucks', { names: query.trucks.join(', ') }),
+  query.destinations.length > 0 && t('fleetQuestion.destinations', { names: query.destinations.join(', ') }),
+  query.drivers.length > 0 && t('fleetQuestion.drivers', { names: query.drivers.join(', ') }),
+  query.categories.length > 0 && t('fleetQuestion.categories', { names: query.categories.map(c => t(`expenseCategory.${c}`)).join(', ') }),
+  (query.dateFrom || query.dateTo) && describePeriod({ from: query.dateFrom, to: query.dateTo })
+].filter(Boolean).join(' · ') || t('period.allRecords');
+
+const FleetQuestionBox = ({ records, trucks }) => {
+  const [question, setQuestion] = useState('');
+  const [answer, setAnswer] = useState(null);
+  const [error, setError] = useState(null);
+  const [isAsking, setIsAsking] = useState(false);
+  const [showRecords, setShowRecords] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!question.trim()) return;
+    setIsAsking(true);
+    setError(null);
+    setShowRecords(false);
+    try {
+      setAnswer(await askFleetQuestion(question.trim(), records, trucks));
+    } catch (err) {
+      setAnswer(null);
+      setError(err);
+    } finally {
+      setIsAsking(false);
+    }
+  };
+
+  const metric = answer && QUERY_METRICS[answer.query.metric];
+  const metricLabel = answer && t(`queryMetric.${answer.query.metric}`);
+  const aggregationLabel = answer && t(`queryAggregation.${answer.query.aggregation}`);
+  const formatValue = (value) => formatMetricValue({
+    unit: answer.query.aggregation === 'count' ? 'count' : metric.unit,
+    value
+  });
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-200 space-y-4">
+      <h3 className="text-lg font-bold text-slate-800 flex items-center">
+        <Search className="w-5 h-5 mr-2 text-indigo-500" /> {t('fleetQuestion.title')}
+      </h3>
+      <form onSubmit={handleSubmit} className="flex space-x-2">
+        <input
+          type="text"
+          className="flex-1 p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 outline-none"
+          placeholder={t('fleetQuestion.placeholder')}
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+        />
+        <button type="submit" disabled={isAsking || !question.trim()}
+          className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg text-sm font-medium flex items-center disabled:opacity-50">
+          {isAsking ? <Loader className="w-4 h-4 animate-spin" /> : t('fleetQuestion.ask')}
+        </button>
+      </form>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700 flex items-center">
+          <AlertTriangle className="w-4 h-4 mr-2 shrink-0" /> {describeAiError(error)}
+        </div>
+      )}
+
+      {answer && (
+        <div className="space-y-3 text-sm">
+          <div>
+            {answer.query.interpretation && <p className="text-slate-700">{answer.query.interpretation}</p>}
+            <p className="text-xs text-slate-400">
+              {t('fleetQuestion.summary', { aggregation: aggregationLabel, metric: metricLabel.toLowerCase() })} — {describeQueryFilters(answer.query)}
+            </p>
+          </div>
+          <div className="bg-indigo-50 border border-indigo-100 rounded-lg p-3 flex justify-between items-center">
+            <span className="text-indigo-800 font-medium">{aggregationLabel} ({t('fleetQuestion.recordCount', { count: answer.result.records.length })})</span>
+            <span className="text-lg font-bold text-indigo-900">{formatValue(answer.result.total)}</span>
+          </div>
+          {answer.result.rows.length > 0 && (
+            <table className="w-full text-left">
+              <thead className="text-[10px] uppercase text-slate-400 border-b border-slate-200">
+                <tr>
+                  <th className="py-1">{t(`queryGroup.${answer.query.groupBy}`)}</th>
+                  <th className="py-1 text-right">{t('queryMetric.count')}</th>
+                  <th className="py-1 text-right">{metricLabel}</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {answer.result.rows.map(row => (
+                  <tr key={row.label}>
+                    <td className="py-1.5 text-slate-700">{row.label}</td>
+                    <td className="py-1.5 text-right text-slate-500">{row.count}</td>
+                    <td className="py-1.5 text-right font-medium text-slate-800">{formatValue(row.value)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {answer.result.records.length > 0 && (
+            <div>
+              <button type="button" onClick={() => setShowRecords(!showRecords)}
+                className="text-xs text-indigo-600 hover:text-indigo-800 font-medium">
+                {t(showRecords ? 'fleetQuestion.hideRecords' : 'fleetQuestion.showRecords', { count: answer.result.records.length })}
+              </button>
+              {showRecords && (
+                <table className="w-full text-left text-xs mt-2">
+                  <tbody className="divide-y divide-slate-100">
+                    {answer.result.records.map(record => (
+                      <tr key={record.id}>
+                        <td className="py-1 text-slate-500 whitespace-nowrap">{formatDate(record.date)}</td>
+                        <td className="py-1 text-slate-700">{record.truckNumber}</td>
+                        <td className="py-1 text-slate-500">
+                          {record.type === 'expense' ? (EXPENSE_CATEGORIES[record.category] ? t(`expenseCategory.${record.category}`) : record.category) : describeTripRoute(record)}
+                        </td>
+                        <td className="py-1 text-right text-slate-700">
+                          {formatMetricValue({ unit: metric.unit, value: metric.read(record) })}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const AnalyticsDashboard = ({ trips, allRecords, previousTrips, trucks, locations, fuelEfficiency, period, periodLabel, comparisonLabel, reports, onSaveReport, exportName, canExport }) => {
+  const sortedTrips = [...trips].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const maxRevenue = Math.max(...sortedTrips.map(t => t.revenue || 0), 1000000); 
+
+  // AI Reporting State
+  const [aiReport, setAiReport] = useState(null);
+  const [aiError, setAiError] = useState(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [showReportHistory, setShowReportHistory] = useState(false);
+  const [selectedReportId, setSelectedReportId] = useState(null);
+
+  const selectedReport = reports.find(r => r.id === selectedReportId) || null;
+  const displayedReport = selectedReport || aiReport;
+
+  // Every generated report is saved with its period, for the history below
+  const handleGenerateReport = async () => {
+    setIsGenerating(true);
+    setAiReport(null);
+    setAiError(null);
+    setSelectedReportId(null);
+    try {
+      const report = await generateBusinessReport({ records: trips, previousRecords: previousTrips, trucks, locations, periodLabel, comparisonLabel });
+      setAiReport(report);
+      onSaveReport({ ...report, periodLabel, period: { from: period.from || null, to: period.to || null } });
+    } catch (error) {
+      setAiError(error);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  // Destination Stats per drop, with the spellings of a place counted together
+  const destStats = useMemo(() => {
+    const stats = {};
+    trips.filter(t => t.type === 'trip').forEach(t => {
+      getPricedTripDrops(t).forEach(drop => {
+        const d = getDestinationName(locations, drop.destination);
+        if (!stats[d]) stats[d] = { count: 0, tons: 0, km: 0, revenue: 0 };
+        stats[d].count += 1;
+        stats[d].tons += drop.weightTons;
+        stats[d].km += getTripKm(t) * drop.share;
+        stats[d].revenue += drop.revenue;
+      });
+    });
+    return Object.entries(stats)
+      .map(([name, data]) => [name, { ...data, revenuePerKm: data.km > 0 ? data.revenue / data.km : null }])
+      .sort((a, b) => b[1].tons - a[1].tons);
+  }, [trips, locations]);
+
+  // Volume and Revenue by Product
+  const productStats = useMemo(() => {
+    return Object.entries(summarizeProducts(trips)).sort((a, b) => b[1].revenue - a[1].revenue);
+  }, [trips]);
+  const productRevenue = productStats.reduce((sum, [, data]) => sum + data.revenue, 0) || 1;
+
+  // Revenue per Ton by Zone
+  const zoneStats = useMemo(() => {
+    const stats = {};
+    trips.filter(t => t.type === 'trip').forEach(t => {
+      getPricedTripDrops(t).forEach(drop => {
+        const z = drop.zone || getZoneForDestination(locations, drop.destination) || '';
+        if (!stats[z]) stats[z] = { count: 0, tons: 0, revenue: 0 };
+        stats[z].count += 1;
+        stats[z].tons += drop.weightTons;
+        stats[z].revenue += drop.revenue;
+      });
+    });
+    return Object.entries(stats)
+      .map(([name, data]) => [name, { ...data, revenuePerTon: data.tons ? data.revenue / data.tons : 0 }])
+      .sort((a, b) => b[1].revenuePerTon - a[1].revenuePerTon);
+  }, [trips, locations]);
+
+  // Cost Breakdown
+  const costs = useMemo(() => {
+    const c = { fuel: 0, labor: 0, drivers: 0, maintenance: 0, other: 0 };
+    trips.forEach(t => {
+      c.fuel += t.fuelCost || 0;
+      c.labor += t.laborCost || 0;
+      c.drivers += t.driverPay || 0;
+      c.other += t.otherCost || 0;
+      
+      if (t.type === 'expense') {
+        if (t.category === 'Fuel') c.fuel += t.amount;
+        else if (t.category === 'Maintenance' || t.category === 'Tires') c.maintenance += t.amount;
+        else c.other += t.amount;
+      }
+    });
+    const total = c.fuel + c.labor + c.drivers + c.maintenance + c.other || 1;
+    return { ...c, total };
+  }, [trips]);
+
+  const fuelAnomalies = trips
+    .filter(t => fuelEfficiency.anomalies[t.id])
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  const handleExport = (format) => {
+    exportTables([
+      {
+        name: 'Destinations',
+        headers: ['Destination', 'Trips', 'Tons', 'Km', 'Revenue (GNF)', 'Revenue per km (GNF)'],
+        rows: destStats.map(([name, data]) => [
+          name || 'Unknown',
+          data.count,
+          Number(data.tons.toFixed(2)),
+          Math.round(data.km),
+          toExportAmount(data.revenue),
+          data.revenuePerKm === null ? '' : toExportAmount(data.revenuePerKm)
+        ])
+      },
+      {
+        name: 'Products',
+        headers: ['Product', 'Unit', 'Quantity', 'Tons', 'Revenue (GNF)', 'Trips'],
+        rows: productStats.map(([name, data]) => [name, data.unit, data.quantity, Number(data.tons.toFixed(2)), toExportAmount(data.revenue), data.trips])
+      },
+      {
+        name: 'Zones',
+        headers: ['Zone', 'Trips', 'Tons', 'Revenue (GNF)', 'Revenue per Ton (GNF)'],
+        rows: zoneStats.map(([name, data]) => [name || 'Other', data.count, Number(data.tons.toFixed(2)), toExportAmount(data.revenue), toExportAmount(data.revenuePerTon)])
+      },
+      {
+        name: 'Costs',
+        headers: ['Category', 'Amount (GNF)', 'Share (%)'],
+        rows: [
+          ['Fuel', costs.fuel],
+          ['Labor', costs.labor],
+          ['Drivers', costs.drivers],
+          ['Maintenance', costs.maintenance],
+          ['Other', costs.other]
+        ].map(([label, value]) => [label, toExportAmount(value), Number(((value / costs.total) * 100).toFixed(1))])
+      },
+      {
+        name: 'Fuel Efficiency',
+        headers: ['Group', 'Name', 'Trips', 'Km', 'Liters', 'L/100 km', 'L per ton-km'],
+        rows: [
+          ...fuelEfficiency.byTruck.map(g => ['Truck', g.label, g.trips, g.km, g.liters, Number(g.per100Km.toFixed(1)), g.perTonKm === null ? '' : Number(g.perTonKm.toFixed(3))]),
+          ...fuelEfficiency.byRoute.map(g => ['Route', g.label, g.trips, g.km, g.liters, Number(g.per100Km.toFixed(1)), g.perTonKm === null ? '' : Number(g.perTonKm.toFixed(3))])
+        ]
+      }
+    ], `${exportName}-analytics`, format);
+  };
+
+  return (
+    <div className="space-y-6 animate-fade-in"> 
+
+      {canExport && (
+        <div className="flex justify-end">
+          <ExportButtons onExport={handleExport} />
+        </div>
+      )}
+      
+      {/* AI REPORT SECTION */}
+      <div className="bg-gradient-to-r from-indigo-900 to-slate-800 p-6 rounded-xl shadow-lg text-white">
+        <div className="flex justify-between items-start mb-4">
+          <h3 className="text-xl font-bold flex items-center">
+            <Sparkles className="w-5 h-5 mr-2 text-yellow-400" />
+            {t('analytics.aiTitle')}
+          </h3>
+          <div className="flex space-x-2">
+            {reports.length > 0 && (
+              <button 
+                onClick={() => setShowReportHistory(!showReportHistory)}
+                className={`border border-white/20 px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center ${showReportHistory ? 'bg-white/20' : 'bg-white/10 hover:bg-white/20'}`}
+              >
+                <History className="w-4 h-4 mr-2" /> {t('analytics.history', { count: reports.length })}
+              </button>
+            )}
+            <button 
+              onClick={handleGenerateReport}
+              disabled={isGenerating}
+              className="bg-white/10 hover:bg-white/20 text-white border border-white/20 px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center disabled:opacity-50"
+            >
+              {isGenerating ? <Loader className="w-4 h-4 mr-2 animate-spin"/> : t('analytics.generate')}
+            </button>
+          </div>
+        </div>
+
+        {showReportHistory && (
+          <div className="mb-4">
+            <ReportHistory reports={reports} selectedId={selectedReportId} onSelect={setSelectedReportId} />
+          </div>
+        )}
+        
+        {isGenerating && (
+          <div className="py-8 text-center text-indigo-200 animate-pulse">
+            {t('analytics.generating')}
+          </div>
+        )}
+
+        {!isGenerating && displayedReport && (
+          <>
+            {selectedReport && (
+              <p className="text-xs text-indigo-200 mb-2">
+                {t('analytics.savedReport', { period: selectedReport.periodLabel, date: formatDateTime(selectedReport.createdAt) })}
+              </p>
+            )}
+            <BusinessReportView report={displayedReport} />
+          </>
+        )}
+
+        {!isGenerating && aiError && (
+          <div className="bg-red-500/20 p-4 rounded-lg text-sm border border-red-300/30 flex items-center">
+            <AlertTriangle className="w-4 h-4 mr-2 text-red-300 shrink-0" />
+            {describeAiError(aiError)}
+          </div>
+        )}
+
+        {!isGenerating && !displayedReport && !aiError && (
+          <p className="text-indigo-200 text-sm">
+            {t('analytics.aiIntro')}
+          </p>
+        )}
+      </div>
+
+      {/* Questions in plain French or English, answered from the records */}
+      <FleetQuestionBox records={allRecords} trucks={trucks} />
+
+      {/* Chart 1: Revenue vs Profit Trend */}
+      <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-200">
+        <h3 className="text-lg font-bold text-slate-800 mb-6 flex items-center">
+          <BarChart3 className="w-5 h-5 mr-2 text-emerald-600" />
+          {t('analytics.performance')}
+        </h3>
+        
+        {trips.length > 0 ? (
+          <div className="h-64 flex items-end space-x-2 sm:space-x-4 overflow-x-auto pb-2 px-2">
+            {sortedTrips.map((trip) => {
+              const isExpense = trip.type === 'expense';
+              // Fixed: Adjusted max height to 85% to accommodate labels
+              const heightPercent = isExpense 
+                ? Math.min((trip.totalExpenses / maxRevenue) * 85, 85)
+                : Math.max((trip.revenue / maxRevenue) * 85, 1);
+              
+              const profitPercent = isExpense ? 0 : (trip.netProfit / trip.revenue) * 100;
+              
+              return (
+                // Fixed: Added h-full and justify-end to prevent 0-height collapse
+                <div key={trip.id} className="group relative flex-shrink-0 w-12 sm:w-16 h-full flex flex-col justify-end items-center cursor-pointer">
+                  {/* Tooltip */}
+                  <div className="absolute bottom-full mb-2 opacity-0 group-hover:opacity-100 transition-opacity bg-slate-800 text-white text-xs p-2 rounded z-10 w-32 text-center pointer-events-none shadow-lg">
                     <div className="font-bold">{formatDate(trip.date)}</div>
                     {isExpense ? (
-                      <div className="text-red-300">Exp: {formatCurrency(trip.totalExpenses)}</div>
+                      <div className="text-red-300">{t('analytics.tooltipExpenses')}: {formatCurrency(trip.totalExpenses)}</div>
                     ) : (
                       <>
-                        <div>Rev: {formatCurrency(trip.revenue)}</div>
-                        <div>Prof: {formatCurrency(trip.netProfit)}</div>
+                        <div>{t('analytics.tooltipRevenue')}: {formatCurrency(trip.revenue)}</div>
+                        <div>{t('analytics.tooltipProfit')}: {formatCurrency(trip.netProfit)}</div>
                       </>
                     )}
                   </div>
@@ -801,7 +8287,7 @@ const AnalyticsDashboard = ({ trips }) => {
                     )}
                   </div>
                   <div className="mt-2 text-[10px] sm:text-xs text-slate-500 font-medium rotate-0 truncate w-full text-center">
-                    {new Date(trip.date).toLocaleDateString(undefined, {month: 'short', day: 'numeric'})}
+                    {new Date(trip.date).toLocaleDateString(getLocale(), {month: 'short', day: 'numeric'})}
                   </div>
                 </div>
               );
@@ -809,186 +8295,1388 @@ const AnalyticsDashboard = ({ trips }) => {
           </div>
         ) : (
           <div className="h-40 flex items-center justify-center text-slate-400 bg-slate-50 rounded-lg">
-            No financial data available yet.
+            {t('analytics.noData')}
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-200">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center">
+            <MapPin className="w-5 h-5 mr-2 text-blue-500" />
+            {t('analytics.topDestinations')}
+          </h3>
+          <div className="space-y-4">
+            {destStats.length > 0 ? destStats.map(([name, data]) => (
+              <div key={name} className="relative">
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="font-medium text-slate-700">{name || t('common.unknown')}</span>
+                  <span className="text-slate-500">
+                    {formatNumber(data.tons)} T ({t('analytics.tripCount', { count: data.count })})
+                    {data.revenuePerKm !== null && <> · {formatCurrency(data.revenuePerKm)}/km</>}
+                  </span>
+                </div>
+                <div className="w-full bg-slate-100 rounded-full h-2.5">
+                  <div 
+                    className="bg-blue-500 h-2.5 rounded-full" 
+                    style={{ width: `${(data.tons / destStats[0][1].tons) * 100}%` }}
+                  ></div>
+                </div>
+              </div>
+            )) : (
+              <p className="text-slate-400 text-sm">{t('analytics.noDestinations')}</p>
+            )}
+          </div>
+        </div>
+
+        <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-200">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center">
+            <PieChart className="w-5 h-5 mr-2 text-red-500" />
+            {t('analytics.costDistribution')}
+          </h3>
+          <div className="space-y-6 pt-2">
+            {[
+              { label: t('analytics.cost.fuel'), value: costs.fuel, color: 'bg-orange-500', text: 'text-orange-600' },
+              { label: t('analytics.cost.labor'), value: costs.labor, color: 'bg-indigo-500', text: 'text-indigo-600' },
+              { label: t('analytics.cost.drivers'), value: costs.drivers, color: 'bg-amber-500', text: 'text-amber-600' },
+              { label: t('analytics.cost.maintenance'), value: costs.maintenance, color: 'bg-cyan-500', text: 'text-cyan-600' },
+              { label: t('analytics.cost.other'), value: costs.other, color: 'bg-slate-400', text: 'text-slate-500' },
+            ].map(item => (
+              <div key={item.label}>
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="text-slate-600">{item.label}</span>
+                  <span className={`font-bold ${item.text}`}>{formatCurrency(item.value)}</span>
+                </div>
+                <div className="w-full bg-slate-100 rounded-full h-2 overflow-hidden flex">
+                    <div 
+                      className={`h-full ${item.color}`} 
+                      style={{ width: `${(item.value / costs.total) * 100}%` }}
+                    ></div>
+                </div>
+                <div className="text-right text-[10px] text-slate-400 mt-0.5">
+                  {t('analytics.shareOfTotal', { share: formatNumber((item.value / costs.total) * 100) })}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-200">
+        <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center">
+          <Package className="w-5 h-5 mr-2 text-emerald-500" />
+          {t('analytics.byProduct')}
+        </h3>
+        {productStats.length > 0 ? (
+          <div className="space-y-4">
+            {productStats.map(([name, data]) => (
+              <div key={name}>
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="font-medium text-slate-700">{name}</span>
+                  <span className="font-bold text-emerald-600">{formatCurrency(data.revenue)}</span>
+                </div>
+                <div className="w-full bg-slate-100 rounded-full h-2.5">
+                  <div
+                    className="bg-emerald-500 h-2.5 rounded-full"
+                    style={{ width: `${(data.revenue / productRevenue) * 100}%` }}
+                  ></div>
+                </div>
+                <div className="text-xs text-slate-400 mt-1">
+                  {formatProductQuantity(data.quantity, data.unit)} — {formatNumber(data.tons)} T ({t('analytics.tripCount', { count: data.trips })})
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-slate-400 text-sm">{t('analytics.noProducts')}</p>
+        )}
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-200">
+        <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center">
+          <DollarSign className="w-5 h-5 mr-2 text-purple-500" />
+          {t('analytics.revenueByZone')}
+        </h3>
+        {zoneStats.length > 0 ? (
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            {zoneStats.map(([name, data]) => (
+              <div key={name} className="bg-slate-50 rounded-lg p-4 border border-slate-100">
+                <div className="text-sm font-medium text-slate-600">{name || t('analytics.otherZone')}</div>
+                <div className="text-xl font-bold text-purple-600 mt-1">{formatCurrency(data.revenuePerTon)}/T</div>
+                <div className="text-xs text-slate-400 mt-1">
+                  {formatNumber(data.tons)} T — {formatCurrency(data.revenue)} ({t('analytics.tripCount', { count: data.count })})
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-slate-400 text-sm">{t('analytics.noZones')}</p>
+        )}
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-200">
+        <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center">
+          <Droplet className="w-5 h-5 mr-2 text-amber-500" />
+          {t('analytics.fuelEfficiency')}
+        </h3>
+        {fuelEfficiency.byTruck.length > 0 ? (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {[[t('analytics.byTruck'), fuelEfficiency.byTruck], [t('analytics.byRoute'), fuelEfficiency.byRoute]].map(([title, groups]) => (
+                <div key={title}>
+                  <h4 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2">{title}</h4>
+                  <table className="w-full text-sm">
+                    <thead className="text-xs text-slate-500">
+                      <tr>
+                        <th className="text-left pb-1">{t('analytics.name')}</th>
+                        <th className="text-right pb-1">{t('analytics.km')}</th>
+                        <th className="text-right pb-1">L/100 km</th>
+                        <th className="text-right pb-1">L/t·km</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-100">
+                      {groups.map(g => (
+                        <tr key={g.key}>
+                          <td className="py-1 text-slate-700">{g.label} <span className="text-xs text-slate-400">({g.trips})</span></td>
+                          <td className="py-1 text-right text-slate-600">{g.km}</td>
+                          <td className="py-1 text-right font-medium text-slate-800">{formatNumber(g.per100Km)}</td>
+                          <td className="py-1 text-right text-slate-600">{g.perTonKm === null ? '-' : formatNumber(g.perTonKm, 3)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+            </div>
+
+            <div>
+              <h4 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2">{t('analytics.flaggedTrips')}</h4>
+              {fuelAnomalies.length > 0 ? (
+                <ul className="divide-y divide-slate-100 text-sm">
+                  {fuelAnomalies.map(trip => (
+                    <li key={trip.id} className="py-2 flex justify-between items-center">
+                      <span className="text-slate-700 flex items-center">
+                        <AlertTriangle className="w-4 h-4 mr-2 text-amber-500" />
+                        {formatDate(trip.date)} — {trip.truckNumber} — {describeTripRoute(trip)}
+                      </span>
+                      <span className="text-xs text-slate-500">{describeFuelAnomaly(fuelEfficiency.anomalies[trip.id])}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-slate-400 text-sm">{t('analytics.noAnomalies')}</p>
+              )}
+            </div>
+          </div>
+        ) : (
+          <p className="text-slate-400 text-sm">{t('analytics.noFuelData')}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const TruckPnlReport = ({ trips, trucks, periodLabel, exportName, canExport }) => {
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  const rows = useMemo(() => computeTruckPnl(trips, trucks), [trips, trucks]);
+  const selectedRow = rows.find(row => row.key === selectedKey) || null;
+  const maxAbsProfit = Math.max(...rows.map(row => Math.abs(row.netProfit)), 1);
+
+  const handleExport = (format) => {
+    exportTables([{
+      name: 'Truck P&L',
+      headers: ['Truck', 'Trips', 'Tons', 'Km', 'Revenue (GNF)', 'Fuel (GNF)', 'Labor (GNF)', 'Drivers (GNF)', 'Other Trip Costs (GNF)', 'Truck Expenses (GNF)', 'Net Profit (GNF)', 'Profit per Ton (GNF)', 'Profit per Trip (GNF)', 'Profit per Km (GNF)'],
+      rows: rows.map(row => [
+        row.plate,
+        row.trips,
+        Number(row.tons.toFixed(2)),
+        Math.round(row.km),
+        toExportAmount(row.revenue),
+        toExportAmount(row.fuel),
+        toExportAmount(row.labor),
+        toExportAmount(row.driverPay),
+        toExportAmount(row.otherTripCosts),
+        toExportAmount(row.ownExpensesTotal),
+        toExportAmount(row.netProfit),
+        row.profitPerTon === null ? '' : toExportAmount(row.profitPerTon),
+        row.profitPerTrip === null ? '' : toExportAmount(row.profitPerTrip),
+        row.profitPerKm === null ? '' : toExportAmount(row.profitPerKm)
+      ])
+    }], `${exportName}-trucks`, format);
+  };
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div className="flex justify-between items-center">
+        <p className="text-sm text-slate-500">{periodLabel}</p>
+        {canExport && <ExportButtons onExport={handleExport} />}
+      </div>
+
+      {/* Ranking */}
+      <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-200">
+        <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center">
+          <Truck className="w-5 h-5 mr-2 text-emerald-600" />
+          {t('pnl.ranking')}
+        </h3>
+        {rows.length > 0 ? (
+          <div className="space-y-3">
+            {rows.map((row, idx) => (
+              <button key={row.key} type="button" onClick={() => setSelectedKey(selectedKey === row.key ? null : row.key)}
+                className={`w-full text-left rounded-lg p-1 transition-colors ${selectedKey === row.key ? 'bg-slate-50' : 'hover:bg-slate-50'}`}>
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="font-medium text-slate-700">{idx + 1}. {row.plate}</span>
+                  <span className={row.netProfit >= 0 ? 'text-emerald-600 font-medium' : 'text-red-500 font-medium'}>{formatCurrency(row.netProfit)}</span>
+                </div>
+                <div className="w-full bg-slate-100 rounded-full h-2">
+                  <div className={`h-2 rounded-full ${row.netProfit >= 0 ? 'bg-emerald-500' : 'bg-red-400'}`}
+                    style={{ width: `${(Math.abs(row.netProfit) / maxAbsProfit) * 100}%` }} />
+                </div>
+              </button>
+            ))}
+          </div>
+        ) : (
+          <p className="text-slate-400 text-sm">{t('pnl.noRecords')}</p>
+        )}
+      </div>
+
+      {/* P&L Table */}
+      {rows.length > 0 && (
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <thead className="bg-slate-50 text-slate-500 text-xs uppercase font-semibold border-b border-slate-200">
+                <tr>
+                  <th className="p-3">{t('common.truck')}</th>
+                  <th className="p-3 text-right">{t('common.trips')}</th>
+                  <th className="p-3 text-right">{t('common.tons')}</th>
+                  <th className="p-3 text-right">{t('common.revenue')}</th>
+                  <th className="p-3 text-right">{t('analytics.cost.fuel')}</th>
+                  <th className="p-3 text-right">{t('analytics.cost.labor')}</th>
+                  <th className="p-3 text-right">{t('analytics.cost.drivers')}</th>
+                  <th className="p-3 text-right">{t('analytics.cost.other')}</th>
+                  <th className="p-3 text-right">{t('pnl.truckExpenses')}</th>
+                  <th className="p-3 text-right">{t('common.netProfit')}</th>
+                  <th className="p-3 text-right">{t('pnl.perTon')}</th>
+                  <th className="p-3 text-right">{t('pnl.perTrip')}</th>
+                  <th className="p-3 text-right">{t('pnl.perKm')}</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {rows.map(row => (
+                  <tr key={row.key} onClick={() => setSelectedKey(selectedKey === row.key ? null : row.key)}
+                    className={`cursor-pointer transition-colors ${selectedKey === row.key ? 'bg-slate-50' : 'hover:bg-slate-50'}`}>
+                    <td className="p-3 font-medium text-slate-800">{row.plate}</td>
+                    <td className="p-3 text-right">{row.trips}</td>
+                    <td className="p-3 text-right">{row.tons.toFixed(1)}</td>
+                    <td className="p-3 text-right">{formatCurrency(row.revenue)}</td>
+                    <td className="p-3 text-right text-red-500">{formatCurrency(row.fuel)}</td>
+                    <td className="p-3 text-right text-red-500">{formatCurrency(row.labor)}</td>
+                    <td className="p-3 text-right text-red-500">{formatCurrency(row.driverPay)}</td>
+                    <td className="p-3 text-right text-red-500">{formatCurrency(row.otherTripCosts)}</td>
+                    <td className="p-3 text-right text-red-500">{formatCurrency(row.ownExpensesTotal)}</td>
+                    <td className={`p-3 text-right font-bold ${row.netProfit >= 0 ? 'text-emerald-600' : 'text-red-600'}`}>{formatCurrency(row.netProfit)}</td>
+                    <td className="p-3 text-right">{row.profitPerTon === null ? '-' : formatCurrency(row.profitPerTon)}</td>
+                    <td className="p-3 text-right">{row.profitPerTrip === null ? '-' : formatCurrency(row.profitPerTrip)}</td>
+                    <td className="p-3 text-right">{row.profitPerKm === null ? '-' : formatCurrency(row.profitPerKm)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Drill-down */}
+      {selectedRow && (
+        <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-200">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-bold text-slate-800">{t('pnl.drillDown', { plate: selectedRow.plate, count: selectedRow.records.length })}</h3>
+            <button onClick={() => setSelectedKey(null)} className="text-slate-400 hover:text-slate-700">
+              <X className="w-5 h-5" />
+            </button>
           </div>
-        )}
-      </div>
+          {Object.keys(selectedRow.ownExpenses).length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-4">
+              {Object.entries(selectedRow.ownExpenses).map(([category, amount]) => (
+                <span key={category} className="text-xs bg-red-50 text-red-700 px-2 py-1 rounded">
+                  {getCategoryLabel(category)}: {formatCurrency(amount)}
+                </span>
+              ))}
+            </div>
+          )}
+          <ul className="divide-y divide-slate-100 text-sm max-h-96 overflow-y-auto">
+            {[...selectedRow.records].sort((a, b) => new Date(b.date) - new Date(a.date)).map(record => (
+              <li key={record.id} className="py-2 flex justify-between items-center">
+                <span className="text-slate-600">
+                  {formatDate(record.date)} — {record.type === 'expense'
+                    ? <span className="text-red-600">{getCategoryLabel(record.category)}{record.description ? ` (${record.description})` : ''}</span>
+                    : `${describeTripRoute(record)}, ${describeTripLoad(record)}, ${t('pnl.fuelLiters', { liters: record.fuelLiters })}`}
+                </span>
+                <span className="text-right">
+                  {record.type !== 'expense' && <span className="text-slate-500 mr-3">{formatCurrency(record.revenue)}</span>}
+                  <span className={record.netProfit >= 0 ? 'text-emerald-600 font-medium' : 'text-red-500 font-medium'}>{formatCurrency(record.netProfit)}</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default function App() {
+  const [rateHistory, setRateHistory] = useState([]);
+  const config = useMemo(() => getRatesForDate(rateHistory, todayISO()), [rateHistory]);
+  const [tariffs, setTariffs] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [customLocations, setCustomLocations] = useState([]);
+  const [trucks, setTrucks] = useState([]);
+  const [drivers, setDrivers] = useState([]);
+  const [driverPayments, setDriverPayments] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [invoices, setInvoices] = useState([]);
+  const [documents, setDocuments] = useState([]);
+  const [reports, setReports] = useState([]);
+  
+  const [showSettings, setShowSettings] = useState(false);
+  const [showFleet, setShowFleet] = useState(false);
+  const [showDrivers, setShowDrivers] = useState(false);
+  const [showCustomers, setShowCustomers] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showMembers, setShowMembers] = useState(false);
+  const [showReceipts, setShowReceipts] = useState(false);
+  const [viewingReceipt, setViewingReceipt] = useState(null);
+  const [viewMode, setViewMode] = useState('list'); // 'list', 'analytics' or 'trucks'
+  const [language, setLanguageState] = useState(getLanguage);
+
+  // AUTH STATE - a plain copy of the Firebase user, so linking an account re-renders
+  const [user, setUser] = useState(null);
+  const [isAuthReady, setIsAuthReady] = useState(false);
+  const signedInUid = user && !user.isAnonymous ? user.uid : null;
+
+  // WORKSPACE STATE - the profile points at a workspace, the member doc holds the role in it
+  const [profile, setProfile] = useState(null);
+  const [member, setMember] = useState(); // undefined while loading, null when not a member
+  const [workspace, setWorkspace] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const workspaceId = member ? profile?.workspaceId || null : null;
+  const workspacePath = useMemo(() => ['artifacts', appId, 'workspaces', workspaceId], [workspaceId]);
+  const role = member?.role || null;
+  const memberDriverId = member?.driverId || null;
+
+  // SYNC STATE - writes waiting for the server, and the ones it rejected
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [syncQueue, setSyncQueue] = useState([]);
+  const [pendingIds, setPendingIds] = useState(new Set());
+  
+  // DATA STATE - Initial state is empty array (no example data)
+  const [trips, setTrips] = useState([]);
+  
+  const [showForm, setShowForm] = useState(false);
+  const [showExpenseForm, setShowExpenseForm] = useState(false);
+  const [editingRecord, setEditingRecord] = useState(null);
+  const [expandedHistoryId, setExpandedHistoryId] = useState(null);
+  // LIST STATE - restored from the URL, and written back to it as it changes
+  const [urlListState] = useState(readListStateFromUrl);
+  const [periodPreset, setPeriodPreset] = useState(urlListState.period);
+  const [customPeriod, setCustomPeriod] = useState(urlListState.customPeriod);
+  const [listFilters, setListFilters] = useState(urlListState.filters);
+  const [listSort, setListSort] = useState(urlListState.sort);
+  const [showListFilters, setShowListFilters] = useState(countActiveFilters(urlListState.filters) > 0);
+  const [listLimit, setListLimit] = useState(LIST_PAGE_SIZE);
+  const [listTarget, setListTarget] = useState(LIST_PAGE_SIZE); // matching rows to show
+  const [listRecords, setListRecords] = useState([]);
+  const [hasMoreRecords, setHasMoreRecords] = useState(false);
+  const [listError, setListError] = useState(null);
+
+  // The selected period drives the KPIs, the list and analytics alike
+  const period = useMemo(() => getPeriodRange(periodPreset, customPeriod, todayISO()), [periodPreset, customPeriod]);
+  const previousPeriod = useMemo(() => getPreviousPeriodRange(periodPreset, period), [periodPreset, period]);
+  // Screens that work over every record load the whole history; the rest make do with recent history
+  const needsFullHistory = viewMode === 'analytics' || showForm || showExpenseForm
+    || showReceipts || showImport || showCustomers || showDrivers || showFleet;
+  const historyFrom = needsFullHistory ? '' : getHistoryStart(period, previousPeriod, todayISO());
+
+  // 1. Initialize Auth
+  useEffect(() => {
+    const initAuth = async () => {
+      try {
+        // A session restored from local storage lets the app open offline
+        await auth.authStateReady();
+        if (auth.currentUser) return;
+        if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
+          await signInWithCustomToken(auth, __initial_auth_token);
+        }
+      } catch (e) {
+        console.error("Error signing in: ", e);
+      } finally {
+        setIsAuthReady(true);
+      }
+    };
+    initAuth();
+    
+    // Unlike onAuthStateChanged, this also fires when an anonymous session is linked to an account
+    const unsubscribe = onIdTokenChanged(auth, (currentUser) => {
+      setUser(currentUser ? {
+        uid: currentUser.uid,
+        email: currentUser.email,
+        emailVerified: currentUser.emailVerified,
+        phoneNumber: currentUser.phoneNumber,
+        isAnonymous: currentUser.isAnonymous
+      } : null);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  // Load the signed-in user's profile, which names their workspace
+  useEffect(() => {
+    setProfile(null);
+    if (!signedInUid) return;
+
+    const unsubscribe = onSnapshot(doc(db, 'artifacts', appId, 'users', signedInUid), (snapshot) => {
+      setProfile(snapshot.data() || {});
+    }, (error) => {
+      console.error("Error fetching profile:", error);
+    });
+
+    return () => unsubscribe();
+  }, [signedInUid]);
+
+  // Load the user's membership, which carries their role in that workspace
+  useEffect(() => {
+    setMember(undefined);
+    if (!signedInUid || !profile?.workspaceId) return;
+
+    const memberRef = doc(db, 'artifacts', appId, 'workspaces', profile.workspaceId, 'members', signedInUid);
+    const unsubscribe = onSnapshot(memberRef, (snapshot) => {
+      setMember(snapshot.exists() ? snapshot.data() : null);
+    }, (error) => {
+      console.error("Error fetching membership:", error);
+      setMember(null);
+    });
+
+    return () => unsubscribe();
+  }, [signedInUid, profile?.workspaceId]);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const handleChangeLanguage = (nextLanguage) => {
+    setLanguage(nextLanguage);
+    setLanguageState(nextLanguage);
+  };
+
+  // Track connectivity for the sync indicator
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // 2. Fetch Data from Firestore (Real-time)
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    // Drivers only load their own trips; the security rules refuse anything wider
+    if (!can(role, 'viewAll') && !memberDriverId) return;
+    const constraints = [];
+    if (!can(role, 'viewAll')) constraints.push(where('driverId', '==', memberDriverId));
+    if (historyFrom) constraints.push(where('date', '>=', historyFrom));
+    const tripsQuery = query(collection(db, ...workspacePath, 'trips'), ...constraints);
+    
+    // Metadata changes tell us when a locally saved record reaches the server
+    const unsubscribe = onSnapshot(tripsQuery, { includeMetadataChanges: true }, (snapshot) => {
+      const tripsData = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+      setTrips(tripsData);
+      setPendingIds(new Set(snapshot.docs.filter(d => d.metadata.hasPendingWrites).map(d => d.id)));
+    }, (error) => {
+      console.error("Error fetching trips:", error);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId, workspacePath, role, memberDriverId, historyFrom]);
+
+  // 3. Fetch Rate History from Firestore (Real-time)
+  useEffect(() => {
+    if (!workspaceId || !can(role, 'viewAll')) return;
+
+    const ratesCollection = collection(db, ...workspacePath, 'rates');
+
+    const unsubscribe = onSnapshot(ratesCollection, (snapshot) => {
+      setRateHistory(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching rates:", error);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId, workspacePath, role]);
+
+  // 4. Fetch Destination Tariffs from Firestore (Real-time)
+  useEffect(() => {
+    if (!workspaceId || !can(role, 'viewAll')) return;
+
+    const tariffsCollection = collection(db, ...workspacePath, 'tariffs');
+
+    const unsubscribe = onSnapshot(tariffsCollection, (snapshot) => {
+      setTariffs(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching tariffs:", error);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId, workspacePath, role]);
+
+  // 5. Fetch Fleet Registry from Firestore (Real-time)
+  useEffect(() => {
+    if (!workspaceId || !can(role, 'viewAll')) return;
+
+    const trucksCollection = collection(db, ...workspacePath, 'trucks');
+
+    const unsubscribe = onSnapshot(trucksCollection, (snapshot) => {
+      setTrucks(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching trucks:", error);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId, workspacePath, role]);
+
+  // 6. Fetch Drivers and their Advances from Firestore (Real-time)
+  useEffect(() => {
+    if (!workspaceId || !can(role, 'viewAll')) return;
+
+    const driversCollection = collection(db, ...workspacePath, 'drivers');
+    const paymentsCollection = collection(db, ...workspacePath, 'driverPayments');
+
+    const unsubscribeDrivers = onSnapshot(driversCollection, (snapshot) => {
+      setDrivers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching drivers:", error);
+    });
+    const unsubscribePayments = onSnapshot(paymentsCollection, (snapshot) => {
+      setDriverPayments(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching driver payments:", error);
+    });
+
+    return () => {
+      unsubscribeDrivers();
+      unsubscribePayments();
+    };
+  }, [workspaceId, workspacePath, role]);
+
+  // 7. Fetch Customers and Invoices from Firestore (Real-time)
+  useEffect(() => {
+    if (!workspaceId || !can(role, 'viewAll')) return;
+
+    const customersCollection = collection(db, ...workspacePath, 'customers');
+    const invoicesCollection = collection(db, ...workspacePath, 'invoices');
+
+    const unsubscribeCustomers = onSnapshot(customersCollection, (snapshot) => {
+      setCustomers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching customers:", error);
+    });
+    const unsubscribeInvoices = onSnapshot(invoicesCollection, (snapshot) => {
+      setInvoices(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching invoices:", error);
+    });
+
+    return () => {
+      unsubscribeCustomers();
+      unsubscribeInvoices();
+    };
+  }, [workspaceId, workspacePath, role]);
+
+  // 8. Fetch Workspace, Members and Invitations from Firestore (Real-time)
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    const workspaceRef = doc(db, ...workspacePath);
+    const unsubscribeWorkspace = onSnapshot(workspaceRef, (snapshot) => {
+      setWorkspace(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+    }, (error) => {
+      console.error("Error fetching workspace:", error);
+    });
+    if (!can(role, 'manageMembers')) return () => unsubscribeWorkspace();
+
+    const unsubscribeMembers = onSnapshot(collection(workspaceRef, 'members'), (snapshot) => {
+      setMembers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching members:", error);
+    });
+    const invitationsQuery = query(collection(db, 'artifacts', appId, 'invitations'), where('workspaceId', '==', workspaceId));
+    const unsubscribeInvitations = onSnapshot(invitationsQuery, (snapshot) => {
+      setInvitations(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching invitations:", error);
+    });
+
+    return () => {
+      unsubscribeWorkspace();
+      unsubscribeMembers();
+      unsubscribeInvitations();
+    };
+  }, [workspaceId, workspacePath, role]);
+
+  const receivables = useMemo(() => computeReceivablesAging(invoices, todayISO()), [invoices]);
+
+  const serviceAlerts = useMemo(() => collectServiceAlerts(trucks, trips, todayISO()), [trucks, trips]);
+  const documentAlerts = useMemo(() => collectDocumentAlerts(documents, trucks, drivers, todayISO()), [documents, trucks, drivers]);
+
+  const locations = useMemo(() => buildLocationDirectory(customLocations), [customLocations]);
+  const locationRequests = customLocations.filter(loc => loc.status === 'pending');
+
+  // Baselines use all the history in memory, whatever period is on screen
+  const fuelEfficiency = useMemo(() => computeFuelEfficiency(trips, trucks, locations), [trips, trucks, locations]);
+
+  const periodLabel = `${t(`periodPreset.${periodPreset}`)} (${describePeriod(period)})`;
+  const comparisonLabel = PERIOD_COMPARISON_LABELS[periodPreset] ? t(`periodComparison.${periodPreset}`) : undefined;
+  const periodTrips = useMemo(() => trips.filter(trip => isInPeriod(trip.date, period)), [trips, period]);
+
+  const stats = useMemo(() => summarizeRecords(periodTrips), [periodTrips]);
+  const previousStats = useMemo(() => {
+    return previousPeriod ? summarizeRecords(trips.filter(trip => isInPeriod(trip.date, previousPeriod))) : null;
+  }, [trips, previousPeriod]);
+
+  const statChange = (key) => ({
+    change: previousStats ? percentChange(stats[key], previousStats[key]) : null,
+    changeLabel: comparisonLabel
+  });
+
+  // 9. Fetch the current page of the Operations List from Firestore (Real-time)
+  const listQuerySpec = useMemo(() => ({
+    type: listFilters.type,
+    destination: listFilters.destination,
+    category: listFilters.category,
+    driverId: can(role, 'viewAll') ? null : memberDriverId,
+    from: period.from,
+    to: period.to,
+    sortKey: listSort.key,
+    sortDir: listSort.dir
+  }), [listFilters.type, listFilters.destination, listFilters.category, role, memberDriverId, period.from, period.to, listSort.key, listSort.dir]);
+
+  useEffect(() => {
+    if (!workspaceId) return;
+    if (!can(role, 'viewAll') && !memberDriverId) return;
+
+    const listQuery = query(collection(db, ...workspacePath, 'trips'), ...buildListConstraints(listQuerySpec), limit(listLimit));
+
+    const unsubscribe = onSnapshot(listQuery, (snapshot) => {
+      setListRecords(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      setHasMoreRecords(snapshot.size === listLimit);
+      setListError(null);
+    }, (error) => {
+      // A query shape missing from firestore.indexes.json fails here; the error links to its index
+      console.error("Error fetching operations list:", error);
+      setListRecords([]);
+      setHasMoreRecords(false);
+      setListError(error.message);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId, workspacePath, role, memberDriverId, listQuerySpec, listLimit]);
+
+  // 10. Fetch Vehicle and Driver Documents from Firestore (Real-time)
+  useEffect(() => {
+    if (!workspaceId || !can(role, 'viewAll')) return;
+
+    const documentsCollection = collection(db, ...workspacePath, 'documents');
+
+    const unsubscribe = onSnapshot(documentsCollection, (snapshot) => {
+      setDocuments(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching documents:", error);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId, workspacePath, role]);
+
+  // 11. Fetch Saved AI Reports from Firestore (Real-time)
+  useEffect(() => {
+    if (!workspaceId || !can(role, 'viewAll')) return;
+
+    const reportsQuery = query(collection(db, ...workspacePath, 'reports'), orderBy('createdAt', 'desc'), limit(REPORT_HISTORY_LIMIT));
+
+    const unsubscribe = onSnapshot(reportsQuery, (snapshot) => {
+      setReports(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching reports:", error);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId, workspacePath, role]);
+
+  // 12. Fetch the Product Catalog from Firestore (Real-time)
+  useEffect(() => {
+    if (!workspaceId || !can(role, 'viewAll')) return;
+
+    const productsCollection = collection(db, ...workspacePath, 'products');
+
+    const unsubscribe = onSnapshot(productsCollection, (snapshot) => {
+      setProducts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching products:", error);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId, workspacePath, role]);
+
+  // 13. Fetch the Workspace Places from Firestore (Real-time)
+  useEffect(() => {
+    if (!workspaceId || !can(role, 'viewAll')) return;
+
+    const locationsCollection = collection(db, ...workspacePath, 'locations');
+
+    const unsubscribe = onSnapshot(locationsCollection, (snapshot) => {
+      setCustomLocations(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching locations:", error);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId, workspacePath, role]);
+
+  // Older trips get their destinations list once per workspace, the first time an owner opens it
+  const needsDestinationsBackfill = Boolean(workspace) && !workspace.tripDestinationsBackfilled;
+  useEffect(() => {
+    if (!workspaceId || !needsDestinationsBackfill || !can(role, 'manageSettings')) return;
+    backfillTripDestinations(workspacePath).catch(e => console.error("Error backfilling trip destinations: ", e));
+  }, [workspaceId, workspacePath, needsDestinationsBackfill, role]);
+
+  // Analytics and exports cover every matching record; the table pages through Firestore
+  const filteredTrips = useMemo(() => {
+    return periodTrips.filter(trip => matchesListFilters(trip, listFilters)).sort(compareRecords(listSort));
+  }, [periodTrips, listFilters, listSort]);
+
+  const previousFilteredTrips = useMemo(() => {
+    if (!previousPeriod) return null;
+    return trips.filter(trip => isInPeriod(trip.date, previousPeriod) && matchesListFilters(trip, listFilters));
+  }, [trips, previousPeriod, listFilters]);
+
+  // The filters Firestore does not narrow on can leave a page short of matching rows, so pages keep
+  // loading until the rows on screen fill up or the records run out
+  const matchingListRows = listRecords.filter(record => matchesListFilters(record, listFilters));
+  const listRows = matchingListRows.slice(0, listTarget);
+  const isFillingList = hasMoreRecords && matchingListRows.length < listTarget;
+  const hasMoreListRows = hasMoreRecords || matchingListRows.length > listTarget;
+  useEffect(() => {
+    if (isFillingList) setListLimit(current => Math.max(current, listRecords.length + LIST_PAGE_SIZE));
+  }, [isFillingList, listRecords.length]);
+
+  const resetListPaging = () => {
+    setListLimit(LIST_PAGE_SIZE);
+    setListTarget(LIST_PAGE_SIZE);
+  };
+
+  useEffect(() => {
+    writeListStateToUrl({ period: periodPreset, customPeriod, filters: listFilters, sort: listSort });
+  }, [periodPreset, customPeriod, listFilters, listSort]);
+
+  // Any change to what the list shows starts it again from the first page
+  const handlePeriodPresetChange = (preset) => {
+    setPeriodPreset(preset);
+    resetListPaging();
+  };
+
+  const handleCustomPeriodChange = (range) => {
+    setCustomPeriod(range);
+    resetListPaging();
+  };
+
+  const updateListFilters = (changes) => {
+    setListFilters(filters => ({ ...filters, ...changes }));
+    resetListPaging();
+  };
+
+  const clearListFilters = () => {
+    setListFilters(filters => ({ ...DEFAULT_LIST_FILTERS, truck: filters.truck }));
+    resetListPaging();
+  };
+
+  const handleSort = (key) => {
+    setListSort(sort => sort.key === key
+      ? { key, dir: sort.dir === 'asc' ? 'desc' : 'asc' }
+      : { key, dir: key === 'date' ? 'desc' : 'asc' });
+    resetListPaging();
+  };
+
+  // File names carry the active filters so monthly exports are easy to tell apart
+  const exportName = ['cimenlog', listFilters.truck.toUpperCase(), period.from, period.to]
+    .filter(Boolean)
+    .join('_');
+
+  const handleExportList = (format) => {
+    exportTables([buildRecordsTable(filteredTrips)], `${exportName}-operations`, format);
+  };
+
+  // --- FIRESTORE ACTIONS ---
+
+  // Firestore applies writes to the local cache at once and resolves only when the server
+  // confirms them, so the UI never waits on the network: each write is tracked here until it
+  // syncs, and kept with its retry function if the server rejects it.
+  const queueWrite = (op, run) => {
+    const opId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    setSyncQueue(queue => [
+      ...queue.filter(o => !(o.recordId === op.recordId && o.status === 'failed')),
+      { ...op, opId, run, status: 'pending' }
+    ]);
+    run()
+      .then(() => setSyncQueue(queue => queue.filter(o => o.opId !== opId)))
+      .catch((error) => {
+        console.error(`Error syncing ${op.kind} of ${op.recordId}: `, error);
+        setSyncQueue(queue => queue.map(o => o.opId === opId ? { ...o, status: 'failed', error: error.message } : o));
+      });
+  };
+
+  const handleRetryWrite = (op) => queueWrite({ recordId: op.recordId, kind: op.kind, label: op.label }, op.run);
+
+  const handleDismissWrite = (op) => setSyncQueue(queue => queue.filter(o => o.opId !== op.opId));
+
+  const failedOps = syncQueue.filter(o => o.status === 'failed');
+  const pendingCount = new Set([
+    ...pendingIds,
+    ...syncQueue.filter(o => o.status === 'pending').map(o => o.recordId)
+  ]).size;
+
+  const getSyncState = (recordId) => {
+    if (failedOps.some(o => o.recordId === recordId)) return 'failed';
+    if (pendingIds.has(recordId) || syncQueue.some(o => o.recordId === recordId)) return 'pending';
+    return 'synced';
+  };
+
+  const describeRecord = (record) => `${record.truckNumber} ${formatDate(record.date)}`;
+
+  const handleAddTrip = (newTrip) => {
+    if (!workspaceId) return;
+    const tripsCollection = collection(db, ...workspacePath, 'trips');
+    const docRef = doc(tripsCollection);
+    // The stamp orders trips entered on the same day, for the odometer checks
+    const record = { ...newTrip, createdAt: new Date().toISOString() };
+    queueWrite({ recordId: docRef.id, kind: 'add', label: describeRecord(newTrip) }, () => setDoc(docRef, record));
+    setShowForm(false);
+  };
+  
+  // Logging the work that completes a service item restarts that item's interval,
+  // unless the item was already serviced after this expense's date
+  const completeServiceItem = (expense) => {
+    const truck = trucks.find(t => t.id === expense.truckId);
+    const item = truck?.servicePlan?.find(i => i.id === expense.servicePlanItemId);
+    if (!item || (item.lastDoneDate && item.lastDoneDate > expense.date)) return;
+    const lastDoneKm = expense.serviceOdometer ?? getTruckOdometer(trips, truck.id) ?? item.lastDoneKm;
+    const servicePlan = truck.servicePlan.map(i => i.id === item.id ? { ...i, lastDoneDate: expense.date, lastDoneKm } : i);
+    queueWrite(
+      { recordId: truck.id, kind: 'update', label: `${truck.plate} ${describeServiceItem(item)}` },
+      () => updateDoc(doc(db, ...workspacePath, 'trucks', truck.id), { servicePlan })
+    );
+  };
+
+  // Receipts are uploaded before the record is queued, so attaching one needs a connection
+  const uploadReceipt = async (recordId, file) => {
+    try {
+      return await uploadWorkspaceFile([...workspacePath, 'receipts', recordId, file.name], file);
+    } catch (e) {
+      console.error("Error uploading receipt: ", e);
+      alert(t('alert.receiptUploadFailed'));
+      return null;
+    }
+  };
+
+  const deleteReceipt = (receipt) => {
+    deleteObject(storageRef(storage, receipt.path)).catch(e => console.error("Error deleting receipt: ", e));
+  };
+
+  const handleAddExpense = async (newExpense, receiptFile) => {
+    if (!workspaceId) return;
+    const tripsCollection = collection(db, ...workspacePath, 'trips');
+    const docRef = doc(tripsCollection);
+    const record = { ...newExpense };
+    if (receiptFile) {
+      record.receipt = await uploadReceipt(docRef.id, receiptFile);
+      if (!record.receipt) return;
+    }
+    queueWrite({ recordId: docRef.id, kind: 'add', label: describeRecord(record) }, () => setDoc(docRef, record));
+    if (record.servicePlanItemId) completeServiceItem(record);
+    setShowExpenseForm(false);
+  };
+
+  const closeForms = () => {
+    setShowForm(false);
+    setShowExpenseForm(false);
+    setEditingRecord(null);
+  };
+
+  const handleEditRecord = (record) => {
+    setEditingRecord(record);
+    if (record.type === 'expense') setShowExpenseForm(true);
+    else setShowForm(true);
+  };
+
+  const handleUpdateRecord = async (editedRecord, receiptFile) => {
+    if (!workspaceId || !editingRecord) return;
+    const updatedRecord = { ...editedRecord };
+    if (receiptFile) {
+      updatedRecord.receipt = await uploadReceipt(editingRecord.id, receiptFile);
+      if (!updatedRecord.receipt) return;
+    }
+    const changes = diffRecord(editingRecord, updatedRecord);
+    if (changes.length === 0) {
+      closeForms();
+      return;
+    }
+    const docRef = doc(db, ...workspacePath, 'trips', editingRecord.id);
+    const update = {
+      ...updatedRecord,
+      history: [
+        ...(editingRecord.history || []),
+        { changedAt: new Date().toISOString(), changedBy: getUserContact(user), changes }
+      ]
+    };
+    queueWrite({ recordId: editingRecord.id, kind: 'update', label: describeRecord(updatedRecord) }, () => updateDoc(docRef, update));
+    if (receiptFile && editingRecord.receipt && editingRecord.receipt.path !== updatedRecord.receipt.path) {
+      deleteReceipt(editingRecord.receipt);
+    }
+    if (updatedRecord.servicePlanItemId && changes.some(c => ['servicePlanItemId', 'serviceOdometer', 'date'].includes(c.field))) {
+      completeServiceItem(updatedRecord);
+    }
+    closeForms();
+  };
+
+  const handleDeleteTrip = (id) => {
+    if (!workspaceId) return;
+    if (confirm(t('confirm.delete'))) {
+      const record = trips.find(t => t.id === id);
+      const docRef = doc(db, ...workspacePath, 'trips', id);
+      queueWrite({ recordId: id, kind: 'delete', label: record ? describeRecord(record) : id }, () => deleteDoc(docRef));
+      if (record?.receipt) deleteReceipt(record.receipt);
+    }
+  };
+
+  const receiptThreshold = workspace?.receiptRequiredAbove || 0;
+
+  const handleSaveReceiptThreshold = (threshold) => {
+    if (!workspaceId) return;
+    queueWrite(
+      { recordId: workspaceId, kind: 'update', label: t('sync.label.receiptPolicy') },
+      () => updateDoc(doc(db, ...workspacePath), { receiptRequiredAbove: threshold })
+    );
+  };
+
+  const handleUpdateSettings = (newRates) => {
+    if (!workspaceId) return;
+    const docRef = doc(collection(db, ...workspacePath, 'rates'));
+    queueWrite(
+      { recordId: docRef.id, kind: 'add', label: t('sync.label.rates', { date: formatDate(newRates.effectiveFrom) }) },
+      () => setDoc(docRef, { ...newRates, createdAt: new Date().toISOString() })
+    );
+    setShowSettings(false);
+  };
+
+  // Tariffs are keyed by scope and name, so setting one again replaces the previous price
+  const handleSaveTariff = (tariff) => {
+    if (!workspaceId) return;
+    const tariffRef = doc(db, ...workspacePath, 'tariffs', `${tariff.scope}:${tariff.key}`);
+    queueWrite(
+      { recordId: tariffRef.id, kind: 'update', label: t('sync.label.tariff', { name: tariff.key }) },
+      () => setDoc(tariffRef, { ...tariff, updatedAt: new Date().toISOString() })
+    );
+  };
+
+  const handleDeleteTariff = (id) => {
+    if (!workspaceId) return;
+    const tariff = tariffs.find(tariff => tariff.id === id);
+    queueWrite(
+      { recordId: id, kind: 'delete', label: t('sync.label.tariff', { name: tariff?.key || id }) },
+      () => deleteDoc(doc(db, ...workspacePath, 'tariffs', id))
+    );
+  };
+
+  // Trips keep a copy of their product lines, so editing or deleting a product only affects new trips
+  const handleSaveProduct = (productId, product) => {
+    if (!workspaceId) return;
+    if (productId) {
+      const docRef = doc(db, ...workspacePath, 'products', productId);
+      queueWrite({ recordId: productId, kind: 'update', label: product.name }, () => updateDoc(docRef, product));
+    } else {
+      const docRef = doc(collection(db, ...workspacePath, 'products'));
+      queueWrite({ recordId: docRef.id, kind: 'add', label: product.name }, () => setDoc(docRef, product));
+    }
+  };
 
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-        <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-200">
-          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center">
-            <MapPin className="w-5 h-5 mr-2 text-blue-500" />
-            Top Destinations (by Volume)
-          </h3>
-          <div className="space-y-4">
-            {destStats.length > 0 ? destStats.map(([name, data], idx) => (
-              <div key={name} className="relative">
-                <div className="flex justify-between text-sm mb-1">
-                  <span className="font-medium text-slate-700">{name}</span>
-                  <span className="text-slate-500">{data.tons.toFixed(1)} T ({data.count} trips)</span>
-                </div>
-                <div className="w-full bg-slate-100 rounded-full h-2.5">
-                  <div 
-                    className="bg-blue-500 h-2.5 rounded-full" 
-                    style={{ width: `${(data.tons / destStats[0][1].tons) * 100}%` }}
-                  ></div>
-                </div>
-              </div>
-            )) : (
-              <p className="text-slate-400 text-sm">No destination data.</p>
-            )}
-          </div>
-        </div>
+  const handleDeleteProduct = (id) => {
+    if (!workspaceId) return;
+    const product = products.find(p => p.id === id);
+    queueWrite({ recordId: id, kind: 'delete', label: product?.name || id }, () => deleteDoc(doc(db, ...workspacePath, 'products', id)));
+  };
 
-        <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-200">
-          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center">
-            <PieChart className="w-5 h-5 mr-2 text-red-500" />
-            Cost Distribution
-          </h3>
-          <div className="space-y-6 pt-2">
-            {[
-              { label: 'Fuel', value: costs.fuel, color: 'bg-orange-500', text: 'text-orange-600' },
-              { label: 'Labor', value: costs.labor, color: 'bg-indigo-500', text: 'text-indigo-600' },
-              { label: 'Maintenance', value: costs.maintenance, color: 'bg-cyan-500', text: 'text-cyan-600' },
-              { label: 'Other', value: costs.other, color: 'bg-slate-400', text: 'text-slate-500' },
-            ].map(item => (
-              <div key={item.label}>
-                <div className="flex justify-between text-sm mb-1">
-                  <span className="text-slate-600">{item.label}</span>
-                  <span className={`font-bold ${item.text}`}>{formatCurrency(item.value)}</span>
-                </div>
-                <div className="w-full bg-slate-100 rounded-full h-2 overflow-hidden flex">
-                    <div 
-                      className={`h-full ${item.color}`} 
-                      style={{ width: `${(item.value / costs.total) * 100}%` }}
-                    ></div>
-                </div>
-                <div className="text-right text-[10px] text-slate-400 mt-0.5">
-                  {((item.value / costs.total) * 100).toFixed(1)}% of total
-                </div>
-              </div>
-            ))}
-          </div>
-        </div>
-      </div>
-    </div>
-  );
-};
+  const handleSaveLocation = (locationId, location) => {
+    if (!workspaceId) return;
+    if (locationId) {
+      const docRef = doc(db, ...workspacePath, 'locations', locationId);
+      queueWrite({ recordId: locationId, kind: 'update', label: location.name }, () => updateDoc(docRef, location));
+    } else {
+      const docRef = doc(collection(db, ...workspacePath, 'locations'));
+      queueWrite({ recordId: docRef.id, kind: 'add', label: location.name },
+        () => setDoc(docRef, { ...location, createdBy: getUserContact(user), createdAt: new Date().toISOString() }));
+    }
+  };
 
-export default function App() {
-  const [config, setConfig] = useState({
-    fuelPrice: DEFAULT_FUEL_PRICE,
-    revenuePerTon: DEFAULT_REVENUE_PER_TON,
-    laborPerTon: DEFAULT_LABOR_PER_TON
-  });
-  
-  const [showSettings, setShowSettings] = useState(false);
-  const [viewMode, setViewMode] = useState('list'); // 'list' or 'analytics'
+  // Owners add places straight to the directory; a dispatcher's wait for an owner's approval
+  const handleProposeLocation = (location) => {
+    handleSaveLocation(null, { ...location, status: can(role, 'manageSettings') ? 'approved' : 'pending' });
+  };
 
-  // AUTH STATE
-  const [user, setUser] = useState(null);
-  
-  // DATA STATE - Initial state is empty array (no example data)
-  const [trips, setTrips] = useState([]);
-  
-  const [showForm, setShowForm] = useState(false);
-  const [showExpenseForm, setShowExpenseForm] = useState(false);
-  const [filterTruck, setFilterTruck] = useState('');
+  const handleDeleteLocation = (id) => {
+    if (!workspaceId) return;
+    const location = customLocations.find(loc => loc.id === id);
+    queueWrite({ recordId: id, kind: 'delete', label: location?.name || id }, () => deleteDoc(doc(db, ...workspacePath, 'locations', id)));
+  };
 
-  // 1. Initialize Auth
-  useEffect(() => {
-    const initAuth = async () => {
-      if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
-        await signInWithCustomToken(auth, __initial_auth_token);
-      } else {
-        await signInAnonymously(auth);
+  const handleSaveTruck = (truckId, truck) => {
+    if (!workspaceId) return;
+    if (truckId) {
+      const docRef = doc(db, ...workspacePath, 'trucks', truckId);
+      queueWrite({ recordId: truckId, kind: 'update', label: truck.plate }, () => updateDoc(docRef, truck));
+    } else {
+      const docRef = doc(collection(db, ...workspacePath, 'trucks'));
+      queueWrite({ recordId: docRef.id, kind: 'add', label: truck.plate }, () => setDoc(docRef, { ...truck, aliases: [] }));
+    }
+  };
+
+  // Links every record typed with a free-text plate to a registered truck,
+  // and keeps the old spelling as an alias of that truck
+  const handleMergePlate = (plate, truck) => {
+    if (!workspaceId) return;
+    const records = trips.filter(t => !t.truckId && t.truckNumber === plate);
+    if (!confirm(t('confirm.mergePlate', { count: records.length, plate, target: truck.plate }))) return;
+    queueWrite({ recordId: truck.id, kind: 'update', label: `${plate} → ${truck.plate}` }, async () => {
+      await commitInBatches(records, (batch, record) => {
+        batch.update(doc(db, ...workspacePath, 'trips', record.id), {
+          truckId: truck.id,
+          truckNumber: truck.plate
+        });
+      });
+      if (plate !== truck.plate && !(truck.aliases || []).includes(plate)) {
+        await updateDoc(doc(db, ...workspacePath, 'trucks', truck.id), {
+          aliases: [...(truck.aliases || []), plate]
+        });
       }
-    };
-    initAuth();
-    
-    const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
-      setUser(currentUser);
     });
-    return () => unsubscribe();
-  }, []);
+  };
 
-  // 2. Fetch Data from Firestore (Real-time)
-  useEffect(() => {
-    if (!user) return;
+  const handleSaveDriver = (driverId, driver) => {
+    if (!workspaceId) return;
+    if (driverId) {
+      const docRef = doc(db, ...workspacePath, 'drivers', driverId);
+      queueWrite({ recordId: driverId, kind: 'update', label: driver.name }, () => updateDoc(docRef, driver));
+    } else {
+      const docRef = doc(collection(db, ...workspacePath, 'drivers'));
+      queueWrite({ recordId: docRef.id, kind: 'add', label: driver.name }, () => setDoc(docRef, driver));
+    }
+  };
 
-    // Use a private user collection for security
-    const tripsCollection = collection(db, 'artifacts', appId, 'users', user.uid, 'trips');
-    
-    const unsubscribe = onSnapshot(tripsCollection, (snapshot) => {
-      const tripsData = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      setTrips(tripsData);
-    }, (error) => {
-      console.error("Error fetching trips:", error);
-    });
+  const handleAddDriverPayment = (payment) => {
+    if (!workspaceId) return;
+    const docRef = doc(collection(db, ...workspacePath, 'driverPayments'));
+    queueWrite(
+      { recordId: docRef.id, kind: 'add', label: t('sync.label.driverPayment', { date: formatDate(payment.date) }) },
+      () => setDoc(docRef, { ...payment, createdAt: new Date().toISOString() })
+    );
+  };
 
-    return () => unsubscribe();
-  }, [user]);
-
-  const stats = useMemo(() => {
-    return trips.reduce((acc, trip) => ({
-      totalTrips: acc.totalTrips + (trip.type === 'trip' ? 1 : 0),
-      totalTons: acc.totalTons + (trip.weightTons || 0),
-      totalRevenue: acc.totalRevenue + (trip.revenue || 0),
-      totalProfit: acc.totalProfit + (trip.netProfit || 0),
-      totalExpenses: acc.totalExpenses + (trip.totalExpenses || 0)
-    }), { totalTrips: 0, totalTons: 0, totalRevenue: 0, totalProfit: 0, totalExpenses: 0 });
-  }, [trips]);
+  const handleDeleteDriverPayment = (id) => {
+    if (!workspaceId) return;
+    if (confirm(t('confirm.delete'))) {
+      const payment = driverPayments.find(p => p.id === id);
+      queueWrite(
+        { recordId: id, kind: 'delete', label: payment ? t('sync.label.driverPayment', { date: formatDate(payment.date) }) : id },
+        () => deleteDoc(doc(db, ...workspacePath, 'driverPayments', id))
+      );
+    }
+  };
 
-  const filteredTrips = trips.filter(trip => 
-    trip.truckNumber.includes(filterTruck.toUpperCase())
-  ).sort((a, b) => new Date(b.date) - new Date(a.date));
+  // The scan is uploaded first, so it needs a connection; the record itself syncs like any other.
+  // Resolves to whether the document was saved, so the form knows to clear itself.
+  const handleSaveDocument = async (documentId, document, file) => {
+    if (!workspaceId) return false;
+    const docRef = documentId
+      ? doc(db, ...workspacePath, 'documents', documentId)
+      : doc(collection(db, ...workspacePath, 'documents'));
+    const record = { ...document, updatedAt: new Date().toISOString() };
+    if (file) {
+      try {
+        record.scan = await uploadWorkspaceFile([...workspacePath, 'documents', docRef.id, file.name], file);
+      } catch (e) {
+        console.error("Error uploading document scan: ", e);
+        alert(t('alert.scanUploadFailed'));
+        return false;
+      }
+    }
+    const label = describeDocumentType(document.ownerType, document.type);
+    queueWrite(
+      { recordId: docRef.id, kind: documentId ? 'update' : 'add', label },
+      () => (documentId ? updateDoc(docRef, record) : setDoc(docRef, record))
+    );
+    // A replaced scan is no longer linked from anywhere
+    const previousScan = documents.find(d => d.id === documentId)?.scan;
+    if (file && previousScan) {
+      deleteObject(storageRef(storage, previousScan.path)).catch(e => console.error("Error deleting old scan: ", e));
+    }
+    return true;
+  };
 
-  // --- FIRESTORE ACTIONS ---
+  const handleDeleteDocument = (document) => {
+    if (!workspaceId) return;
+    if (confirm(t('confirm.delete'))) {
+      queueWrite(
+        { recordId: document.id, kind: 'delete', label: describeDocumentType(document.ownerType, document.type) },
+        () => deleteDoc(doc(db, ...workspacePath, 'documents', document.id))
+      );
+      if (document.scan) {
+        deleteObject(storageRef(storage, document.scan.path)).catch(e => console.error("Error deleting document scan: ", e));
+      }
+    }
+  };
+
+  const handleSaveReport = (report) => {
+    if (!workspaceId) return;
+    const docRef = doc(collection(db, ...workspacePath, 'reports'));
+    const { provider, model } = getAiConfig();
+    queueWrite(
+      { recordId: docRef.id, kind: 'add', label: t('sync.label.report', { period: report.periodLabel }) },
+      () => setDoc(docRef, {
+        ...report,
+        provider,
+        model,
+        language: getLanguage(),
+        createdAt: new Date().toISOString(),
+        createdBy: getUserContact(user),
+        createdByUid: user.uid
+      })
+    );
+  };
+
+  const handleSaveCustomer = (customerId, customer) => {
+    if (!workspaceId) return;
+    if (customerId) {
+      const docRef = doc(db, ...workspacePath, 'customers', customerId);
+      queueWrite({ recordId: customerId, kind: 'update', label: customer.name }, () => updateDoc(docRef, customer));
+    } else {
+      const docRef = doc(collection(db, ...workspacePath, 'customers'));
+      queueWrite({ recordId: docRef.id, kind: 'add', label: customer.name }, () => setDoc(docRef, customer));
+    }
+  };
 
-  const handleAddTrip = async (newTrip) => {
-    if (!user) return;
+  // Groups the selected unbilled trips into a numbered invoice and marks them as billed.
+  // The number comes from the workspace counter, and the counter, the invoice and its trips are
+  // written in one transaction: no two devices issue the same number, and no trip is billed twice.
+  // Invoices and payments run in transactions, which read the server's copy: they cannot wait in the
+  // sync queue like other writes, so they are refused up front when the device is offline
+  const handleCreateInvoice = async (customer, invoiceTrips) => {
+    if (!workspaceId) return;
+    if (!isOnline) {
+      alert(t('alert.needsConnection'));
+      return;
+    }
+    // A transaction holds at most FIRESTORE_BATCH_LIMIT writes: one per trip, plus the counter and the invoice
+    if (invoiceTrips.length > FIRESTORE_BATCH_LIMIT - 2) {
+      alert(t('alert.invoiceTooManyTrips', { max: FIRESTORE_BATCH_LIMIT - 2 }));
+      return;
+    }
+    const issueDate = todayISO();
+    const year = issueDate.slice(0, 4);
+    const lines = invoiceTrips.map(t => ({
+      tripId: t.id,
+      date: t.date,
+      truckNumber: t.truckNumber,
+      destination: describeTripRoute(t),
+      load: describeTripLoad(t),
+      bags: t.bags,
+      weightTons: t.weightTons,
+      amount: t.revenue
+    }));
+    const total = lines.reduce((sum, line) => sum + line.amount, 0);
+    const counterRef = doc(db, ...workspacePath, 'counters', 'invoices');
+    const invoiceRef = doc(collection(db, ...workspacePath, 'invoices'));
+    const tripRefs = invoiceTrips.map(trip => doc(db, ...workspacePath, 'trips', trip.id));
     try {
-      const tripsCollection = collection(db, 'artifacts', appId, 'users', user.uid, 'trips');
-      await addDoc(tripsCollection, newTrip);
-      setShowForm(false);
+      const created = await runTransaction(db, async (transaction) => {
+        const counter = await transaction.get(counterRef);
+        const tripDocs = await Promise.all(tripRefs.map(tripRef => transaction.get(tripRef)));
+        if (tripDocs.some(tripDoc => !tripDoc.exists() || tripDoc.data().invoiceId)) return false;
+        const sequence = (counter.data()?.[year] ?? getLastInvoiceSequence(invoices, year)) + 1;
+        const number = formatInvoiceNumber(year, sequence);
+        transaction.set(counterRef, { [year]: sequence }, { merge: true });
+        transaction.set(invoiceRef, {
+          number,
+          customerId: customer.id,
+          customerName: customer.name,
+          issueDate,
+          lines,
+          total,
+          payments: [],
+          amountPaid: 0,
+          status: 'unpaid',
+          createdAt: new Date().toISOString()
+        });
+        tripRefs.forEach(tripRef => transaction.update(tripRef, { invoiceId: invoiceRef.id, invoiceNumber: number }));
+        return true;
+      });
+      if (!created) alert(t('alert.invoiceTripsChanged'));
     } catch (e) {
-      console.error("Error adding trip: ", e);
-      alert("Erreur lors de la sauvegarde.");
+      console.error("Error creating invoice: ", e);
+      alert(t('alert.invoiceFailed'));
     }
   };
-  
-  const handleAddExpense = async (newExpense) => {
-    if (!user) return;
+
+  // The payment is added to the stored invoice inside a transaction, so payments recorded on two
+  // devices add up instead of overwriting each other. Resolves to whether the payment was accepted.
+  const handleRecordPayment = async (invoice, payment) => {
+    if (!workspaceId) return false;
+    if (!isOnline) {
+      alert(t('alert.needsConnection'));
+      return false;
+    }
+    const balance = invoice.total - (invoice.amountPaid || 0);
+    if (!(payment.amount > 0) || payment.amount > balance) {
+      alert(t('alert.paymentOverBalance', { balance: formatCurrency(balance) }));
+      return false;
+    }
+    const docRef = doc(db, ...workspacePath, 'invoices', invoice.id);
     try {
-      const tripsCollection = collection(db, 'artifacts', appId, 'users', user.uid, 'trips');
-      await addDoc(tripsCollection, newExpense);
-      setShowExpenseForm(false);
+      // Resolves to the stored balance when another device's payment already used it up
+      const refusedBalance = await runTransaction(db, async (transaction) => {
+        const stored = (await transaction.get(docRef)).data();
+        const storedPaid = stored.amountPaid || 0;
+        const amountPaid = storedPaid + payment.amount;
+        if (amountPaid > stored.total) return stored.total - storedPaid;
+        transaction.update(docRef, {
+          payments: [...(stored.payments || []), payment],
+          amountPaid,
+          status: getInvoiceStatus(stored.total, amountPaid)
+        });
+        return null;
+      });
+      if (refusedBalance !== null) {
+        alert(t('alert.paymentOverBalance', { balance: formatCurrency(refusedBalance) }));
+        return false;
+      }
+      return true;
     } catch (e) {
-      console.error("Error adding expense: ", e);
-      alert("Erreur lors de la sauvegarde.");
+      console.error("Error recording payment: ", e);
+      alert(t('alert.paymentFailed'));
+      return false;
     }
   };
 
-  const handleDeleteTrip = async (id) => {
-    if (!user) return;
+  // Writes imported records in Firestore batches; returns the number written, or null on failure
+  const handleImportRecords = async (records) => {
+    if (!workspaceId) return null;
     try {
-      if (confirm('Êtes-vous sûr de vouloir supprimer cet élément ?')) {
-        const docRef = doc(db, 'artifacts', appId, 'users', user.uid, 'trips', id);
-        await deleteDoc(docRef);
-      }
+      const tripsCollection = collection(db, ...workspacePath, 'trips');
+      const importedAt = new Date().toISOString();
+      await commitInBatches(records, (batch, record) => {
+        batch.set(doc(tripsCollection), { ...record, importedAt });
+      });
+      return records.length;
     } catch (e) {
-      console.error("Error deleting document: ", e);
+      console.error("Error importing records: ", e);
+      alert(t('alert.importFailed'));
+      return null;
     }
   };
 
-  const handleUpdateSettings = (newConfig) => {
-    setConfig(newConfig);
-    setShowSettings(false);
+  const handleInviteMember = async (invite) => {
+    if (!workspaceId) return;
+    try {
+      await setDoc(doc(db, 'artifacts', appId, 'invitations', invite.inviteId), {
+        workspaceId,
+        workspaceName: workspace?.name || '',
+        role: invite.role,
+        driverId: invite.driverId,
+        invitedBy: user.uid,
+        createdAt: new Date().toISOString()
+      });
+    } catch (e) {
+      console.error("Error inviting member: ", e);
+      alert(t('alert.inviteFailed'));
+    }
+  };
+
+  const handleChangeMember = async (memberId, changes) => {
+    if (!workspaceId) return;
+    try {
+      await updateDoc(doc(db, ...workspacePath, 'members', memberId), changes);
+    } catch (e) {
+      console.error("Error updating member: ", e);
+      alert(t('alert.memberUpdateFailed'));
+    }
+  };
+
+  const handleRemoveMember = async (removed) => {
+    if (!workspaceId) return;
+    if (!confirm(t('confirm.removeMember', { contact: removed.contact }))) return;
+    try {
+      await deleteDoc(doc(db, ...workspacePath, 'members', removed.id));
+    } catch (e) {
+      console.error("Error removing member: ", e);
+    }
+  };
+
+  const handleCancelInvite = async (inviteId) => {
+    try {
+      await deleteDoc(doc(db, 'artifacts', appId, 'invitations', inviteId));
+    } catch (e) {
+      console.error("Error cancelling invitation: ", e);
+    }
+  };
+
+  const handleSignOut = async () => {
+    if (syncQueue.length > 0 && !confirm(t('confirm.signOutUnsynced'))) return;
+    try {
+      await signOut(auth);
+      // Start the next session from a clean slate, whichever account signs in
+      window.location.reload();
+    } catch (e) {
+      console.error("Error signing out: ", e);
+    }
+  };
+
+  const handleDeleteRate = async (id) => {
+    if (!workspaceId) return;
+    try {
+      if (confirm(t('confirm.deleteRate'))) {
+        await deleteDoc(doc(db, ...workspacePath, 'rates', id));
+      }
+    } catch (e) {
+      console.error("Error deleting rate: ", e);
+    }
   };
 
+  const isLoadingWorkspace = signedInUid && (profile === null || (profile.workspaceId && member === undefined));
+  if (!isAuthReady || isLoadingWorkspace) {
+    return (
+      <div className="min-h-screen bg-slate-100 flex items-center justify-center text-slate-400 font-sans">
+        <Loader className="w-6 h-6 mr-2 animate-spin" /> {t('app.loading')}
+      </div>
+    );
+  }
+  if (!signedInUid) return <AuthScreen isAnonymous={Boolean(user?.isAnonymous)} />;
+  if (!member) return <WorkspaceSetup user={user} onSignOut={handleSignOut} />;
+
   return (
     <div className="min-h-screen bg-slate-100 font-sans text-slate-800">
       <style>{`
@@ -1016,23 +9704,103 @@ export default function App() {
               <Truck className="w-6 h-6 text-white" />
             </div>
             <h1 className="text-xl font-bold tracking-tight">CimenLog <span className="text-emerald-400">GNF</span></h1>
+            {workspace && (
+              <span className="hidden md:inline text-sm text-slate-400">
+                {workspace.name} <span className="text-xs bg-slate-800 text-slate-300 px-2 py-0.5 rounded-full ml-1">{t(`role.${role}`)}</span>
+              </span>
+            )}
           </div>
           
           <div className="flex items-center space-x-4">
+            <select
+              className="bg-slate-800 text-slate-300 text-xs font-medium rounded-full px-2 py-1 border border-slate-700 focus:outline-none"
+              value={language}
+              onChange={(e) => handleChangeLanguage(e.target.value)}
+              title={t('nav.language')}
+            >
+              {Object.entries(LANGUAGES).map(([value, { short, label }]) => (
+                <option key={value} value={value} title={label}>{short}</option>
+              ))}
+            </select>
+            <SyncIndicator
+              isOnline={isOnline}
+              pendingCount={pendingCount}
+              failedOps={failedOps}
+              onRetry={handleRetryWrite}
+              onDismiss={handleDismissWrite}
+            />
             <button className="md:hidden text-white"><Menu /></button>
             <div className="hidden md:flex text-sm text-slate-400 space-x-6 items-center">
               <div className="flex items-center space-x-2 bg-slate-800 px-3 py-1 rounded-full">
                  <Droplet className="w-3 h-3 text-emerald-400"/>
-                 <span className="text-slate-200">{config.fuelPrice/1000}k GNF/L</span>
+                 <span className="text-slate-200">{formatNumber(config.fuelPrice / 1000, 0)}k GNF/L</span>
+                 {config.effectiveFrom && (
+                   <span className="text-slate-500 text-xs">{t('settings.since', { date: formatDate(config.effectiveFrom) })}</span>
+                 )}
               </div>
-              <span className="hidden lg:inline">{config.revenuePerTon/1000}k GNF/Ton</span>
+              <span className="hidden lg:inline">{formatNumber(config.revenuePerTon / 1000, 0)}k {t('common.gnfPerTon')}</span>
             </div>
+            {can(role, 'viewBilling') && (
+              <button 
+                onClick={() => setShowCustomers(true)}
+                className="p-2 text-slate-300 hover:text-white hover:bg-slate-800 rounded-full transition-colors"
+                title={t('nav.customers')}
+              >
+                <Users className="w-6 h-6" />
+              </button>
+            )}
+            {can(role, 'viewAll') && (
+              <button 
+                onClick={() => setShowReceipts(true)}
+                className="p-2 text-slate-300 hover:text-white hover:bg-slate-800 rounded-full transition-colors"
+                title={t('nav.receipts')}
+              >
+                <Receipt className="w-6 h-6" />
+              </button>
+            )}
+            {can(role, 'manageSettings') && (
+              <>
+                <button 
+                  onClick={() => setShowDrivers(true)}
+                  className="p-2 text-slate-300 hover:text-white hover:bg-slate-800 rounded-full transition-colors"
+                  title={t('nav.drivers')}
+                >
+                  <User className="w-6 h-6" />
+                </button>
+                <button 
+                  onClick={() => setShowFleet(true)}
+                  className="p-2 text-slate-300 hover:text-white hover:bg-slate-800 rounded-full transition-colors"
+                  title={t('nav.fleet')}
+                >
+                  <Truck className="w-6 h-6" />
+                </button>
+                <button 
+                  onClick={() => setShowSettings(true)}
+                  className="relative p-2 text-slate-300 hover:text-white hover:bg-slate-800 rounded-full transition-colors"
+                  title={locationRequests.length > 0 ? t('nav.settingsPlaceRequests', { count: locationRequests.length }) : t('nav.settings')}
+                >
+                  <Settings className="w-6 h-6" />
+                  {locationRequests.length > 0 && (
+                    <span className="absolute top-1 right-1 w-2.5 h-2.5 bg-amber-400 rounded-full" />
+                  )}
+                </button>
+              </>
+            )}
+            {can(role, 'manageMembers') && (
+              <button 
+                onClick={() => setShowMembers(true)}
+                className="p-2 text-slate-300 hover:text-white hover:bg-slate-800 rounded-full transition-colors"
+                title={t('nav.members')}
+              >
+                <UserCog className="w-6 h-6" />
+              </button>
+            )}
             <button 
-              onClick={() => setShowSettings(true)}
+              onClick={handleSignOut}
               className="p-2 text-slate-300 hover:text-white hover:bg-slate-800 rounded-full transition-colors"
-              title="Settings"
+              title={t('nav.signOut', { contact: getUserContact(user) })}
             >
-              <Settings className="w-6 h-6" />
+              <LogOut className="w-6 h-6" />
             </button>
           </div>
         </div>
@@ -1043,151 +9811,431 @@ export default function App() {
         {showSettings && (
           <SettingsModal 
             config={config} 
+            rateHistory={rateHistory}
             onSave={handleUpdateSettings} 
+            onDeleteRate={handleDeleteRate}
+            tariffs={tariffs}
+            onSaveTariff={handleSaveTariff}
+            onDeleteTariff={handleDeleteTariff}
+            products={products}
+            onSaveProduct={handleSaveProduct}
+            onDeleteProduct={handleDeleteProduct}
+            locations={locations}
+            customLocations={customLocations}
+            onSaveLocation={handleSaveLocation}
+            onDeleteLocation={handleDeleteLocation}
+            receiptThreshold={receiptThreshold}
+            onSaveReceiptThreshold={handleSaveReceiptThreshold}
             onClose={() => setShowSettings(false)} 
           />
         )}
 
+        {showReceipts && (
+          <ReceiptGallery
+            records={trips}
+            trucks={trucks}
+            receiptThreshold={receiptThreshold}
+            onView={setViewingReceipt}
+            onClose={() => setShowReceipts(false)}
+          />
+        )}
+
+        {viewingReceipt && (
+          <ReceiptViewer record={viewingReceipt} onClose={() => setViewingReceipt(null)} />
+        )}
+
+        {showImport && (
+          <ImportWizard
+            trips={trips}
+            trucks={trucks}
+            rateHistory={rateHistory}
+            tariffs={tariffs}
+            products={products}
+            locations={locations}
+            onImport={handleImportRecords}
+            onClose={() => setShowImport(false)}
+          />
+        )}
+
+        {showCustomers && (
+          <CustomersModal
+            customers={customers}
+            trips={trips}
+            invoices={invoices}
+            readOnly={!can(role, 'manageSettings')}
+            onSaveCustomer={handleSaveCustomer}
+            onCreateInvoice={handleCreateInvoice}
+            onRecordPayment={handleRecordPayment}
+            onClose={() => setShowCustomers(false)}
+          />
+        )}
+
+        {showMembers && (
+          <MembersModal
+            members={members}
+            invitations={invitations}
+            drivers={drivers}
+            currentUid={user.uid}
+            onInvite={handleInviteMember}
+            onChangeMember={handleChangeMember}
+            onRemoveMember={handleRemoveMember}
+            onCancelInvite={handleCancelInvite}
+            onClose={() => setShowMembers(false)}
+          />
+        )}
+
+        {showDrivers && (
+          <DriversModal
+            drivers={drivers}
+            trips={trips}
+            payments={driverPayments}
+            documents={documents}
+            onSaveDriver={handleSaveDriver}
+            onAddPayment={handleAddDriverPayment}
+            onDeletePayment={handleDeleteDriverPayment}
+            onSaveDocument={handleSaveDocument}
+            onDeleteDocument={handleDeleteDocument}
+            onClose={() => setShowDrivers(false)}
+          />
+        )}
+
+        {showFleet && (
+          <FleetModal
+            trucks={trucks}
+            trips={trips}
+            documents={documents}
+            onSaveTruck={handleSaveTruck}
+            onMergePlate={handleMergePlate}
+            onSaveDocument={handleSaveDocument}
+            onDeleteDocument={handleDeleteDocument}
+            onClose={() => setShowFleet(false)}
+          />
+        )}
+
+        {/* Reporting Period */}
+        {!showForm && !showExpenseForm && (
+          <PeriodSelector
+            preset={periodPreset}
+            customRange={customPeriod}
+            range={period}
+            onPresetChange={handlePeriodPresetChange}
+            onCustomRangeChange={handleCustomPeriodChange}
+          />
+        )}
+
         {/* Dashboard Stats */}
         {!showForm && !showExpenseForm && (
           <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
             <StatCard 
-              title="Net Profit" 
+              title={t('common.netProfit')} 
               value={formatCurrency(stats.totalProfit)} 
               icon={TrendingUp} 
               colorClass="text-emerald-600 bg-emerald-600"
+              {...statChange('totalProfit')}
             />
             <StatCard 
-              title="Total Tons" 
-              value={`${stats.totalTons.toFixed(1)} T`} 
-              subtext={`${stats.totalTrips} Trips`}
+              title={t('stats.totalTons')} 
+              value={`${formatNumber(stats.totalTons)} T`} 
+              subtext={t('analytics.tripCount', { count: stats.totalTrips })}
               icon={Package} 
               colorClass="text-blue-600 bg-blue-600"
+              {...statChange('totalTons')}
             />
             <StatCard 
-              title="Revenue" 
+              title={t('common.revenue')} 
               value={formatCurrency(stats.totalRevenue)} 
               icon={DollarSign} 
               colorClass="text-purple-600 bg-purple-600"
+              {...statChange('totalRevenue')}
             />
             <StatCard 
-              title="Total Expenses" 
+              title={t('common.totalExpenses')} 
               value={formatCurrency(stats.totalExpenses)} 
               icon={DollarSign} 
               colorClass="text-red-500 bg-red-500"
+              lowerIsBetter
+              {...statChange('totalExpenses')}
+            />
+          </div>
+        )}
+
+        {/* Receivables Aging */}
+        {!showForm && !showExpenseForm && can(role, 'viewBilling') && receivables.count > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <StatCard 
+              title={t('stats.receivables')} 
+              value={formatCurrency(receivables.total)} 
+              subtext={t('stats.openInvoices', { count: receivables.count })}
+              icon={FileText} 
+              colorClass="text-slate-600 bg-slate-600"
+            />
+            <StatCard 
+              title={t('stats.days0to30')} 
+              value={formatCurrency(receivables.current)} 
+              icon={Clock} 
+              colorClass="text-emerald-600 bg-emerald-600"
+            />
+            <StatCard 
+              title={t('stats.days31to60')} 
+              value={formatCurrency(receivables.days31to60)} 
+              icon={Clock} 
+              colorClass="text-amber-500 bg-amber-500"
+            />
+            <StatCard 
+              title={t('stats.daysOver60')} 
+              value={formatCurrency(receivables.over60)} 
+              icon={Clock} 
+              colorClass="text-red-500 bg-red-500"
             />
           </div>
         )}
 
+        {/* Document Expiries */}
+        {!showForm && !showExpenseForm && can(role, 'viewAll') && documentAlerts.length > 0 && (
+          <div className="bg-white rounded-xl shadow-sm border border-red-200 p-4">
+            <h3 className="text-sm font-bold text-slate-700 mb-2 flex items-center">
+              <FileText className="w-4 h-4 mr-2 text-red-500" /> {t('alerts.documentExpiries')}
+            </h3>
+            <ul className="divide-y divide-slate-100 text-sm">
+              {documentAlerts.map(alert => (
+                <li key={alert.document.id || `${alert.document.ownerId}-${alert.document.type}`} className="py-1.5 flex justify-between items-center">
+                  <span className="text-slate-700">
+                    <span className="font-medium">{alert.ownerLabel}</span> — {describeDocumentType(alert.ownerType, alert.document.type)}
+                    <span className="text-xs text-slate-400 ml-2">{formatDate(alert.document.expiryDate)}</span>
+                  </span>
+                  <span className="flex items-center space-x-3">
+                    <span className="text-xs text-slate-500">{describeDocumentExpiry(alert)}</span>
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${DOCUMENT_STATUS_STYLES[alert.status]}`}>{t(`documentStatus.${alert.status}`)}</span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Maintenance Alerts */}
+        {!showForm && !showExpenseForm && can(role, 'viewAll') && serviceAlerts.length > 0 && (
+          <div className="bg-white rounded-xl shadow-sm border border-amber-200 p-4">
+            <h3 className="text-sm font-bold text-slate-700 mb-2 flex items-center">
+              <Wrench className="w-4 h-4 mr-2 text-amber-500" /> {t('alerts.maintenanceDue')}
+            </h3>
+            <ul className="divide-y divide-slate-100 text-sm">
+              {serviceAlerts.map(alert => (
+                <li key={`${alert.truck.id}-${alert.item.id}`} className="py-1.5 flex justify-between items-center">
+                  <span className="text-slate-700">
+                    <span className="font-medium">{alert.truck.plate}</span> — {describeServiceItem(alert.item)}
+                  </span>
+                  <span className="flex items-center space-x-3">
+                    <span className="text-xs text-slate-500">{describeServiceDue(alert)}</span>
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${SERVICE_STATUS_STYLES[alert.status]}`}>{t(`serviceStatus.${alert.status}`)}</span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Action Bar */}
         {!showForm && !showExpenseForm && (
           <div className="flex flex-col md:flex-row justify-between items-start md:items-center space-y-4 md:space-y-0">
             <div className="flex items-center space-x-4">
-              <h2 className="text-xl font-bold text-slate-800">Operations</h2>
+              <h2 className="text-xl font-bold text-slate-800">{t('list.title')}</h2>
               
               {/* View Toggle */}
               <div className="bg-slate-200 p-1 rounded-lg flex space-x-1">
                 <button 
                   onClick={() => setViewMode('list')}
                   className={`p-1.5 rounded-md transition-all ${viewMode === 'list' ? 'bg-white shadow text-slate-800' : 'text-slate-500 hover:text-slate-700'}`}
-                  title="List View"
+                  title={t('nav.listView')}
                 >
                   <List className="w-4 h-4" />
                 </button>
                 <button 
                   onClick={() => setViewMode('analytics')}
                   className={`p-1.5 rounded-md transition-all ${viewMode === 'analytics' ? 'bg-white shadow text-emerald-600' : 'text-slate-500 hover:text-slate-700'}`}
-                  title="Analytics View"
+                  title={t('nav.analyticsView')}
                 >
                   <BarChart3 className="w-4 h-4" />
                 </button>
+                <button 
+                  onClick={() => setViewMode('trucks')}
+                  className={`p-1.5 rounded-md transition-all ${viewMode === 'trucks' ? 'bg-white shadow text-emerald-600' : 'text-slate-500 hover:text-slate-700'}`}
+                  title={t('nav.truckPnl')}
+                >
+                  <Truck className="w-4 h-4" />
+                </button>
               </div>
             </div>
 
             <div className="flex flex-col md:flex-row w-full md:w-auto space-y-3 md:space-y-0 md:space-x-3">
-              {viewMode === 'list' && (
-                <div className="relative flex-1 md:w-64">
-                  <Filter className="absolute left-3 top-2.5 w-4 h-4 text-slate-400" />
-                  <input 
-                    type="text" 
-                    placeholder="Filter by Truck ID..." 
-                    className="w-full pl-9 pr-4 py-2 rounded-lg border border-slate-300 focus:outline-none focus:ring-2 focus:ring-emerald-500"
-                    value={filterTruck}
-                    onChange={(e) => setFilterTruck(e.target.value)}
-                  />
-                </div>
+              <div className="relative flex-1 md:w-48">
+                <Filter className="absolute left-3 top-2.5 w-4 h-4 text-slate-400" />
+                <input 
+                  type="text" 
+                  placeholder={t('list.truckFilter')}
+                  className="w-full pl-9 pr-4 py-2 rounded-lg border border-slate-300 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                  value={listFilters.truck}
+                  onChange={(e) => updateListFilters({ truck: e.target.value })}
+                />
+              </div>
+              <button 
+                onClick={() => setShowListFilters(!showListFilters)}
+                className={`font-medium py-2 px-3 rounded-lg border flex items-center justify-center transition-colors ${showListFilters ? 'bg-slate-700 text-white border-slate-700' : 'bg-white text-slate-600 border-slate-300 hover:bg-slate-50'}`}
+                title={t('nav.moreFilters')}
+              >
+                <Filter className="w-4 h-4 mr-1" /> {t('list.filters')}
+                {countActiveFilters(listFilters) > 0 && (
+                  <span className="ml-1 text-[10px] bg-emerald-500 text-white px-1.5 py-0.5 rounded-full">{countActiveFilters(listFilters)}</span>
+                )}
+              </button>
+              {viewMode === 'list' && can(role, 'export') && (
+                <ExportButtons onExport={handleExportList} />
               )}
+              {can(role, 'editRecords') && (
               <div className="flex space-x-2">
+                <button 
+                  onClick={() => setShowImport(true)}
+                  className="bg-white hover:bg-slate-50 text-slate-600 border border-slate-300 font-medium py-2 px-3 rounded-lg shadow flex items-center justify-center transition-colors"
+                  title={t('nav.importCsv')}
+                >
+                  <Upload className="w-5 h-5" />
+                </button>
                 <button 
                   onClick={() => setShowExpenseForm(true)}
                   className="flex-1 bg-slate-700 hover:bg-slate-800 text-white font-medium py-2 px-4 rounded-lg shadow flex items-center justify-center transition-colors"
                 >
-                  <Wallet className="w-5 h-5 mr-1" /> Add Expense
+                  <Wallet className="w-5 h-5 mr-1" /> {t('list.addExpense')}
                 </button>
                 <button 
                   onClick={() => setShowForm(true)}
                   className="flex-1 bg-emerald-600 hover:bg-emerald-700 text-white font-medium py-2 px-4 rounded-lg shadow flex items-center justify-center transition-colors"
                 >
-                  <Plus className="w-5 h-5 mr-1" /> Add Trip
+                  <Plus className="w-5 h-5 mr-1" /> {t('list.addTrip')}
                 </button>
               </div>
+              )}
             </div>
           </div>
         )}
 
+        {!showForm && !showExpenseForm && showListFilters && (
+          <ListFilters filters={listFilters} destinations={locations.map(loc => loc.name)} onChange={updateListFilters} onClear={clearListFilters} />
+        )}
+
         {/* Main Content Area */}
         {showForm ? (
           <TripForm 
-            config={config}
-            onSave={handleAddTrip} 
-            onCancel={() => setShowForm(false)} 
+            trips={trips}
+            rateHistory={rateHistory}
+            tariffs={tariffs}
+            products={products}
+            locations={locations}
+            locationRequests={locationRequests}
+            trucks={trucks}
+            drivers={drivers}
+            customers={customers}
+            documents={documents}
+            initialData={editingRecord}
+            onSave={editingRecord ? handleUpdateRecord : handleAddTrip} 
+            onProposeLocation={handleProposeLocation}
+            onCancel={closeForms} 
           />
         ) : showExpenseForm ? (
           <ExpenseForm 
-            onSave={handleAddExpense}
-            onCancel={() => setShowExpenseForm(false)}
+            trucks={trucks}
+            trips={trips}
+            receiptThreshold={receiptThreshold}
+            initialData={editingRecord}
+            onSave={editingRecord ? handleUpdateRecord : handleAddExpense}
+            onCancel={closeForms}
           />
         ) : viewMode === 'analytics' ? (
-          <AnalyticsDashboard trips={trips} />
+          <AnalyticsDashboard
+            trips={filteredTrips}
+            allRecords={trips}
+            previousTrips={previousFilteredTrips}
+            trucks={trucks}
+            locations={locations}
+            fuelEfficiency={fuelEfficiency}
+            period={period}
+            periodLabel={periodLabel}
+            comparisonLabel={comparisonLabel}
+            reports={reports}
+            onSaveReport={handleSaveReport}
+            exportName={exportName}
+            canExport={can(role, 'export')}
+          />
+        ) : viewMode === 'trucks' ? (
+          <TruckPnlReport trips={filteredTrips} trucks={trucks} periodLabel={periodLabel} exportName={exportName} canExport={can(role, 'export')} />
         ) : (
           <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
             <div className="overflow-x-auto">
               <table className="w-full text-left">
                 <thead className="bg-slate-50 text-slate-500 text-xs uppercase font-semibold border-b border-slate-200">
                   <tr>
-                    <th className="p-4">Date</th>
-                    <th className="p-4">Truck</th>
-                    <th className="p-4">Details</th>
-                    <th className="p-4 text-right">Cargo</th>
-                    <th className="p-4 text-right">Expenses</th>
-                    <th className="p-4 text-right">Revenue</th>
-                    <th className="p-4 text-right">Net Profit</th>
-                    <th className="p-4 text-center">Action</th>
+                    <SortableHeader label={t('common.date')} sortKey="date" sort={listSort} onSort={handleSort} />
+                    <th className="p-4">{t('common.truck')}</th>
+                    <th className="p-4">{t('list.details')}</th>
+                    <th className="p-4 text-right">{t('list.cargo')}</th>
+                    <th className="p-4 text-right">{t('common.expenses')}</th>
+                    <SortableHeader label={t('common.revenue')} sortKey="revenue" sort={listSort} onSort={handleSort} align="right" />
+                    <SortableHeader label={t('common.netProfit')} sortKey="netProfit" sort={listSort} onSort={handleSort} align="right" />
+                    <th className="p-4 text-center">{t('list.action')}</th>
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-slate-100">
-                  {filteredTrips.map((trip) => {
+                  {listRows.map((trip) => {
                     const isExpense = trip.type === 'expense';
+                    const hasHistory = trip.history?.length > 0;
                     return (
-                      <tr key={trip.id} className={`transition-colors ${isExpense ? 'bg-red-50 hover:bg-red-100' : 'hover:bg-slate-50'}`}>
+                      <React.Fragment key={trip.id}>
+                      <tr className={`transition-colors ${isExpense ? 'bg-red-50 hover:bg-red-100' : 'hover:bg-slate-50'}`}>
                         <td className="p-4 text-slate-600 text-sm whitespace-nowrap">
                           <div className="flex items-center">
                             <Calendar className="w-4 h-4 mr-2 text-slate-400" />
                             {formatDate(trip.date)}
+                            {getSyncState(trip.id) === 'pending' && (
+                              <span className="ml-2 text-amber-500" title={t('list.waitingSync')}><RefreshCw className="w-3 h-3" /></span>
+                            )}
+                            {getSyncState(trip.id) === 'failed' && (
+                              <span className="ml-2 text-red-500" title={t('list.syncFailed')}><AlertTriangle className="w-3 h-3" /></span>
+                            )}
                           </div>
                         </td>
-                        <td className="p-4 font-medium text-slate-800">{trip.truckNumber}</td>
+                        <td className="p-4 font-medium text-slate-800">
+                          {trip.truckNumber}
+                          {trip.driverName && (
+                            <div className="text-xs font-normal text-slate-500 flex items-center">
+                              <User className="w-3 h-3 mr-1" /> {trip.driverName}
+                            </div>
+                          )}
+                        </td>
                         <td className="p-4 text-slate-600">
                           {isExpense ? (
                             <div className="flex items-center text-red-600 font-medium">
-                              <Wrench className="w-3 h-3 mr-1" /> {trip.category}
+                              <Wrench className="w-3 h-3 mr-1" /> {EXPENSE_CATEGORIES[trip.category] ? t(`expenseCategory.${trip.category}`) : trip.category}
                               {trip.description && <span className="ml-2 text-xs font-normal text-slate-500">({trip.description})</span>}
+                              {trip.receipt ? (
+                                <button type="button" onClick={() => setViewingReceipt(trip)} className="ml-2 shrink-0" title={t('list.viewReceipt')}>
+                                  <ReceiptThumbnail receipt={trip.receipt} className="w-8 h-8" />
+                                </button>
+                              ) : isReceiptRequired(trip.totalExpenses, receiptThreshold) && (
+                                <span className="ml-2 text-[10px] bg-red-100 text-red-700 px-1.5 py-0.5 rounded">{t('list.noReceipt')}</span>
+                              )}
                             </div>
                           ) : (
                             trip.destination ? (
-                              <div className="flex items-center">
+                              <div className="flex items-center" title={t('list.loadedAt', { origin: t(`loadingPoint.${getTripOrigin(trip)}`) })}>
                                 <MapPin className="w-3 h-3 mr-1 text-slate-400" />
-                                {trip.destination}
+                                {describeTripRoute(trip)}
+                                {trip.tariffOverride && (
+                                  <span
+                                    className="ml-2 text-[10px] bg-amber-100 text-amber-700 px-1.5 py-0.5 rounded"
+                                    title={trip.tariffOverride.reason}
+                                  >
+                                    {t('list.tariffOverride')}
+                                  </span>
+                                )}
                               </div>
                             ) : <span className="text-slate-400 italic">-</span>
                           )}
@@ -1197,14 +10245,28 @@ export default function App() {
                             <span className="text-slate-300">-</span>
                           ) : (
                             <>
-                              <div className="font-medium text-slate-800">{trip.bags} Bags</div>
-                              <div className="text-xs text-slate-500">{trip.weightTons.toFixed(1)} Tons</div>
+                              {getTripLines(trip).map((line, index) => (
+                                <div key={index} className="font-medium text-slate-800 whitespace-nowrap">
+                                  {formatProductQuantity(Number(line.quantity) || 0, line.unit)}
+                                  <span className="ml-1 text-xs font-normal text-slate-500">{describeProductName(line)}</span>
+                                </div>
+                              ))}
+                              <div className="text-xs text-slate-500">{t('tripForm.tons', { tons: formatNumber(trip.weightTons) })}</div>
                             </>
                           )}
                         </td>
                         <td className="p-4 text-right text-red-500 font-medium">
                           {formatCurrency(trip.totalExpenses)}
-                          {!isExpense && <div className="text-xs text-slate-400 font-normal">{trip.fuelLiters}L Fuel</div>}
+                          {!isExpense && (
+                            <div className="text-xs text-slate-400 font-normal flex items-center justify-end">
+                              {fuelEfficiency.anomalies[trip.id] && (
+                                <span className="mr-1 text-amber-500" title={describeFuelAnomaly(fuelEfficiency.anomalies[trip.id])}>
+                                  <AlertTriangle className="w-3 h-3" />
+                                </span>
+                              )}
+                              {t('list.fuel', { liters: trip.fuelLiters })}{trip.distanceKm > 0 && ` · ${trip.distanceKm} km`}
+                            </div>
+                          )}
                         </td>
                         <td className="p-4 text-right text-slate-600">
                           {isExpense ? <span className="text-slate-300">-</span> : formatCurrency(trip.revenue)}
@@ -1214,28 +10276,83 @@ export default function App() {
                             {formatCurrency(trip.netProfit)}
                           </span>
                         </td>
-                        <td className="p-4 text-center">
-                          <button 
-                            onClick={() => handleDeleteTrip(trip.id)}
-                            className="text-slate-400 hover:text-red-500 transition-colors"
-                            title="Delete Record"
-                          >
-                            <Trash2 className="w-5 h-5" />
-                          </button>
+                        <td className="p-4 text-center whitespace-nowrap">
+                          {can(role, 'editRecords') && (
+                            <button 
+                              onClick={() => handleEditRecord(trip)}
+                              className="text-slate-400 hover:text-emerald-600 transition-colors mr-2"
+                              title={t('list.edit')}
+                            >
+                              <Edit3 className="w-5 h-5" />
+                            </button>
+                          )}
+                          {hasHistory && (
+                            <button 
+                              onClick={() => setExpandedHistoryId(expandedHistoryId === trip.id ? null : trip.id)}
+                              className={`transition-colors mr-2 ${expandedHistoryId === trip.id ? 'text-indigo-600' : 'text-slate-400 hover:text-indigo-600'}`}
+                              title={t('list.edits', { count: trip.history.length })}
+                            >
+                              <History className="w-5 h-5" />
+                            </button>
+                          )}
+                          {can(role, 'deleteRecords') && (
+                            <button 
+                              onClick={() => handleDeleteTrip(trip.id)}
+                              className="text-slate-400 hover:text-red-500 transition-colors"
+                              title={t('list.delete')}
+                            >
+                              <Trash2 className="w-5 h-5" />
+                            </button>
+                          )}
                         </td>
                       </tr>
+                      {hasHistory && expandedHistoryId === trip.id && (
+                        <tr className="bg-slate-50">
+                          <td colSpan="8" className="p-4">
+                            <RecordHistory history={trip.history} />
+                          </td>
+                        </tr>
+                      )}
+                      </React.Fragment>
                     );
                   })}
-                  {filteredTrips.length === 0 && (
+                  {listError && (
+                    <tr>
+                      <td colSpan="8" className="p-8 text-center text-red-600">
+                        <div className="flex items-center justify-center font-medium">
+                          <AlertTriangle className="w-4 h-4 mr-2" /> {t('list.loadFailed')}
+                        </div>
+                        <div className="mt-1 text-xs text-slate-400 break-all">{listError}</div>
+                      </td>
+                    </tr>
+                  )}
+                  {listRows.length === 0 && !hasMoreRecords && !listError && (
                     <tr>
                       <td colSpan="8" className="p-8 text-center text-slate-400">
-                        {user ? "Aucune donnée trouvée. Commencez par ajouter un trajet !" : "Chargement des données..."}
+                        {can(role, 'editRecords') ? t('list.emptyEditable') : t('list.empty')}
                       </td>
                     </tr>
                   )}
                 </tbody>
               </table>
             </div>
+            {hasMoreListRows && (
+              <div className="p-4 border-t border-slate-100 flex justify-between items-center text-sm">
+                <span className="text-slate-400">{t('list.showing', { shown: listRows.length, loaded: listRecords.length })}</span>
+                {isFillingList ? (
+                  <span className="flex items-center text-slate-400">
+                    <Loader className="w-4 h-4 mr-2 animate-spin" /> {t('app.loading')}
+                  </span>
+                ) : (
+                  <button 
+                    onClick={() => setListTarget(listTarget + LIST_PAGE_SIZE)}
+                    className="py-2 px-4 border border-slate-300 rounded-lg text-slate-600 hover:bg-slate-50 font-medium"
+                  >
+                    {t('list.loadMore')}
+                  </button>
+                )}
+              </div>
+            )}
           </div>
         )}
       </main>
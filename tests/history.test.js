@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { diffRecord } from '../App (1).jsx';
+
+describe('diffRecord', () => {
+  const saved = {
+    id: 'trip-1',
+    date: '2026-03-02',
+    truckNumber: 'RC-1234-A',
+    fuelLiters: 120,
+    invoiceId: 'inv-1',
+    history: [{ at: '2026-03-02T10:00:00.000Z', changes: [] }],
+    timestamp: 1772409600000
+  };
+
+  it('lists each changed field with its old and new value', () => {
+    expect(diffRecord(saved, { ...saved, fuelLiters: 140, truckNumber: 'RC-9999-B' })).toEqual([
+      { field: 'truckNumber', from: 'RC-1234-A', to: 'RC-9999-B' },
+      { field: 'fuelLiters', from: 120, to: 140 }
+    ]);
+  });
+
+  it('ignores bookkeeping fields', () => {
+    const edited = { ...saved, history: [], timestamp: 0, appliedRates: { fuelPrice: 1 }, destinations: ['Kipé'] };
+    expect(diffRecord(saved, edited)).toEqual([]);
+  });
+
+  it('only compares the fields of the edited version', () => {
+    const formFields = { date: saved.date, truckNumber: saved.truckNumber, fuelLiters: saved.fuelLiters };
+    expect(diffRecord(saved, formFields)).toEqual([]);
+  });
+
+  it('treats a field missing from the saved record like null', () => {
+    expect(diffRecord(saved, { ...saved, odometerStart: null })).toEqual([]);
+    expect(diffRecord(saved, { ...saved, odometerStart: 15000 })).toEqual([
+      { field: 'odometerStart', from: null, to: 15000 }
+    ]);
+  });
+
+  it('compares nested values by content', () => {
+    const withLines = { ...saved, lines: [{ productId: 'cement', quantity: 700 }] };
+    expect(diffRecord(withLines, { ...withLines, lines: [{ productId: 'cement', quantity: 700 }] })).toEqual([]);
+    expect(diffRecord(withLines, { ...withLines, lines: [{ productId: 'cement', quantity: 650 }] })).toEqual([
+      { field: 'lines', from: [{ productId: 'cement', quantity: 700 }], to: [{ productId: 'cement', quantity: 650 }] }
+    ]);
+  });
+});
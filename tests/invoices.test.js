@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { getInvoiceStatus } from '../App (1).jsx';
+
+describe('getInvoiceStatus', () => {
+  it('is unpaid until a payment is recorded', () => {
+    expect(getInvoiceStatus(1000000, 0)).toBe('unpaid');
+  });
+
+  it('is partial while a balance remains', () => {
+    expect(getInvoiceStatus(1000000, 1)).toBe('partial');
+    expect(getInvoiceStatus(1000000, 999999)).toBe('partial');
+  });
+
+  it('is paid once the total is covered', () => {
+    expect(getInvoiceStatus(1000000, 1000000)).toBe('paid');
+  });
+});
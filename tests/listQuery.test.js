@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { where, orderBy, and, or } from 'firebase/firestore';
+import { buildListConstraints } from '../App (1).jsx';
+
+const spec = (overrides) => ({
+  type: '',
+  destination: '',
+  category: '',
+  driverId: null,
+  from: '',
+  to: '',
+  sortKey: 'date',
+  sortDir: 'desc',
+  ...overrides
+});
+
+const period = [where('date', '>=', '2026-03-01'), where('date', '<=', '2026-03-31')];
+
+describe('buildListConstraints', () => {
+  it('only orders an unfiltered list', () => {
+    expect(buildListConstraints(spec())).toEqual([orderBy('date', 'desc')]);
+  });
+
+  it('narrows on the period', () => {
+    expect(buildListConstraints(spec({ from: '2026-03-01', to: '2026-03-31' })))
+      .toEqual([and(...period), orderBy('date', 'desc')]);
+  });
+
+  it('matches a destination on any drop, or on the single destination of older trips', () => {
+    expect(buildListConstraints(spec({ destination: 'Kipé', type: 'trip', from: '2026-03-01', to: '2026-03-31' }))).toEqual([
+      and(or(where('destinations', 'array-contains', 'Kipé'), where('destination', '==', 'Kipé')), ...period),
+      orderBy('date', 'desc')
+    ]);
+  });
+
+  it('narrows on one filter only, the category before the type', () => {
+    expect(buildListConstraints(spec({ type: 'expense', category: 'fuel', sortDir: 'asc' })))
+      .toEqual([and(where('category', '==', 'fuel')), orderBy('date', 'asc')]);
+    expect(buildListConstraints(spec({ type: 'trip' })))
+      .toEqual([and(where('type', '==', 'trip')), orderBy('date', 'desc')]);
+  });
+
+  it('leaves the filters to memory when sorting on an amount', () => {
+    expect(buildListConstraints(spec({ type: 'trip', destination: 'Kipé', from: '2026-03-01', to: '2026-03-31', sortKey: 'revenue', sortDir: 'asc' })))
+      .toEqual([and(...period), orderBy('revenue', 'asc'), orderBy('date', 'desc')]);
+  });
+
+  it("narrows a driver's list on the driver alone", () => {
+    expect(buildListConstraints(spec({ driverId: 'driver-1', type: 'trip', destination: 'Kipé' })))
+      .toEqual([and(where('driverId', '==', 'driver-1')), orderBy('date', 'desc')]);
+    expect(buildListConstraints(spec({ driverId: 'driver-1', sortKey: 'netProfit', sortDir: 'desc' })))
+      .toEqual([and(where('driverId', '==', 'driver-1')), orderBy('netProfit', 'desc'), orderBy('date', 'desc')]);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { findOdometerConflict, t, formatDate } from '../App (1).jsx';
+
+const trip = (fields) => ({ type: 'trip', truckId: 'truck-1', ...fields });
+
+const history = [
+  trip({ id: 'a', date: '2026-03-01', createdAt: '2026-03-01T08:00:00Z', odometerStart: 10000, odometerEnd: 10200 }),
+  trip({ id: 'b', date: '2026-03-05', createdAt: '2026-03-05T08:00:00Z', odometerStart: 10500, odometerEnd: 10700 }),
+  trip({ id: 'c', date: '2026-03-05', truckId: 'truck-2', createdAt: '2026-03-05T09:00:00Z', odometerStart: 50, odometerEnd: 90 })
+];
+
+describe('findOdometerConflict', () => {
+  it('accepts readings that keep rising along the truck', () => {
+    expect(findOdometerConflict(history, trip({ date: '2026-03-03', odometerStart: 10200, odometerEnd: 10500 }), null)).toBeNull();
+    expect(findOdometerConflict(history, trip({ date: '2026-03-06', odometerStart: 10700 }), null)).toBeNull();
+  });
+
+  it('needs the end reading above the start reading', () => {
+    expect(findOdometerConflict(history, trip({ date: '2026-03-06', odometerStart: 10800, odometerEnd: 10800 }), null))
+      .toBe(t('odometer.endBeforeStart'));
+  });
+
+  it('ignores trips without readings', () => {
+    expect(findOdometerConflict(history, trip({ date: '2026-02-01', odometerStart: '', odometerEnd: '' }), null)).toBeNull();
+  });
+
+  it('flags a reading below an earlier trip of the same truck', () => {
+    expect(findOdometerConflict(history, trip({ date: '2026-03-03', odometerStart: 10100 }), null))
+      .toBe(t('odometer.belowEarlier', { km: 10200, date: formatDate('2026-03-01') }));
+  });
+
+  it('flags a reading above a later trip of the same truck', () => {
+    expect(findOdometerConflict(history, trip({ date: '2026-03-03', odometerStart: 10200, odometerEnd: 10600 }), null))
+      .toBe(t('odometer.aboveLater', { km: 10500, date: formatDate('2026-03-05') }));
+  });
+
+  it('puts a trip being added after the trips already entered on its day', () => {
+    expect(findOdometerConflict(history, trip({ date: '2026-03-05', odometerStart: 10600 }), null))
+      .toBe(t('odometer.belowEarlier', { km: 10700, date: formatDate('2026-03-05') }));
+  });
+
+  it('keeps an edited trip in its place and does not compare it with its saved version', () => {
+    const saved = history[0];
+    expect(findOdometerConflict(history, { ...saved, date: '2026-03-05', odometerEnd: 10300 }, saved))
+      .toBeNull();
+    expect(findOdometerConflict(history, { ...saved, odometerEnd: 10600 }, saved))
+      .toBe(t('odometer.aboveLater', { km: 10500, date: formatDate('2026-03-05') }));
+  });
+});
@@ -0,0 +1,27 @@
+// jsdom's Blob cannot be read back, unlike the File built into Node
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { detectFileType } from '../App (1).jsx';
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+const file = (bytes, type = '') => new File([new Uint8Array(bytes)], 'receipt', { type });
+
+describe('detectFileType', () => {
+  it('reads the type from the file signature', async () => {
+    expect(await detectFileType(file([0xFF, 0xD8, 0xFF, 0xE0, 0, 0x10]))).toBe('image/jpeg');
+    expect(await detectFileType(file([0x89, ...ascii('PNG\r\n'), 0x1A, 0x0A]))).toBe('image/png');
+    expect(await detectFileType(file(ascii('%PDF-1.7\n')))).toBe('application/pdf');
+    expect(await detectFileType(file([0, 0, 0, 0x18, ...ascii('ftypheic'), 0, 0, 0, 0]))).toBe('image/heic');
+  });
+
+  it('ignores the type the file claims', async () => {
+    expect(await detectFileType(file(ascii('%PDF-1.4\n'), 'image/jpeg'))).toBe('application/pdf');
+    expect(await detectFileType(file([0, 0, 0, 0x18, ...ascii('ftypmif1'), 0, 0, 0, 0], ''))).toBe('image/heic');
+  });
+
+  it('returns null for anything else', async () => {
+    expect(await detectFileType(file(ascii('GIF89a'), 'image/gif'))).toBeNull();
+    expect(await detectFileType(file([0, 0, 0, 0x18, ...ascii('ftypisom'), 0, 0, 0, 0], 'video/mp4'))).toBeNull();
+    expect(await detectFileType(file([]))).toBeNull();
+  });
+});
@@ -0,0 +1,10 @@
+// The hosting page injects these globals at runtime; the tests point the app at a demo project
+// that is never contacted, since they only exercise the helpers
+globalThis.__firebase_config = JSON.stringify({
+  apiKey: 'test-api-key',
+  authDomain: 'demo-cimenlog.firebaseapp.com',
+  projectId: 'demo-cimenlog',
+  storageBucket: 'demo-cimenlog.appspot.com',
+  appId: 'test-app'
+});
+globalThis.__app_id = 'test-app';
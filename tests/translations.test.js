@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { TRANSLATIONS } from '../App (1).jsx';
+
+const placeholders = (text) => [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+
+describe('TRANSLATIONS', () => {
+  const { en, fr } = TRANSLATIONS;
+
+  it('has the same keys in every language', () => {
+    expect(Object.keys(fr).sort()).toEqual(Object.keys(en).sort());
+  });
+
+  it('leaves no text empty', () => {
+    for (const catalog of [en, fr]) {
+      expect(Object.keys(catalog).filter(key => !catalog[key].trim())).toEqual([]);
+    }
+  });
+
+  it('uses the same placeholders in every language', () => {
+    const mismatched = Object.keys(en).filter(key => key in fr
+      && placeholders(en[key]).join() !== placeholders(fr[key]).join());
+    expect(mismatched).toEqual([]);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { computeTripFinancials } from '../App (1).jsx';
+
+const rates = { laborPerTon: 5000, fuelPrice: 12000 };
+const driverPayRule = { type: 'perZone', amount: 50000, zoneRates: { Z1: 60000, Z2: 80000 } };
+const dropTariffs = [
+  { zone: 'Z1', source: 'zone', key: 'Z1', revenuePerTon: 100000 },
+  { zone: 'Z2', source: 'destination', key: 'Kipé', revenuePerTon: 120000 }
+];
+
+const cement = { productId: 'cement-50kg', productName: 'Cement 50 kg', unit: 'bag', unitWeightKg: 50, revenuePerUnit: null, laborPerUnit: null };
+const rebar = { productId: 'rebar', productName: 'Rebar', unit: 'piece', unitWeightKg: 12, revenuePerUnit: 2000, laborPerUnit: 100 };
+
+const trip = {
+  date: '2026-03-10',
+  drops: [{ destination: 'Kaloum' }, { destination: 'Kipé' }],
+  lines: [
+    { ...cement, quantity: 200, drop: 0 },
+    { ...cement, quantity: 100, drop: 1 },
+    { ...rebar, quantity: 50, drop: 1 }
+  ],
+  fuelLiters: 100,
+  otherCost: 30000
+};
+
+describe('computeTripFinancials', () => {
+  it('prices each drop with its own tariff and its own lines', () => {
+    const { drops } = computeTripFinancials(trip, { rates, dropTariffs, driverPayRule });
+    expect(drops).toHaveLength(2);
+    expect(drops[0]).toMatchObject({ destination: 'Kaloum', zone: 'Z1', tariffSource: 'zone', tariffKey: 'Z1', revenuePerTon: 100000, bags: 200, weightTons: 10, revenue: 1000000, laborCost: 50000 });
+    expect(drops[1]).toMatchObject({ destination: 'Kipé', zone: 'Z2', tariffSource: 'destination', tariffKey: 'Kipé', revenuePerTon: 120000, bags: 100, revenue: 700000, laborCost: 30000 });
+    expect(drops[1].weightTons).toBeCloseTo(5.6);
+  });
+
+  it('adds the drops up and charges the trip-wide costs once', () => {
+    const result = computeTripFinancials(trip, { rates, dropTariffs, driverPayRule });
+    expect(result).toMatchObject({
+      destination: 'Kaloum',
+      destinations: ['Kaloum', 'Kipé'],
+      bags: 300,
+      revenue: 1700000,
+      laborCost: 80000,
+      fuelCost: 1200000,
+      driverPay: 80000,
+      totalExpenses: 1390000,
+      netProfit: 310000,
+      zone: 'Z1',
+      tariffSource: 'zone',
+      tariffKey: 'Z1'
+    });
+    expect(result.weightTons).toBeCloseTo(15.6);
+  });
+
+  it('pays a per-zone driver for the best-paid drop', () => {
+    const flat = { type: 'fixed', amount: 50000 };
+    expect(computeTripFinancials(trip, { rates, dropTariffs, driverPayRule }).driverPay).toBe(80000);
+    expect(computeTripFinancials(trip, { rates, dropTariffs, driverPayRule: flat }).driverPay).toBe(50000);
+  });
+
+  it('applies a tariff override to every drop but keeps their tariffs', () => {
+    const result = computeTripFinancials({ ...trip, tariffOverride: { revenuePerTon: 90000 } }, { rates, dropTariffs, driverPayRule });
+    expect(result.revenue).toBe(15 * 90000 + 50 * 2000);
+    expect(result.drops.map(drop => drop.revenuePerTon)).toEqual([100000, 120000]);
+  });
+
+  it('treats a trip saved before multi-drop deliveries as one drop of cement bags', () => {
+    const legacy = { date: '2026-01-05', destination: 'Kaloum', bags: 400, fuelLiters: 80, otherCost: 0 };
+    const result = computeTripFinancials(legacy, { rates, dropTariffs: [dropTariffs[0]], driverPayRule });
+    expect(result.drops).toEqual([expect.objectContaining({ destination: 'Kaloum', bags: 400, weightTons: 20, revenue: 2000000 })]);
+    expect(result).toMatchObject({ destinations: ['Kaloum'], weightTons: 20, revenue: 2000000, laborCost: 100000, driverPay: 60000 });
+  });
+});